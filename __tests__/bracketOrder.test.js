@@ -0,0 +1,249 @@
+/* global describe, it, expect, afterEach, jest */
+'use strict'
+
+const { EventEmitter } = require('events')
+const nock = require('nock')
+const BracketOrder = require('../src/bracketOrder')
+const { createClient, mockAPI, queryOf, silentLogger } = require('./testUtils/testSetup')
+
+const once = (emitter, event) => new Promise(resolve => emitter.once(event, (...args) => resolve(args)))
+
+// started UserDataStream of the account, the order updates are emitted by the tests
+const createStream = () => new EventEmitter()
+const orderUpdate = (clientOrderId, status, executedQty) => ({
+  e: 'ORDER_TRADE_UPDATE',
+  o: { s: 'BTCUSDT', c: clientOrderId, i: 1, X: status, z: executedQty }
+})
+
+const createBracket = (stream, params) => new BracketOrder(createClient(), {
+  symbol: 'btcusdt',
+  side: 'buy',
+  type: 'LIMIT',
+  price: '30000',
+  quantity: '1',
+  takeProfit: '31000',
+  stopLoss: '29000',
+  ...params
+}, { userDataStream: stream, logger: silentLogger })
+
+// the exchange, recording the batches and cancellations, and both in the order they arrive;
+// rejected legs and failed cancellations are answered with an error
+const mockExchange = ({ batches = [], cancels = [], requests = [], rejected = [], notCancelled = [] } = {}) => mockAPI()
+  .post('/fapi/v1/order')
+  .query(true)
+  .reply(200, (uri) => ({ orderId: 1, clientOrderId: queryOf(uri).newClientOrderId, status: 'NEW', executedQty: '0' }))
+  .post('/fapi/v1/batchOrders')
+  .query(true)
+  .times(Infinity)
+  .reply(200, (uri) => {
+    const batch = JSON.parse(queryOf(uri).batchOrders)
+    batches.push(batch)
+    requests.push(`place ${batch.map(order => order.newClientOrderId).join(' ')}`)
+    return batch.map((order, i) => rejected.includes(order.type)
+      ? { code: -2021, msg: 'Order would immediately trigger.' }
+      : { orderId: 100 + batches.length * 10 + i, clientOrderId: order.newClientOrderId })
+  })
+  .delete('/fapi/v1/order')
+  .query(true)
+  .times(Infinity)
+  .reply((uri) => {
+    const { origClientOrderId } = queryOf(uri)
+    requests.push(`cancel ${origClientOrderId}`)
+    if (notCancelled.includes(origClientOrderId)) {
+      return [400, { code: -2011, msg: 'Unknown order sent.' }]
+    }
+    cancels.push(origClientOrderId)
+    return [200, { status: 'CANCELED' }]
+  })
+
+describe('BracketOrder', () => {
+  afterEach(() => nock.cleanAll())
+
+  it('should protect the filled quantity and close with the filled leg', async () => {
+    const batches = []
+    const cancels = []
+    mockExchange({ batches, cancels })
+    const stream = createStream()
+    const bracket = createBracket(stream)
+    const entry = bracket.entry.clientOrderId
+
+    await bracket.start()
+    expect(batches).toHaveLength(0)
+
+    // a partial fill of the entry is protected on its own
+    let protectedLegs = once(bracket, 'protected')
+    stream.emit('ORDER_TRADE_UPDATE', orderUpdate(entry, 'PARTIALLY_FILLED', '0.4'))
+    let [legs] = await protectedLegs
+    expect(batches[0]).toEqual([
+      expect.objectContaining({ symbol: 'BTCUSDT', side: 'SELL', type: 'TAKE_PROFIT_MARKET', quantity: '0.4', stopPrice: '31000', reduceOnly: 'true' }),
+      expect.objectContaining({ symbol: 'BTCUSDT', side: 'SELL', type: 'STOP_MARKET', quantity: '0.4', stopPrice: '29000', reduceOnly: 'true' })
+    ])
+    expect(legs.takeProfit.quantity).toBe('0.4')
+
+    // the rest of the fill replaces the legs
+    protectedLegs = once(bracket, 'protected')
+    stream.emit('ORDER_TRADE_UPDATE', orderUpdate(entry, 'FILLED', '1'))
+    ;[legs] = await protectedLegs
+    await bracket.queue
+    expect(batches[1].map(order => order.quantity)).toEqual(['1', '1'])
+    expect(cancels).toEqual([`${bracket.id}-tp1`, `${bracket.id}-sl1`])
+
+    // a partially filled leg keeps the bracket open
+    const done = once(bracket, 'done')
+    stream.emit('ORDER_TRADE_UPDATE', orderUpdate(legs.takeProfit.clientOrderId, 'PARTIALLY_FILLED', '0.5'))
+    await bracket.queue
+    expect(bracket.done).toBe(false)
+
+    stream.emit('ORDER_TRADE_UPDATE', orderUpdate(legs.takeProfit.clientOrderId, 'FILLED', '1'))
+    const [reason, order] = await done
+    expect(reason).toBe('takeProfit')
+    expect(order).toMatchObject({ clientOrderId: `${bracket.id}-tp2`, status: 'FILLED' })
+    expect(cancels.slice(2)).toEqual([`${bracket.id}-sl2`])
+    expect(stream.listenerCount('ORDER_TRADE_UPDATE')).toBe(0)
+  })
+
+  it('should cancel the previous legs before placing the new ones', async () => {
+    const requests = []
+    mockExchange({ requests })
+    const stream = createStream()
+    const bracket = createBracket(stream)
+    const entry = bracket.entry.clientOrderId
+
+    await bracket.start()
+    stream.emit('ORDER_TRADE_UPDATE', orderUpdate(entry, 'PARTIALLY_FILLED', '0.4'))
+    await bracket.queue
+    stream.emit('ORDER_TRADE_UPDATE', orderUpdate(entry, 'FILLED', '1'))
+    await bracket.queue
+
+    const id = bracket.id
+    expect(requests).toEqual([
+      `place ${id}-tp1 ${id}-sl1`,
+      `cancel ${id}-tp1`,
+      `cancel ${id}-sl1`,
+      `place ${id}-tp2 ${id}-sl2`
+    ])
+    expect(bracket.legs.takeProfit.clientOrderId).toBe(`${id}-tp2`)
+  })
+
+  it('should not replace the legs when a previous one cannot be cancelled', async () => {
+    const requests = []
+    const stream = createStream()
+    const bracket = createBracket(stream)
+    const id = bracket.id
+    mockExchange({ requests, notCancelled: [`${id}-tp1`] })
+    const entry = bracket.entry.clientOrderId
+
+    await bracket.start()
+    stream.emit('ORDER_TRADE_UPDATE', orderUpdate(entry, 'PARTIALLY_FILLED', '0.4'))
+    await bracket.queue
+    stream.emit('ORDER_TRADE_UPDATE', orderUpdate(entry, 'FILLED', '1'))
+    await bracket.queue
+
+    expect(requests.filter(request => request.startsWith('place'))).toHaveLength(1)
+    expect(Object.keys(bracket.legs)).toEqual(['takeProfit'])
+
+    // the take-profit had executed in the meantime
+    const done = once(bracket, 'done')
+    stream.emit('ORDER_TRADE_UPDATE', orderUpdate(`${id}-tp1`, 'FILLED', '0.4'))
+    expect((await done)[0]).toBe('takeProfit')
+  })
+
+  it('should not poll the orders of a dry run', async () => {
+    nock.disableNetConnect()
+    const client = createClient({ dryRun: true, logger: silentLogger })
+    const bracket = new BracketOrder(client, { symbol: 'btcusdt', side: 'buy', quantity: '1', stopLoss: '29000' }, { pollInterval: 10, logger: silentLogger })
+    const onError = jest.fn()
+    bracket.on('error', onError)
+
+    const response = await bracket.start()
+    await new Promise(resolve => setTimeout(resolve, 50))
+    nock.enableNetConnect()
+
+    expect(response.dryRun).toBe(true)
+    expect(bracket.pollTimer).toBeNull()
+    expect(onError).not.toHaveBeenCalled()
+  })
+
+  it('should only follow the legs accepted by the exchange', async () => {
+    const cancels = []
+    mockExchange({ cancels, rejected: ['STOP_MARKET'] })
+    const stream = createStream()
+    const bracket = createBracket(stream)
+    const onError = jest.fn()
+    bracket.on('error', onError)
+    const onProtected = jest.fn()
+    bracket.on('protected', onProtected)
+
+    await bracket.start()
+    stream.emit('ORDER_TRADE_UPDATE', orderUpdate(bracket.entry.clientOrderId, 'FILLED', '1'))
+    await bracket.queue
+
+    expect(onError).toHaveBeenCalledWith(expect.objectContaining({ message: 'STOP_MARKET leg rejected: Order would immediately trigger.' }))
+    expect(onProtected).not.toHaveBeenCalled()
+    expect(Object.keys(bracket.legs)).toEqual(['takeProfit'])
+    expect(bracket.orders.has(`${bracket.id}-sl1`)).toBe(false)
+
+    // an update of the rejected leg is ignored
+    stream.emit('ORDER_TRADE_UPDATE', orderUpdate(`${bracket.id}-sl1`, 'FILLED', '1'))
+    await bracket.queue
+    expect(bracket.done).toBe(false)
+
+    const done = once(bracket, 'done')
+    await bracket.cancel()
+    expect((await done)[0]).toBe('canceled')
+    expect(cancels).toEqual([`${bracket.id}-tp1`])
+  })
+
+  it('should register no leg when the batch fails', async () => {
+    mockAPI()
+      .post('/fapi/v1/order')
+      .query(true)
+      .reply(200, { orderId: 1, status: 'NEW', executedQty: '0' })
+      .post('/fapi/v1/batchOrders')
+      .query(true)
+      .reply(400, { code: -1102, msg: 'Mandatory parameter was not sent.' })
+    const stream = createStream()
+    const bracket = createBracket(stream)
+    const errors = []
+    bracket.on('error', error => errors.push(error))
+
+    await bracket.start()
+    stream.emit('ORDER_TRADE_UPDATE', orderUpdate(bracket.entry.clientOrderId, 'FILLED', '1'))
+    await bracket.queue
+
+    expect(errors.map(error => error.code)).toEqual([-1102])
+    expect(bracket.legs).toEqual({})
+    expect([...bracket.orders.keys()]).toEqual([bracket.entry.clientOrderId])
+  })
+
+  it('should apply a leg update received before the batch response', async () => {
+    const cancels = []
+    mockExchange({ cancels })
+    const stream = createStream()
+    const bracket = createBracket(stream, { type: 'MARKET', price: undefined })
+
+    const done = once(bracket, 'done')
+    await bracket.start()
+    stream.emit('ORDER_TRADE_UPDATE', orderUpdate(bracket.entry.clientOrderId, 'FILLED', '1'))
+    // the stop-loss triggers while the batch request is in flight
+    stream.emit('ORDER_TRADE_UPDATE', orderUpdate(`${bracket.id}-sl1`, 'FILLED', '1'))
+
+    const [reason] = await done
+    expect(reason).toBe('stopLoss')
+    expect(cancels).toEqual([`${bracket.id}-tp1`])
+  })
+
+  it('should end when the entry is cancelled before any fill', async () => {
+    mockExchange()
+    const stream = createStream()
+    const bracket = createBracket(stream)
+
+    const done = once(bracket, 'done')
+    await bracket.start()
+    stream.emit('ORDER_TRADE_UPDATE', orderUpdate(bracket.entry.clientOrderId, 'CANCELED', '0'))
+
+    const [reason, entry] = await done
+    expect(reason).toBe('entryCanceled')
+    expect(entry.status).toBe('CANCELED')
+  })
+})
@@ -0,0 +1,101 @@
+/* global describe, it, expect, afterEach */
+'use strict'
+
+const crypto = require('crypto')
+const nock = require('nock')
+const DeliveryFutures = require('../../src/deliveryFutures')
+const { apiKey, apiSecret, silentLogger, queryOf } = require('../testUtils/testSetup')
+const MissingParameterError = require('../../src/error/missingParameterError')
+
+const DAPI_URL = 'https://dapi.binance.com'
+
+const sign = queryString => crypto.createHmac('sha256', apiSecret).update(queryString).digest('hex')
+const createClient = (options = {}) => new DeliveryFutures(apiKey, apiSecret, { logger: silentLogger, ...options })
+
+describe('DeliveryFutures', () => {
+  afterEach(() => nock.cleanAll())
+
+  it('should send the requests to the COIN-M API by default', async () => {
+    nock(DAPI_URL)
+      .get('/dapi/v1/klines')
+      .query({ symbol: 'BTCUSD_PERP', interval: '1h', limit: 2 })
+      .reply(200, [[1, '1', '2', '0.5', '1.5', '10']])
+
+    const response = await createClient().klines('btcusd_perp', '1h', { limit: 2 })
+
+    expect(response.data).toEqual([[1, '1', '2', '0.5', '1.5', '10']])
+  })
+
+  it('should sign the account requests', async () => {
+    let uri
+    nock(DAPI_URL)
+      .matchHeader('X-MBX-APIKEY', apiKey)
+      .get('/dapi/v1/account')
+      .query(true)
+      .reply(200, (path) => {
+        uri = path
+        return { assets: [], positions: [] }
+      })
+
+    await createClient().accountInformation({ recvWindow: 5000 })
+
+    const [queryString, signature] = uri.split('?')[1].split('&signature=')
+    expect(signature).toBe(sign(queryString))
+    expect(queryOf(uri).recvWindow).toBe('5000')
+  })
+
+  it('should place orders on /dapi/v1/order', async () => {
+    let query
+    nock(DAPI_URL)
+      .post('/dapi/v1/order')
+      .query(true)
+      .reply(200, (path) => {
+        query = queryOf(path)
+        return { orderId: 1, symbol: 'BTCUSD_PERP' }
+      })
+
+    await createClient().newOrder('btcusd_perp', 'buy', 'limit', { quantity: 1, price: 30000, timeInForce: 'GTC' })
+
+    expect(query).toMatchObject({ symbol: 'BTCUSD_PERP', side: 'BUY', type: 'LIMIT', quantity: '1', price: '30000', timeInForce: 'GTC' })
+    expect(query.signature).toBeDefined()
+  })
+
+  it('should change the leverage of a symbol', async () => {
+    let query
+    nock(DAPI_URL)
+      .post('/dapi/v1/leverage')
+      .query(true)
+      .reply(200, (path) => {
+        query = queryOf(path)
+        return { leverage: 20, symbol: 'BTCUSD_PERP' }
+      })
+
+    await createClient().changeLeverage('btcusd_perp', 20)
+
+    expect(query).toMatchObject({ symbol: 'BTCUSD_PERP', leverage: '20' })
+  })
+
+  it('should manage the listenKey of the COIN-M user data stream', async () => {
+    const scope = nock(DAPI_URL)
+      .matchHeader('X-MBX-APIKEY', apiKey)
+      .post('/dapi/v1/listenKey')
+      .reply(200, { listenKey: 'key1' })
+      .put('/dapi/v1/listenKey')
+      .reply(200, {})
+      .delete('/dapi/v1/listenKey')
+      .reply(200, {})
+    const client = createClient()
+
+    expect((await client.createListenKey()).data.listenKey).toBe('key1')
+    await client.renewListenKey()
+    await client.closeListenKey()
+
+    expect(scope.isDone()).toBe(true)
+  })
+
+  it('should validate the parameters like the USDⓈ-M client', () => {
+    const client = createClient()
+    expect(() => client.klines('BTCUSD_PERP')).toThrow(MissingParameterError)
+    expect(() => client.changeLeverage('BTCUSD_PERP')).toThrow(MissingParameterError)
+  })
+})
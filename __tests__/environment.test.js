@@ -0,0 +1,79 @@
+/* global describe, it, expect, afterEach */
+'use strict'
+
+const nock = require('nock')
+const { Futures, DeliveryFutures, WebsocketAPI, WebsocketStream } = require('../src/index')
+const ConnectorClientError = require('../src/error/connectorClientError')
+const { silentLogger } = require('./testUtils/testSetup')
+
+const TESTNET_URL = 'https://testnet.binancefuture.com'
+
+describe('environment presets', () => {
+  afterEach(() => nock.cleanAll())
+
+  it('should point the clients to production by default', () => {
+    const client = new Futures()
+    expect(client).toMatchObject({
+      baseURL: 'https://fapi.binance.com',
+      wsURL: 'wss://fstream.binance.com',
+      wsAPIURL: 'wss://ws-fapi.binance.com/ws-fapi/v1',
+      expectTestnet: false
+    })
+    expect(new DeliveryFutures()).toMatchObject({
+      baseURL: 'https://dapi.binance.com',
+      wsURL: 'wss://dstream.binance.com',
+      wsAPIURL: 'wss://ws-dapi.binance.com/ws-dapi/v1',
+      expectTestnet: false
+    })
+  })
+
+  it('should point the clients to the testnet and expect it', () => {
+    expect(new Futures('', '', { environment: 'testnet' })).toMatchObject({
+      baseURL: TESTNET_URL,
+      wsURL: 'wss://fstream.binancefuture.com',
+      wsAPIURL: 'wss://testnet.binancefuture.com/ws-fapi/v1',
+      expectTestnet: true
+    })
+    expect(new DeliveryFutures('', '', { environment: 'testnet' })).toMatchObject({
+      baseURL: TESTNET_URL,
+      wsURL: 'wss://dstream.binancefuture.com',
+      wsAPIURL: 'wss://testnet.binancefuture.com/ws-dapi/v1',
+      expectTestnet: true
+    })
+    expect(new WebsocketAPI('', '', { environment: 'testnet', logger: silentLogger })).toMatchObject({
+      wsURL: 'wss://testnet.binancefuture.com/ws-fapi/v1',
+      expectTestnet: true
+    })
+    expect(new WebsocketStream({ environment: 'testnet', logger: silentLogger }).wsURL).toBe('wss://fstream.binancefuture.com')
+  })
+
+  it('should let explicit URLs and expectTestnet take precedence', () => {
+    const client = new Futures('', '', { environment: 'testnet', baseURL: 'https://fapi.binance.com', wsAPIURL: 'wss://example.com', expectTestnet: false })
+    expect(client).toMatchObject({ baseURL: 'https://fapi.binance.com', wsAPIURL: 'wss://example.com', expectTestnet: false })
+    expect(new Futures('', '', { expectTestnet: true }).expectTestnet).toBe(true)
+  })
+
+  it('should throw on an unknown environment', () => {
+    expect(() => new Futures('', '', { environment: 'staging' })).toThrow(ConnectorClientError)
+  })
+
+  it('should refuse orders outside of the testnet on the testnet environment', async () => {
+    const client = new Futures('apiKey', 'apiSecret', { environment: 'testnet', baseURL: 'https://fapi.binance.com', logger: silentLogger })
+
+    await expect(client.modifyOrder('BTCUSDT', 'BUY', 1, 30000, { orderId: 1 })).rejects.toThrow(/expectTestnet is set/)
+  })
+
+  it('should send orders to the testnet', async () => {
+    nock(TESTNET_URL).put('/fapi/v1/order').query(true).reply(200, { orderId: 1 })
+    const client = new Futures('apiKey', 'apiSecret', { environment: 'testnet', logger: silentLogger })
+
+    const response = await client.modifyOrder('BTCUSDT', 'BUY', 1, 30000, { orderId: 1 })
+    expect(response.data).toEqual({ orderId: 1 })
+  })
+
+  it('should refuse websocket API orders outside of the testnet on the testnet environment', async () => {
+    const wsAPI = new WebsocketAPI('apiKey', 'apiSecret', { environment: 'testnet', wsURL: 'wss://ws-fapi.binance.com/ws-fapi/v1', logger: silentLogger })
+
+    await expect(wsAPI.sendSignatureRequest('order.place', { symbol: 'BTCUSDT' })).rejects.toThrow(/expectTestnet is set/)
+  })
+})
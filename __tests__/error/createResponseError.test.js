@@ -0,0 +1,73 @@
+/* global describe, it, expect, afterEach */
+'use strict'
+
+const nock = require('nock')
+const { createClient, mockAPI } = require('../testUtils/testSetup')
+const createResponseError = require('../../src/error/createResponseError')
+const {
+  ClientError,
+  ServerError,
+  TimestampError,
+  MarginInsufficientError,
+  MinNotionalError,
+  ReduceOnlyRejectedError,
+  RateLimitError,
+  IPBannedError,
+  ErrorCode
+} = require('../../src/index')
+
+describe('#createResponseError', () => {
+  it.each([
+    [ErrorCode.INVALID_TIMESTAMP, TimestampError],
+    [ErrorCode.MARGIN_NOT_SUFFICIENT, MarginInsufficientError],
+    [ErrorCode.REDUCE_ONLY_REJECT, ReduceOnlyRejectedError],
+    [ErrorCode.MIN_NOTIONAL, MinNotionalError],
+    [ErrorCode.TOO_MANY_REQUESTS, RateLimitError]
+  ])('should map the code %i to its error', (code, ErrorClass) => {
+    const error = createResponseError({ status: 400, code, msg: 'failed' })
+
+    expect(error).toBeInstanceOf(ErrorClass)
+    expect(error).toBeInstanceOf(ClientError)
+    expect(error).toMatchObject({ status: 400, code, message: 'failed', msg: 'failed', name: ErrorClass.name })
+  })
+
+  it('should map the status when the code has no error of its own', () => {
+    expect(createResponseError({ status: 400, code: -1102, msg: 'Mandatory parameter' })).toMatchObject({ name: 'ClientError', code: -1102 })
+    expect(createResponseError({ status: 503, msg: 'Service Unavailable' })).toBeInstanceOf(ServerError)
+    expect(createResponseError({ status: 418 })).toBeInstanceOf(IPBannedError)
+    expect(createResponseError({ status: 404 }).message).toBe('Request failed with status code 404')
+  })
+
+  it('should read the seconds to wait from Retry-After', () => {
+    const error = createResponseError({ status: 429, code: -1003, msg: 'Too many requests.', headers: { 'retry-after': '30' } })
+
+    expect(error).toBeInstanceOf(RateLimitError)
+    expect(error.retryAfter).toBe(30)
+    expect(createResponseError({ status: 429 }).retryAfter).toBeUndefined()
+  })
+})
+
+describe('response errors', () => {
+  afterEach(() => nock.cleanAll())
+
+  it('should reject a request with the error of the Binance code, with the request it failed', async () => {
+    mockAPI()
+      .post('/fapi/v1/order')
+      .query(true)
+      .reply(400, { code: -2019, msg: 'Margin is insufficient.' })
+
+    const request = createClient().signRequest('POST', '/fapi/v1/order', { symbol: 'BTCUSDT', side: 'BUY', type: 'MARKET', quantity: 1 })
+
+    await expect(request).rejects.toBeInstanceOf(MarginInsufficientError)
+    await expect(request).rejects.toMatchObject({ status: 400, code: -2019, method: 'POST', path: '/fapi/v1/order' })
+  })
+
+  it('should reject a server failure with a ServerError', async () => {
+    mockAPI()
+      .get('/fapi/v1/openOrders')
+      .query(true)
+      .reply(502, 'Bad Gateway')
+
+    await expect(createClient().queryCurrentAllOpenOrders()).rejects.toMatchObject({ name: 'ServerError', status: 502 })
+  })
+})
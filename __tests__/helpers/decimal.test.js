@@ -0,0 +1,105 @@
+/* global describe, it, expect, afterEach */
+'use strict'
+
+const nock = require('nock')
+const { toDecimalString, decimalPlaces, roundToStep, isMultipleOf } = require('../../src/helpers/decimal')
+const { buildQueryString, serializeDecimals } = require('../../src/helpers/utils')
+const { createClient, mockAPI, queryOf } = require('../testUtils/testSetup')
+
+// the minimal interface of decimal.js, big.js and bignumber.js that is relied on
+const decimalLike = string => ({ toFixed: () => string })
+
+describe('#toDecimalString', () => {
+  it('should write numbers in fixed-point notation', () => {
+    expect(toDecimalString(1e-7)).toBe('0.0000001')
+    expect(toDecimalString(1.5e-7)).toBe('0.00000015')
+    expect(toDecimalString(-2.5e-8)).toBe('-0.000000025')
+    expect(toDecimalString(1e21)).toBe('1000000000000000000000')
+    expect(toDecimalString(42)).toBe('42')
+  })
+
+  it('should drop the floating point noise', () => {
+    expect(toDecimalString(0.1 + 0.2)).toBe('0.3')
+    expect(toDecimalString(1.1 * 3)).toBe('3.3')
+  })
+
+  it('should expand strings with an exponent and keep the other strings', () => {
+    expect(toDecimalString('1e-8')).toBe('0.00000001')
+    expect(toDecimalString('0.00100000')).toBe('0.00100000')
+    expect(toDecimalString('BTCUSDT')).toBe('BTCUSDT')
+  })
+
+  it('should write bigints and decimal library objects', () => {
+    expect(toDecimalString(12345678901234567890n)).toBe('12345678901234567890')
+    expect(toDecimalString(decimalLike('0.00000001'))).toBe('0.00000001')
+  })
+
+  it('should return other values as they are', () => {
+    expect(toDecimalString(true)).toBe(true)
+    expect(toDecimalString(null)).toBe(null)
+  })
+})
+
+describe('#roundToStep', () => {
+  it('should round half up on the decimal value', () => {
+    expect(decimalPlaces('0.01000000')).toBe(2)
+    expect(roundToStep(1.005, '0.01')).toBe('1.01')
+    expect(roundToStep(1.004, '0.01')).toBe('1.00')
+    expect(roundToStep(-1.005, '0.01')).toBe('-1.00')
+    expect(roundToStep(30000.25, '0.5')).toBe('30000.5')
+    expect(roundToStep(37, '5')).toBe('35')
+  })
+
+  it('should round down or up', () => {
+    expect(roundToStep(0.0019, '0.001', 'floor')).toBe('0.001')
+    expect(roundToStep(0.0011, '0.001', 'ceil')).toBe('0.002')
+    expect(roundToStep(-0.0011, '0.001', 'floor')).toBe('-0.002')
+    expect(roundToStep(0.002, '0.001', 'ceil')).toBe('0.002')
+  })
+})
+
+describe('#isMultipleOf', () => {
+  it('should compare the decimal values', () => {
+    expect(isMultipleOf(0.1 + 0.2, '0.1')).toBe(true)
+    expect(isMultipleOf('30000.50', '0.10')).toBe(true)
+    expect(isMultipleOf(0.0015, '0.001')).toBe(false)
+    expect(isMultipleOf('abc', '0.1')).toBe(false)
+  })
+})
+
+describe('decimal serialization', () => {
+  afterEach(() => nock.cleanAll())
+
+  it('should build query strings in fixed-point notation', () => {
+    expect(buildQueryString({ quantity: 1e-7, price: decimalLike('30000.1'), orderId: 12345678901234567890n }))
+      .toBe('quantity=0.0000001&price=30000.1&orderId=12345678901234567890')
+    expect(buildQueryString({ symbols: ['BTCUSDT', 'ETHUSDT'] }))
+      .toBe(`symbols=${encodeURIComponent('["BTCUSDT","ETHUSDT"]')}`)
+  })
+
+  it('should write every value of object lists as strings', () => {
+    const batchOrders = [{ symbol: 'BTCUSDT', quantity: 1e-7, price: 0.1 + 0.2, reduceOnly: true, positionSide: '' }]
+    expect(decodeURIComponent(buildQueryString({ batchOrders })))
+      .toBe('batchOrders=[{"symbol":"BTCUSDT","quantity":"0.0000001","price":"0.3","reduceOnly":"true"}]')
+  })
+
+  it('should keep safe integers as numbers in JSON payloads', () => {
+    expect(serializeDecimals({ id: 1, quantity: 1e-7, price: decimalLike('1.50') }))
+      .toEqual({ id: 1, quantity: '0.0000001', price: '1.50' })
+  })
+
+  it('should send order quantities without an exponent', async () => {
+    let query
+    mockAPI()
+      .post('/fapi/v1/order')
+      .query(true)
+      .reply(200, (uri) => {
+        query = queryOf(uri)
+        return { orderId: 1 }
+      })
+
+    await createClient().newOrder('BTCUSDT', 'BUY', 'LIMIT', { quantity: 1e-7, price: 0.1 + 0.2, timeInForce: 'GTC' })
+
+    expect(query).toMatchObject({ quantity: '0.0000001', price: '0.3' })
+  })
+})
@@ -0,0 +1,82 @@
+/* global describe, it, expect, afterEach, jest */
+'use strict'
+
+const http = require('http')
+const https = require('https')
+const axios = require('axios')
+const { apiKey, createClient, silentLogger } = require('../testUtils/testSetup')
+const Futures = require('../../src/futures')
+
+/**
+ * A local http server answering /fapi/v1/time, counting the connections opened to it
+ */
+const startServer = () => new Promise(resolve => {
+  const server = http.createServer((request, response) => {
+    server.requests.push(request.headers)
+    response.setHeader('Content-Type', 'application/json')
+    response.end(JSON.stringify({ serverTime: 1 }))
+  })
+  server.connections = 0
+  server.requests = []
+  server.on('connection', () => server.connections++)
+  server.listen(0, '127.0.0.1', () => resolve(server))
+})
+
+describe('http client', () => {
+  let server
+
+  afterEach(async () => {
+    jest.restoreAllMocks()
+    if (server) {
+      server.closeAllConnections()
+      await new Promise(resolve => server.close(resolve))
+    }
+    server = null
+  })
+
+  it('should be created once per client', async () => {
+    const create = jest.spyOn(axios, 'create')
+    server = await startServer()
+    const client = createClient({ baseURL: `http://127.0.0.1:${server.address().port}` })
+
+    await client.time()
+    await client.time()
+
+    expect(create).toHaveBeenCalledTimes(1)
+  })
+
+  it('should reuse the connection between requests', async () => {
+    server = await startServer()
+    const client = createClient({ baseURL: `http://127.0.0.1:${server.address().port}` })
+
+    await client.time()
+    await client.time()
+    await client.time()
+
+    expect(server.requests).toHaveLength(3)
+    expect(server.connections).toBe(1)
+    expect(server.requests[0]).toMatchObject({ 'x-mbx-apikey': apiKey, connection: 'keep-alive' })
+  })
+
+  it('should open a connection per request without keepAlive', async () => {
+    server = await startServer()
+    const client = createClient({ baseURL: `http://127.0.0.1:${server.address().port}`, keepAlive: false })
+
+    await client.time()
+    await client.time()
+
+    expect(server.connections).toBe(2)
+  })
+
+  it('should pass keepAlive and maxSockets to the agents, unless an httpsAgent is given', () => {
+    const client = createClient({ maxSockets: 4 })
+    const { httpAgent, httpsAgent } = client.httpClient.defaults
+    expect(httpsAgent.keepAlive).toBe(true)
+    expect(httpsAgent.maxSockets).toBe(4)
+    expect(httpAgent.maxSockets).toBe(4)
+
+    const agent = new https.Agent()
+    const withAgent = new Futures('', '', { httpsAgent: agent, logger: silentLogger })
+    expect(withAgent.httpClient.defaults.httpsAgent).toBe(agent)
+  })
+})
@@ -0,0 +1,104 @@
+/* global describe, it, expect, afterEach, jest */
+'use strict'
+
+const nock = require('nock')
+const RateLimiter = require('../../src/helpers/rateLimiter')
+const RateLimitError = require('../../src/error/rateLimitError')
+const { createClient, mockAPI } = require('../testUtils/testSetup')
+
+const MINUTE = 60 * 1000
+// 50 seconds into a minute, 10 seconds before the used weight resets
+const NOW = 1700000000000 - (1700000000000 % MINUTE) + 50 * 1000
+
+describe('RateLimiter', () => {
+  afterEach(() => jest.useRealTimers())
+
+  it('should take the usage from the response headers', () => {
+    const limiter = new RateLimiter()
+    limiter.update({ 'x-mbx-used-weight-1m': '120', 'x-mbx-order-count-10s': '3', 'x-mbx-order-count-1m': 'n/a' })
+
+    expect(limiter.getUsage()).toEqual({
+      usedWeight1m: { used: 120, limit: 2400 },
+      orderCount10s: { used: 3, limit: 300 },
+      orderCount1m: { used: 0, limit: 1200 }
+    })
+  })
+
+  it('should estimate the usage from the requests sent until the next response', async () => {
+    const limiter = new RateLimiter({ usedWeight1m: 100 })
+    limiter.update({ 'x-mbx-used-weight-1m': '10' })
+
+    await limiter.schedule(5, 1)
+    await limiter.schedule(20)
+
+    expect(limiter.getUsage().usedWeight1m).toEqual({ used: 35, limit: 100 })
+    expect(limiter.getUsage().orderCount10s.used).toBe(1)
+  })
+
+  it('should only track the usage when throttle is off', async () => {
+    const limiter = new RateLimiter({ usedWeight1m: 10 })
+
+    await limiter.schedule(8)
+    await limiter.schedule(8)
+
+    expect(limiter.getUsage().usedWeight1m.used).toBe(16)
+  })
+
+  it('should delay a request over the limit until the interval resets', async () => {
+    jest.useFakeTimers({ now: NOW })
+    const limiter = new RateLimiter({ throttle: true, usedWeight1m: 10 })
+    const sent = []
+
+    limiter.schedule(8).then(() => sent.push('first'))
+    limiter.schedule(5).then(() => sent.push('second'))
+    await jest.advanceTimersByTimeAsync(0)
+    expect(sent).toEqual(['first'])
+
+    await jest.advanceTimersByTimeAsync(9999)
+    expect(sent).toEqual(['first'])
+    await jest.advanceTimersByTimeAsync(1)
+    expect(sent).toEqual(['first', 'second'])
+    expect(limiter.getUsage().usedWeight1m.used).toBe(5)
+  })
+
+  it('should hold every request while blocked', async () => {
+    jest.useFakeTimers({ now: NOW })
+    const limiter = new RateLimiter({ throttle: true })
+    const sent = []
+
+    limiter.block(30)
+    limiter.schedule(1).then(() => sent.push('request'))
+    await jest.advanceTimersByTimeAsync(29 * 1000)
+    expect(sent).toEqual([])
+    await jest.advanceTimersByTimeAsync(1000)
+    expect(sent).toEqual(['request'])
+  })
+})
+
+describe('#getRateLimitUsage', () => {
+  afterEach(() => nock.cleanAll())
+
+  it('should follow the headers of the responses', async () => {
+    mockAPI()
+      .get('/fapi/v1/time')
+      .reply(200, { serverTime: 1 }, { 'X-MBX-USED-WEIGHT-1M': '42' })
+    const client = createClient()
+
+    await client.time()
+
+    expect(client.getRateLimitUsage().usedWeight1m.used).toBe(42)
+  })
+
+  it('should block the requests for the Retry-After of a 429', async () => {
+    mockAPI()
+      .get('/fapi/v1/time')
+      .reply(429, { code: -1003, msg: 'Too many requests.' }, { 'Retry-After': '7' })
+    const client = createClient({ rateLimit: { throttle: true } })
+
+    const before = Date.now()
+    await expect(client.time()).rejects.toBeInstanceOf(RateLimitError)
+
+    expect(client.rateLimiter.blockedUntil).toBeGreaterThanOrEqual(before + 7000)
+    expect(client.rateLimiter.delayFor(1, 0)).toBeGreaterThan(6000)
+  })
+})
@@ -0,0 +1,73 @@
+/* global describe, it, expect, afterEach */
+'use strict'
+
+const nock = require('nock')
+const { klineToObject, klineToArray, parseNumericStrings, getResponseTransform } = require('../../src/helpers/responseTransform')
+const { createClient, mockAPI } = require('../testUtils/testSetup')
+
+const kline = [1700000000000, '30000.10', '30100.00', '29900.5', '30050', '12.345', 1700000059999, '370000.1', 250, '6.1', '183000.5', '0']
+
+describe('responseTransform', () => {
+  it('should name the fields of a kline and convert it back', () => {
+    const object = klineToObject(kline)
+
+    expect(object).toEqual({
+      openTime: 1700000000000,
+      open: '30000.10',
+      high: '30100.00',
+      low: '29900.5',
+      close: '30050',
+      volume: '12.345',
+      closeTime: 1700000059999,
+      quoteVolume: '370000.1',
+      trades: 250,
+      takerBuyBase: '6.1',
+      takerBuyQuote: '183000.5'
+    })
+    expect(klineToArray(object)).toEqual(kline)
+    expect(klineToArray(kline)).toBe(kline)
+  })
+
+  it('should only parse the numeric strings', () => {
+    const parsed = parseNumericStrings({ symbol: 'BTCUSDT', price: '-1.50', qty: '2', list: ['3', 'x1'], time: 1, flag: true }, Number)
+    expect(parsed).toEqual({ symbol: 'BTCUSDT', price: -1.5, qty: 2, list: [3, 'x1'], time: 1, flag: true })
+  })
+
+  it('should leave the data of other endpoints and default options untouched', () => {
+    expect(getResponseTransform('GET', '/fapi/v1/klines', {})).toBeNull()
+    expect(getResponseTransform('GET', '/fapi/v1/exchangeInfo', { klineObjects: true, parseNumbers: true })).toBeNull()
+    expect(getResponseTransform('GET', '/fapi/v1/depth', { klineObjects: true })).toBeNull()
+  })
+})
+
+describe('klineObjects and parseNumbers options', () => {
+  afterEach(() => nock.cleanAll())
+
+  const mockKlines = () => mockAPI()
+    .get('/fapi/v1/klines')
+    .query(true)
+    .reply(200, [kline])
+
+  it('should return klines as arrays of strings by default', async () => {
+    mockKlines()
+    const response = await createClient().klines('BTCUSDT', '1m')
+    expect(response.data).toEqual([kline])
+  })
+
+  it('should return kline objects with numbers', async () => {
+    mockKlines()
+    const response = await createClient({ klineObjects: true, parseNumbers: true }).klines('BTCUSDT', '1m')
+    expect(response.data).toEqual([expect.objectContaining({ openTime: 1700000000000, open: 30000.1, trades: 250, takerBuyQuote: 183000.5 })])
+  })
+
+  it('should parse the numbers with the given function', async () => {
+    mockAPI()
+      .get('/fapi/v1/ticker/price')
+      .query(true)
+      .reply(200, { symbol: 'BTCUSDT', price: '30000.10', time: 1 })
+
+    const response = await createClient({ parseNumbers: value => `decimal(${value})` }).symbolPriceTicker('BTCUSDT')
+
+    expect(response.data).toEqual({ symbol: 'BTCUSDT', price: 'decimal(30000.10)', time: 1 })
+  })
+})
@@ -0,0 +1,95 @@
+/* global describe, it, expect, afterEach */
+'use strict'
+
+const nock = require('nock')
+const RetryPolicy = require('../../src/helpers/retryPolicy')
+const { ServerError, RateLimitError, IPBannedError, ClientError } = require('../../src/index')
+const { createClient, mockAPI } = require('../testUtils/testSetup')
+
+describe('RetryPolicy', () => {
+  const policy = new RetryPolicy({ retries: 2, baseDelay: 100, maxDelay: 1000 })
+
+  it('should retry the transient failures only', () => {
+    expect(policy.shouldRetry(new ServerError('Bad Gateway', { status: 502 }), 0, 'GET', '/fapi/v1/klines')).toBe(true)
+    expect(policy.shouldRetry(new RateLimitError('Too many requests.', { status: 429 }), 0, 'GET', '/fapi/v1/klines')).toBe(true)
+    expect(policy.shouldRetry({ isAxiosError: true, code: 'ECONNRESET' }, 0, 'GET', '/fapi/v1/klines')).toBe(true)
+    expect(policy.shouldRetry(new IPBannedError('Banned', { status: 418 }), 0, 'GET', '/fapi/v1/klines')).toBe(false)
+    expect(policy.shouldRetry(new ClientError('Invalid symbol.', { status: 400, code: -1121 }), 0, 'GET', '/fapi/v1/klines')).toBe(false)
+  })
+
+  it('should stop after the configured number of retries', () => {
+    const error = new ServerError('Bad Gateway', { status: 502 })
+    expect(policy.shouldRetry(error, 1, 'GET', '/fapi/v1/klines')).toBe(true)
+    expect(policy.shouldRetry(error, 2, 'GET', '/fapi/v1/klines')).toBe(false)
+  })
+
+  it('should never retry placing or modifying orders', () => {
+    const error = new ServerError('Bad Gateway', { status: 502 })
+    const anyMethod = new RetryPolicy({ methods: ['get', 'post', 'put', 'delete'] })
+
+    expect(policy.shouldRetry(error, 0, 'DELETE', '/fapi/v1/order')).toBe(false)
+    expect(anyMethod.shouldRetry(error, 0, 'DELETE', '/fapi/v1/order')).toBe(true)
+    expect(anyMethod.shouldRetry(error, 0, 'POST', '/fapi/v1/order')).toBe(false)
+    expect(anyMethod.shouldRetry(error, 0, 'PUT', '/fapi/v1/batchOrders')).toBe(false)
+  })
+
+  it('should back off exponentially, within maxDelay', () => {
+    const error = new ServerError('Bad Gateway', { status: 502 })
+    for (let i = 0; i < 20; i++) {
+      expect(policy.getDelay(error, 0)).toBeLessThanOrEqual(100)
+      expect(policy.getDelay(error, 2)).toBeLessThanOrEqual(400)
+      expect(policy.getDelay(error, 10)).toBeLessThanOrEqual(1000)
+    }
+  })
+
+  it('should wait at least as long as Retry-After', () => {
+    const error = new RateLimitError('Too many requests.', { status: 429, headers: { 'retry-after': '3' } })
+    expect(policy.getDelay(error, 0)).toBe(3000)
+  })
+})
+
+describe('retry option', () => {
+  afterEach(() => nock.cleanAll())
+
+  it('should not retry by default', async () => {
+    const scope = mockAPI().get('/fapi/v1/time').reply(503, 'Service Unavailable').get('/fapi/v1/time').reply(200, { serverTime: 1 })
+
+    await expect(createClient().time()).rejects.toBeInstanceOf(ServerError)
+    expect(scope.isDone()).toBe(false)
+  })
+
+  it('should send the request again after a transient failure', async () => {
+    mockAPI()
+      .get('/fapi/v1/time')
+      .reply(503, 'Service Unavailable')
+      .get('/fapi/v1/time')
+      .reply(200, { serverTime: 1 })
+    const client = createClient({ retry: { baseDelay: 1 } })
+
+    const response = await client.time()
+
+    expect(response.data).toEqual({ serverTime: 1 })
+  })
+
+  it('should give up with the last error once the retries are spent', async () => {
+    const scope = mockAPI().get('/fapi/v1/time').times(3).reply(502, 'Bad Gateway')
+    const client = createClient({ retry: { retries: 2, baseDelay: 1 } })
+
+    await expect(client.time()).rejects.toMatchObject({ name: 'ServerError', status: 502 })
+    expect(scope.isDone()).toBe(true)
+  })
+
+  it('should not send an order twice', async () => {
+    const scope = mockAPI()
+      .post('/fapi/v1/order')
+      .query(true)
+      .reply(502, 'Bad Gateway')
+      .post('/fapi/v1/order')
+      .query(true)
+      .reply(200, { orderId: 1 })
+    const client = createClient({ retry: { methods: ['GET', 'POST'], baseDelay: 1 } })
+
+    await expect(client.signRequest('POST', '/fapi/v1/order', { symbol: 'BTCUSDT', side: 'BUY', type: 'MARKET', quantity: 1 })).rejects.toBeInstanceOf(ServerError)
+    expect(scope.isDone()).toBe(false)
+  })
+})
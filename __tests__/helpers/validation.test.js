@@ -0,0 +1,88 @@
+/* global describe, it, expect */
+'use strict'
+
+const { validateOrderParameters, validateEnumParameters } = require('../../src/helpers/validation')
+const { KlineInterval, MarginType } = require('../../src/helpers/enums')
+const MissingParameterError = require('../../src/error/missingParameterError')
+const InvalidParameterError = require('../../src/error/invalidParameterError')
+const { createClient } = require('../testUtils/testSetup')
+
+const order = params => ({ symbol: 'BTCUSDT', side: 'BUY', ...params })
+const limitOrder = params => order({ type: 'LIMIT', timeInForce: 'GTC', quantity: 1, price: 30000, ...params })
+
+describe('#validateOrderParameters', () => {
+  it('should accept the mandatory parameters of every order type', () => {
+    expect(() => validateOrderParameters(limitOrder())).not.toThrow()
+    expect(() => validateOrderParameters(order({ type: 'MARKET', quantity: 1 }))).not.toThrow()
+    expect(() => validateOrderParameters(order({ type: 'STOP', quantity: 1, price: 30000, stopPrice: 29000 }))).not.toThrow()
+    expect(() => validateOrderParameters(order({ type: 'STOP_MARKET', quantity: 1, stopPrice: 29000 }))).not.toThrow()
+    expect(() => validateOrderParameters(order({ type: 'TAKE_PROFIT_MARKET', stopPrice: 31000, closePosition: true }))).not.toThrow()
+    expect(() => validateOrderParameters(order({ type: 'TRAILING_STOP_MARKET', quantity: 1, callbackRate: 1 }))).not.toThrow()
+    expect(() => validateOrderParameters(limitOrder({ price: undefined, priceMatch: 'QUEUE' }))).not.toThrow()
+  })
+
+  it('should throw on the missing parameters of the order type', () => {
+    expect(() => validateOrderParameters(order({ quantity: 1 }))).toThrow(MissingParameterError)
+    expect(() => validateOrderParameters(limitOrder({ price: undefined }))).toThrow(/missing: price/)
+    expect(() => validateOrderParameters(order({ type: 'STOP', quantity: 1 }))).toThrow(/missing: price, stopPrice/)
+    expect(() => validateOrderParameters(order({ type: 'STOP_MARKET', stopPrice: 29000 }))).toThrow(/missing: quantity/)
+    expect(() => validateOrderParameters(order({ type: 'TRAILING_STOP_MARKET', quantity: 1 }))).toThrow(/missing: callbackRate/)
+    expect(() => validateOrderParameters(limitOrder({ timeInForce: 'GTD' }))).toThrow(/missing: goodTillDate/)
+  })
+
+  it('should accept the enum values in lowercase', () => {
+    expect(() => validateOrderParameters(limitOrder({ type: 'limit', timeInForce: 'gtc', positionSide: 'long' }))).not.toThrow()
+    expect(() => validateOrderParameters(limitOrder({ timeInForce: 'gtd' }))).toThrow(/missing: goodTillDate/)
+    expect(() => validateOrderParameters(limitOrder({ reduceOnly: true, positionSide: 'short' }))).toThrow(/Hedge Mode/)
+    expect(() => validateOrderParameters(limitOrder({ reduceOnly: true, positionSide: 'both' }))).not.toThrow()
+  })
+
+  it('should throw on values outside of their enum', () => {
+    expect(() => validateOrderParameters(limitOrder({ side: 'LONG' }))).toThrow(InvalidParameterError)
+    expect(() => validateOrderParameters(limitOrder({ type: 'ICEBERG' }))).toThrow(/type must be one of/)
+  })
+
+  it('should throw on conflicting parameters', () => {
+    const conflicts = [
+      [limitOrder({ priceMatch: 'QUEUE' }), /price cannot be sent together with priceMatch/],
+      [order({ type: 'MARKET', quantity: 1, priceMatch: 'QUEUE' }), /priceMatch is only available/],
+      [order({ type: 'STOP_MARKET', stopPrice: 29000, closePosition: 'true', quantity: 1 }), /quantity cannot be sent with closePosition/],
+      [order({ type: 'STOP_MARKET', stopPrice: 29000, closePosition: true, reduceOnly: true }), /reduceOnly cannot be sent with closePosition/],
+      [limitOrder({ closePosition: true }), /closePosition is only available/],
+      [limitOrder({ reduceOnly: true, positionSide: 'LONG' }), /Hedge Mode/],
+      [limitOrder({ goodTillDate: Date.now() + 3600000 }), /only available with timeInForce=GTD/],
+      [limitOrder({ timeInForce: 'GTD', goodTillDate: Date.now() + 60000 }), /at least 600 seconds/],
+      [limitOrder({ callbackRate: 1 }), /only available for TRAILING_STOP_MARKET/],
+      [order({ type: 'TRAILING_STOP_MARKET', quantity: 1, callbackRate: 20 }), /callbackRate must be between 0.1 and 10/],
+      [order({ type: 'TRAILING_STOP_MARKET', quantity: 1, callbackRate: 1, activationPrice: -1 }), /activationPrice must be a positive number/]
+    ]
+    conflicts.forEach(([params, message]) => {
+      expect(() => validateOrderParameters(params)).toThrow(InvalidParameterError)
+      expect(() => validateOrderParameters(params)).toThrow(message)
+    })
+  })
+
+  it('should prefix the errors with the label', () => {
+    expect(() => validateOrderParameters(order({ type: 'MARKET' }), 'batchOrders[2]')).toThrow(/missing: batchOrders\[2\]\.quantity/)
+    expect(() => validateOrderParameters(limitOrder({ priceMatch: 'QUEUE' }), 'batchOrders[2]')).toThrow(/^batchOrders\[2\]: price cannot/)
+  })
+})
+
+describe('#validateEnumParameters', () => {
+  it('should match the values as given or upper-cased', () => {
+    expect(() => validateEnumParameters({ marginType: 'isolated' }, { marginType: MarginType })).not.toThrow()
+    expect(() => validateEnumParameters({ interval: '1m' }, { interval: KlineInterval })).not.toThrow()
+    expect(() => validateEnumParameters({ interval: '1M' }, { interval: KlineInterval })).not.toThrow()
+    expect(() => validateEnumParameters({ interval: '1H' }, { interval: KlineInterval })).toThrow(InvalidParameterError)
+    expect(() => validateEnumParameters({ interval: undefined }, { interval: KlineInterval })).not.toThrow()
+  })
+})
+
+describe('order validation before sending', () => {
+  it('should throw synchronously, before any request is sent', () => {
+    const client = createClient()
+    expect(() => client.newOrder('BTCUSDT', 'BUY', 'LIMIT', { quantity: 1 })).toThrow(MissingParameterError)
+    expect(() => client.placeMultipleOrder([limitOrder(), order({ type: 'STOP_MARKET', stopPrice: 1 })]))
+      .toThrow(/batchOrders\[1\]\.quantity/)
+  })
+})
@@ -0,0 +1,108 @@
+/* global describe, it, expect, beforeEach, afterEach */
+'use strict'
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const nock = require('nock')
+const KlineDownloader = require('../src/klineDownloader')
+const { createClient, mockAPI, queryOf, silentLogger } = require('./testUtils/testSetup')
+
+const HOUR = 60 * 60 * 1000
+const DAY = 24 * HOUR
+const START = Date.UTC(2024, 0, 1)
+
+const kline = openTime => [openTime, '1.0', '2.0', '0.5', '1.5', '10', openTime + HOUR - 1, '15', 3, '5', '7.5', '0']
+
+// answers like the exchange, the 1h klines opened within the range, at most limit of them
+const mockKlines = requests => mockAPI()
+  .get('/fapi/v1/klines')
+  .query(true)
+  .times(Infinity)
+  .reply(200, (uri) => {
+    const { startTime, endTime, limit } = queryOf(uri)
+    requests.push(Number(startTime))
+    const klines = []
+    for (let openTime = Math.ceil(Number(startTime) / HOUR) * HOUR; openTime <= Number(endTime) && klines.length < Number(limit); openTime += HOUR) {
+      klines.push(kline(openTime))
+    }
+    return klines
+  })
+
+const readLines = filePath => fs.readFileSync(filePath, 'utf8').split('\n').filter(Boolean)
+
+describe('KlineDownloader', () => {
+  let directory
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'klines-'))
+  })
+
+  afterEach(() => {
+    nock.cleanAll()
+    fs.rmSync(directory, { recursive: true, force: true })
+  })
+
+  const createDownloader = options => new KlineDownloader(createClient(), { directory, limit: 10, logger: silentLogger, ...options })
+
+  it('should write the klines of every day to its own file', async () => {
+    const requests = []
+    mockKlines(requests)
+
+    const result = await createDownloader().download('btcusdt', '1h', START, START + 2 * DAY)
+
+    const files = ['BTCUSDT-1h-2024-01-01.csv', 'BTCUSDT-1h-2024-01-02.csv'].map(name => path.join(directory, name))
+    expect(result).toEqual({ files, klines: 48, gaps: [] })
+    const lines = readLines(files[0])
+    expect(lines[0]).toBe('openTime,open,high,low,close,volume,closeTime,quoteVolume,count,takerBuyVolume,takerBuyQuoteVolume,ignore')
+    expect(lines).toHaveLength(25)
+    expect(lines[1]).toBe(kline(START).join(','))
+    // pages of 10 until the last one of each day, each starting just after the last kline received
+    expect(requests.filter(time => time < START + DAY)).toEqual([START, START + 9 * HOUR + 1, START + 19 * HOUR + 1])
+  })
+
+  it('should resume after the last complete line on disk', async () => {
+    const filePath = path.join(directory, 'BTCUSDT-1h-2024-01-01.csv')
+    const written = [0, 1, 2, 3, 4].map(i => kline(START + i * HOUR).join(',')).join('\n')
+    fs.writeFileSync(filePath, `openTime,open,high,low,close,volume,closeTime,quoteVolume,count,takerBuyVolume,takerBuyQuoteVolume,ignore\n${written}\n${START + 5 * HOUR},1.0,2`)
+    const requests = []
+    mockKlines(requests)
+
+    const result = await createDownloader().download('BTCUSDT', '1h', START, START + DAY)
+
+    expect(requests[0]).toBe(START + 5 * HOUR)
+    expect(result.klines).toBe(19)
+    const lines = readLines(filePath)
+    expect(lines).toHaveLength(25)
+    expect(lines.slice(1).map(line => Number(line.split(',')[0]))).toEqual(Array.from({ length: 24 }, (_, i) => START + i * HOUR))
+  })
+
+  it('should find the missing klines', async () => {
+    mockKlines([])
+    const downloader = createDownloader()
+    await downloader.download('BTCUSDT', '1h', START, START + DAY)
+    const filePath = path.join(directory, 'BTCUSDT-1h-2024-01-01.csv')
+    const lines = readLines(filePath)
+    fs.writeFileSync(filePath, `${lines.filter((line, i) => i !== 4 && i !== 5).join('\n')}\n`)
+
+    const { klines, gaps } = await downloader.verify('BTCUSDT', '1h', START, START + DAY)
+
+    expect(klines).toBe(22)
+    expect(gaps).toEqual([{ from: START + 3 * HOUR, to: START + 5 * HOUR }])
+  })
+
+  it('should write newline-delimited JSON by month', async () => {
+    mockKlines([])
+
+    const { files } = await createDownloader({ format: 'ndjson', partition: 'month' }).download('BTCUSDT', '1h', START, START + 3 * HOUR)
+
+    expect(files).toEqual([path.join(directory, 'BTCUSDT-1h-2024-01.ndjson')])
+    const [first] = readLines(files[0]).map(line => JSON.parse(line))
+    expect(first).toMatchObject({ openTime: START, open: '1.0', close: '1.5', closeTime: START + HOUR - 1, count: 3 })
+  })
+
+  it('should reject an unknown format or partition', () => {
+    expect(() => createDownloader({ format: 'xml' })).toThrow('format must be one of: csv, ndjson')
+    expect(() => createDownloader({ partition: 'year' })).toThrow('partition must be one of: day, month')
+  })
+})
@@ -0,0 +1,167 @@
+/* global describe, it, expect, afterEach, jest */
+'use strict'
+
+const { EventEmitter } = require('events')
+const nock = require('nock')
+const OrderBookManager = require('../src/orderBookManager')
+const DeliveryFutures = require('../src/deliveryFutures')
+const ConnectorClientError = require('../src/error/connectorClientError')
+const { createClient, mockAPI, silentLogger } = require('./testUtils/testSetup')
+
+// stands for WebsocketStream, the diff events are emitted by the tests
+class FakeStream extends EventEmitter {
+  constructor () {
+    super()
+    this.unsubscribe = jest.fn()
+  }
+
+  diffDepthStream (symbol) {
+    return `${symbol.toLowerCase()}@depth`
+  }
+
+  send (event) {
+    this.emit('depthUpdate', { e: 'depthUpdate', s: 'BTCUSDT', T: event.u, ...event }, 'btcusdt@depth')
+  }
+}
+
+const mockSnapshot = (lastUpdateId, bids = [['100.0', '1']], asks = [['101.0', '1']]) =>
+  mockAPI()
+    .get('/fapi/v1/depth')
+    .query({ symbol: 'BTCUSDT', limit: 1000 })
+    .reply(200, { lastUpdateId, E: 1, T: 1, bids, asks })
+
+const once = (emitter, event) => new Promise(resolve => emitter.once(event, (...args) => resolve(args)))
+
+describe('OrderBookManager', () => {
+  let manager
+
+  afterEach(() => {
+    manager.close()
+    nock.cleanAll()
+  })
+
+  it('should drop the events older than the snapshot and apply the ones after it', async () => {
+    const stream = new FakeStream()
+    manager = new OrderBookManager(createClient(), { stream, logger: silentLogger })
+    mockSnapshot(102)
+
+    const synced = manager.subscribe('btcusdt')
+    // buffered while the snapshot is requested
+    stream.send({ U: 95, u: 100, pu: 90, b: [['99.0', '5']], a: [] })
+    stream.send({ U: 101, u: 105, pu: 100, b: [['100.0', '2']], a: [] })
+    const book = await synced
+
+    expect(book.lastUpdateId).toBe(105)
+    expect(book.getBids()).toEqual([['100.0', '2']])
+
+    stream.send({ U: 106, u: 110, pu: 105, b: [], a: [['101.0', '0'], ['102.0', '3']] })
+    expect(manager.getBook('BTCUSDT').lastUpdateId).toBe(110)
+    expect(book.bestAsk()).toEqual(['102.0', '3'])
+  })
+
+  it('should resynchronize when the snapshot is older than the buffered events', async () => {
+    const stream = new FakeStream()
+    manager = new OrderBookManager(createClient(), { stream, logger: silentLogger, resyncDelay: 10 })
+    mockSnapshot(100)
+    mockSnapshot(130)
+
+    const synced = manager.subscribe('BTCUSDT')
+    const resync = once(manager, 'resync')
+    stream.send({ U: 120, u: 125, pu: 119, b: [], a: [] })
+    expect((await resync)[1]).toMatch(/snapshot is older/)
+
+    stream.send({ U: 126, u: 135, pu: 125, b: [['100.0', '7']], a: [] })
+    const book = await synced
+    expect(book.lastUpdateId).toBe(135)
+    expect(book.getBids(1)).toEqual([['100.0', '7']])
+    expect(nock.isDone()).toBe(true)
+  })
+
+  it('should resynchronize on a gap in the diff events', async () => {
+    const stream = new FakeStream()
+    manager = new OrderBookManager(createClient(), { stream, logger: silentLogger, resyncDelay: 10 })
+    mockSnapshot(100)
+    const synced = manager.subscribe('BTCUSDT')
+    stream.send({ U: 99, u: 101, pu: 98, b: [], a: [] })
+    await synced
+
+    const changes = jest.fn()
+    manager.on('change', changes)
+    mockSnapshot(150, [['98.0', '1']], [])
+    const resync = once(manager, 'resync')
+    // pu should be 101
+    stream.send({ U: 110, u: 120, pu: 109, b: [['99.0', '1']], a: [] })
+    expect(await resync).toEqual(['BTCUSDT', 'missing events between 101 and 110'])
+    expect(changes).not.toHaveBeenCalled()
+
+    const resynced = once(manager, 'synced')
+    stream.send({ U: 149, u: 155, pu: 148, b: [], a: [['103.0', '1']] })
+    const [, book] = await resynced
+    expect(book.lastUpdateId).toBe(155)
+    expect(book.getBids()).toEqual([['98.0', '1']])
+    expect(book.getAsks()).toEqual([['103.0', '1']])
+  })
+
+  it('should retry a failed snapshot request', async () => {
+    const stream = new FakeStream()
+    manager = new OrderBookManager(createClient(), { stream, logger: silentLogger, resyncDelay: 10 })
+    mockAPI().get('/fapi/v1/depth').query(true).reply(500, 'Internal error')
+    mockSnapshot(100)
+
+    const synced = manager.subscribe('BTCUSDT')
+    stream.send({ U: 99, u: 101, pu: 98, b: [], a: [] })
+    const [, reason] = await once(manager, 'resync')
+    expect(reason).toMatch(/snapshot request failed/)
+
+    expect((await synced).lastUpdateId).toBe(101)
+  })
+
+  it('should unsubscribe the diff stream', async () => {
+    const stream = new FakeStream()
+    manager = new OrderBookManager(createClient(), { stream, logger: silentLogger })
+    const synced = manager.subscribe('BTCUSDT')
+    manager.unsubscribe('BTCUSDT')
+
+    expect(stream.unsubscribe).toHaveBeenCalledWith('btcusdt@depth')
+    expect(manager.getBook('BTCUSDT')).toBeUndefined()
+    await expect(synced).rejects.toThrow('Order book BTCUSDT unsubscribed before it was synchronized')
+  })
+
+  it('should give up a book not synchronized within syncTimeout', async () => {
+    const stream = new FakeStream()
+    manager = new OrderBookManager(createClient(), { stream, logger: silentLogger, resyncDelay: 10, syncTimeout: 100 })
+    mockAPI().get('/fapi/v1/depth').query(true).times(20).reply(400, { code: -1121, msg: 'Invalid symbol.' })
+
+    const synced = manager.subscribe('BTCUSDT')
+    stream.send({ U: 99, u: 101, pu: 98, b: [], a: [] })
+
+    await expect(synced).rejects.toBeInstanceOf(ConnectorClientError)
+    await expect(synced).rejects.toThrow('Order book BTCUSDT not synchronized within 100ms')
+    expect(stream.unsubscribe).toHaveBeenCalledWith('btcusdt@depth')
+    expect(manager.getBook('BTCUSDT')).toBeUndefined()
+
+    // a new subscription starts over
+    nock.cleanAll()
+    mockSnapshot(100)
+    const resubscribed = manager.subscribe('BTCUSDT')
+    stream.send({ U: 99, u: 101, pu: 98, b: [], a: [] })
+    expect((await resubscribed).lastUpdateId).toBe(101)
+  })
+
+  describe('default stream', () => {
+    it('should follow the USDⓈ-M streams with a Futures client', () => {
+      manager = new OrderBookManager(createClient(), { logger: silentLogger })
+      expect(manager.stream.wsURL).toBe('wss://fstream.binance.com')
+    })
+
+    it('should follow the COIN-M streams with a DeliveryFutures client', () => {
+      manager = new OrderBookManager(new DeliveryFutures('', '', { logger: silentLogger }), { logger: silentLogger })
+      expect(manager.stream.wsURL).toBe('wss://dstream.binance.com')
+    })
+
+    it('should follow the testnet streams of the client', () => {
+      manager = new OrderBookManager(new DeliveryFutures('', '', { environment: 'testnet', logger: silentLogger }), { logger: silentLogger })
+      expect(manager.stream.wsURL).toBe('wss://dstream.binancefuture.com')
+    })
+  })
+})
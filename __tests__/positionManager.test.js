@@ -0,0 +1,100 @@
+/* global describe, it, expect, afterEach */
+'use strict'
+
+const { EventEmitter } = require('events')
+const nock = require('nock')
+const PositionManager = require('../src/positionManager')
+const { createClient, mockAPI, silentLogger } = require('./testUtils/testSetup')
+
+const symbolInfo = symbol => ({ symbol, marginAsset: 'USDT', filters: [] })
+
+const positionRow = row => ({
+  positionSide: 'BOTH',
+  unRealizedProfit: '0',
+  updateTime: 1,
+  ...row
+})
+
+// one cross and one isolated position, 10000 USDT in the wallet, 4000 of which isolated
+const mockAccount = () => mockAPI()
+  .get('/fapi/v1/exchangeInfo')
+  .reply(200, { symbols: [symbolInfo('BTCUSDT'), symbolInfo('ETHUSDT')] })
+  .get('/fapi/v2/positionRisk')
+  .query(true)
+  .reply(200, [
+    positionRow({ symbol: 'BTCUSDT', positionAmt: '1', entryPrice: '30000', markPrice: '31000', leverage: '10', marginType: 'cross', isolatedWallet: '0' }),
+    positionRow({ symbol: 'ETHUSDT', positionAmt: '-10', entryPrice: '2000', markPrice: '2100', leverage: '5', marginType: 'isolated', isolatedWallet: '4000' })
+  ])
+  .get('/fapi/v2/balance')
+  .query(true)
+  .reply(200, [{ asset: 'USDT', balance: '10000' }])
+
+describe('PositionManager', () => {
+  let manager
+
+  afterEach(() => {
+    manager.stop()
+    nock.cleanAll()
+  })
+
+  it('should give the isolated positions their own margin', async () => {
+    mockAccount()
+    manager = new PositionManager(createClient(), { logger: silentLogger })
+    await manager.start()
+
+    expect(manager.getPosition('BTCUSDT')).toMatchObject({ isolated: false, isolatedMargin: 0, unrealizedPnl: 1000, initialMargin: 3100 })
+    expect(manager.getPosition('ETHUSDT')).toMatchObject({
+      isolated: true,
+      isolatedWallet: 4000,
+      unrealizedPnl: -1000,
+      isolatedMargin: 3000,
+      initialMargin: 4200
+    })
+    expect(manager.getExposure('ETHUSDT')).toMatchObject({ isolatedWallet: 4000, isolatedMargin: 3000, crossInitialMargin: 0, crossUnrealizedPnl: 0 })
+  })
+
+  it('should keep the isolated margin out of the cross balance', async () => {
+    mockAccount()
+    manager = new PositionManager(createClient(), { logger: silentLogger })
+    await manager.start()
+
+    const { USDT } = manager.getTotalExposure()
+    expect(USDT).toMatchObject({
+      walletBalance: 10000,
+      unrealizedPnl: 0,
+      marginBalance: 10000,
+      initialMargin: 7300,
+      marginUsage: 0.73,
+      crossWalletBalance: 6000,
+      crossUnrealizedPnl: 1000,
+      crossMarginBalance: 7000,
+      crossInitialMargin: 3100,
+      isolatedWallet: 4000,
+      isolatedMargin: 3000
+    })
+    expect(USDT.crossMarginUsage).toBeCloseTo(3100 / 7000)
+  })
+
+  it('should follow a position switched to isolated margin', async () => {
+    mockAccount()
+    const userDataStream = new EventEmitter()
+    manager = new PositionManager(createClient(), { userDataStream, logger: silentLogger })
+    await manager.start()
+
+    const changes = []
+    manager.on('change', position => changes.push(position))
+    userDataStream.emit('ACCOUNT_UPDATE', {
+      e: 'ACCOUNT_UPDATE',
+      T: Date.now(),
+      a: {
+        B: [{ a: 'USDT', wb: '10000' }],
+        P: [{ s: 'BTCUSDT', ps: 'BOTH', pa: '1', ep: '30000', up: '1000', mt: 'isolated', iw: '2500' }]
+      }
+    })
+
+    expect(changes).toEqual([expect.objectContaining({ symbol: 'BTCUSDT', isolated: true, isolatedWallet: 2500, isolatedMargin: 3500 })])
+    const { USDT } = manager.getTotalExposure()
+    expect(USDT).toMatchObject({ crossWalletBalance: 3500, crossUnrealizedPnl: 0, crossInitialMargin: 0, isolatedWallet: 6500, isolatedMargin: 6500 })
+    expect(USDT.crossMarginUsage).toBe(0)
+  })
+})
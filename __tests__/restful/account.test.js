@@ -0,0 +1,82 @@
+/* global describe, it, expect, afterEach */
+'use strict'
+
+const crypto = require('crypto')
+const nock = require('nock')
+const { apiKey, apiSecret, createClient, mockAPI, queryOf } = require('../testUtils/testSetup')
+const MissingParameterError = require('../../src/error/missingParameterError')
+
+const sign = queryString => crypto.createHmac('sha256', apiSecret).update(queryString).digest('hex')
+
+// replies with an empty object and records the path with its query string
+const mockSigned = (path, uris) => mockAPI()
+  .matchHeader('X-MBX-APIKEY', apiKey)
+  .get(path)
+  .query(true)
+  .reply(200, (uri) => {
+    uris.push(uri)
+    return {}
+  })
+
+describe('Account', () => {
+  afterEach(() => nock.cleanAll())
+
+  it.each([
+    ['futuresAccountBalanceV3', '/fapi/v3/balance'],
+    ['futuresAccountBalanceV2', '/fapi/v2/balance'],
+    ['accountInformationV3', '/fapi/v3/account'],
+    ['accountInformationV2', '/fapi/v2/account'],
+    ['futuresAccountConfiguration', '/fapi/v1/accountConfig'],
+    ['futuresSymbolConfiguration', '/fapi/v1/symbolConfig'],
+    ['queryOrderRateLimit', '/fapi/v1/rateLimit/order'],
+    ['leverageBracket', '/fapi/v1/leverageBracket'],
+    ['multiAssetMargin', '/fapi/v1/multiAssetsMargin'],
+    ['currentPositionMode', '/fapi/v1/positionSide/dual'],
+    ['getIncomeHistory', '/fapi/v1/income'],
+    ['apiTradingStatus', '/fapi/v1/apiTradingStatus']
+  ])('#%s should send a signed GET %s', async (method, path) => {
+    const uris = []
+    mockSigned(path, uris)
+
+    await createClient()[method]({ recvWindow: 2000 })
+
+    const [queryString, signature] = uris[0].split('?')[1].split('&signature=')
+    expect(signature).toBe(sign(queryString))
+    expect(queryOf(uris[0])).toMatchObject({ recvWindow: '2000' })
+    expect(Number(queryOf(uris[0]).timestamp)).toBeGreaterThan(0)
+  })
+
+  describe('#userComissionRate', () => {
+    it('should sign the query with the symbol', async () => {
+      const uris = []
+      mockSigned('/fapi/v1/commissionRate', uris)
+
+      await createClient().userComissionRate('btcusdt')
+
+      const [queryString, signature] = uris[0].split('?')[1].split('&signature=')
+      expect(signature).toBe(sign(queryString))
+      expect(queryOf(uris[0]).symbol).toBe('BTCUSDT')
+    })
+
+    it('should throw when the symbol is missing', () => {
+      expect(() => createClient().userComissionRate()).toThrow(MissingParameterError)
+    })
+  })
+
+  describe('#getDownloadIdTransactionHistory', () => {
+    it('should sign the query with the range', async () => {
+      const uris = []
+      mockSigned('/fapi/v1/income/asyn', uris)
+
+      await createClient().getDownloadIdTransactionHistory(1700000000000, 1700086400000)
+
+      const [queryString, signature] = uris[0].split('?')[1].split('&signature=')
+      expect(signature).toBe(sign(queryString))
+      expect(queryOf(uris[0])).toMatchObject({ startTime: '1700000000000', endTime: '1700086400000' })
+    })
+
+    it('should throw when the range is missing', () => {
+      expect(() => createClient().getDownloadIdTransactionHistory(1700000000000)).toThrow(MissingParameterError)
+    })
+  })
+})
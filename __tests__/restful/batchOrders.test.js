@@ -0,0 +1,147 @@
+/* global describe, it, expect, afterEach */
+'use strict'
+
+const nock = require('nock')
+const { createClient, mockAPI, queryOf } = require('../testUtils/testSetup')
+const ConnectorClientError = require('../../src/error/connectorClientError')
+const FilterValidationError = require('../../src/error/filterValidationError')
+
+const createOrders = count => Array.from({ length: count }, (_, i) => ({
+  symbol: 'btcusdt',
+  side: 'buy',
+  type: 'limit',
+  timeInForce: 'GTC',
+  quantity: 0.001,
+  price: 30000 + i,
+  newClientOrderId: `order-${i}`
+}))
+
+const batchOf = uri => JSON.parse(queryOf(uri).batchOrders)
+
+// answers every order of the batch as accepted, except the rejected client order ids
+const acceptBatch = (batches, rejected = []) => uri => {
+  const batch = batchOf(uri)
+  batches.push(batch)
+  return batch.map(order => rejected.includes(order.newClientOrderId)
+    ? { code: -2019, msg: 'Margin is insufficient.' }
+    : { orderId: Number(order.newClientOrderId.split('-')[1]) + 1, clientOrderId: order.newClientOrderId })
+}
+
+describe('#placeMultipleOrder', () => {
+  afterEach(() => nock.cleanAll())
+
+  it('should send the orders in batches of 5 and pair every order with its outcome', async () => {
+    const batches = []
+    mockAPI()
+      .post('/fapi/v1/batchOrders')
+      .query(true)
+      .times(3)
+      .reply(200, acceptBatch(batches, ['order-6']))
+
+    const orders = createOrders(12)
+    const response = await createClient().placeMultipleOrder(orders)
+
+    expect(batches.map(batch => batch.length)).toEqual([5, 5, 2])
+    expect(batches[0][0]).toMatchObject({ symbol: 'BTCUSDT', side: 'BUY', type: 'LIMIT', quantity: '0.001', price: '30000' })
+    expect(response.data).toHaveLength(12)
+    response.data.forEach((entry, i) => expect(entry.order).toBe(orders[i]))
+    expect(response.data[6]).toEqual({ order: orders[6], error: { code: -2019, msg: 'Margin is insufficient.' } })
+    expect(response.data[7].result).toEqual({ orderId: 8, clientOrderId: 'order-7' })
+    expect(response.data.filter(entry => entry.error)).toHaveLength(1)
+  })
+
+  it('should mark the orders of a failed batch and not send the next ones', async () => {
+    const batches = []
+    mockAPI()
+      .post('/fapi/v1/batchOrders')
+      .query(true)
+      .reply(200, acceptBatch(batches))
+      .post('/fapi/v1/batchOrders')
+      .query(true)
+      .reply(400, { code: -1102, msg: 'Mandatory parameter was not sent.' })
+
+    const response = await createClient().placeMultipleOrder(createOrders(12))
+
+    expect(batches).toHaveLength(1)
+    expect(response.data.slice(0, 5).every(entry => entry.result)).toBe(true)
+    response.data.slice(5, 10).forEach(entry => expect(entry.error.code).toBe(-1102))
+    response.data.slice(10).forEach(entry => {
+      expect(entry.error).toBeInstanceOf(ConnectorClientError)
+      expect(entry.error.message).toMatch(/Not sent/)
+    })
+    expect(nock.isDone()).toBe(true)
+  })
+
+  it('should reject when the first batch fails', async () => {
+    mockAPI()
+      .post('/fapi/v1/batchOrders')
+      .query(true)
+      .reply(400, { code: -1102, msg: 'Mandatory parameter was not sent.' })
+
+    await expect(createClient().placeMultipleOrder(createOrders(7))).rejects.toMatchObject({ code: -1102 })
+    expect(nock.isDone()).toBe(true)
+  })
+  it('should send the other orders when one fails its filter check', async () => {
+    const batches = []
+    mockAPI()
+      .get('/fapi/v1/exchangeInfo')
+      .reply(200, {
+        symbols: [{
+          symbol: 'BTCUSDT',
+          filters: [
+            { filterType: 'PRICE_FILTER', minPrice: '0.10', maxPrice: '1000000', tickSize: '0.10' },
+            { filterType: 'LOT_SIZE', minQty: '0.001', maxQty: '1000', stepSize: '0.001' }
+          ]
+        }]
+      })
+    mockAPI()
+      .post('/fapi/v1/batchOrders')
+      .query(true)
+      .reply(200, acceptBatch(batches))
+
+    const orders = createOrders(3)
+    orders[1].quantity = 0.0001
+    const response = await createClient({ orderFilter: 'validate' }).placeMultipleOrder(orders)
+
+    expect(batches).toHaveLength(1)
+    expect(batches[0].map(order => order.newClientOrderId)).toEqual(['order-0', 'order-2'])
+    expect(response.data.map(entry => entry.order)).toEqual(orders)
+    expect(response.data[0].result.clientOrderId).toBe('order-0')
+    expect(response.data[1].error).toBeInstanceOf(FilterValidationError)
+    expect(response.data[1].error.violations[0].filter).toBe('LOT_SIZE')
+    expect(response.data[2].result.clientOrderId).toBe('order-2')
+  })
+
+  it('should send nothing when every order fails its filter check', async () => {
+    mockAPI()
+      .get('/fapi/v1/exchangeInfo')
+      .reply(200, { symbols: [{ symbol: 'BTCUSDT', filters: [{ filterType: 'LOT_SIZE', minQty: '1', maxQty: '1000', stepSize: '1' }] }] })
+
+    const response = await createClient({ orderFilter: 'validate' }).placeMultipleOrder(createOrders(2))
+
+    expect(response.data.map(entry => entry.error.name)).toEqual(['FilterValidationError', 'FilterValidationError'])
+    expect(nock.isDone()).toBe(true)
+  })
+})
+
+describe('#modifyMultipleOrder', () => {
+  afterEach(() => nock.cleanAll())
+
+  it('should send the modifications in batches of 5', async () => {
+    const batches = []
+    mockAPI()
+      .put('/fapi/v1/batchOrders')
+      .query(true)
+      .times(2)
+      .reply(200, acceptBatch(batches))
+
+    const orders = createOrders(6).map(({ symbol, side, quantity, price, newClientOrderId }) => ({
+      symbol, side, quantity, price, origClientOrderId: newClientOrderId, newClientOrderId
+    }))
+    const response = await createClient().modifyMultipleOrder(orders)
+
+    expect(batches.map(batch => batch.length)).toEqual([5, 1])
+    expect(batches[1][0]).toMatchObject({ symbol: 'BTCUSDT', side: 'BUY', origClientOrderId: 'order-5', price: '30005' })
+    expect(response.data.map(entry => entry.result.orderId)).toEqual([1, 2, 3, 4, 5, 6])
+  })
+})
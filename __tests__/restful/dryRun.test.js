@@ -0,0 +1,128 @@
+/* global describe, it, expect, beforeEach, afterEach */
+'use strict'
+
+const nock = require('nock')
+const DeliveryFutures = require('../../src/deliveryFutures')
+const WebsocketAPI = require('../../src/websocketAPI')
+const { apiKey, apiSecret, createClient, mockAPI, queryOf } = require('../testUtils/testSetup')
+
+// records the messages logged with logger.log
+const createLogger = () => {
+  const logged = []
+  return {
+    logged,
+    log: message => logged.push(message),
+    info () {},
+    debug () {},
+    warn () {},
+    error () {}
+  }
+}
+
+const order = {
+  quantity: 0.001,
+  price: 30000,
+  timeInForce: 'GTC'
+}
+
+describe('dryRun', () => {
+  // nothing reaches the exchange unless a test mocks it
+  beforeEach(() => nock.disableNetConnect())
+
+  afterEach(() => {
+    nock.cleanAll()
+    nock.enableNetConnect()
+  })
+
+  it('should log a new order and echo its parameters', async () => {
+    const logger = createLogger()
+    const client = createClient({ dryRun: true, logger })
+
+    const response = await client.newOrder('btcusdt', 'buy', 'limit', { ...order })
+
+    expect(response.dryRun).toBe(true)
+    expect(response.data).toMatchObject({ symbol: 'BTCUSDT', side: 'BUY', type: 'LIMIT', price: 30000 })
+    expect(logger.logged).toHaveLength(1)
+    expect(logger.logged[0]).toMatch(/^Dry run: POST \/fapi\/v1\/order .*symbol=BTCUSDT/)
+  })
+
+  it('should still send the requests not changing the account state', async () => {
+    mockAPI().get('/fapi/v1/openOrders').query(true).reply(200, [])
+    const client = createClient({ dryRun: true, logger: createLogger() })
+
+    const response = await client.queryCurrentAllOpenOrders()
+
+    expect(response.data).toEqual([])
+  })
+
+  describe("with 'test'", () => {
+    it('should send a USDⓈ-M new order to the test endpoint', async () => {
+      let query
+      mockAPI()
+        .post('/fapi/v1/order/test')
+        .query(true)
+        .reply(200, uri => {
+          query = queryOf(uri)
+          return {}
+        })
+      const logger = createLogger()
+      const client = createClient({ dryRun: 'test', logger })
+
+      await client.newOrder('btcusdt', 'buy', 'limit', { ...order })
+
+      expect(query).toMatchObject({ symbol: 'BTCUSDT', side: 'BUY', type: 'LIMIT', price: '30000' })
+      expect(query.signature).toBeDefined()
+      expect(logger.logged).toEqual([])
+    })
+
+    it('should reject an order the test endpoint refuses', async () => {
+      mockAPI()
+        .post('/fapi/v1/order/test')
+        .query(true)
+        .reply(400, { code: -4164, msg: "Order's notional must be no smaller than 100" })
+      const client = createClient({ dryRun: 'test', logger: createLogger() })
+
+      await expect(client.newOrder('btcusdt', 'buy', 'limit', { ...order })).rejects.toMatchObject({ code: -4164 })
+    })
+
+    it('should log the batches, there is no test endpoint for them', async () => {
+      const logger = createLogger()
+      const client = createClient({ dryRun: 'test', logger })
+
+      const response = await client.placeMultipleOrder([
+        { symbol: 'btcusdt', side: 'buy', type: 'limit', ...order },
+        { symbol: 'btcusdt', side: 'sell', type: 'limit', ...order, price: 31000 }
+      ])
+
+      expect(response.data.map(({ result }) => result.side)).toEqual(['BUY', 'SELL'])
+      expect(logger.logged).toHaveLength(1)
+      expect(logger.logged[0]).toMatch(/^Dry run \(no test endpoint\): POST \/fapi\/v1\/batchOrders /)
+    })
+
+    it('should log the COIN-M orders, there is no test endpoint for them', async () => {
+      const logger = createLogger()
+      const client = new DeliveryFutures(apiKey, apiSecret, { dryRun: 'test', logger })
+
+      const response = await client.newOrder('btcusd_perp', 'buy', 'limit', { ...order })
+
+      expect(response.dryRun).toBe(true)
+      expect(response.data).toMatchObject({ symbol: 'BTCUSD_PERP' })
+      expect(logger.logged[0]).toMatch(/^Dry run \(no test endpoint\): POST \/dapi\/v1\/order /)
+    })
+  })
+
+  describe('WebsocketAPI', () => {
+    it('should log an order without connecting, in either mode', async () => {
+      for (const dryRun of [true, 'test']) {
+        const logger = createLogger()
+        const client = new WebsocketAPI(apiKey, apiSecret, { dryRun, logger })
+
+        const response = await client.newOrder('btcusdt', 'buy', 'limit', { ...order })
+
+        expect(response).toMatchObject({ status: 200, dryRun: true, result: { symbol: 'BTCUSDT', price: 30000 } })
+        expect(logger.logged[0]).toMatch(/^Dry run: order\.place /)
+        expect(client.isConnected()).toBe(false)
+      }
+    })
+  })
+})
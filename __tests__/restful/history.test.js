@@ -0,0 +1,140 @@
+/* global describe, it, expect, afterEach */
+'use strict'
+
+const nock = require('nock')
+const { createClient, mockAPI, queryOf } = require('../testUtils/testSetup')
+
+const HOUR = 60 * 60 * 1000
+const DAY = 24 * HOUR
+const WEEK = 7 * DAY
+
+// one trade every 12 hours over 20 days
+const startTime = Math.floor((Date.now() - 30 * DAY) / DAY) * DAY
+const endTime = startTime + 20 * DAY - 1
+const trades = Array.from({ length: 40 }, (_, i) => ({ id: i + 1, orderId: i + 1, symbol: 'BTCUSDT', time: startTime + i * 12 * HOUR }))
+
+const mockHistory = (path, requests) =>
+  mockAPI()
+    .get(path)
+    .query(true)
+    .times(Infinity)
+    .reply(200, (uri) => {
+      const query = queryOf(uri)
+      requests.push(query)
+      if (query.fromId !== undefined || query.orderId !== undefined) {
+        const fromId = Number(query.fromId || query.orderId)
+        return trades.filter(trade => trade.id >= fromId).slice(0, Number(query.limit))
+      }
+      return trades
+        .filter(trade => trade.time >= Number(query.startTime) && trade.time <= Number(query.endTime))
+        .slice(0, Number(query.limit))
+    })
+
+const collect = async iterator => {
+  const items = []
+  for await (const item of iterator) items.push(item)
+  return items
+}
+
+describe('#iterateUserTrades', () => {
+  afterEach(() => nock.cleanAll())
+
+  it('should walk the range 7 days at a time', async () => {
+    const requests = []
+    mockHistory('/fapi/v1/userTrades', requests)
+
+    const items = await collect(createClient().iterateUserTrades('BTCUSDT', { startTime, endTime, limit: 10 }))
+
+    expect(items).toEqual(trades)
+    requests.forEach(query => expect(Number(query.endTime) - Number(query.startTime)).toBeLessThan(WEEK))
+    // the first window holds 14 trades, so it takes a second page
+    expect(requests.slice(0, 3).map(query => Number(query.startTime))).toEqual([startTime, trades[9].time, startTime + WEEK])
+  })
+
+  it('should stop after maxItems across the windows', async () => {
+    const requests = []
+    mockHistory('/fapi/v1/userTrades', requests)
+
+    const items = await collect(createClient().iterateUserTrades('BTCUSDT', { startTime, endTime, maxItems: 16 }))
+
+    expect(items).toEqual(trades.slice(0, 16))
+    expect(requests).toHaveLength(2)
+  })
+
+  it('should page on the trade id from fromId', async () => {
+    const requests = []
+    mockHistory('/fapi/v1/userTrades', requests)
+
+    const items = await collect(createClient().iterateUserTrades('BTCUSDT', { fromId: 31, limit: 5 }))
+
+    expect(items).toEqual(trades.slice(30))
+    expect(requests.map(query => query.fromId)).toEqual(['31', '36', '41'])
+    requests.forEach(query => expect(query.startTime).toBeUndefined())
+  })
+})
+
+describe('#iterateAllOrders', () => {
+  afterEach(() => nock.cleanAll())
+
+  it('should walk the range up to now 7 days at a time', async () => {
+    const requests = []
+    mockHistory('/fapi/v1/allOrders', requests)
+
+    const items = await collect(createClient().iterateAllOrders('BTCUSDT', { startTime }))
+
+    expect(items).toEqual(trades)
+    // 30 days up to now are 5 windows
+    expect(requests).toHaveLength(5)
+    requests.forEach(query => expect(Number(query.endTime) - Number(query.startTime)).toBeLessThan(WEEK))
+  })
+})
+
+describe('#iterateIncomeHistory', () => {
+  afterEach(() => nock.cleanAll())
+
+  // two incomes of every trade, sharing its time
+  const incomes = trades.flatMap(trade => ['REALIZED_PNL', 'COMMISSION'].map(incomeType =>
+    ({ tranId: trade.id, incomeType, symbol: 'BTCUSDT', asset: 'USDT', time: trade.time })))
+
+  it('should walk the range 7 days at a time', async () => {
+    const requests = []
+    mockAPI()
+      .get('/fapi/v1/income')
+      .query(true)
+      .times(Infinity)
+      .reply(200, (uri) => {
+        const query = queryOf(uri)
+        requests.push(query)
+        return incomes
+          .filter(income => income.time >= Number(query.startTime) && income.time <= Number(query.endTime))
+          .slice(0, Number(query.limit))
+      })
+
+    const items = await collect(createClient().iterateIncomeHistory({ startTime, endTime, incomeType: 'REALIZED_PNL', limit: 9 }))
+
+    expect(items).toEqual(incomes)
+    requests.forEach(query => {
+      expect(Number(query.endTime) - Number(query.startTime)).toBeLessThan(WEEK)
+      expect(query.incomeType).toBe('REALIZED_PNL')
+    })
+    expect(new Set(requests.map(query => query.endTime)).size).toBe(3)
+  })
+
+  it('should skip the windows older than the retention', async () => {
+    const requests = []
+    mockAPI()
+      .get('/fapi/v1/income')
+      .query(true)
+      .times(Infinity)
+      .reply(200, (uri) => {
+        requests.push(queryOf(uri))
+        return []
+      })
+
+    await collect(createClient().iterateIncomeHistory({ startTime: Date.now() - 120 * DAY }))
+
+    // 90 days of retention over 7-day windows
+    expect(requests.length).toBeLessThanOrEqual(14)
+    requests.forEach(query => expect(Number(query.endTime)).toBeGreaterThan(Date.now() - 91 * DAY))
+  })
+})
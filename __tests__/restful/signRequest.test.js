@@ -0,0 +1,65 @@
+/* global describe, it, expect, afterEach */
+'use strict'
+
+const crypto = require('crypto')
+const nock = require('nock')
+const { apiKey, apiSecret, createClient, mockAPI, queryOf } = require('../testUtils/testSetup')
+
+const sign = queryString => crypto.createHmac('sha256', apiSecret).update(queryString).digest('hex')
+
+describe('#signRequest', () => {
+  afterEach(() => nock.cleanAll())
+
+  it('should sign the query string with the api secret', async () => {
+    let uri
+    mockAPI()
+      .matchHeader('X-MBX-APIKEY', apiKey)
+      .get('/fapi/v1/openOrders')
+      .query(true)
+      .reply(200, (path) => {
+        uri = path
+        return []
+      })
+
+    await createClient().queryCurrentAllOpenOrders({ symbol: 'BTCUSDT' })
+
+    const [queryString, signature] = uri.split('?')[1].split('&signature=')
+    expect(signature).toBe(sign(queryString))
+    expect(queryOf(uri)).toMatchObject({ symbol: 'BTCUSDT' })
+    expect(Number(queryOf(uri).timestamp)).toBeGreaterThan(0)
+  })
+
+  it('should send the recvWindow of the client unless the request has its own', async () => {
+    const queries = []
+    mockAPI()
+      .get('/fapi/v1/openOrders')
+      .query(true)
+      .times(2)
+      .reply(200, (path) => {
+        queries.push(queryOf(path))
+        return []
+      })
+
+    const client = createClient({ recvWindow: 3000 })
+    await client.queryCurrentAllOpenOrders()
+    await client.queryCurrentAllOpenOrders({ recvWindow: 1000 })
+
+    expect(queries[0].recvWindow).toBe('3000')
+    expect(queries[1].recvWindow).toBe('1000')
+  })
+
+  it('should leave empty parameters out of the signed query', async () => {
+    let query
+    mockAPI()
+      .get('/fapi/v1/openOrders')
+      .query(true)
+      .reply(200, (path) => {
+        query = queryOf(path)
+        return []
+      })
+
+    await createClient().queryCurrentAllOpenOrders({ symbol: 'BTCUSDT', orderId: undefined, origClientOrderId: '' })
+
+    expect(Object.keys(query).sort()).toEqual(['signature', 'symbol', 'timestamp'])
+  })
+})
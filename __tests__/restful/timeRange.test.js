@@ -0,0 +1,131 @@
+/* global describe, it, expect, afterEach */
+'use strict'
+
+const nock = require('nock')
+const { createClient, mockAPI, queryOf } = require('../testUtils/testSetup')
+const { splitTimeRange } = require('../../src/helpers/timeRange')
+const InvalidParameterError = require('../../src/error/invalidParameterError')
+
+const HOUR = 60 * 60 * 1000
+const DAY = 24 * HOUR
+const WEEK = 7 * DAY
+
+// one trade every 12 hours over 20 days
+const startTime = Math.floor((Date.now() - 30 * DAY) / DAY) * DAY
+const endTime = startTime + 20 * DAY - 1
+const trades = Array.from({ length: 40 }, (_, i) => ({ id: i + 1, symbol: 'BTCUSDT', time: startTime + i * 12 * HOUR }))
+
+// answers like the exchange: the trades within the range, at most limit of them
+const mockUserTrades = (requests, times) =>
+  mockAPI()
+    .get('/fapi/v1/userTrades')
+    .query(true)
+    .times(times)
+    .reply(200, (uri) => {
+      const query = queryOf(uri)
+      const range = { startTime: Number(query.startTime), endTime: Number(query.endTime), limit: Number(query.limit) }
+      requests.push(range)
+      return trades
+        .filter(trade => trade.time >= range.startTime && trade.time <= range.endTime)
+        .slice(0, range.limit)
+    })
+
+describe('#splitTimeRange', () => {
+  it('should split the range in consecutive windows', () => {
+    expect(splitTimeRange(0, 20 * DAY - 1, WEEK)).toEqual([
+      { startTime: 0, endTime: WEEK - 1 },
+      { startTime: WEEK, endTime: 2 * WEEK - 1 },
+      { startTime: 2 * WEEK, endTime: 20 * DAY - 1 }
+    ])
+    expect(splitTimeRange(0, 1000, WEEK)).toEqual([{ startTime: 0, endTime: 1000 }])
+  })
+})
+
+describe('time range splitting', () => {
+  afterEach(() => nock.cleanAll())
+
+  it('should request a long range 7 days at a time and merge the windows', async () => {
+    const requests = []
+    mockUserTrades(requests, 3)
+
+    const response = await createClient().queryUserTrades('BTCUSDT', { startTime, endTime })
+
+    expect(requests.map(({ startTime, endTime }) => ({ startTime, endTime }))).toEqual(splitTimeRange(startTime, endTime, WEEK))
+    requests.forEach(range => expect(range.limit).toBe(1000))
+    expect(response.data).toEqual(trades)
+    expect(nock.isDone()).toBe(true)
+  })
+
+  it('should send a range shorter than 7 days as it is', async () => {
+    const requests = []
+    mockUserTrades(requests, 1)
+
+    const response = await createClient().queryUserTrades('BTCUSDT', { startTime, endTime: startTime + 2 * DAY, limit: 3 })
+
+    expect(requests).toEqual([{ startTime, endTime: startTime + 2 * DAY, limit: 3 }])
+    expect(response.data).toEqual(trades.slice(0, 3))
+  })
+
+  it('should cap the merged trades with limit, keeping the earliest', async () => {
+    const requests = []
+    mockUserTrades(requests, 2)
+
+    const response = await createClient().queryUserTrades('BTCUSDT', { startTime, endTime, limit: 20 })
+
+    // the first window has 14 trades, the second one completes the 20
+    expect(requests.map(range => range.limit)).toEqual([20, 6])
+    expect(response.data).toEqual(trades.slice(0, 20))
+    expect(nock.isDone()).toBe(true)
+  })
+
+  it('should not ask a window for more items than the limit', async () => {
+    const requests = []
+    mockUserTrades(requests, 1)
+
+    const response = await createClient().queryUserTrades('BTCUSDT', { startTime, endTime, limit: 5 })
+
+    expect(requests).toEqual([{ startTime, endTime: startTime + WEEK - 1, limit: 5 }])
+    expect(response.data).toEqual(trades.slice(0, 5))
+    expect(nock.isDone()).toBe(true)
+  })
+
+  it('should follow the full pages of a window without duplicates', async () => {
+    // 150 liquidations in the first window, two per second, pages hold 100 of them
+    const orders = Array.from({ length: 150 }, (_, i) => ({ orderId: i + 1, time: startTime + Math.floor(i / 2) * 1000 }))
+    const requests = []
+    mockAPI()
+      .get('/fapi/v1/forceOrders')
+      .query(true)
+      .times(3)
+      .reply(200, (uri) => {
+        const query = queryOf(uri)
+        requests.push(Number(query.startTime))
+        return orders
+          .filter(order => order.time >= Number(query.startTime) && order.time <= Number(query.endTime))
+          .slice(0, Number(query.limit))
+      })
+
+    const response = await createClient().forceOrders({ startTime, endTime: startTime + WEEK + DAY })
+
+    // the second page starts at the time of the last order, which shares it with the next one
+    expect(requests).toEqual([startTime, startTime + 49000, startTime + WEEK])
+    expect(response.data).toEqual(orders)
+    expect(nock.isDone()).toBe(true)
+  })
+
+  it('should move a startTime older than the retention forward', async () => {
+    const requests = []
+    mockUserTrades(requests, 1)
+
+    const before = Date.now()
+    await createClient().queryUserTrades('BTCUSDT', { startTime: before - 200 * DAY })
+
+    expect(requests[0].startTime).toBeGreaterThanOrEqual(before - 180 * DAY)
+  })
+
+  it('should reject a range ending before the retention', async () => {
+    const request = createClient().queryUserTrades('BTCUSDT', { startTime: Date.now() - 300 * DAY, endTime: Date.now() - 200 * DAY })
+
+    await expect(request).rejects.toBeInstanceOf(InvalidParameterError)
+  })
+})
@@ -0,0 +1,87 @@
+/* global describe, it, expect, afterEach */
+'use strict'
+
+const nock = require('nock')
+const { createClient, mockAPI, queryOf } = require('../testUtils/testSetup')
+const TimestampError = require('../../src/error/timestampError')
+
+const INVALID_TIMESTAMP = { code: -1021, msg: "Timestamp for this request was 1000ms ahead of the server's time." }
+
+describe('#syncTime', () => {
+  afterEach(() => nock.cleanAll())
+
+  it('should measure the offset to the server clock', async () => {
+    const serverTime = Date.now() + 60000
+    mockAPI().get('/fapi/v1/time').reply(200, { serverTime })
+
+    const client = createClient()
+    const offset = await client.syncTime()
+
+    expect(offset).toBeGreaterThan(59000)
+    expect(offset).toBeLessThanOrEqual(60000)
+    expect(client.timeOffset).toBe(offset)
+  })
+
+  it('should add the offset to the timestamp of signed requests', async () => {
+    let timestamp
+    mockAPI()
+      .get('/fapi/v1/openOrders')
+      .query(true)
+      .reply(200, (path) => {
+        timestamp = Number(queryOf(path).timestamp)
+        return []
+      })
+
+    const client = createClient()
+    client.timeOffset = -3600000
+    await client.queryCurrentAllOpenOrders()
+
+    expect(Math.abs(timestamp - (Date.now() - 3600000))).toBeLessThan(1000)
+  })
+})
+
+describe('timestamp resynchronization', () => {
+  afterEach(() => nock.cleanAll())
+
+  it('should resynchronize the time and retry once on -1021', async () => {
+    const timestamps = []
+    const serverTime = Date.now() - 5000
+    mockAPI()
+      .get('/fapi/v1/openOrders')
+      .query(true)
+      .reply(400, (path) => {
+        timestamps.push(Number(queryOf(path).timestamp))
+        return INVALID_TIMESTAMP
+      })
+      .get('/fapi/v1/time')
+      .reply(200, { serverTime })
+      .get('/fapi/v1/openOrders')
+      .query(true)
+      .reply(200, (path) => {
+        timestamps.push(Number(queryOf(path).timestamp))
+        return [{ orderId: 1 }]
+      })
+
+    const client = createClient()
+    const response = await client.queryCurrentAllOpenOrders()
+
+    expect(response.data).toEqual([{ orderId: 1 }])
+    expect(client.timeOffset).toBeLessThan(-4000)
+    // the retry is signed again with the new offset
+    expect(timestamps[0] - timestamps[1]).toBeGreaterThan(4000)
+    expect(nock.isDone()).toBe(true)
+  })
+
+  it('should reject with a TimestampError when the retry fails too', async () => {
+    mockAPI()
+      .get('/fapi/v1/openOrders')
+      .query(true)
+      .times(2)
+      .reply(400, INVALID_TIMESTAMP)
+      .get('/fapi/v1/time')
+      .reply(200, { serverTime: Date.now() })
+
+    await expect(createClient().queryCurrentAllOpenOrders()).rejects.toBeInstanceOf(TimestampError)
+    expect(nock.isDone()).toBe(true)
+  })
+})
@@ -0,0 +1,142 @@
+/* global describe, it, expect, afterEach */
+'use strict'
+
+const nock = require('nock')
+const SymbolFilters = require('../src/symbolFilters')
+const FilterValidationError = require('../src/error/filterValidationError')
+const { createClient, mockAPI, queryOf } = require('./testUtils/testSetup')
+
+const symbolInfo = {
+  symbol: 'BTCUSDT',
+  filters: [
+    { filterType: 'PRICE_FILTER', minPrice: '556.80', maxPrice: '4529764', tickSize: '0.10' },
+    { filterType: 'LOT_SIZE', minQty: '0.001', maxQty: '1000', stepSize: '0.001' },
+    { filterType: 'MARKET_LOT_SIZE', minQty: '0.001', maxQty: '120', stepSize: '0.001' },
+    { filterType: 'MAX_NUM_ORDERS', limit: 200 },
+    { filterType: 'MAX_NUM_ALGO_ORDERS', limit: 10 },
+    { filterType: 'MIN_NOTIONAL', notional: '100' },
+    { filterType: 'PERCENT_PRICE', multiplierUp: '1.0500', multiplierDown: '0.9500', multiplierDecimal: '4' }
+  ]
+}
+
+const limitOrder = params => ({ symbol: 'BTCUSDT', side: 'BUY', type: 'LIMIT', timeInForce: 'GTC', quantity: '0.01', price: '30000.1', ...params })
+const filtersOf = violations => violations.map(({ filter }) => filter)
+
+describe('SymbolFilters', () => {
+  const filters = new SymbolFilters(symbolInfo)
+
+  it('should round prices to the tick size and quantities down to the step size', () => {
+    expect(filters.roundPrice(30000.15)).toBe('30000.2')
+    expect(filters.roundQuantity(0.0129)).toBe('0.012')
+    expect(filters.adjustOrder(limitOrder({ price: 30000.04, quantity: 1.0019, stopPrice: 29999.96 })))
+      .toMatchObject({ price: '30000.0', quantity: '1.001', stopPrice: '30000.0' })
+  })
+
+  it('should accept a valid order', () => {
+    expect(filters.validateOrder(limitOrder(), { markPrice: 30000, openOrders: 3, openAlgoOrders: 0 })).toEqual([])
+  })
+
+  it('should list the price and quantity violations', () => {
+    expect(filtersOf(filters.validateOrder(limitOrder({ price: '30000.15' })))).toEqual(['PRICE_FILTER'])
+    expect(filtersOf(filters.validateOrder(limitOrder({ price: '100', quantity: '2' })))).toEqual(['PRICE_FILTER'])
+    expect(filtersOf(filters.validateOrder(limitOrder({ quantity: '0.0105' })))).toEqual(['LOT_SIZE'])
+    expect(filtersOf(filters.validateOrder(limitOrder({ quantity: '2000' })))).toEqual(['LOT_SIZE'])
+    expect(filtersOf(filters.validateOrder({ symbol: 'BTCUSDT', side: 'BUY', type: 'MARKET', quantity: '150' })))
+      .toEqual(['MARKET_LOT_SIZE'])
+  })
+
+  it('should check the notional against the price, or the mark price without one', () => {
+    const violations = filters.validateOrder(limitOrder({ quantity: '0.001' }))
+    expect(violations).toEqual([{ filter: 'MIN_NOTIONAL', message: 'notional 30.0001 is below 100' }])
+    expect(filters.validateOrder(limitOrder({ quantity: '0.001', reduceOnly: true }))).toEqual([])
+
+    const marketOrder = { symbol: 'BTCUSDT', side: 'BUY', type: 'MARKET', quantity: '0.001' }
+    expect(filters.validateOrder(marketOrder)).toEqual([])
+    expect(filtersOf(filters.validateOrder(marketOrder, { markPrice: 30000 }))).toEqual(['MIN_NOTIONAL'])
+  })
+
+  it('should check the price against the mark price', () => {
+    expect(filtersOf(filters.validateOrder(limitOrder({ price: '31600' }), { markPrice: 30000 }))).toEqual(['PERCENT_PRICE'])
+    expect(filtersOf(filters.validateOrder(limitOrder({ side: 'SELL', price: '28400' }), { markPrice: 30000 }))).toEqual(['PERCENT_PRICE'])
+    expect(filters.validateOrder(limitOrder({ side: 'SELL', price: '31600' }), { markPrice: 30000 })).toEqual([])
+  })
+
+  it('should check the open order counts', () => {
+    expect(filtersOf(filters.validateOrder(limitOrder(), { openOrders: 200, openAlgoOrders: 0 }))).toEqual(['MAX_NUM_ORDERS'])
+    const stopOrder = limitOrder({ type: 'STOP', stopPrice: '30000.0' })
+    expect(filtersOf(filters.validateOrder(stopOrder, { openOrders: 12, openAlgoOrders: 10 }))).toEqual(['MAX_NUM_ALGO_ORDERS'])
+    expect(filters.validateOrder(limitOrder(), { openOrders: 12, openAlgoOrders: 10 })).toEqual([])
+  })
+})
+
+describe('orderFilter', () => {
+  afterEach(() => nock.cleanAll())
+
+  const mockExchangeInfo = () => mockAPI().get('/fapi/v1/exchangeInfo').reply(200, { symbols: [symbolInfo] })
+  const mockContext = (markPrice, openOrders) => mockAPI()
+    .get('/fapi/v1/premiumIndex')
+    .query({ symbol: 'BTCUSDT' })
+    .reply(200, { symbol: 'BTCUSDT', markPrice: String(markPrice) })
+    .get('/fapi/v1/openOrders')
+    .query(true)
+    .reply(200, openOrders)
+
+  it('should reject an order breaking the filters before sending it', async () => {
+    mockExchangeInfo()
+    mockContext(30000, [{ orderId: 1, type: 'LIMIT' }])
+
+    const client = createClient({ orderFilter: 'validate' })
+    const error = await client.newOrder('BTCUSDT', 'BUY', 'LIMIT', limitOrder({ price: '32000.05' })).catch(error => error)
+
+    expect(error).toBeInstanceOf(FilterValidationError)
+    expect(filtersOf(error.violations)).toEqual(['PRICE_FILTER', 'PERCENT_PRICE'])
+    expect(nock.isDone()).toBe(true)
+  })
+
+  it('should count the open orders of the symbol', async () => {
+    const openOrders = Array.from({ length: 10 }, (_, i) => ({ orderId: i, type: 'STOP_MARKET' }))
+    mockExchangeInfo()
+    mockContext(30000, openOrders)
+
+    const client = createClient({ orderFilter: 'validate' })
+    const error = await client.newOrder('BTCUSDT', 'SELL', 'STOP', limitOrder({ side: 'SELL', stopPrice: '29000.0' })).catch(error => error)
+
+    expect(filtersOf(error.violations)).toEqual(['MAX_NUM_ALGO_ORDERS'])
+  })
+
+  it('should round the order with adjust and send it', async () => {
+    let query
+    mockExchangeInfo()
+    mockContext(30000, [])
+    mockAPI()
+      .post('/fapi/v1/order')
+      .query(true)
+      .reply(200, (uri) => {
+        query = queryOf(uri)
+        return { orderId: 1 }
+      })
+
+    const client = createClient({ orderFilter: 'adjust' })
+    await client.newOrder('BTCUSDT', 'BUY', 'LIMIT', { timeInForce: 'GTC', quantity: 0.0129, price: 30000.04 })
+
+    expect(query).toMatchObject({ quantity: '0.012', price: '30000.0' })
+    expect(nock.isDone()).toBe(true)
+  })
+
+  it('should not count the open orders on modifications', async () => {
+    mockExchangeInfo()
+    mockAPI()
+      .get('/fapi/v1/premiumIndex')
+      .query(true)
+      .reply(200, { symbol: 'BTCUSDT', markPrice: '30000' })
+      .put('/fapi/v1/order')
+      .query(true)
+      .reply(200, { orderId: 1 })
+
+    const client = createClient({ orderFilter: 'validate' })
+    const response = await client.modifyOrder('BTCUSDT', 'BUY', '0.01', '30000.1', { orderId: 1 })
+
+    expect(response.data).toEqual({ orderId: 1 })
+    expect(nock.isDone()).toBe(true)
+  })
+})
@@ -0,0 +1,35 @@
+'use strict'
+
+const nock = require('nock')
+const Futures = require('../../src/futures')
+
+const BASE_URL = 'https://fapi.binance.com'
+const apiKey = 'apiKey'
+const apiSecret = 'apiSecret'
+
+const silentLogger = {
+  log () {},
+  info () {},
+  debug () {},
+  warn () {},
+  error () {}
+}
+
+const createClient = (options = {}) => new Futures(apiKey, apiSecret, { baseURL: BASE_URL, logger: silentLogger, ...options })
+
+/**
+ * Query parameters of an intercepted request, as strings
+ */
+const queryOf = uri => Object.fromEntries(new URL(uri, BASE_URL).searchParams)
+
+const mockAPI = () => nock(BASE_URL)
+
+module.exports = {
+  BASE_URL,
+  apiKey,
+  apiSecret,
+  silentLogger,
+  createClient,
+  queryOf,
+  mockAPI
+}
@@ -0,0 +1,31 @@
+// Compiled by `npm run test:types`, checks that the declarations can be used as documented
+
+import { Futures, KlineInterval, OrderSide, OrderType, TimeInForce, Logger, ClientError } from '../../src/index'
+
+const logger: Logger = {
+  log: console.log,
+  debug: console.debug,
+  info: console.info,
+  warn: console.warn,
+  error: console.error
+}
+
+const client = new Futures('apiKey', 'apiSecret', { logger, recvWindow: 5000, retry: true })
+
+export async function usage (): Promise<void> {
+  const { data } = await client.klines('BTCUSDT', KlineInterval.ONE_HOUR)
+  const close: string = data[0][4]
+  client.logger.log(close)
+
+  try {
+    await client.newOrder('BTCUSDT', OrderSide.BUY, OrderType.LIMIT, {
+      quantity: 0.001,
+      price: 30000,
+      timeInForce: TimeInForce.GTC
+    })
+  } catch (error) {
+    if (error instanceof ClientError) {
+      client.logger.error(error.code, error.message)
+    }
+  }
+}
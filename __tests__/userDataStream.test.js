@@ -0,0 +1,142 @@
+/* global describe, it, expect, afterEach */
+'use strict'
+
+const nock = require('nock')
+const { WebSocketServer } = require('ws')
+const UserDataStream = require('../src/userDataStream')
+const { apiKey, createClient, mockAPI, silentLogger } = require('./testUtils/testSetup')
+
+/**
+ * A local user data stream server, emitting `connected` with the socket and the path of every connection
+ */
+const startServer = () => new Promise(resolve => {
+  const server = new WebSocketServer({ port: 0 }, () => resolve(server))
+  server.on('connection', (socket, request) => server.emit('connected', { socket, url: request.url }))
+})
+
+const nextConnection = server => new Promise(resolve => server.once('connected', resolve))
+const once = (emitter, event) => new Promise(resolve => emitter.once(event, (...args) => resolve(args)))
+
+// answers the listenKey creations with the given keys, one after the other
+const mockListenKeys = (...listenKeys) => {
+  let created = 0
+  return mockAPI()
+    .matchHeader('X-MBX-APIKEY', apiKey)
+    .post('/fapi/v1/listenKey')
+    .times(listenKeys.length)
+    .reply(200, () => ({ listenKey: listenKeys[created++] }))
+}
+
+describe('UserDataStream', () => {
+  let stream
+  let server
+
+  const createStream = async (options = {}) => {
+    server = await startServer()
+    stream = new UserDataStream(createClient(), { wsURL: `ws://127.0.0.1:${server.address().port}`, logger: silentLogger, ...options })
+    return stream
+  }
+
+  afterEach(async () => {
+    if (stream) {
+      stream.stopKeepAlive()
+      stream.disconnect()
+    }
+    if (server) await new Promise(resolve => server.close(resolve))
+    stream = null
+    server = null
+    nock.cleanAll()
+  })
+
+  it('should connect with a new listenKey and emit the events by type', async () => {
+    mockListenKeys('key1')
+    await createStream()
+
+    const connected = nextConnection(server)
+    expect(await stream.start()).toBe('key1')
+    const { socket, url } = await connected
+    expect(url).toBe('/ws/key1')
+
+    const update = once(stream, 'ORDER_TRADE_UPDATE')
+    socket.send(JSON.stringify({ e: 'ORDER_TRADE_UPDATE', o: { s: 'BTCUSDT', X: 'NEW' } }))
+    const [event] = await update
+    expect(event.o).toEqual({ s: 'BTCUSDT', X: 'NEW' })
+  })
+
+  it('should take the stream URL of the client by default', () => {
+    stream = new UserDataStream(createClient({ wsURL: 'wss://example.com' }), { logger: silentLogger })
+    stream.listenKey = 'key1'
+    expect(stream.getURL()).toBe('wss://example.com/ws/key1')
+  })
+
+  it('should keep the listenKey alive', async () => {
+    mockListenKeys('key1')
+    let renewed = 0
+    let onRenewed
+    const twice = new Promise(resolve => { onRenewed = resolve })
+    mockAPI()
+      .put('/fapi/v1/listenKey')
+      .times(2)
+      .reply(200, () => {
+        if (++renewed === 2) onRenewed()
+        return {}
+      })
+    await createStream({ keepAliveInterval: 20 })
+
+    const started = Date.now()
+    await stream.start()
+    await twice
+
+    expect(Date.now() - started).toBeGreaterThanOrEqual(40)
+  })
+
+  it('should reconnect with a new listenKey when the renewal finds it invalid', async () => {
+    mockListenKeys('key1', 'key2')
+    mockAPI()
+      .put('/fapi/v1/listenKey')
+      .reply(400, { code: -1125, msg: 'This listenKey does not exist.' })
+    await createStream()
+
+    let connected = nextConnection(server)
+    await stream.start()
+    await connected
+
+    connected = nextConnection(server)
+    await stream.keepAlive()
+    const { url } = await connected
+    expect(url).toBe('/ws/key2')
+    expect(stream.listenKey).toBe('key2')
+  })
+
+  it('should reconnect with a new listenKey when the server reports it expired', async () => {
+    mockListenKeys('key1', 'key2')
+    await createStream()
+
+    let connected = nextConnection(server)
+    await stream.start()
+    const { socket } = await connected
+
+    connected = nextConnection(server)
+    const expired = once(stream, 'listenKeyExpired')
+    socket.send(JSON.stringify({ e: 'listenKeyExpired', E: 1 }))
+    await expired
+    const { url } = await connected
+    expect(url).toBe('/ws/key2')
+  })
+
+  it('should close the listenKey and the connection on stop', async () => {
+    mockListenKeys('key1')
+    const closed = mockAPI().delete('/fapi/v1/listenKey').reply(200, {})
+    await createStream()
+
+    const connected = nextConnection(server)
+    await stream.start()
+    await connected
+    await stream.stop()
+
+    expect(closed.isDone()).toBe(true)
+    expect(stream.listenKey).toBeNull()
+    expect(stream.isConnected()).toBe(false)
+    expect(stream.keepAliveTimer).toBeNull()
+  })
+})
@@ -0,0 +1,151 @@
+/* global describe, it, expect, afterEach */
+'use strict'
+
+const { WebSocketServer } = require('ws')
+const WebsocketAPI = require('../src/websocketAPI')
+const ConnectorClientError = require('../src/error/connectorClientError')
+const TimestampError = require('../src/error/timestampError')
+const { apiKey, apiSecret, silentLogger } = require('./testUtils/testSetup')
+
+const SERVER_TIME = 1700000000000
+
+/**
+ * A local Websocket API server answering every request with handler(request)
+ */
+const startServer = handler => new Promise(resolve => {
+  const requests = []
+  const server = new WebSocketServer({ port: 0 }, () => resolve({ server, requests, port: server.address().port }))
+  server.on('connection', socket => {
+    socket.on('message', data => {
+      const request = JSON.parse(data)
+      requests.push(request)
+      const response = handler(request, requests)
+      if (response) socket.send(JSON.stringify({ id: request.id, ...response }))
+    })
+  })
+})
+
+const ok = result => ({ status: 200, result })
+const timeResponse = () => ok({ serverTime: SERVER_TIME })
+
+describe('WebsocketAPI', () => {
+  let client
+  let server
+
+  const connect = async (handler, options = {}) => {
+    const started = await startServer(handler)
+    server = started.server
+    client = new WebsocketAPI(apiKey, apiSecret, {
+      wsURL: `ws://127.0.0.1:${started.port}`,
+      logger: silentLogger,
+      requestTimeout: 2000,
+      ...options
+    })
+    return started.requests
+  }
+
+  afterEach(async () => {
+    if (client) client.disconnect()
+    if (server) await new Promise(resolve => server.close(resolve))
+    client = null
+    server = null
+  })
+
+  describe('#syncTime', () => {
+    it('should measure the offset with the time method', async () => {
+      await connect(request => timeResponse())
+
+      const offset = await client.syncTime()
+
+      expect(offset).toBe(client.timeOffset)
+      expect(Math.abs(Date.now() + offset - SERVER_TIME)).toBeLessThan(1000)
+    })
+
+    it('should timestamp the signed requests with the offset', async () => {
+      const requests = await connect(request => request.method === 'time' ? timeResponse() : ok({ orderId: 1 }))
+
+      await client.syncTime()
+      await client.newOrder('BTCUSDT', 'BUY', 'MARKET', { quantity: 1 })
+
+      const order = requests.find(request => request.method === 'order.place')
+      expect(Math.abs(order.params.timestamp - SERVER_TIME)).toBeLessThan(1000)
+      expect(order.params.signature).toBeDefined()
+    })
+
+    it('should synchronize on open when timeSyncInterval is set', async () => {
+      const requests = await connect(request => timeResponse(), { timeSyncInterval: 60 * 1000 })
+
+      await client.ready()
+      await new Promise(resolve => setTimeout(resolve, 100))
+
+      expect(requests.map(request => request.method)).toEqual(['time'])
+      expect(client.timeOffset).not.toBe(0)
+
+      client.disconnect()
+      expect(client.timeSyncTimer).toBeNull()
+    })
+  })
+
+  describe('#sendSignatureRequest', () => {
+    it('should resynchronize and retry once on -1021', async () => {
+      const requests = await connect((request, all) => {
+        if (request.method === 'time') return timeResponse()
+        const attempts = all.filter(({ method }) => method === 'order.place').length
+        if (attempts === 1) {
+          return { status: 400, error: { code: -1021, msg: 'Timestamp for this request is outside of the recvWindow.' } }
+        }
+        return ok({ orderId: 1 })
+      })
+
+      const response = await client.newOrder('BTCUSDT', 'BUY', 'MARKET', { quantity: 1 })
+
+      expect(response.result).toEqual({ orderId: 1 })
+      expect(requests.map(request => request.method)).toEqual(['order.place', 'time', 'order.place'])
+      const [first, , second] = requests
+      expect(first.params.signature).not.toBe(second.params.signature)
+      expect(Math.abs(second.params.timestamp - SERVER_TIME)).toBeLessThan(1000)
+    })
+
+    it('should reject when -1021 comes again after the retry', async () => {
+      const requests = await connect(request => request.method === 'time'
+        ? timeResponse()
+        : { status: 400, error: { code: -1021, msg: 'Timestamp for this request is outside of the recvWindow.' } })
+
+      await expect(client.newOrder('BTCUSDT', 'BUY', 'MARKET', { quantity: 1 })).rejects.toBeInstanceOf(TimestampError)
+      expect(requests.map(request => request.method)).toEqual(['order.place', 'time', 'order.place'])
+    })
+  })
+
+  describe('#sendRequest', () => {
+    it('should reject at once when the payload cannot be sent', async () => {
+      await connect(request => ok({}))
+      await client.ready()
+      client.send = () => { throw new Error('socket is closing') }
+
+      const started = Date.now()
+      await expect(client.sendRequest('time')).rejects.toThrow('Failed to send time: socket is closing')
+      expect(Date.now() - started).toBeLessThan(client.requestTimeout)
+      expect(client.pendingRequests.size).toBe(0)
+    })
+
+    it('should reject at once when the connection is not open', async () => {
+      await connect(request => ok({}))
+      await client.ready()
+      client.send = () => false
+
+      await expect(client.sendRequest('time')).rejects.toBeInstanceOf(ConnectorClientError)
+      expect(client.pendingRequests.size).toBe(0)
+    })
+
+    it('should reject the pending requests when the connection drops', async () => {
+      await connect(request => null)
+
+      const pending = client.sendRequest('time')
+      await client.ready()
+      await new Promise(resolve => setTimeout(resolve, 50))
+      client.disconnect()
+
+      await expect(pending).rejects.toBeInstanceOf(ConnectorClientError)
+    })
+  })
+})
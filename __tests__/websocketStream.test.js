@@ -0,0 +1,125 @@
+/* global describe, it, expect, afterEach */
+'use strict'
+
+const { WebSocketServer } = require('ws')
+const WebsocketStream = require('../src/websocketStream')
+const { silentLogger } = require('./testUtils/testSetup')
+
+/**
+ * A local stream server recording the URL of every connection and the requests sent on it
+ */
+const startServer = () => new Promise(resolve => {
+  const connections = []
+  const server = new WebSocketServer({ port: 0 }, () => resolve({ server, connections, port: server.address().port }))
+  server.on('connection', (socket, request) => {
+    const connection = { socket, url: request.url, requests: [] }
+    connections.push(connection)
+    socket.on('message', data => connection.requests.push(JSON.parse(data)))
+    server.emit('connected', connection)
+  })
+})
+
+const nextConnection = server => new Promise(resolve => server.once('connected', resolve))
+const once = (emitter, event) => new Promise(resolve => emitter.once(event, (...args) => resolve(args)))
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+describe('WebsocketStream', () => {
+  let stream
+  let server
+
+  const createStream = async (options = {}) => {
+    const started = await startServer()
+    server = started.server
+    stream = new WebsocketStream({ wsURL: `ws://127.0.0.1:${started.port}`, logger: silentLogger, ...options })
+    return started.connections
+  }
+
+  afterEach(async () => {
+    if (stream) stream.disconnect()
+    if (server) await new Promise(resolve => server.close(resolve))
+    stream = null
+    server = null
+  })
+
+  it('should name the streams like the exchange', () => {
+    stream = new WebsocketStream({ logger: silentLogger })
+    stream.connect = () => {}
+
+    expect(stream.aggTradeStream('BTCUSDT')).toBe('btcusdt@aggTrade')
+    expect(stream.markPriceStream('BTCUSDT', '1s')).toBe('btcusdt@markPrice@1s')
+    expect(stream.allMarkPriceStream()).toBe('!markPrice@arr')
+    expect(stream.klineStream('BTCUSDT', '1m')).toBe('btcusdt@kline_1m')
+    expect(stream.diffDepthStream('BTCUSDT', '100ms')).toBe('btcusdt@depth@100ms')
+    expect(stream.getURL()).toBe('wss://fstream.binance.com/stream?streams=btcusdt@aggTrade/btcusdt@markPrice@1s/!markPrice@arr/btcusdt@kline_1m/btcusdt@depth@100ms')
+  })
+
+  it('should connect to the combined stream and subscribe to the streams added later', async () => {
+    const connections = await createStream()
+
+    const connected = nextConnection(server)
+    stream.aggTradeStream('btcusdt')
+    await once(stream, 'open')
+    const connection = await connected
+    expect(connection.url).toBe('/stream?streams=btcusdt@aggTrade')
+
+    stream.bookTickerStream('ethusdt')
+    stream.unsubscribe('btcusdt@aggTrade')
+    await wait(50)
+    expect(connections).toHaveLength(1)
+    expect(connection.requests).toEqual([
+      { method: 'SUBSCRIBE', params: ['ethusdt@bookTicker'], id: 1 },
+      { method: 'UNSUBSCRIBE', params: ['btcusdt@aggTrade'], id: 2 }
+    ])
+  })
+
+  it('should emit every payload as message and as an event named after its type', async () => {
+    await createStream()
+    const connected = nextConnection(server)
+    stream.allMarkPriceStream()
+    const connection = await connected
+
+    const messages = []
+    const events = []
+    stream.on('message', (payload, name) => messages.push(name))
+    stream.on('markPriceUpdate', (event, name) => events.push([event.s, name]))
+    const received = once(stream, 'message')
+    connection.socket.send(JSON.stringify({
+      stream: '!markPrice@arr',
+      data: [{ e: 'markPriceUpdate', s: 'BTCUSDT', p: '30000' }, { e: 'markPriceUpdate', s: 'ETHUSDT', p: '2000' }]
+    }))
+    await received
+
+    expect(messages).toEqual(['!markPrice@arr'])
+    expect(events).toEqual([['BTCUSDT', '!markPrice@arr'], ['ETHUSDT', '!markPrice@arr']])
+  })
+
+  it('should reconnect with the subscribed streams when the connection is lost', async () => {
+    const connections = await createStream({ reconnectDelay: 10 })
+    let connected = nextConnection(server)
+    stream.klineStream('btcusdt', '1m')
+    await connected
+    stream.tickerStream('btcusdt')
+    await wait(20)
+
+    const reconnecting = once(stream, 'reconnecting')
+    connected = nextConnection(server)
+    connections[0].socket.terminate()
+
+    expect(await reconnecting).toEqual([10])
+    const connection = await connected
+    expect(connection.url).toBe('/stream?streams=btcusdt@kline_1m/btcusdt@ticker')
+  })
+
+  it('should not reconnect once disconnected', async () => {
+    const connections = await createStream({ reconnectDelay: 10 })
+    const connected = nextConnection(server)
+    stream.aggTradeStream('btcusdt')
+    await connected
+
+    stream.disconnect()
+    await wait(50)
+
+    expect(connections).toHaveLength(1)
+    expect(stream.isConnected()).toBe(false)
+  })
+})
@@ -1,13 +1,26 @@
 'use strict'
 
-const crypto = require('crypto')
-const { removeEmptyValue, buildQueryString, createRequest, defaultLogger } = require('./helpers/utils')
-const ConnectorClientError = require('./error/connectorClientError')
+const { removeEmptyValue, buildQueryString, createHttpClient, createRequest, defaultLogger } = require('./helpers/utils')
+const { createSignature } = require('./helpers/signature')
 const PrivateKeyAlgo = require('./helpers/privateKeyAlgo')
+const RateLimiter = require('./helpers/rateLimiter')
+const RetryPolicy = require('./helpers/retryPolicy')
+const ExchangeInfoCache = require('./exchangeInfoCache')
+const SymbolFilters = require('./symbolFilters')
+const { getRequestWeight, getOrderCount } = require('./helpers/requestWeight')
+const { isTestnetURL } = require('./helpers/environment')
+const { getTimeRangeLimit, splitTimeRange } = require('./helpers/timeRange')
+const { getResponseTransform } = require('./helpers/responseTransform')
+const { isStateChanging, getTestPath, createDryRunResponse } = require('./helpers/dryRun')
+const TimestampError = require('./error/timestampError')
+const RateLimitError = require('./error/rateLimitError')
+const FilterValidationError = require('./error/filterValidationError')
+const ConnectorClientError = require('./error/connectorClientError')
+const InvalidParameterError = require('./error/invalidParameterError')
 
 class APIBase {
   constructor (options) {
-    const { apiKey, apiSecret, baseURL, logger, timeout, proxy, httpsAgent, privateKey, privateKeyPassphrase, privateKeyAlgo, wsURL } = options
+    const { apiKey, apiSecret, baseURL, logger, timeout, proxy, httpsAgent, privateKey, privateKeyPassphrase, privateKeyAlgo, wsURL, wsAPIURL, environment, expectTestnet, recvWindow, timeSyncInterval, rateLimit, retry, keepAlive, maxSockets, orderFilter, exchangeInfoRefreshInterval, klineObjects, parseNumbers, dryRun } = options
 
     this.apiKey = apiKey
     this.apiSecret = apiSecret
@@ -21,64 +34,331 @@ class APIBase {
     this.privateKeyPassphrase = privateKeyPassphrase || ''
     this.privateKeyAlgo = privateKeyAlgo || PrivateKeyAlgo.RSA
     this.wsURL = wsURL
+    this.wsAPIURL = wsAPIURL
+    this.environment = environment
+    // refuse to place or modify orders unless baseURL points to the testnet
+    this.expectTestnet = expectTestnet || false
+    // 'log' (or true) only logs the requests changing the account state, 'test' sends new orders to the test endpoint
+    this.dryRun = dryRun === true ? 'log' : dryRun || false
+    // one transport per client, so connections are reused between requests
+    this.httpClient = createHttpClient({
+      baseURL,
+      apiKey,
+      timeout: this.timeout,
+      proxy: this.proxy,
+      httpsAgent,
+      keepAlive,
+      maxSockets
+    })
+    // default recvWindow applied to every signed request, unless overridden per call
+    this.recvWindow = recvWindow
+    // difference in ms between the server clock and the local clock
+    this.timeOffset = 0
+    // default is 0 (no periodic time synchronization)
+    this.timeSyncInterval = timeSyncInterval || 0
+    this.timeSyncTimer = null
+    // tracks the usage from the response headers, throttles only when rateLimit.throttle is set
+    this.rateLimiter = new RateLimiter({ logger: this.logger, ...rateLimit })
+    // default is no retry, `true` enables the default retry policy
+    this.retryPolicy = retry ? new RetryPolicy(retry === true ? {} : retry) : null
+    // 'validate' or 'adjust' orders against the symbol filters, or only 'format' them to the symbol precision, default is none
+    this.orderFilter = orderFilter
+    this.exchangeInfoCache = new ExchangeInfoCache(this, { refreshInterval: exchangeInfoRefreshInterval })
+    // klines as objects, and numeric strings of klines, tickers, depth and positions parsed, default is the raw data
+    this.klineObjects = klineObjects || false
+    this.parseNumbers = parseNumbers || false
+
+    if (this.timeSyncInterval > 0) {
+      this.startTimeSync()
+    }
+  }
+
+  /**
+   * Measure the offset between the server clock and the local clock.<br>
+   *
+   * The round trip is assumed to be symmetric, so the server time is compared
+   * against the midpoint between sending the request and receiving the response.
+   *
+   * @returns {Promise<number>} the new time offset in milliseconds
+   */
+  syncTime () {
+    const requestTime = Date.now()
+    return this.time().then(response => {
+      const responseTime = Date.now()
+      this.timeOffset = response.data.serverTime - Math.round((requestTime + responseTime) / 2)
+      return this.timeOffset
+    })
+  }
+
+  /**
+   * Synchronize the time offset now and then every `timeSyncInterval` milliseconds.
+   */
+  startTimeSync () {
+    this.stopTimeSync()
+    const sync = () => this.syncTime().catch(error => this.logger.error(`Time synchronization failed: ${error.message}`))
+    sync()
+    this.timeSyncTimer = setInterval(sync, this.timeSyncInterval)
+    if (this.timeSyncTimer.unref) {
+      this.timeSyncTimer.unref()
+    }
+  }
+
+  stopTimeSync () {
+    if (this.timeSyncTimer) {
+      clearInterval(this.timeSyncTimer)
+      this.timeSyncTimer = null
+    }
   }
 
   publicRequest (method, path, params = {}) {
     params = removeEmptyValue(params)
-    params = buildQueryString(params)
-    if (params !== '') {
-      path = `${path}?${params}`
-    }
-    return createRequest({
-      method,
-      baseURL: this.baseURL,
-      url: path,
-      apiKey: this.apiKey,
-      timeout: this.timeout,
-      proxy: this.proxy,
-      httpsAgent: this.httpsAgent
-    })
+    return this.requestTimeRange(method, path, params, params => this.withRetry(method, path, () => this.scheduleRequest(method, path, params).then(() => {
+      const queryString = buildQueryString(params)
+      return this.sendRequest(method, queryString !== '' ? `${path}?${queryString}` : path)
+    }))).then(response => this.transformResponse(method, path, response))
   }
 
   signRequest (method, path, params = {}) {
     params = removeEmptyValue(params)
-    const timestamp = Date.now()
-    const queryString = buildQueryString({ ...params, timestamp })
-    let signature
-
-    if (!this.privateKey) {
-      signature = crypto
-        .createHmac('sha256', this.apiSecret)
-        .update(queryString)
-        .digest('hex')
-    } else {
-      if (this.privateKeyAlgo === PrivateKeyAlgo.RSA) {
-        signature = crypto.sign('RSA-SHA256', Buffer.from(queryString), {
-          key: this.privateKey,
-          passphrase: this.privateKeyPassphrase
-        }).toString('base64')
-      } else if (this.privateKeyAlgo === PrivateKeyAlgo.ED25519) {
-        signature = crypto.sign(null, Buffer.from(queryString), {
-          key: this.privateKey,
-          padding: crypto.constants.RSA_PKCS1_PSS_PADDING,
-          saltLength: crypto.constants.RSA_PSS_SALTLEN_DIGEST
-        }).toString('base64')
-      } else {
-        throw new ConnectorClientError("privateKeyAlgo must be either 'RSA' or 'ED25519'")
+    if (this.dryRun && isStateChanging(method, path)) {
+      return this.dryRunRequest(method, path, params)
+    }
+    if (this.expectTestnet && getOrderCount(method, path, params) && !isTestnetURL(this.baseURL)) {
+      return Promise.reject(new ConnectorClientError(`Refusing to send ${method} ${path} to ${this.baseURL}, expectTestnet is set but it is not a testnet URL`))
+    }
+    return this.requestTimeRange(method, path, params, params => {
+      let timestampRetried = false
+
+      const attempt = () => this.scheduleRequest(method, path, params).then(() => {
+        // signed after waiting for the rate limiter, so the timestamp is fresh on every attempt
+        const timestamp = Date.now() + this.timeOffset
+        const recvWindow = params.recvWindow || this.recvWindow
+        const queryString = buildQueryString(removeEmptyValue({ ...params, recvWindow, timestamp }))
+        let signature = createSignature(queryString, this)
+        if (this.privateKey) {
+          signature = encodeURIComponent(signature)
+        }
+        return this.sendRequest(method, `${path}?${queryString}&signature=${signature}`)
+      }).catch(error => {
+        // the local clock has drifted out of recvWindow
+        if (!timestampRetried && error instanceof TimestampError) {
+          timestampRetried = true
+          this.logger.warn('Timestamp outside of recvWindow, resynchronizing time and retrying')
+          return this.syncTime().then(attempt)
+        }
+        throw error
+      })
+
+      return this.withRetry(method, path, attempt)
+    }).then(response => this.transformResponse(method, path, response))
+  }
+
+  /**
+   * Hold back a request changing the account state. With dryRun 'test', single USDⓈ-M new orders
+   * are checked by the test endpoint, anything else is only logged and answered with its own parameters.
+   */
+  dryRunRequest (method, path, params) {
+    const testPath = this.dryRun === 'test' && getTestPath(method, path)
+    if (testPath) {
+      return this.signRequest(method, testPath, params)
+    }
+    // say so when 'test' was asked for, the exchange won't validate this one
+    const label = this.dryRun === 'test' ? 'Dry run (no test endpoint)' : 'Dry run'
+    this.logger.log(`${label}: ${method} ${path} ${decodeURIComponent(buildQueryString(params))}`)
+    return Promise.resolve(createDryRunResponse(method, path, params))
+  }
+
+  /**
+   * Apply the range limits of the history endpoints<br>
+   *
+   * A startTime older than the data retained by the exchange is moved forward, with a warning,
+   * and a range longer than the endpoint accepts is requested window by window. Full pages are
+   * followed within a window, and the items of every window are merged into a single response.
+   * A limit is then the number of items of the merged response, the earliest ones are kept:
+   * each request only asks for the items still missing, and none is sent once there are enough.
+   *
+   * @param {string} method
+   * @param {string} path
+   * @param {object} params
+   * @param {function} request - (params) => Promise<response>, sends a single request
+   * @returns {Promise<object>} the response, with the merged items as data when the range was split
+   */
+  requestTimeRange (method, path, params, request) {
+    const rangeLimit = getTimeRangeLimit(method, path)
+    if (!rangeLimit || params.startTime === undefined) {
+      return request(params)
+    }
+
+    if (rangeLimit.retention) {
+      const retainedFrom = Date.now() + this.timeOffset - rangeLimit.retention
+      if (params.endTime !== undefined && params.endTime < retainedFrom) {
+        return Promise.reject(new InvalidParameterError(`${path} only retains data since ${new Date(retainedFrom).toISOString()}, the requested range ends before it`))
+      }
+      if (params.startTime < retainedFrom) {
+        this.logger.warn(`${path} only retains data since ${new Date(retainedFrom).toISOString()}, startTime is moved forward`)
+        params = { ...params, startTime: retainedFrom }
       }
-      signature = encodeURIComponent(signature)
     }
 
-    return createRequest({
+    // the exchange does not accept time params along with an id cursor, nothing to split
+    const hasIdCursor = params.fromId !== undefined || params.orderId !== undefined
+    if (!rangeLimit.window || params.endTime === undefined || hasIdCursor || params.endTime - params.startTime < rangeLimit.window) {
+      return request(params)
+    }
+
+    // limit caps the merged items, as it caps the items of a single request
+    const cap = Number(params.limit) || Infinity
+    const items = new Map()
+    let lastResponse
+    const requestWindow = ({ startTime, endTime }) => {
+      const pageSize = Math.min(cap - items.size, rangeLimit.maxLimit)
+      return request({ ...params, startTime, endTime, limit: pageSize }).then(response => handlePage(response, pageSize, endTime))
+    }
+    const handlePage = (response, pageSize, endTime) => {
+      lastResponse = response
+      let fresh = 0
+      response.data.forEach(item => {
+        const key = rangeLimit.key(item)
+        if (items.has(key)) return
+        items.set(key, item)
+        fresh++
+      })
+      if (response.data.length < pageSize || items.size >= cap) return
+      // items can share the time of the last one, so the next page starts at that time,
+      // or just after it once a page brings nothing new
+      const lastTime = Math.max(...response.data.map(item => item.time))
+      const nextStart = fresh ? lastTime : lastTime + 1
+      if (nextStart > endTime) return
+      return requestWindow({ startTime: nextStart, endTime })
+    }
+
+    return splitTimeRange(Number(params.startTime), Number(params.endTime), rangeLimit.window)
+      .reduce((previous, window) => previous.then(() => items.size < cap && requestWindow(window)), Promise.resolve())
+      .then(() => ({ ...lastResponse, data: Array.from(items.values()).sort((a, b) => a.time - b.time).slice(0, cap) }))
+  }
+
+  /**
+   * Apply the klineObjects and parseNumbers options to the response data
+   */
+  transformResponse (method, path, response) {
+    const transform = getResponseTransform(method, path, this)
+    if (transform) {
+      response.data = transform(response.data)
+    }
+    return response
+  }
+
+  /**
+   * Run the request again on transient failures, as allowed by the retry policy
+   */
+  withRetry (method, path, request, retries = 0) {
+    return request().catch(error => {
+      if (!this.retryPolicy || !this.retryPolicy.shouldRetry(error, retries, method, path)) {
+        throw error
+      }
+      const delay = this.retryPolicy.getDelay(error, retries)
+      this.logger.warn(`${method} ${path} failed: ${error.message || error.code}, retry ${retries + 1}/${this.retryPolicy.retries} in ${delay}ms`)
+      return new Promise(resolve => setTimeout(resolve, delay))
+        .then(() => this.withRetry(method, path, request, retries + 1))
+    })
+  }
+
+  scheduleRequest (method, path, params) {
+    return this.rateLimiter.schedule(
+      getRequestWeight(method, path, params),
+      getOrderCount(method, path, params)
+    )
+  }
+
+  sendRequest (method, url) {
+    return createRequest(this.httpClient, {
       method,
-      baseURL: this.baseURL,
-      url: `${path}?${queryString}&signature=${signature}`,
-      apiKey: this.apiKey,
-      timeout: this.timeout,
-      proxy: this.proxy,
-      httpsAgent: this.httpsAgent
+      url
+    }).then(response => {
+      this.rateLimiter.update(response.headers)
+      return response
+    }, error => {
+      if (error.headers) {
+        this.rateLimiter.update(error.headers)
+      }
+      if (error instanceof RateLimitError) {
+        // back off for a minute when the server doesn't say how long
+        this.rateLimiter.block(error.retryAfter || 60)
+      }
+      throw error
+    })
+  }
+
+  /**
+   * Check an order against the cached symbol filters, rounding its prices and quantity first
+   * when orderFilter is 'adjust'. With 'format' they are only rounded.
+   *
+   * @param {object} order - newOrder parameters
+   * @returns {Promise<object>} the order to send
+   */
+  prepareOrder (order) {
+    if (!this.orderFilter) {
+      return Promise.resolve(order)
+    }
+    return this.exchangeInfoCache.getSymbol(order.symbol).then(filters => {
+      if (this.orderFilter === 'format') {
+        return filters.adjustOrder(order)
+      }
+      const prepared = this.orderFilter === 'adjust' ? filters.adjustOrder(order) : order
+      return this.orderContext(filters, prepared).then(context => {
+        const violations = filters.validateOrder(prepared, context)
+        if (violations.length) {
+          throw new FilterValidationError(prepared.symbol, violations)
+        }
+        return prepared
+      })
+    })
+  }
+
+  /**
+   * Mark price and open order counts needed by the filters of the symbol, only requested
+   * when the symbol has the filters using them
+   *
+   * @param {SymbolFilters} filters
+   * @param {object} order
+   * @returns {Promise<object>} the context of SymbolFilters.validateOrder()
+   */
+  orderContext (filters, order) {
+    const { MIN_NOTIONAL, PERCENT_PRICE, MAX_NUM_ORDERS, MAX_NUM_ALGO_ORDERS } = filters.filters
+    const symbol = order.symbol.toUpperCase()
+    const needsMarkPrice = (PERCENT_PRICE && order.price !== undefined) || (MIN_NOTIONAL && order.price === undefined)
+    // a modification doesn't add an order
+    const modifying = order.orderId !== undefined || order.origClientOrderId !== undefined
+    const needsOpenOrders = !modifying && (MAX_NUM_ORDERS || MAX_NUM_ALGO_ORDERS)
+
+    // COIN-M symbols have a contractSize, their premiumIndex takes an options object and returns a list
+    const markPrice = !needsMarkPrice
+      ? null
+      : (filters.info.contractSize === undefined ? this.premiumindex(symbol) : this.premiumindex({ symbol }))
+          .then(response => Number([].concat(response.data)[0].markPrice))
+    const openOrders = !needsOpenOrders ? null : this.queryCurrentAllOpenOrders({ symbol }).then(response => response.data)
+
+    return Promise.all([markPrice, openOrders]).then(([markPrice, openOrders]) => {
+      const context = {}
+      if (markPrice) {
+        context.markPrice = markPrice
+      }
+      if (openOrders) {
+        context.openOrders = openOrders.length
+        context.openAlgoOrders = openOrders.filter(open => SymbolFilters.ALGO_TYPES.includes(open.type)).length
+      }
+      return context
     })
   }
+
+  /**
+   * Used weight and order counts, as reported by the last responses
+   *
+   * @returns {object} e.g. { usedWeight1m: { used: 10, limit: 2400 }, orderCount10s: ..., orderCount1m: ... }
+   */
+  getRateLimitUsage () {
+    return this.rateLimiter.getUsage()
+  }
 }
 
 module.exports = APIBase
@@ -0,0 +1,302 @@
+'use strict'
+
+const { EventEmitter } = require('events')
+const { randomString } = require('./helpers/utils')
+const { validateRequiredParameters, hasOneOfParameters } = require('./helpers/validation')
+const InvalidParameterError = require('./error/invalidParameterError')
+
+const OPEN_STATUSES = ['NEW', 'PARTIALLY_FILLED']
+const FINAL_STATUSES = ['FILLED', 'CANCELED', 'EXPIRED', 'REJECTED', 'EXPIRED_IN_MATCH']
+
+const LEGS = {
+  takeProfit: 'TAKE_PROFIT_MARKET',
+  stopLoss: 'STOP_MARKET'
+}
+
+/**
+ * Entry order with take-profit and stop-loss legs, managed on the client side<br>
+ *
+ * The entry is placed by start(). Once it fills, a TAKE_PROFIT_MARKET and a STOP_MARKET order
+ * close the filled quantity, and they are replaced as partial fills add up: the previous legs are
+ * cancelled first, so that they can never execute along with the new ones. When one leg is filled,
+ * the other one and what is left of the entry are cancelled.
+ *
+ * Order updates come from the ORDER_TRADE_UPDATE events of a started UserDataStream,
+ * or from polling queryOrder when no stream is given. With a dryRun client the entry is only
+ * logged, there is nothing to follow.
+ *
+ * In one-way mode the legs are reduceOnly. In hedge mode they close the given positionSide.
+ *
+ * Emits `entry` (order) when the entry fills further, `protected` (legs) once the legs match the
+ * filled quantity, `done` (reason, order) with reason 'takeProfit', 'stopLoss', 'entryCanceled'
+ * or 'canceled', and `error` (error).
+ *
+ * @param {Futures|DeliveryFutures} client
+ * @param {object} params
+ * @param {string} params.symbol
+ * @param {string} params.side - side of the entry, the legs take the opposite one
+ * @param {number|string} params.quantity
+ * @param {string} [params.type] - entry type, default is 'MARKET'
+ * @param {number|string} [params.price] - entry price, for LIMIT entries
+ * @param {string} [params.timeInForce] - for LIMIT entries, default is 'GTC'
+ * @param {number|string} [params.takeProfit] - stop price of the take-profit leg
+ * @param {number|string} [params.stopLoss] - stop price of the stop-loss leg
+ * @param {string} [params.positionSide] - LONG or SHORT in hedge mode
+ * @param {string} [params.workingType] - of the legs, MARK_PRICE or CONTRACT_PRICE
+ * @param {string} [params.priceProtect] - of the legs
+ * @param {object} [options]
+ * @param {UserDataStream} [options.userDataStream] - started stream of the same account
+ * @param {number} [options.pollInterval] - in ms, when there is no stream, default is 2000
+ * @param {object} [options.logger]
+ */
+class BracketOrder extends EventEmitter {
+  constructor (client, params = {}, options = {}) {
+    super()
+    const { symbol, side, quantity, takeProfit, stopLoss } = params
+    validateRequiredParameters({ symbol, side, quantity })
+    hasOneOfParameters({ takeProfit, stopLoss })
+    const buying = side.toUpperCase() === 'BUY'
+    if (takeProfit !== undefined && stopLoss !== undefined && (Number(takeProfit) > Number(stopLoss)) !== buying) {
+      throw new InvalidParameterError(`takeProfit must be ${buying ? 'above' : 'below'} stopLoss for a ${side.toUpperCase()} entry`)
+    }
+
+    this.client = client
+    this.logger = options.logger || client.logger
+    this.params = { ...params, symbol: symbol.toUpperCase(), side: side.toUpperCase() }
+    this.userDataStream = options.userDataStream
+    this.pollInterval = options.pollInterval || 2000
+    this.id = `bkt${randomString().slice(0, 16)}`
+    this.generation = 0
+
+    this.entry = { clientOrderId: `${this.id}-e`, status: null, executedQty: '0' }
+    // every order of the bracket by clientOrderId, replaced legs included until they are cancelled
+    this.orders = new Map([[this.entry.clientOrderId, this.entry]])
+    // legs currently protecting the position, by name
+    this.legs = {}
+    // updates of legs not accepted yet, by clientOrderId
+    this.earlyUpdates = new Map()
+    this.done = false
+    this.queue = Promise.resolve()
+    this.pollTimer = null
+
+    this.onOrderTradeUpdate = this.onOrderTradeUpdate.bind(this)
+  }
+
+  /**
+   * Place the entry and start following the orders
+   *
+   * @returns {Promise<object>} the newOrder response of the entry
+   */
+  start () {
+    const { symbol, side, quantity, type = 'MARKET', price, timeInForce, positionSide } = this.params
+    const entry = { quantity, price, positionSide, newClientOrderId: this.entry.clientOrderId }
+    if (price !== undefined) {
+      entry.timeInForce = timeInForce || 'GTC'
+    }
+
+    // the held back entry never reaches the exchange, polling it would only fail
+    const following = !this.client.dryRun
+    if (!following) {
+      this.logger.warn(`Bracket ${this.id}: dry run, the orders are not followed`)
+    }
+
+    if (this.userDataStream && following) {
+      this.userDataStream.on('ORDER_TRADE_UPDATE', this.onOrderTradeUpdate)
+    }
+    return this.client.newOrder(symbol, side, type, entry).then(response => {
+      this.onUpdate(response.data)
+      if (!this.userDataStream && following && !this.done) {
+        this.pollTimer = setInterval(() => this.poll(), this.pollInterval)
+      }
+      return response
+    }, error => {
+      this.stopFollowing()
+      throw error
+    })
+  }
+
+  /**
+   * Cancel the entry and the legs, the position already opened is left as it is
+   *
+   * @returns {Promise}
+   */
+  cancel () {
+    return this.enqueue(() => this.cancelOrders([...this.orders.values()]).then(() => this.finish('canceled')))
+  }
+
+  onOrderTradeUpdate (event) {
+    const { s: symbol, c: clientOrderId, i: orderId, X: status, z: executedQty } = event.o
+    if (symbol === this.params.symbol) {
+      this.onUpdate({ clientOrderId, orderId, status, executedQty })
+    }
+  }
+
+  poll () {
+    const open = [...this.orders.values()].filter(order => OPEN_STATUSES.includes(order.status))
+    open.forEach(order => {
+      this.client.queryOrder(this.params.symbol, { origClientOrderId: order.clientOrderId })
+        .then(response => this.onUpdate(response.data))
+        .catch(error => this.fail(error))
+    })
+  }
+
+  /**
+   * Handle the state of one of the orders, from the stream, a poll or a response
+   *
+   * @param {object} update - { clientOrderId, orderId, status, executedQty }
+   */
+  onUpdate ({ clientOrderId, orderId, status, executedQty }) {
+    const order = this.orders.get(clientOrderId)
+    if (this.done) return
+    if (!order) {
+      // a leg can be updated on the stream before the batch response registers it
+      if (clientOrderId && clientOrderId.startsWith(`${this.id}-`)) {
+        this.earlyUpdates.set(clientOrderId, { clientOrderId, orderId, status, executedQty })
+      }
+      return
+    }
+
+    if (order === this.entry) {
+      const filled = Number(executedQty) > Number(this.entry.executedQty)
+      Object.assign(this.entry, { orderId, status, executedQty: filled ? executedQty : this.entry.executedQty })
+      if (filled) {
+        this.emit('entry', { ...this.entry })
+        this.enqueue(() => this.syncLegs())
+      } else if (FINAL_STATUSES.includes(status) && !Number(this.entry.executedQty)) {
+        this.enqueue(() => this.finish('entryCanceled', { ...this.entry }))
+      }
+      return
+    }
+
+    Object.assign(order, { orderId, status, executedQty })
+    // a partially filled leg keeps working for the rest, the other leg still protects the position
+    if (status === 'FILLED') {
+      this.enqueue(() => this.closeWith(order))
+    }
+  }
+
+  /**
+   * Cancel the legs of a smaller quantity, then place legs for the filled quantity. When a previous
+   * leg can't be cancelled, it may have executed, and no leg is placed until its update arrives.
+   */
+  syncLegs () {
+    const { executedQty } = this.entry
+    const names = Object.keys(LEGS).filter(name => this.params[name] !== undefined)
+    if (this.done || names.every(name => this.legs[name] && this.legs[name].quantity === executedQty)) {
+      return Promise.resolve()
+    }
+
+    const previous = names.filter(name => this.legs[name])
+    return this.cancelOrders(previous.map(name => this.legs[name])).then(() => {
+      const kept = previous.filter(name => this.legs[name].status === 'FILLED' || OPEN_STATUSES.includes(this.legs[name].status))
+      previous.filter(name => !kept.includes(name)).forEach(name => { delete this.legs[name] })
+      if (this.done) return
+      if (kept.length) {
+        this.logger.warn(`Bracket ${this.id}: ${kept.map(name => this.legs[name].clientOrderId).join(', ')} not cancelled, the legs are not replaced`)
+        return
+      }
+      return this.placeLegs(names)
+    })
+  }
+
+  /**
+   * Place the legs for the filled quantity, only followed once the exchange has accepted them
+   */
+  placeLegs (names) {
+    const { executedQty } = this.entry
+    const { symbol, side, positionSide, workingType, priceProtect } = this.params
+    const hedged = positionSide !== undefined && positionSide.toUpperCase() !== 'BOTH'
+    const generation = ++this.generation
+    const legs = names.map(name => ({
+      name,
+      clientOrderId: `${this.id}-${name === 'takeProfit' ? 'tp' : 'sl'}${generation}`,
+      quantity: executedQty,
+      status: 'NEW',
+      executedQty: '0'
+    }))
+
+    const orders = legs.map(leg => ({
+      symbol,
+      side: side === 'BUY' ? 'SELL' : 'BUY',
+      type: LEGS[leg.name],
+      quantity: executedQty,
+      stopPrice: this.params[leg.name],
+      positionSide,
+      reduceOnly: hedged ? undefined : 'true',
+      workingType,
+      priceProtect,
+      newClientOrderId: leg.clientOrderId
+    }))
+
+    return this.client.placeMultipleOrder(orders).then(response => {
+      response.data.forEach(({ result, error }, i) => {
+        const leg = legs[i]
+        if (error) {
+          this.fail(new InvalidParameterError(`${LEGS[leg.name]} leg rejected: ${error.msg || error.message}`))
+          return
+        }
+        leg.orderId = result.orderId
+        this.orders.set(leg.clientOrderId, leg)
+        this.legs[leg.name] = leg
+      })
+      legs.filter(leg => this.earlyUpdates.has(leg.clientOrderId)).forEach(leg => {
+        this.onUpdate(this.earlyUpdates.get(leg.clientOrderId))
+        this.earlyUpdates.delete(leg.clientOrderId)
+      })
+      if (names.every(name => this.legs[name] && this.legs[name].quantity === executedQty)) {
+        this.emit('protected', { ...this.legs })
+      }
+    })
+  }
+
+  /**
+   * A leg has executed: cancel every other order of the bracket
+   */
+  closeWith (leg) {
+    if (this.done) return Promise.resolve()
+    const others = [...this.orders.values()].filter(order => order !== leg)
+    return this.cancelOrders(others).then(() => this.finish(leg.name, { ...leg }))
+  }
+
+  cancelOrders (orders) {
+    const open = orders.filter(order => order.status === null || OPEN_STATUSES.includes(order.status))
+    return Promise.all(open.map(order =>
+      this.client.cancelOrder(this.params.symbol, { origClientOrderId: order.clientOrderId })
+        .then(() => { order.status = 'CANCELED' })
+        // the order may have been filled or cancelled in the meantime
+        .catch(error => this.logger.warn(`Failed to cancel ${order.clientOrderId}: ${error.message}`))
+    ))
+  }
+
+  finish (reason, order) {
+    if (this.done) return
+    this.done = true
+    this.stopFollowing()
+    this.emit('done', reason, order)
+  }
+
+  stopFollowing () {
+    clearInterval(this.pollTimer)
+    this.pollTimer = null
+    if (this.userDataStream) {
+      this.userDataStream.removeListener('ORDER_TRADE_UPDATE', this.onOrderTradeUpdate)
+    }
+  }
+
+  /**
+   * Run the order operations one at a time, so that they act on the latest state
+   */
+  enqueue (operation) {
+    this.queue = this.queue.then(operation).catch(error => this.fail(error))
+    return this.queue
+  }
+
+  fail (error) {
+    this.logger.error(`Bracket ${this.id}: ${error.message}`)
+    if (this.listenerCount('error')) {
+      this.emit('error', error)
+    }
+  }
+}
+
+module.exports = BracketOrder
@@ -0,0 +1,14 @@
+'use strict'
+
+const APIBase = require('./APIBase')
+const deliveryModules = require('./modules/delivery')
+const { flowRight } = require('./helpers/utils')
+const { applyEnvironment } = require('./helpers/environment')
+
+class DeliveryFutures extends flowRight(...Object.values(deliveryModules))(APIBase) {
+  constructor (apiKey = '', apiSecret = '', options = {}) {
+    super({ apiKey, apiSecret, ...applyEnvironment('coinm', options) })
+  }
+}
+
+module.exports = DeliveryFutures
@@ -0,0 +1,29 @@
+'use strict'
+
+const Error = require('./error')
+
+/**
+ * Thrown when the server returns 4XX
+ *
+ * @param {string} errorMessage - server's error message
+ * @param {object} [details]
+ * @param {number} [details.status] - HTTP status code
+ * @param {number} [details.code] - server's error code, e.g. -1102
+ * @param {object} [details.headers] - response headers
+ * @param {string} [details.method] - request method
+ * @param {string} [details.path] - request path, without the query string
+ */
+class ClientError extends Error {
+  constructor (errorMessage, { status, code, headers, method, path } = {}) {
+    super(errorMessage)
+    this.name = 'ClientError'
+    this.status = status
+    this.code = code
+    this.msg = errorMessage
+    this.headers = headers || {}
+    this.method = method
+    this.path = path
+  }
+}
+
+module.exports = ClientError
@@ -0,0 +1,52 @@
+'use strict'
+
+const ClientError = require('./clientError')
+const ServerError = require('./serverError')
+const TimestampError = require('./timestampError')
+const MarginInsufficientError = require('./marginInsufficientError')
+const MinNotionalError = require('./minNotionalError')
+const ReduceOnlyRejectedError = require('./reduceOnlyRejectedError')
+const RateLimitError = require('./rateLimitError')
+const IPBannedError = require('./ipBannedError')
+const ErrorCode = require('./errorCode')
+
+const errorsByCode = {
+  [ErrorCode.TOO_MANY_REQUESTS]: RateLimitError,
+  [ErrorCode.INVALID_TIMESTAMP]: TimestampError,
+  [ErrorCode.MARGIN_NOT_SUFFICIENT]: MarginInsufficientError,
+  [ErrorCode.REDUCE_ONLY_REJECT]: ReduceOnlyRejectedError,
+  [ErrorCode.MIN_NOTIONAL]: MinNotionalError
+}
+
+/**
+ * Build the error matching a failed response
+ *
+ * @param {object} response
+ * @param {number} response.status - HTTP status code
+ * @param {number} [response.code] - server's error code
+ * @param {string} [response.msg] - server's error message
+ * @param {object} [response.headers]
+ * @param {string} [response.method]
+ * @param {string} [response.path]
+ * @returns {ClientError}
+ */
+const createResponseError = ({ status, code, msg, headers, method, path }) => {
+  const message = msg || `Request failed with status code ${status}`
+  const details = { status, code, headers, method, path }
+
+  if (status === 418) {
+    return new IPBannedError(message, details)
+  }
+  if (status === 429) {
+    return new RateLimitError(message, details)
+  }
+  if (errorsByCode[code]) {
+    return new errorsByCode[code](message, details)
+  }
+  if (status >= 500) {
+    return new ServerError(message, details)
+  }
+  return new ClientError(message, details)
+}
+
+module.exports = createResponseError
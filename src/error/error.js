@@ -1,8 +1,8 @@
 'use strict'
 
-class Error {
+class Error extends global.Error {
   constructor (message) {
-    this.message = message
+    super(message)
     this.name = 'Error'
   }
 }
@@ -0,0 +1,16 @@
+'use strict'
+
+/**
+ * Binance error codes the client commonly needs to branch on
+ */
+const ErrorCode = Object.freeze({
+  TOO_MANY_REQUESTS: -1003,
+  INVALID_TIMESTAMP: -1021,
+  INVALID_LISTEN_KEY: -1125,
+  UNKNOWN_ORDER: -2011,
+  MARGIN_NOT_SUFFICIENT: -2019,
+  REDUCE_ONLY_REJECT: -2022,
+  MIN_NOTIONAL: -4164
+})
+
+module.exports = ErrorCode
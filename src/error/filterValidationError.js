@@ -0,0 +1,20 @@
+'use strict'
+
+const Error = require('./error')
+
+/**
+ * Thrown before sending an order that breaks one of the symbol filters
+ *
+ * @param {string} symbol
+ * @param {object[]} violations - list of { filter, message }
+ */
+class FilterValidationError extends Error {
+  constructor (symbol, violations) {
+    super(`Order on ${symbol} breaks the symbol filters: ${violations.map(({ message }) => message).join('; ')}`)
+    this.name = 'FilterValidationError'
+    this.symbol = symbol
+    this.violations = violations
+  }
+}
+
+module.exports = FilterValidationError
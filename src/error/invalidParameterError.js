@@ -0,0 +1,12 @@
+'use strict'
+
+const Error = require('../error/error')
+
+class InvalidParameterError extends Error {
+  constructor (message) {
+    super(message)
+    this.name = 'InvalidParameterError'
+  }
+}
+
+module.exports = InvalidParameterError
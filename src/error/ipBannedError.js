@@ -0,0 +1,15 @@
+'use strict'
+
+const RateLimitError = require('./rateLimitError')
+
+/**
+ * HTTP 418, the IP has been auto-banned for continuing to send requests after a 429
+ */
+class IPBannedError extends RateLimitError {
+  constructor (errorMessage, details) {
+    super(errorMessage, details)
+    this.name = 'IPBannedError'
+  }
+}
+
+module.exports = IPBannedError
@@ -0,0 +1,15 @@
+'use strict'
+
+const ClientError = require('./clientError')
+
+/**
+ * -2019, the margin is insufficient for the order
+ */
+class MarginInsufficientError extends ClientError {
+  constructor (errorMessage, details) {
+    super(errorMessage, details)
+    this.name = 'MarginInsufficientError'
+  }
+}
+
+module.exports = MarginInsufficientError
@@ -0,0 +1,15 @@
+'use strict'
+
+const ClientError = require('./clientError')
+
+/**
+ * -4164, the order notional is below the symbol's minimum
+ */
+class MinNotionalError extends ClientError {
+  constructor (errorMessage, details) {
+    super(errorMessage, details)
+    this.name = 'MinNotionalError'
+  }
+}
+
+module.exports = MinNotionalError
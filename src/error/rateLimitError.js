@@ -0,0 +1,18 @@
+'use strict'
+
+const ClientError = require('./clientError')
+
+/**
+ * HTTP 429 or -1003, the request rate limit is exceeded.
+ * `retryAfter` is the number of seconds to wait, from the Retry-After header.
+ */
+class RateLimitError extends ClientError {
+  constructor (errorMessage, details) {
+    super(errorMessage, details)
+    this.name = 'RateLimitError'
+    const retryAfter = Number(this.headers['retry-after'])
+    this.retryAfter = Number.isNaN(retryAfter) ? undefined : retryAfter
+  }
+}
+
+module.exports = RateLimitError
@@ -0,0 +1,15 @@
+'use strict'
+
+const ClientError = require('./clientError')
+
+/**
+ * -2022, a reduceOnly order was rejected
+ */
+class ReduceOnlyRejectedError extends ClientError {
+  constructor (errorMessage, details) {
+    super(errorMessage, details)
+    this.name = 'ReduceOnlyRejectedError'
+  }
+}
+
+module.exports = ReduceOnlyRejectedError
@@ -0,0 +1,24 @@
+'use strict'
+
+const Error = require('./error')
+
+/**
+ * Thrown when the server returns 5XX
+ *
+ * @param {string} errorMessage
+ * @param {object} [details] - same details as ClientError
+ */
+class ServerError extends Error {
+  constructor (errorMessage, { status, code, headers, method, path } = {}) {
+    super(errorMessage)
+    this.name = 'ServerError'
+    this.status = status
+    this.code = code
+    this.msg = errorMessage
+    this.headers = headers || {}
+    this.method = method
+    this.path = path
+  }
+}
+
+module.exports = ServerError
@@ -0,0 +1,15 @@
+'use strict'
+
+const ClientError = require('./clientError')
+
+/**
+ * -1021, the request timestamp is outside of recvWindow
+ */
+class TimestampError extends ClientError {
+  constructor (errorMessage, details) {
+    super(errorMessage, details)
+    this.name = 'TimestampError'
+  }
+}
+
+module.exports = TimestampError
@@ -0,0 +1,84 @@
+'use strict'
+
+const SymbolFilters = require('./symbolFilters')
+const ConnectorClientError = require('./error/connectorClientError')
+
+/**
+ * Cached view of exchangeInfo, reloaded on access once older than refreshInterval
+ *
+ * @param {Futures} client
+ * @param {object} [options]
+ * @param {number} [options.refreshInterval] - in ms, default is 1 hour
+ */
+class ExchangeInfoCache {
+  constructor (client, options = {}) {
+    this.client = client
+    this.refreshInterval = options.refreshInterval || 60 * 60 * 1000
+    this.data = null
+    this.symbols = new Map()
+    this.loadedAt = 0
+    this.loading = null
+    this.refreshTimer = null
+  }
+
+  /**
+   * Fetch exchangeInfo, concurrent calls share the same request
+   *
+   * @returns {Promise<ExchangeInfoCache>}
+   */
+  load () {
+    if (!this.loading) {
+      this.loading = this.client.exchangeInfo()
+        .then(response => {
+          this.data = response.data
+          this.symbols = new Map(response.data.symbols.map(info => [info.symbol, new SymbolFilters(info)]))
+          this.loadedAt = Date.now()
+          return this
+        })
+        .finally(() => {
+          this.loading = null
+        })
+    }
+    return this.loading
+  }
+
+  isStale () {
+    return !this.data || Date.now() - this.loadedAt > this.refreshInterval
+  }
+
+  /**
+   * @param {string} symbol
+   * @returns {Promise<SymbolFilters>}
+   */
+  getSymbol (symbol) {
+    const ready = this.isStale() ? this.load() : Promise.resolve(this)
+    return ready.then(() => {
+      const filters = this.symbols.get(symbol.toUpperCase())
+      if (!filters) {
+        throw new ConnectorClientError(`Unknown symbol ${symbol}`)
+      }
+      return filters
+    })
+  }
+
+  /**
+   * Reload on a timer instead of on access
+   */
+  startAutoRefresh () {
+    this.stopAutoRefresh()
+    this.refreshTimer = setInterval(() => {
+      this.load().catch(error => this.client.logger.error(`Failed to refresh exchangeInfo: ${error.message}`))
+    }, this.refreshInterval)
+    if (this.refreshTimer.unref) {
+      this.refreshTimer.unref()
+    }
+    return this.load()
+  }
+
+  stopAutoRefresh () {
+    clearInterval(this.refreshTimer)
+    this.refreshTimer = null
+  }
+}
+
+module.exports = ExchangeInfoCache
@@ -3,15 +3,11 @@
 const APIBase = require("./APIBase");
 const restfulModules = require("./modules/restful");
 const { flowRight } = require("./helpers/utils");
+const { applyEnvironment } = require('./helpers/environment')
 
 class Futures extends flowRight(...Object.values(restfulModules))(APIBase) {
   constructor(apiKey = "", apiSecret = "", options = {}) {
-    options.baseURL = options.baseURL || "https://fapi.binance.com";
-    super({
-      apiKey,
-      apiSecret,
-      ...options,
-    });
+    super({ apiKey, apiSecret, ...applyEnvironment('usdm', options) })
   }
 }
 
@@ -0,0 +1,99 @@
+'use strict'
+
+const ConnectorClientError = require('../error/connectorClientError')
+
+// orders accepted by a single batchOrders request
+const BATCH_SIZE = 5
+
+const chunk = (items, size) => {
+  const chunks = []
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size))
+  }
+  return chunks
+}
+
+// the exchange answers a rejected order with { code, msg } in place of the order
+const isBatchError = item => Boolean(item) && item.code !== undefined && item.msg !== undefined && item.orderId === undefined
+
+/**
+ * Send orders in batches of 5, one batch after the other, and pair every order with its outcome<br>
+ *
+ * A batch that fails as a whole gives its error to each of its orders, and the next batches are not
+ * sent. When the first batch fails nothing has been sent, so the promise is rejected with its error.
+ *
+ * @param {object[]} orders - the orders to send
+ * @param {function} sendBatch - (orders) => Promise<response>, a single batchOrders request
+ * @param {object[]} [inputs] - the orders as given by the caller, paired with the results, default is orders
+ * @returns {Promise<object>} the last response, its data being [{ order, result }] or [{ order, error }] in the input order
+ */
+const sendInBatches = (orders, sendBatch, inputs = orders) => {
+  const entries = []
+  let lastResponse = null
+  let failure = null
+
+  const sendNext = batches => {
+    if (!batches.length) return Promise.resolve()
+    const [{ offset, batch }, ...rest] = batches
+    const pair = (index, outcome) => entries.push({ order: inputs[offset + index], ...outcome })
+
+    if (failure) {
+      batch.forEach((order, index) => pair(index, { error: new ConnectorClientError(`Not sent, an earlier batch failed: ${failure.message}`) }))
+      return sendNext(rest)
+    }
+    return sendBatch(batch).then(response => {
+      lastResponse = response
+      batch.forEach((order, index) => {
+        const item = response.data[index]
+        pair(index, isBatchError(item) ? { error: item } : { result: item })
+      })
+    }, error => {
+      if (!lastResponse) throw error
+      failure = error
+      batch.forEach((order, index) => pair(index, { error }))
+    }).then(() => sendNext(rest))
+  }
+
+  const batches = chunk(orders, BATCH_SIZE).map((batch, i) => ({ offset: i * BATCH_SIZE, batch }))
+  return sendNext(batches).then(() => ({ ...lastResponse, data: entries }))
+}
+
+/**
+ * Send the orders whose preparation succeeded with sendInBatches, the others are paired with
+ * their preparation error, such as a FilterValidationError, in their own place<br>
+ *
+ * When no order could be prepared nothing is sent, and the response only has data.
+ *
+ * @param {Promise<object>[]} preparations - the prepared order of every input, e.g. from prepareOrder
+ * @param {function} sendBatch - (orders) => Promise<response>, a single batchOrders request
+ * @param {object[]} inputs - the orders as given by the caller
+ * @returns {Promise<object>} the last response, its data being [{ order, result }] or [{ order, error }] in the input order
+ */
+const sendPreparedInBatches = (preparations, sendBatch, inputs) =>
+  Promise.allSettled(preparations).then(outcomes => {
+    const prepared = outcomes
+      .map((outcome, index) => ({ outcome, index }))
+      .filter(({ outcome }) => outcome.status === 'fulfilled')
+    const unprepared = outcome => ({ error: outcome.reason })
+    if (!prepared.length) {
+      return { data: outcomes.map((outcome, index) => ({ order: inputs[index], ...unprepared(outcome) })) }
+    }
+
+    return sendInBatches(
+      prepared.map(({ outcome }) => outcome.value),
+      sendBatch,
+      prepared.map(({ index }) => inputs[index])
+    ).then(response => {
+      const sent = response.data.slice()
+      const data = outcomes.map((outcome, index) =>
+        outcome.status === 'fulfilled' ? sent.shift() : { order: inputs[index], ...unprepared(outcome) })
+      return { ...response, data }
+    })
+  })
+
+module.exports = {
+  BATCH_SIZE,
+  chunk,
+  sendInBatches,
+  sendPreparedInBatches
+}
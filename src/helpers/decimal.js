@@ -0,0 +1,149 @@
+'use strict'
+
+/**
+ * Number of decimal places of a step such as '0.00100000', trailing zeros excluded
+ */
+const decimalPlaces = step => {
+  const [, decimals = ''] = String(step).split('.')
+  return decimals.replace(/0+$/, '').length
+}
+
+const DECIMAL = /^[-+]?(\d+\.?\d*|\.\d+)$/
+
+/**
+ * Split a value in its sign, integer and fraction digits, undefined when it is not a decimal number
+ */
+const decimalParts = value => {
+  const string = String(toDecimalString(value)).trim()
+  if (!DECIMAL.test(string)) return undefined
+  const [integer, fraction = ''] = string.replace(/^[-+]/, '').split('.')
+  return { negative: string.startsWith('-'), integer: integer || '0', fraction }
+}
+
+/**
+ * Value as an integer of units of 10^-places, e.g. 1.005 with 3 places is 1005n
+ */
+const toScaledInteger = ({ negative, integer, fraction }, places) => {
+  const scaled = BigInt(integer + fraction.padEnd(places, '0').slice(0, places))
+  return negative ? -scaled : scaled
+}
+
+/**
+ * Fixed-point string of an integer of units of 10^-places, with the given number of decimals
+ */
+const fromScaledInteger = (scaled, places, decimals) => {
+  const digits = (scaled < 0n ? -scaled : scaled).toString().padStart(places + 1, '0')
+  const integer = digits.slice(0, digits.length - places)
+  const fraction = digits.slice(digits.length - places).padEnd(decimals, '0').slice(0, decimals)
+  const string = decimals ? `${integer}.${fraction}` : integer
+  return scaled < 0n ? `-${string}` : string
+}
+
+/**
+ * Round a value to a multiple of step, returned as a fixed-point string<br>
+ *
+ * Computed on integers, so 1.005 rounds to 1.01 with a step of 0.01.
+ *
+ * @param {number|string} value
+ * @param {number|string} step - e.g. tickSize or stepSize
+ * @param {string} [mode] - 'round' (default, half up), 'floor' or 'ceil'
+ * @returns {string}
+ */
+const roundToStep = (value, step, mode = 'round') => {
+  const decimals = decimalPlaces(step)
+  const valueParts = decimalParts(value)
+  const stepParts = decimalParts(step)
+  if (!valueParts || !stepParts) return Number(value).toFixed(decimals)
+
+  const places = Math.max(valueParts.fraction.length, stepParts.fraction.length)
+  const scaledValue = toScaledInteger(valueParts, places)
+  const scaledStep = toScaledInteger(stepParts, places)
+  if (scaledStep <= 0n) return fromScaledInteger(scaledValue, places, decimals)
+
+  // BigInt division truncates towards zero
+  let units = scaledValue / scaledStep
+  const remainder = scaledValue % scaledStep
+  if (mode === 'floor') {
+    if (remainder < 0n) units -= 1n
+  } else if (mode === 'ceil') {
+    if (remainder > 0n) units += 1n
+  } else if (remainder > 0n && remainder * 2n >= scaledStep) {
+    units += 1n
+  } else if (remainder < 0n && -remainder * 2n > scaledStep) {
+    units -= 1n
+  }
+  return fromScaledInteger(units * scaledStep, places, decimals)
+}
+
+/**
+ * Whether value is a multiple of step
+ */
+const isMultipleOf = (value, step) => {
+  const valueParts = decimalParts(value)
+  const stepParts = decimalParts(step)
+  if (!valueParts || !stepParts) return false
+  const places = Math.max(valueParts.fraction.length, stepParts.fraction.length)
+  const scaledStep = toScaledInteger(stepParts, places)
+  return scaledStep === 0n || toScaledInteger(valueParts, places) % scaledStep === 0n
+}
+
+const EXPONENT = /^[-+]?(\d+\.?\d*|\.\d+)e[-+]?\d+$/i
+
+/**
+ * Move the decimal point of a number written with an exponent, e.g. '1.5e-7' is '0.00000015'
+ */
+const expandExponent = string => {
+  const [mantissa, exponent = '0'] = string.toLowerCase().split('e')
+  const negative = mantissa.startsWith('-')
+  const [integer, fraction = ''] = mantissa.replace(/^[-+]/, '').split('.')
+  const digits = integer + fraction
+  const point = integer.length + Number(exponent)
+
+  let result
+  if (point <= 0) {
+    result = `0.${'0'.repeat(-point)}${digits}`
+  } else if (point >= digits.length) {
+    result = digits + '0'.repeat(point - digits.length)
+  } else {
+    result = `${digits.slice(0, point)}.${digits.slice(point)}`
+  }
+  result = result.replace(/^0+(?=\d)/, '')
+  if (result.includes('.')) {
+    result = result.replace(/0+$/, '').replace(/\.$/, '')
+  }
+  return negative && /[1-9]/.test(result) ? `-${result}` : result
+}
+
+/**
+ * Decimal library objects, such as decimal.js, big.js or bignumber.js, all have toFixed()
+ */
+const isDecimalLike = value => value !== null && typeof value === 'object' && typeof value.toFixed === 'function'
+
+/**
+ * Plain fixed-point notation of a number, bigint, numeric string or decimal library object<br>
+ *
+ * Numbers keep 15 significant digits, which drops the binary floating point noise:
+ * 0.1 + 0.2 is '0.3' and 1e-7 is '0.0000001'. Other values are returned as they are.
+ *
+ * @param {*} value
+ * @returns {string|*}
+ */
+const toDecimalString = value => {
+  if (typeof value === 'bigint') return value.toString()
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) return String(value)
+    if (Number.isInteger(value) && Math.abs(value) < 1e21) return String(value)
+    return expandExponent(value.toPrecision(15))
+  }
+  if (typeof value === 'string') return EXPONENT.test(value) ? expandExponent(value) : value
+  if (isDecimalLike(value)) return value.toFixed()
+  return value
+}
+
+module.exports = {
+  toDecimalString,
+  isDecimalLike,
+  decimalPlaces,
+  roundToStep,
+  isMultipleOf
+}
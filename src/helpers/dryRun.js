@@ -0,0 +1,84 @@
+'use strict'
+
+/**
+ * Requests changing the account state, held back in dry run mode
+ */
+const STATE_CHANGING_ENDPOINTS = [
+  'POST /fapi/v1/order',
+  'PUT /fapi/v1/order',
+  'DELETE /fapi/v1/order',
+  'POST /fapi/v1/batchOrders',
+  'PUT /fapi/v1/batchOrders',
+  'DELETE /fapi/v1/batchOrders',
+  'DELETE /fapi/v1/allOpenOrders',
+  'POST /fapi/v1/countdownCancelAll',
+  'POST /fapi/v1/leverage',
+  'POST /fapi/v1/marginType',
+  'POST /fapi/v1/positionMargin',
+  'POST /fapi/v1/positionSide/dual',
+  'POST /fapi/v1/multiAssetsMargin',
+  'POST /dapi/v1/order',
+  'PUT /dapi/v1/order',
+  'DELETE /dapi/v1/order',
+  'POST /dapi/v1/batchOrders',
+  'PUT /dapi/v1/batchOrders',
+  'DELETE /dapi/v1/batchOrders',
+  'DELETE /dapi/v1/allOpenOrders',
+  'POST /dapi/v1/countdownCancelAll',
+  'POST /dapi/v1/leverage',
+  'POST /dapi/v1/marginType',
+  'POST /dapi/v1/positionMargin',
+  'POST /dapi/v1/positionSide/dual'
+]
+
+/**
+ * Websocket API methods changing the account state
+ */
+const STATE_CHANGING_METHODS = ['order.place', 'order.modify', 'order.cancel']
+
+// endpoints checking a request without executing it, only USDⓈ-M new orders have one:
+// batches, modifications and COIN-M orders are logged in 'test' mode too
+const TEST_ENDPOINTS = {
+  'POST /fapi/v1/order': '/fapi/v1/order/test'
+}
+
+const isStateChanging = (method, path) => STATE_CHANGING_ENDPOINTS.includes(`${method} ${path}`)
+
+const isStateChangingMethod = method => STATE_CHANGING_METHODS.includes(method)
+
+const getTestPath = (method, path) => TEST_ENDPOINTS[`${method} ${path}`]
+
+/**
+ * Response of a request held back in dry run mode, its data echoes the parameters,
+ * as a list for batchOrders so that every order has a result
+ */
+const createDryRunResponse = (method, path, params) => ({
+  status: 200,
+  statusText: 'OK',
+  headers: {},
+  config: { method, url: path },
+  dryRun: true,
+  data: Array.isArray(params.batchOrders) ? params.batchOrders : params
+})
+
+/**
+ * Websocket API response of a request held back in dry run mode, its result echoes the parameters
+ */
+const createDryRunMessage = (method, params) => ({
+  id: null,
+  status: 200,
+  method,
+  dryRun: true,
+  result: params,
+  rateLimits: []
+})
+
+module.exports = {
+  STATE_CHANGING_ENDPOINTS,
+  STATE_CHANGING_METHODS,
+  isStateChanging,
+  isStateChangingMethod,
+  createDryRunMessage,
+  getTestPath,
+  createDryRunResponse
+}
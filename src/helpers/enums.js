@@ -0,0 +1,123 @@
+'use strict'
+
+const OrderSide = Object.freeze({
+  BUY: 'BUY',
+  SELL: 'SELL'
+})
+
+const PositionSide = Object.freeze({
+  BOTH: 'BOTH',
+  LONG: 'LONG',
+  SHORT: 'SHORT'
+})
+
+const OrderType = Object.freeze({
+  LIMIT: 'LIMIT',
+  MARKET: 'MARKET',
+  STOP: 'STOP',
+  STOP_MARKET: 'STOP_MARKET',
+  TAKE_PROFIT: 'TAKE_PROFIT',
+  TAKE_PROFIT_MARKET: 'TAKE_PROFIT_MARKET',
+  TRAILING_STOP_MARKET: 'TRAILING_STOP_MARKET'
+})
+
+const TimeInForce = Object.freeze({
+  GTC: 'GTC',
+  IOC: 'IOC',
+  FOK: 'FOK',
+  // post only
+  GTX: 'GTX',
+  // good till date, with goodTillDate
+  GTD: 'GTD'
+})
+
+const WorkingType = Object.freeze({
+  MARK_PRICE: 'MARK_PRICE',
+  CONTRACT_PRICE: 'CONTRACT_PRICE'
+})
+
+const NewOrderRespType = Object.freeze({
+  ACK: 'ACK',
+  RESULT: 'RESULT'
+})
+
+const SelfTradePreventionMode = Object.freeze({
+  NONE: 'NONE',
+  EXPIRE_TAKER: 'EXPIRE_TAKER',
+  EXPIRE_MAKER: 'EXPIRE_MAKER',
+  EXPIRE_BOTH: 'EXPIRE_BOTH'
+})
+
+const PriceMatch = Object.freeze({
+  NONE: 'NONE',
+  OPPONENT: 'OPPONENT',
+  OPPONENT_5: 'OPPONENT_5',
+  OPPONENT_10: 'OPPONENT_10',
+  OPPONENT_20: 'OPPONENT_20',
+  QUEUE: 'QUEUE',
+  QUEUE_5: 'QUEUE_5',
+  QUEUE_10: 'QUEUE_10',
+  QUEUE_20: 'QUEUE_20'
+})
+
+const MarginType = Object.freeze({
+  ISOLATED: 'ISOLATED',
+  CROSSED: 'CROSSED'
+})
+
+const KlineInterval = Object.freeze({
+  ONE_MINUTE: '1m',
+  THREE_MINUTES: '3m',
+  FIVE_MINUTES: '5m',
+  FIFTEEN_MINUTES: '15m',
+  THIRTY_MINUTES: '30m',
+  ONE_HOUR: '1h',
+  TWO_HOURS: '2h',
+  FOUR_HOURS: '4h',
+  SIX_HOURS: '6h',
+  EIGHT_HOURS: '8h',
+  TWELVE_HOURS: '12h',
+  ONE_DAY: '1d',
+  THREE_DAYS: '3d',
+  ONE_WEEK: '1w',
+  ONE_MONTH: '1M'
+})
+
+const ContractType = Object.freeze({
+  PERPETUAL: 'PERPETUAL',
+  CURRENT_MONTH: 'CURRENT_MONTH',
+  NEXT_MONTH: 'NEXT_MONTH',
+  CURRENT_QUARTER: 'CURRENT_QUARTER',
+  NEXT_QUARTER: 'NEXT_QUARTER',
+  PERPETUAL_DELIVERING: 'PERPETUAL_DELIVERING'
+})
+
+/**
+ * Periods of the /futures/data statistics, e.g. openInterestHist or basis
+ */
+const DataPeriod = Object.freeze({
+  FIVE_MINUTES: '5m',
+  FIFTEEN_MINUTES: '15m',
+  THIRTY_MINUTES: '30m',
+  ONE_HOUR: '1h',
+  TWO_HOURS: '2h',
+  FOUR_HOURS: '4h',
+  SIX_HOURS: '6h',
+  TWELVE_HOURS: '12h',
+  ONE_DAY: '1d'
+})
+
+module.exports = {
+  OrderSide,
+  PositionSide,
+  OrderType,
+  TimeInForce,
+  WorkingType,
+  NewOrderRespType,
+  SelfTradePreventionMode,
+  PriceMatch,
+  MarginType,
+  KlineInterval,
+  ContractType,
+  DataPeriod
+}
@@ -0,0 +1,106 @@
+'use strict'
+
+const ConnectorClientError = require('../error/connectorClientError')
+
+const Environment = Object.freeze({
+  PRODUCTION: 'production',
+  TESTNET: 'testnet'
+})
+
+// REST, market and user data stream, and websocket API URLs of every market
+const ENVIRONMENT_URLS = {
+  usdm: {
+    production: {
+      baseURL: 'https://fapi.binance.com',
+      streamURL: 'wss://fstream.binance.com',
+      wsAPIURL: 'wss://ws-fapi.binance.com/ws-fapi/v1'
+    },
+    testnet: {
+      baseURL: 'https://testnet.binancefuture.com',
+      streamURL: 'wss://fstream.binancefuture.com',
+      wsAPIURL: 'wss://testnet.binancefuture.com/ws-fapi/v1'
+    }
+  },
+  coinm: {
+    production: {
+      baseURL: 'https://dapi.binance.com',
+      streamURL: 'wss://dstream.binance.com',
+      wsAPIURL: 'wss://ws-dapi.binance.com/ws-dapi/v1'
+    },
+    testnet: {
+      baseURL: 'https://testnet.binancefuture.com',
+      streamURL: 'wss://dstream.binancefuture.com',
+      wsAPIURL: 'wss://testnet.binancefuture.com/ws-dapi/v1'
+    }
+  }
+}
+
+const TESTNET_HOSTS = Object.values(ENVIRONMENT_URLS).reduce((hosts, { testnet }) => {
+  Object.values(testnet).forEach(url => hosts.add(new URL(url).hostname))
+  return hosts
+}, new Set())
+
+/**
+ * URLs of an environment
+ *
+ * @param {string} market - 'usdm' or 'coinm'
+ * @param {string} [environment] - 'production' or 'testnet', default is 'production'
+ * @returns {object} { baseURL, streamURL, wsAPIURL }
+ */
+const getEnvironmentURLs = (market, environment = Environment.PRODUCTION) => {
+  const urls = ENVIRONMENT_URLS[market][environment]
+  if (!urls) {
+    throw new ConnectorClientError(`environment must be one of ${Object.values(Environment).join(', ')}, got ${environment}`)
+  }
+  return urls
+}
+
+/**
+ * Whether orders must be refused outside of the testnet: expectTestnet when it is set,
+ * otherwise whenever the environment is the testnet
+ *
+ * @param {object} options - { environment, expectTestnet }
+ * @returns {boolean}
+ */
+const isTestnetExpected = ({ environment, expectTestnet }) =>
+  expectTestnet !== undefined ? Boolean(expectTestnet) : environment === Environment.TESTNET
+
+/**
+ * Client options with the URLs of the environment, the explicit URLs taking precedence, and expectTestnet
+ *
+ * @param {string} market - 'usdm' or 'coinm'
+ * @param {object} options - REST client options
+ * @returns {object} the options with baseURL, wsURL, wsAPIURL and expectTestnet set
+ */
+const applyEnvironment = (market, options) => {
+  const urls = getEnvironmentURLs(market, options.environment)
+  return {
+    ...options,
+    baseURL: options.baseURL || urls.baseURL,
+    wsURL: options.wsURL || urls.streamURL,
+    wsAPIURL: options.wsAPIURL || urls.wsAPIURL,
+    expectTestnet: isTestnetExpected(options)
+  }
+}
+
+/**
+ * Whether a REST or websocket URL points to the testnet
+ *
+ * @param {string} url
+ * @returns {boolean}
+ */
+const isTestnetURL = url => {
+  try {
+    return TESTNET_HOSTS.has(new URL(url).hostname)
+  } catch (error) {
+    return false
+  }
+}
+
+module.exports = {
+  Environment,
+  getEnvironmentURLs,
+  applyEnvironment,
+  isTestnetExpected,
+  isTestnetURL
+}
@@ -0,0 +1,46 @@
+'use strict'
+
+/**
+ * Page forward through a history endpoint<br>
+ *
+ * Items repeated on a page boundary, e.g. when the next page starts at the time of the last item,
+ * are yielded once. Paging stops on a short page, on the first item past the end, or after maxItems.
+ *
+ * @param {function} fetchPage - (cursor) => Promise<object[]>
+ * @param {object} options
+ * @param {*} options.cursor - cursor of the first page
+ * @param {function} options.nextCursor - (lastItem, { fresh }) => cursor of the next page, fresh is the number of new items in the page
+ * @param {function} options.key - (item) => unique key of an item
+ * @param {number} options.pageSize
+ * @param {function} [options.isPastEnd] - (item) => true once the item is past the requested range
+ * @param {number} [options.maxItems]
+ * @returns {AsyncGenerator<object>}
+ */
+const paginate = async function * (fetchPage, options) {
+  const { nextCursor, key, pageSize, isPastEnd = () => false, maxItems = Infinity } = options
+  let cursor = options.cursor
+  let previousKeys = new Set()
+  let count = 0
+
+  while (count < maxItems) {
+    const page = await fetchPage(cursor)
+    const pageKeys = new Set()
+    let fresh = 0
+
+    for (const item of page) {
+      const itemKey = key(item)
+      pageKeys.add(itemKey)
+      if (previousKeys.has(itemKey)) continue
+      if (isPastEnd(item)) return
+      fresh++
+      yield item
+      if (++count >= maxItems) return
+    }
+
+    if (page.length < pageSize) return
+    previousKeys = pageKeys
+    cursor = nextCursor(page[page.length - 1], { fresh })
+  }
+}
+
+module.exports = paginate
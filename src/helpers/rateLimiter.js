@@ -0,0 +1,152 @@
+'use strict'
+
+const SECOND = 1000
+const MINUTE = 60 * SECOND
+
+// header and default limit of every tracked counter
+const COUNTERS = {
+  usedWeight1m: { header: 'x-mbx-used-weight-1m', interval: MINUTE, limit: 2400 },
+  orderCount10s: { header: 'x-mbx-order-count-10s', interval: 10 * SECOND, limit: 300 },
+  orderCount1m: { header: 'x-mbx-order-count-1m', interval: MINUTE, limit: 1200 }
+}
+
+/**
+ * Tracks the used weight and order counts reported by the server<br>
+ *
+ * Between responses the usage is estimated from the weight of the requests sent.
+ * When `throttle` is enabled, requests that would exceed a limit are delayed until
+ * the interval resets, and all requests wait after a 429 or 418 response.
+ *
+ * @param {object} [options]
+ * @param {boolean} [options.throttle] - default is false, only track the usage
+ * @param {number} [options.usedWeight1m] - default is 2400
+ * @param {number} [options.orderCount10s] - default is 300
+ * @param {number} [options.orderCount1m] - default is 1200
+ * @param {object} [options.logger]
+ */
+class RateLimiter {
+  constructor (options = {}) {
+    this.throttle = options.throttle || false
+    this.logger = options.logger
+    this.limits = {}
+    this.counters = {}
+    Object.keys(COUNTERS).forEach(name => {
+      this.limits[name] = options[name] || COUNTERS[name].limit
+      this.counters[name] = { windowStart: 0, value: 0 }
+    })
+    this.blockedUntil = 0
+    this.queue = Promise.resolve()
+  }
+
+  windowStart (name, now) {
+    const { interval } = COUNTERS[name]
+    return Math.floor(now / interval) * interval
+  }
+
+  current (name, now = Date.now()) {
+    const counter = this.counters[name]
+    return counter.windowStart === this.windowStart(name, now) ? counter.value : 0
+  }
+
+  add (name, value, now = Date.now()) {
+    const windowStart = this.windowStart(name, now)
+    const counter = this.counters[name]
+    if (counter.windowStart !== windowStart) {
+      counter.windowStart = windowStart
+      counter.value = 0
+    }
+    counter.value += value
+  }
+
+  /**
+   * Update the counters from the response headers
+   *
+   * @param {object} headers
+   */
+  update (headers = {}) {
+    const now = Date.now()
+    Object.keys(COUNTERS).forEach(name => {
+      const value = Number(headers[COUNTERS[name].header])
+      if (headers[COUNTERS[name].header] === undefined || Number.isNaN(value)) return
+      this.counters[name] = { windowStart: this.windowStart(name, now), value }
+    })
+  }
+
+  /**
+   * Stop sending requests for the given number of seconds, after a 429 or 418 response
+   *
+   * @param {number} seconds
+   */
+  block (seconds) {
+    this.blockedUntil = Math.max(this.blockedUntil, Date.now() + seconds * SECOND)
+  }
+
+  /**
+   * Milliseconds to wait before the request fits in every limit, 0 when it can be sent now
+   */
+  delayFor (weight, orders) {
+    const now = Date.now()
+    let delay = Math.max(0, this.blockedUntil - now)
+    const needed = { usedWeight1m: weight, orderCount10s: orders, orderCount1m: orders }
+    Object.keys(needed).forEach(name => {
+      if (!needed[name]) return
+      if (this.current(name, now) + needed[name] > this.limits[name]) {
+        delay = Math.max(delay, this.windowStart(name, now) + COUNTERS[name].interval - now)
+      }
+    })
+    return delay
+  }
+
+  /**
+   * Resolve once the request can be sent, requests are released in order
+   *
+   * @param {number} weight
+   * @param {number} [orders]
+   * @returns {Promise}
+   */
+  schedule (weight, orders = 0) {
+    const reserve = () => {
+      this.add('usedWeight1m', weight)
+      if (orders) {
+        this.add('orderCount10s', orders)
+        this.add('orderCount1m', orders)
+      }
+    }
+
+    if (!this.throttle) {
+      reserve()
+      return Promise.resolve()
+    }
+
+    const wait = () => {
+      const delay = this.delayFor(weight, orders)
+      if (!delay) {
+        reserve()
+        return
+      }
+      if (this.logger) {
+        this.logger.warn(`Rate limit reached, delaying request by ${delay}ms`)
+      }
+      return new Promise(resolve => setTimeout(resolve, delay)).then(wait)
+    }
+    const scheduled = this.queue.then(wait)
+    this.queue = scheduled.catch(() => {})
+    return scheduled
+  }
+
+  /**
+   * Current usage and limits
+   *
+   * @returns {object} e.g. { usedWeight1m: { used: 10, limit: 2400 }, orderCount10s: ..., orderCount1m: ... }
+   */
+  getUsage () {
+    const now = Date.now()
+    const usage = {}
+    Object.keys(COUNTERS).forEach(name => {
+      usage[name] = { used: this.current(name, now), limit: this.limits[name] }
+    })
+    return usage
+  }
+}
+
+module.exports = RateLimiter
@@ -0,0 +1,197 @@
+'use strict'
+
+const depthWeight = ({ limit = 500 }) => {
+  if (limit <= 50) return 2
+  if (limit <= 100) return 5
+  if (limit <= 500) return 10
+  return 20
+}
+
+const klinesWeight = ({ limit = 500 }) => {
+  if (limit < 100) return 1
+  if (limit < 500) return 2
+  if (limit <= 1000) return 5
+  return 10
+}
+
+// the weight of some endpoints depends on whether a symbol is given
+const withSymbol = (weight, weightWithoutSymbol) => ({ symbol }) => symbol ? weight : weightWithoutSymbol
+
+/**
+ * IP weight of every RESTful endpoint, either a number or a function of the request parameters
+ */
+const REQUEST_WEIGHTS = {
+  // Market
+  'GET /fapi/v1/ping': 1,
+  'GET /fapi/v1/time': 1,
+  'GET /fapi/v1/exchangeInfo': 1,
+  'GET /fapi/v1/depth': depthWeight,
+  'GET /fapi/v1/trades': 5,
+  'GET /fapi/v1/historicalTrades': 20,
+  'GET /fapi/v1/aggTrades': 20,
+  'GET /fapi/v1/klines': klinesWeight,
+  'GET /fapi/v1/continuousKlines': klinesWeight,
+  'GET /fapi/v1/indexPriceKlines': klinesWeight,
+  'GET /fapi/v1/markPriceKlines': klinesWeight,
+  'GET /fapi/v1/premiumIndexKlines': klinesWeight,
+  'GET /fapi/v1/premiumIndex': 1,
+  'GET /fapi/v1/fundingRate': 1,
+  'GET /fapi/v1/fundingInfo': 1,
+  'GET /fapi/v1/ticker/24hr': withSymbol(1, 40),
+  'GET /fapi/v1/ticker/price': withSymbol(1, 2),
+  'GET /fapi/v2/ticker/price': withSymbol(1, 2),
+  'GET /fapi/v1/ticker/bookTicker': withSymbol(2, 5),
+  'GET /fapi/v1/openInterest': 1,
+  'GET /futures/data/delivery-price': 0,
+  'GET /futures/data/openInterestHist': 0,
+  'GET /futures/data/topLongShortAccountRatio': 0,
+  'GET /futures/data/topLongShortPositionRatio': 0,
+  'GET /futures/data/globalLongShortAccountRatio': 0,
+  'GET /futures/data/takerlongshortRatio': 0,
+  'GET /futures/data/basis': 0,
+  'GET /fapi/v1/lvtKlines': 1,
+  'GET /fapi/v1/indexInfo': 1,
+  'GET /fapi/v1/assetIndex': withSymbol(1, 10),
+  'GET /fapi/v1/constituents': 2,
+  // Trade
+  'POST /fapi/v1/order': 0,
+  'POST /fapi/v1/order/test': 0,
+  'POST /fapi/v1/batchOrders': 5,
+  'PUT /fapi/v1/order': 1,
+  'PUT /fapi/v1/batchOrders': 5,
+  'GET /fapi/v1/orderAmendment': 1,
+  'DELETE /fapi/v1/order': 1,
+  'DELETE /fapi/v1/batchOrders': 1,
+  'DELETE /fapi/v1/allOpenOrders': 1,
+  'POST /fapi/v1/countdownCancelAll': 10,
+  'GET /fapi/v1/order': 1,
+  'GET /fapi/v1/allOrders': 5,
+  'GET /fapi/v1/openOrders': withSymbol(1, 40),
+  'GET /fapi/v1/openOrder': 1,
+  'GET /fapi/v1/forceOrders': withSymbol(20, 50),
+  'GET /fapi/v1/userTrades': 5,
+  'POST /fapi/v1/marginType': 1,
+  'POST /fapi/v1/positionSide/dual': 1,
+  'POST /fapi/v1/leverage': 1,
+  'POST /fapi/v1/multiAssetsMargin': 1,
+  'POST /fapi/v1/positionMargin': 1,
+  'GET /fapi/v2/positionRisk': 5,
+  'GET /fapi/v3/positionRisk': 5,
+  'GET /fapi/v1/adlQuantile': 5,
+  'GET /fapi/v1/positionMargin/history': 1,
+  // Account
+  'GET /fapi/v3/balance': 5,
+  'GET /fapi/v2/balance': 5,
+  'GET /fapi/v3/account': 5,
+  'GET /fapi/v2/account': 5,
+  'GET /fapi/v1/commissionRate': 20,
+  'GET /fapi/v1/accountConfig': 5,
+  'GET /fapi/v1/symbolConfig': 5,
+  'GET /fapi/v1/rateLimit/order': 1,
+  'GET /fapi/v1/leverageBracket': 1,
+  'GET /fapi/v1/multiAssetsMargin': 30,
+  'GET /fapi/v1/positionSide/dual': 30,
+  'GET /fapi/v1/income': 30,
+  'GET /fapi/v1/apiTradingStatus': withSymbol(1, 10),
+  'GET /fapi/v1/income/asyn': 1000,
+  // User data stream
+  'POST /fapi/v1/listenKey': 1,
+  'PUT /fapi/v1/listenKey': 1,
+  'DELETE /fapi/v1/listenKey': 1,
+
+  // COIN-M Market
+  'GET /dapi/v1/ping': 1,
+  'GET /dapi/v1/time': 1,
+  'GET /dapi/v1/exchangeInfo': 1,
+  'GET /dapi/v1/depth': depthWeight,
+  'GET /dapi/v1/trades': 5,
+  'GET /dapi/v1/historicalTrades': 20,
+  'GET /dapi/v1/aggTrades': 20,
+  'GET /dapi/v1/premiumIndex': 10,
+  'GET /dapi/v1/fundingRate': 1,
+  'GET /dapi/v1/fundingInfo': 1,
+  'GET /dapi/v1/klines': klinesWeight,
+  'GET /dapi/v1/continuousKlines': klinesWeight,
+  'GET /dapi/v1/indexPriceKlines': klinesWeight,
+  'GET /dapi/v1/markPriceKlines': klinesWeight,
+  'GET /dapi/v1/premiumIndexKlines': klinesWeight,
+  'GET /dapi/v1/ticker/24hr': withSymbol(1, 40),
+  'GET /dapi/v1/ticker/price': withSymbol(1, 2),
+  'GET /dapi/v1/ticker/bookTicker': withSymbol(2, 5),
+  'GET /dapi/v1/openInterest': 1,
+  'GET /futures/data/takerBuySellVol': 0,
+  // COIN-M Trade
+  'POST /dapi/v1/order': 1,
+  'POST /dapi/v1/batchOrders': 5,
+  'PUT /dapi/v1/order': 1,
+  'PUT /dapi/v1/batchOrders': 5,
+  'GET /dapi/v1/orderAmendment': 1,
+  'DELETE /dapi/v1/order': 1,
+  'DELETE /dapi/v1/batchOrders': 1,
+  'DELETE /dapi/v1/allOpenOrders': 1,
+  'POST /dapi/v1/countdownCancelAll': 10,
+  'GET /dapi/v1/order': 1,
+  'GET /dapi/v1/allOrders': withSymbol(20, 40),
+  'GET /dapi/v1/openOrders': withSymbol(1, 40),
+  'GET /dapi/v1/openOrder': 1,
+  'GET /dapi/v1/forceOrders': withSymbol(20, 50),
+  'GET /dapi/v1/userTrades': withSymbol(20, 40),
+  'POST /dapi/v1/marginType': 1,
+  'POST /dapi/v1/positionSide/dual': 1,
+  'POST /dapi/v1/leverage': 1,
+  'POST /dapi/v1/positionMargin': 1,
+  'GET /dapi/v1/positionMargin/history': 1,
+  'GET /dapi/v1/positionRisk': 1,
+  'GET /dapi/v1/adlQuantile': 5,
+  // COIN-M Account
+  'GET /dapi/v1/balance': 1,
+  'GET /dapi/v1/account': 5,
+  'GET /dapi/v1/commissionRate': 20,
+  'GET /dapi/v1/leverageBracket': 1,
+  'GET /dapi/v2/leverageBracket': 1,
+  'GET /dapi/v1/positionSide/dual': 30,
+  'GET /dapi/v1/income': 20,
+  'GET /dapi/v1/income/asyn': 5,
+  'GET /dapi/v1/income/asyn/id': 5,
+  // COIN-M User data stream
+  'POST /dapi/v1/listenKey': 1,
+  'PUT /dapi/v1/listenKey': 1,
+  'DELETE /dapi/v1/listenKey': 1
+}
+
+/**
+ * Endpoints counted against the order rate limits
+ */
+const ORDER_ENDPOINTS = {
+  'POST /fapi/v1/order': 1,
+  'PUT /fapi/v1/order': 1,
+  'POST /fapi/v1/batchOrders': ({ batchOrders = [] }) => batchOrders.length,
+  'PUT /fapi/v1/batchOrders': ({ batchOrders = [] }) => batchOrders.length,
+  'POST /dapi/v1/order': 1,
+  'PUT /dapi/v1/order': 1,
+  'POST /dapi/v1/batchOrders': ({ batchOrders = [] }) => batchOrders.length,
+  'PUT /dapi/v1/batchOrders': ({ batchOrders = [] }) => batchOrders.length
+}
+
+const lookup = (table, method, path, params, defaultValue) => {
+  const value = table[`${method} ${path}`]
+  if (value === undefined) return defaultValue
+  return typeof value === 'function' ? value(params || {}) : value
+}
+
+/**
+ * IP weight of a request, 1 for unknown endpoints
+ */
+const getRequestWeight = (method, path, params) => lookup(REQUEST_WEIGHTS, method, path, params, 1)
+
+/**
+ * Number of orders a request counts against the order rate limits
+ */
+const getOrderCount = (method, path, params) => lookup(ORDER_ENDPOINTS, method, path, params, 0)
+
+module.exports = {
+  REQUEST_WEIGHTS,
+  ORDER_ENDPOINTS,
+  getRequestWeight,
+  getOrderCount
+}
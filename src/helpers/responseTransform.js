@@ -0,0 +1,104 @@
+'use strict'
+
+// fields of a kline array, the last unused one is left out of kline objects
+const KLINE_FIELDS = [
+  'openTime', 'open', 'high', 'low', 'close', 'volume', 'closeTime',
+  'quoteVolume', 'trades', 'takerBuyBase', 'takerBuyQuote'
+]
+
+const NUMERIC = /^-?\d+(\.\d+)?$/
+
+const KLINES = 'klines'
+const NUMBERS = 'numbers'
+
+/**
+ * Responses that can be transformed, klines or data with numeric strings
+ */
+const RESPONSE_TYPES = {
+  'GET /fapi/v1/klines': KLINES,
+  'GET /fapi/v1/continuousKlines': KLINES,
+  'GET /fapi/v1/indexPriceKlines': KLINES,
+  'GET /fapi/v1/markPriceKlines': KLINES,
+  'GET /fapi/v1/premiumIndexKlines': KLINES,
+  'GET /fapi/v1/depth': NUMBERS,
+  'GET /fapi/v1/premiumIndex': NUMBERS,
+  'GET /fapi/v1/ticker/24hr': NUMBERS,
+  'GET /fapi/v1/ticker/price': NUMBERS,
+  'GET /fapi/v2/ticker/price': NUMBERS,
+  'GET /fapi/v1/ticker/bookTicker': NUMBERS,
+  'GET /fapi/v2/positionRisk': NUMBERS,
+  'GET /fapi/v3/positionRisk': NUMBERS,
+  'GET /dapi/v1/klines': KLINES,
+  'GET /dapi/v1/continuousKlines': KLINES,
+  'GET /dapi/v1/indexPriceKlines': KLINES,
+  'GET /dapi/v1/markPriceKlines': KLINES,
+  'GET /dapi/v1/premiumIndexKlines': KLINES,
+  'GET /dapi/v1/depth': NUMBERS,
+  'GET /dapi/v1/premiumIndex': NUMBERS,
+  'GET /dapi/v1/ticker/24hr': NUMBERS,
+  'GET /dapi/v1/ticker/price': NUMBERS,
+  'GET /dapi/v1/ticker/bookTicker': NUMBERS,
+  'GET /dapi/v1/positionRisk': NUMBERS
+}
+
+const klineToObject = kline => {
+  const object = {}
+  KLINE_FIELDS.forEach((field, i) => { object[field] = kline[i] })
+  return object
+}
+
+/**
+ * Back to the array returned by the API, from a kline array or object
+ */
+const klineToArray = kline => Array.isArray(kline) ? kline : [...KLINE_FIELDS.map(field => kline[field]), '0']
+
+/**
+ * Parse the numeric strings found in arrays and objects, other values are kept as they are
+ *
+ * @param {*} value
+ * @param {function} parse - (string) => number or decimal
+ */
+const parseNumericStrings = (value, parse) => {
+  if (typeof value === 'string') return NUMERIC.test(value) ? parse(value) : value
+  if (Array.isArray(value)) return value.map(item => parseNumericStrings(item, parse))
+  if (value && typeof value === 'object') {
+    const parsed = {}
+    Object.keys(value).forEach(key => { parsed[key] = parseNumericStrings(value[key], parse) })
+    return parsed
+  }
+  return value
+}
+
+/**
+ * Transformation of the response data of an endpoint, as selected by the client options
+ *
+ * @param {string} method
+ * @param {string} path
+ * @param {object} options
+ * @param {boolean} [options.klineObjects] - klines as objects instead of arrays
+ * @param {boolean|function} [options.parseNumbers] - `true` parses numeric strings with Number, or the parse function, e.g. a decimal constructor
+ * @returns {function|null} (data) => transformed data, null when the data is kept as it is
+ */
+const getResponseTransform = (method, path, { klineObjects, parseNumbers }) => {
+  const type = RESPONSE_TYPES[`${method} ${path}`]
+  const parse = parseNumbers === true ? Number : parseNumbers
+  if (type === KLINES && (klineObjects || parse)) {
+    return data => data.map(kline => {
+      const transformed = klineObjects ? klineToObject(kline) : kline
+      return parse ? parseNumericStrings(transformed, parse) : transformed
+    })
+  }
+  if (type === NUMBERS && parse) {
+    return data => parseNumericStrings(data, parse)
+  }
+  return null
+}
+
+module.exports = {
+  KLINE_FIELDS,
+  RESPONSE_TYPES,
+  klineToObject,
+  klineToArray,
+  parseNumericStrings,
+  getResponseTransform
+}
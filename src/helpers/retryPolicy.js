@@ -0,0 +1,58 @@
+'use strict'
+
+const ServerError = require('../error/serverError')
+const RateLimitError = require('../error/rateLimitError')
+const IPBannedError = require('../error/ipBannedError')
+const { ORDER_ENDPOINTS } = require('./requestWeight')
+
+/**
+ * Decides which failed requests are retried, and after how long<br>
+ *
+ * Network failures, 5XX and 429 responses are retried with exponential backoff and full jitter.
+ * A Retry-After header sets the minimum delay. An IP ban (418) is never retried, and neither is
+ * any order placement or modification, whatever the configured methods.
+ *
+ * @param {object} [options]
+ * @param {number} [options.retries] - maximum number of retries, default is 3
+ * @param {number} [options.baseDelay] - in ms, default is 500
+ * @param {number} [options.maxDelay] - in ms, default is 30000
+ * @param {string[]} [options.methods] - HTTP methods that are safe to retry, default is ['GET']
+ */
+class RetryPolicy {
+  constructor (options = {}) {
+    this.retries = options.retries === undefined ? 3 : options.retries
+    this.baseDelay = options.baseDelay || 500
+    this.maxDelay = options.maxDelay || 30 * 1000
+    this.methods = (options.methods || ['GET']).map(method => method.toUpperCase())
+  }
+
+  isRetryableRequest (method, path) {
+    return this.methods.includes(method) && ORDER_ENDPOINTS[`${method} ${path}`] === undefined
+  }
+
+  isRetryableError (error) {
+    if (error instanceof IPBannedError) return false
+    if (error instanceof RateLimitError || error instanceof ServerError) return true
+    // no response at all: connection reset, DNS failure, timeout...
+    return Boolean(error && error.isAxiosError && !error.response)
+  }
+
+  shouldRetry (error, attempt, method, path) {
+    return attempt < this.retries && this.isRetryableRequest(method, path) && this.isRetryableError(error)
+  }
+
+  /**
+   * @param {Error} error
+   * @param {number} attempt - number of retries already made
+   * @returns {number} delay in ms
+   */
+  getDelay (error, attempt) {
+    const delay = Math.round(Math.random() * Math.min(this.maxDelay, this.baseDelay * 2 ** attempt))
+    if (error instanceof RateLimitError && error.retryAfter) {
+      return Math.max(delay, error.retryAfter * 1000)
+    }
+    return delay
+  }
+}
+
+module.exports = RetryPolicy
@@ -0,0 +1,35 @@
+'use strict'
+
+const crypto = require('crypto')
+const ConnectorClientError = require('../error/connectorClientError')
+const PrivateKeyAlgo = require('./privateKeyAlgo')
+
+/**
+ * Sign the payload with the HMAC secret, or with the RSA/Ed25519 private key when one is provided.
+ * HMAC signatures are hex encoded, key pair signatures are base64 encoded.
+ */
+const createSignature = (payload, { apiSecret, privateKey, privateKeyPassphrase, privateKeyAlgo }) => {
+  if (!privateKey) {
+    return crypto
+      .createHmac('sha256', apiSecret)
+      .update(payload)
+      .digest('hex')
+  }
+
+  if (privateKeyAlgo === PrivateKeyAlgo.RSA) {
+    return crypto.sign('RSA-SHA256', Buffer.from(payload), {
+      key: privateKey,
+      passphrase: privateKeyPassphrase
+    }).toString('base64')
+  } else if (privateKeyAlgo === PrivateKeyAlgo.ED25519) {
+    return crypto.sign(null, Buffer.from(payload), {
+      key: privateKey,
+      passphrase: privateKeyPassphrase
+    }).toString('base64')
+  }
+  throw new ConnectorClientError("privateKeyAlgo must be either 'RSA' or 'ED25519'")
+}
+
+module.exports = {
+  createSignature
+}
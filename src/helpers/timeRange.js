@@ -0,0 +1,56 @@
+'use strict'
+
+const DAY = 24 * 60 * 60 * 1000
+
+const byId = item => item.id
+const byOrderId = item => item.orderId
+const byTransaction = item => `${item.tranId}:${item.incomeType}:${item.symbol}:${item.asset}`
+
+/**
+ * Range limits of the history endpoints<br>
+ *
+ * `window` is the longest startTime to endTime range accepted in one request, longer ranges are split.
+ * `retention` is how far back the exchange keeps the data. `maxLimit` is the largest page size, and
+ * `key` identifies an item when sub-windows are paged on their time.
+ */
+const TIME_RANGE_LIMITS = {
+  'GET /fapi/v1/userTrades': { window: 7 * DAY, retention: 180 * DAY, maxLimit: 1000, key: byId },
+  'GET /fapi/v1/allOrders': { window: 7 * DAY, maxLimit: 1000, key: byOrderId },
+  'GET /fapi/v1/forceOrders': { window: 7 * DAY, maxLimit: 100, key: byOrderId },
+  'GET /fapi/v1/income': { window: 7 * DAY, retention: 90 * DAY, maxLimit: 1000, key: byTransaction },
+  'GET /dapi/v1/userTrades': { window: 7 * DAY, maxLimit: 1000, key: byId },
+  'GET /dapi/v1/allOrders': { window: 7 * DAY, maxLimit: 100, key: byOrderId },
+  'GET /dapi/v1/forceOrders': { window: 7 * DAY, maxLimit: 100, key: byOrderId },
+  // Market data, shared by USDⓈ-M and COIN-M
+  'GET /futures/data/openInterestHist': { retention: 30 * DAY },
+  'GET /futures/data/topLongShortAccountRatio': { retention: 30 * DAY },
+  'GET /futures/data/topLongShortPositionRatio': { retention: 30 * DAY },
+  'GET /futures/data/globalLongShortAccountRatio': { retention: 30 * DAY },
+  'GET /futures/data/takerlongshortRatio': { retention: 30 * DAY },
+  'GET /futures/data/takerBuySellVol': { retention: 30 * DAY },
+  'GET /futures/data/basis': { retention: 30 * DAY }
+}
+
+const getTimeRangeLimit = (method, path) => TIME_RANGE_LIMITS[`${method} ${path}`]
+
+/**
+ * Split [startTime, endTime] into consecutive sub-windows no longer than `window`
+ *
+ * @param {number} startTime
+ * @param {number} endTime - inclusive
+ * @param {number} window - in ms
+ * @returns {Array<{ startTime: number, endTime: number }>}
+ */
+const splitTimeRange = (startTime, endTime, window) => {
+  const windows = []
+  for (let start = startTime; start <= endTime; start += window) {
+    windows.push({ startTime: start, endTime: Math.min(start + window - 1, endTime) })
+  }
+  return windows
+}
+
+module.exports = {
+  TIME_RANGE_LIMITS,
+  getTimeRangeLimit,
+  splitTimeRange
+}
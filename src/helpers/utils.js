@@ -3,7 +3,11 @@
 const axios = require('axios')
 const { Console } = require('console')
 const constants = require('./constants')
+const createResponseError = require('../error/createResponseError')
+const { toDecimalString, isDecimalLike } = require('./decimal')
 const crypto = require('crypto')
+const http = require('http')
+const https = require('https')
 
 const randomString = () => crypto.randomBytes(16).toString('hex')
 
@@ -15,12 +19,12 @@ const removeEmptyValue = obj => {
 
 const isEmptyValue = input => {
   /**
-   * Scope of empty value: falsy value (except for false and 0),
+   * Scope of empty value: falsy value (except for false, 0 and 0n),
    * string with white space characters only, empty object, empty array
    */
-  return (!input && input !== false && input !== 0) ||
+  return (!input && input !== false && input !== 0 && typeof input !== 'bigint') ||
     ((typeof input === 'string' || input instanceof String) && /^\s+$/.test(input)) ||
-    (input instanceof Object && !Object.keys(input).length) ||
+    (input instanceof Object && !isDecimalLike(input) && !Object.keys(input).length) ||
     (Array.isArray(input) && !input.length)
 }
 
@@ -34,33 +38,80 @@ const buildQueryString = params => {
 /**
  * NOTE: The array conversion logic is different from usual query string.
  * E.g. symbols=["BTCUSDT","BNBBTC"] instead of symbols[]=BTCUSDT&symbols[]=BNBBTC
+ *
+ * Numbers, bigints and decimal library objects are written in fixed-point notation, see toDecimalString.
  */
 const stringifyKeyValuePair = ([key, value]) => {
-  const valueString = Array.isArray(value) ? `["${value.join('","')}"]` : value
+  let valueString = toDecimalString(value)
+  if (Array.isArray(value)) {
+    valueString = value.some(isPlainObject) ? stringifyObjectList(value) : `["${value.map(toDecimalString).join('","')}"]`
+  }
   return `${key}=${encodeURIComponent(valueString)}`
 }
 
-const getRequestInstance = (config) => {
-  return axios.create({
-    ...config
+const isPlainObject = value => value instanceof Object && !Array.isArray(value) && !isDecimalLike(value)
+
+/**
+ * JSON list of objects, such as batchOrders, with every value as a string
+ */
+const stringifyObjectList = list => JSON.stringify(list.map(item => {
+  const encoded = {}
+  Object.entries(removeEmptyValue({ ...item })).forEach(([key, value]) => {
+    encoded[key] = String(toDecimalString(value))
+  })
+  return encoded
+}))
+
+/**
+ * Copy of the params with the fractional numbers, bigints and decimal library objects
+ * as fixed-point strings, for the JSON payloads that are signed as a query string
+ */
+const serializeDecimals = params => {
+  const serialized = {}
+  Object.keys(params).forEach(key => {
+    const value = params[key]
+    serialized[key] = Number.isSafeInteger(value) ? value : toDecimalString(value)
   })
+  return serialized
 }
 
-const createRequest = (config) => {
-  const { baseURL, apiKey, method, url, timeout, proxy, httpsAgent } = config
-  return getRequestInstance({
+/**
+ * Long-lived axios instance, reusing connections through keep-alive agents.
+ * A custom httpsAgent replaces the default keep-alive one.
+ */
+const createHttpClient = (config) => {
+  const { baseURL, apiKey, timeout, proxy, httpsAgent, keepAlive = true, maxSockets = Infinity } = config
+  return axios.create({
     baseURL,
     timeout,
     proxy,
-    httpsAgent,
+    httpAgent: new http.Agent({ keepAlive, maxSockets }),
+    httpsAgent: httpsAgent || new https.Agent({ keepAlive, maxSockets }),
     headers: {
       'Content-Type': 'application/json',
       'X-MBX-APIKEY': apiKey,
       'User-Agent': `${constants.appName}/${constants.appVersion}`
     }
-  }).request({
+  })
+}
+
+const createRequest = (httpClient, config) => {
+  const { method, url } = config
+  return httpClient.request({
     method,
     url
+  }).catch(error => {
+    // errors without a response (network failures, timeouts) are passed through
+    if (!error.response) throw error
+    const { status, data, headers } = error.response
+    throw createResponseError({
+      status,
+      code: data && data.code,
+      msg: data && data.msg,
+      headers,
+      method,
+      path: url.split('?')[0]
+    })
   })
 }
 
@@ -74,18 +125,34 @@ const defaultLogger = new Console({
   stderr: process.stderr
 })
 
+/**
+ * Copy of an order with its symbol, side and type in upper case, as newOrder sends them
+ */
+const normalizeOrder = order => {
+  const normalized = { ...order }
+  ;['symbol', 'side', 'type'].forEach(param => {
+    if (typeof normalized[param] === 'string') {
+      normalized[param] = normalized[param].toUpperCase()
+    }
+  })
+  return normalized
+}
+
 const sortObject = obj => Object.keys(obj).sort().reduce((res, key) => {
   res[key] = obj[key]
   return res
 }, {})
 
 module.exports = {
+  normalizeOrder,
   isEmptyValue,
   removeEmptyValue,
   buildQueryString,
+  createHttpClient,
   createRequest,
   flowRight,
   defaultLogger,
   randomString,
-  sortObject
+  sortObject,
+  serializeDecimals
 }
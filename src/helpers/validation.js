@@ -2,6 +2,33 @@
 
 const { isEmptyValue } = require('./utils')
 const MissingParameterError = require('../error/missingParameterError')
+const InvalidParameterError = require('../error/invalidParameterError')
+const {
+  OrderSide,
+  PositionSide,
+  OrderType,
+  TimeInForce,
+  WorkingType,
+  NewOrderRespType,
+  SelfTradePreventionMode,
+  PriceMatch
+} = require('./enums')
+
+// mandatory parameters of every order type, price may be replaced by priceMatch
+const ORDER_TYPE_PARAMETERS = {
+  LIMIT: ['timeInForce', 'quantity', 'price'],
+  MARKET: ['quantity'],
+  STOP: ['quantity', 'price', 'stopPrice'],
+  TAKE_PROFIT: ['quantity', 'price', 'stopPrice'],
+  STOP_MARKET: ['stopPrice'],
+  TAKE_PROFIT_MARKET: ['stopPrice'],
+  TRAILING_STOP_MARKET: ['quantity', 'callbackRate']
+}
+
+const PRICE_MATCH_TYPES = [OrderType.LIMIT, OrderType.STOP, OrderType.TAKE_PROFIT]
+const CLOSE_POSITION_TYPES = [OrderType.STOP_MARKET, OrderType.TAKE_PROFIT_MARKET]
+// goodTillDate must be at least 600 seconds in the future
+const MIN_GOOD_TILL_DATE_OFFSET = 600 * 1000
 
 const validateRequiredParameters = paramObject => {
   if (!paramObject || isEmptyValue(paramObject)) { throw new MissingParameterError() }
@@ -22,7 +49,113 @@ const hasOneOfParameters = paramObject => {
   }
 }
 
+/**
+ * Check that every given parameter is one of the values of its enum, empty parameters are skipped.
+ * Values are matched as given or upper-cased, so 'gtc' is a TimeInForce while '1m' and '1M' stay distinct intervals.
+ *
+ * @param {object} paramObject - e.g. { interval: '1h' }
+ * @param {object} enums - enum of every parameter, e.g. { interval: KlineInterval }
+ * @param {string} [label] - prefix of the error message, e.g. 'batchOrders[1]'
+ */
+const validateEnumParameters = (paramObject, enums, label) => {
+  Object.keys(enums).forEach(param => {
+    const value = paramObject[param]
+    if (isEmptyValue(value)) return
+    const values = Object.values(enums[param])
+    if (!values.includes(value) && !values.includes(String(value).toUpperCase())) {
+      const message = `${param} must be one of ${values.join(', ')}, got ${value}`
+      throw new InvalidParameterError(label ? `${label}: ${message}` : message)
+    }
+  })
+}
+
+const ORDER_ENUMS = {
+  side: OrderSide,
+  positionSide: PositionSide,
+  type: OrderType,
+  timeInForce: TimeInForce,
+  workingType: WorkingType,
+  newOrderRespType: NewOrderRespType,
+  selfTradePreventionMode: SelfTradePreventionMode,
+  priceMatch: PriceMatch
+}
+
+const isTrue = value => String(value).toLowerCase() === 'true'
+
+/**
+ * Check the parameters of an order against its type, before any request is sent
+ *
+ * @param {object} order - newOrder parameters, including symbol, side and type
+ * @param {string} [label] - prefix of the parameter names in error messages, e.g. 'batchOrders[1]'
+ */
+const validateOrderParameters = (order, label) => {
+  const name = param => label ? `${label}.${param}` : param
+  const invalid = message => { throw new InvalidParameterError(label ? `${label}: ${message}` : message) }
+  const has = param => !isEmptyValue(order[param])
+
+  const missing = ['symbol', 'side', 'type'].filter(param => !has(param))
+  if (missing.length) { throw new MissingParameterError(missing.map(name)) }
+
+  validateEnumParameters(order, ORDER_ENUMS, label)
+  const type = order.type.toUpperCase()
+
+  const closePosition = isTrue(order.closePosition)
+  const required = ORDER_TYPE_PARAMETERS[type].filter(param => {
+    if (param === 'price') return !has('priceMatch')
+    return true
+  })
+  // a closePosition stop closes the whole position, it has no quantity
+  if (closePosition && CLOSE_POSITION_TYPES.includes(type)) {
+    if (has('quantity')) invalid('quantity cannot be sent with closePosition=true')
+  } else if (CLOSE_POSITION_TYPES.includes(type)) {
+    required.push('quantity')
+  }
+  const emptyParams = required.filter(param => !has(param))
+  if (emptyParams.length) { throw new MissingParameterError(emptyParams.map(name)) }
+
+  if (has('price') && has('priceMatch')) {
+    invalid('price cannot be sent together with priceMatch')
+  }
+  if (has('priceMatch') && !PRICE_MATCH_TYPES.includes(type)) {
+    invalid(`priceMatch is only available for ${PRICE_MATCH_TYPES.join(', ')} orders`)
+  }
+
+  if (closePosition) {
+    if (!CLOSE_POSITION_TYPES.includes(type)) {
+      invalid(`closePosition is only available for ${CLOSE_POSITION_TYPES.join(', ')} orders`)
+    }
+    if (isTrue(order.reduceOnly)) invalid('reduceOnly cannot be sent with closePosition=true')
+  }
+  if (isTrue(order.reduceOnly) && has('positionSide') && order.positionSide.toUpperCase() !== PositionSide.BOTH) {
+    invalid('reduceOnly cannot be sent in Hedge Mode')
+  }
+
+  const gtd = has('timeInForce') && order.timeInForce.toUpperCase() === TimeInForce.GTD
+  if (gtd && !has('goodTillDate')) { throw new MissingParameterError([name('goodTillDate')]) }
+  if (has('goodTillDate')) {
+    if (!gtd) invalid('goodTillDate is only available with timeInForce=GTD')
+    if (Number(order.goodTillDate) < Date.now() + MIN_GOOD_TILL_DATE_OFFSET) {
+      invalid('goodTillDate must be at least 600 seconds in the future')
+    }
+  }
+
+  if (has('activationPrice') || has('callbackRate')) {
+    if (type !== OrderType.TRAILING_STOP_MARKET) {
+      invalid('activationPrice and callbackRate are only available for TRAILING_STOP_MARKET orders')
+    }
+    if (has('activationPrice') && !(Number(order.activationPrice) > 0)) {
+      invalid(`activationPrice must be a positive number, got ${order.activationPrice}`)
+    }
+    const callbackRate = Number(order.callbackRate)
+    if (!(callbackRate >= 0.1 && callbackRate <= 10)) {
+      invalid(`callbackRate must be between 0.1 and 10, got ${order.callbackRate}`)
+    }
+  }
+}
+
 module.exports = {
   validateRequiredParameters,
-  hasOneOfParameters
+  hasOneOfParameters,
+  validateEnumParameters,
+  validateOrderParameters
 }
@@ -0,0 +1,1272 @@
+import { EventEmitter } from 'events'
+import { Agent } from 'https'
+import { AxiosInstance, AxiosProxyConfig, AxiosResponse } from 'axios'
+
+// Enums
+
+export declare const PrivateKeyAlgo: Readonly<{ RSA: 'RSA', ED25519: 'Ed25519' }>
+export type PrivateKeyAlgo = typeof PrivateKeyAlgo[keyof typeof PrivateKeyAlgo]
+
+export declare const OrderSide: Readonly<{ BUY: 'BUY', SELL: 'SELL' }>
+export type OrderSide = typeof OrderSide[keyof typeof OrderSide]
+
+export declare const PositionSide: Readonly<{ BOTH: 'BOTH', LONG: 'LONG', SHORT: 'SHORT' }>
+export type PositionSide = typeof PositionSide[keyof typeof PositionSide]
+
+export declare const OrderType: Readonly<{
+  LIMIT: 'LIMIT'
+  MARKET: 'MARKET'
+  STOP: 'STOP'
+  STOP_MARKET: 'STOP_MARKET'
+  TAKE_PROFIT: 'TAKE_PROFIT'
+  TAKE_PROFIT_MARKET: 'TAKE_PROFIT_MARKET'
+  TRAILING_STOP_MARKET: 'TRAILING_STOP_MARKET'
+}>
+export type OrderType = typeof OrderType[keyof typeof OrderType]
+
+export declare const TimeInForce: Readonly<{ GTC: 'GTC', IOC: 'IOC', FOK: 'FOK', GTX: 'GTX', GTD: 'GTD' }>
+export type TimeInForce = typeof TimeInForce[keyof typeof TimeInForce]
+
+export declare const WorkingType: Readonly<{ MARK_PRICE: 'MARK_PRICE', CONTRACT_PRICE: 'CONTRACT_PRICE' }>
+export type WorkingType = typeof WorkingType[keyof typeof WorkingType]
+
+export declare const NewOrderRespType: Readonly<{ ACK: 'ACK', RESULT: 'RESULT' }>
+export type NewOrderRespType = typeof NewOrderRespType[keyof typeof NewOrderRespType]
+
+export declare const SelfTradePreventionMode: Readonly<{
+  NONE: 'NONE'
+  EXPIRE_TAKER: 'EXPIRE_TAKER'
+  EXPIRE_MAKER: 'EXPIRE_MAKER'
+  EXPIRE_BOTH: 'EXPIRE_BOTH'
+}>
+export type SelfTradePreventionMode = typeof SelfTradePreventionMode[keyof typeof SelfTradePreventionMode]
+
+export declare const PriceMatch: Readonly<{
+  NONE: 'NONE'
+  OPPONENT: 'OPPONENT'
+  OPPONENT_5: 'OPPONENT_5'
+  OPPONENT_10: 'OPPONENT_10'
+  OPPONENT_20: 'OPPONENT_20'
+  QUEUE: 'QUEUE'
+  QUEUE_5: 'QUEUE_5'
+  QUEUE_10: 'QUEUE_10'
+  QUEUE_20: 'QUEUE_20'
+}>
+export type PriceMatch = typeof PriceMatch[keyof typeof PriceMatch]
+
+export declare const MarginType: Readonly<{ ISOLATED: 'ISOLATED', CROSSED: 'CROSSED' }>
+export type MarginType = typeof MarginType[keyof typeof MarginType]
+
+export declare const KlineInterval: Readonly<{
+  ONE_MINUTE: '1m'
+  THREE_MINUTES: '3m'
+  FIVE_MINUTES: '5m'
+  FIFTEEN_MINUTES: '15m'
+  THIRTY_MINUTES: '30m'
+  ONE_HOUR: '1h'
+  TWO_HOURS: '2h'
+  FOUR_HOURS: '4h'
+  SIX_HOURS: '6h'
+  EIGHT_HOURS: '8h'
+  TWELVE_HOURS: '12h'
+  ONE_DAY: '1d'
+  THREE_DAYS: '3d'
+  ONE_WEEK: '1w'
+  ONE_MONTH: '1M'
+}>
+export type KlineInterval = typeof KlineInterval[keyof typeof KlineInterval]
+
+export declare const ContractType: Readonly<{
+  PERPETUAL: 'PERPETUAL'
+  CURRENT_MONTH: 'CURRENT_MONTH'
+  NEXT_MONTH: 'NEXT_MONTH'
+  CURRENT_QUARTER: 'CURRENT_QUARTER'
+  NEXT_QUARTER: 'NEXT_QUARTER'
+  PERPETUAL_DELIVERING: 'PERPETUAL_DELIVERING'
+}>
+export type ContractType = typeof ContractType[keyof typeof ContractType]
+
+export declare const DataPeriod: Readonly<{
+  FIVE_MINUTES: '5m'
+  FIFTEEN_MINUTES: '15m'
+  THIRTY_MINUTES: '30m'
+  ONE_HOUR: '1h'
+  TWO_HOURS: '2h'
+  FOUR_HOURS: '4h'
+  SIX_HOURS: '6h'
+  TWELVE_HOURS: '12h'
+  ONE_DAY: '1d'
+}>
+export type DataPeriod = typeof DataPeriod[keyof typeof DataPeriod]
+
+export declare const Environment: Readonly<{ PRODUCTION: 'production', TESTNET: 'testnet' }>
+export type Environment = typeof Environment[keyof typeof Environment]
+
+export declare const ErrorCode: Readonly<{
+  TOO_MANY_REQUESTS: -1003
+  INVALID_TIMESTAMP: -1021
+  INVALID_LISTEN_KEY: -1125
+  UNKNOWN_ORDER: -2011
+  MARGIN_NOT_SUFFICIENT: -2019
+  REDUCE_ONLY_REJECT: -2022
+  MIN_NOTIONAL: -4164
+}>
+export type ErrorCode = typeof ErrorCode[keyof typeof ErrorCode]
+
+// Errors
+
+export interface ResponseErrorDetails {
+  status?: number
+  code?: number
+  headers?: Record<string, string>
+  method?: string
+  path?: string
+}
+
+export declare class ClientError extends Error {
+  constructor (errorMessage: string, details?: ResponseErrorDetails)
+  status?: number
+  code?: number
+  msg: string
+  headers?: Record<string, string>
+  method?: string
+  path?: string
+}
+
+export declare class ServerError extends Error {
+  constructor (errorMessage: string, details?: ResponseErrorDetails)
+  status?: number
+  code?: number
+  msg: string
+  headers?: Record<string, string>
+  method?: string
+  path?: string
+}
+
+export declare class TimestampError extends ClientError {}
+export declare class MarginInsufficientError extends ClientError {}
+export declare class MinNotionalError extends ClientError {}
+export declare class ReduceOnlyRejectedError extends ClientError {}
+
+export declare class RateLimitError extends ClientError {
+  /** seconds to wait, from the Retry-After header */
+  retryAfter?: number
+}
+
+export declare class IPBannedError extends RateLimitError {}
+
+export declare class MissingParameterError extends Error {
+  constructor (paramNames?: string[])
+}
+
+export declare class InvalidParameterError extends Error {
+  constructor (message: string)
+}
+
+export declare class ConnectorClientError extends Error {
+  constructor (errorMessage: string)
+}
+
+export interface FilterViolation {
+  filter: string
+  message: string
+}
+
+export declare class FilterValidationError extends Error {
+  constructor (symbol: string, violations: FilterViolation[])
+  symbol: string
+  violations: FilterViolation[]
+}
+
+// Client options
+
+/** console-like logger, `log` is used for the dry run and resume messages */
+export interface Logger {
+  log (...args: any[]): void
+  debug (...args: any[]): void
+  info (...args: any[]): void
+  warn (...args: any[]): void
+  error (...args: any[]): void
+}
+
+export interface RateLimitOptions {
+  /** delay requests that would exceed a limit, default is false */
+  throttle?: boolean
+  usedWeight1m?: number
+  orderCount10s?: number
+  orderCount1m?: number
+}
+
+export interface RetryOptions {
+  retries?: number
+  baseDelay?: number
+  maxDelay?: number
+  methods?: string[]
+}
+
+export interface RateLimitUsage {
+  usedWeight1m: { used: number, limit: number }
+  orderCount10s: { used: number, limit: number }
+  orderCount1m: { used: number, limit: number }
+}
+
+export interface FuturesOptions {
+  /** sets baseURL, wsURL and wsAPIURL, default is 'production' */
+  environment?: Environment
+  /** refuse to place or modify orders unless baseURL points to the testnet, default is true on the testnet environment */
+  expectTestnet?: boolean
+  /**
+   * hold back the requests changing the account state: `true` only logs them,
+   * 'test' sends single USDⓈ-M new orders to POST /fapi/v1/order/test and logs the rest
+   * (batches, modifications, cancellations and every COIN-M request)
+   */
+  dryRun?: boolean | 'test'
+  baseURL?: string
+  logger?: Logger
+  /** in ms, default is 0 (no timeout) */
+  timeout?: number
+  proxy?: AxiosProxyConfig | false
+  httpsAgent?: Agent
+  privateKey?: string | Buffer
+  privateKeyPassphrase?: string
+  privateKeyAlgo?: PrivateKeyAlgo
+  /** market and user data stream URL */
+  wsURL?: string
+  /** websocket API URL */
+  wsAPIURL?: string
+  recvWindow?: number
+  /** in ms, default is 0 (no periodic time synchronization) */
+  timeSyncInterval?: number
+  rateLimit?: RateLimitOptions
+  /** `true` enables the default retry policy */
+  retry?: boolean | RetryOptions
+  /** default is true */
+  keepAlive?: boolean
+  maxSockets?: number
+  /** check orders against the symbol filters, or only round them to the symbol precision, before sending them */
+  orderFilter?: 'validate' | 'adjust' | 'format'
+  /** in ms, default is 1 hour */
+  exchangeInfoRefreshInterval?: number
+  /** klines as KlineObject instead of arrays */
+  klineObjects?: boolean
+  /**
+   * parse the numeric strings of klines, tickers, depth and positions,
+   * `true` uses Number, a function can return a decimal type
+   */
+  parseNumbers?: boolean | ((value: string) => unknown)
+}
+
+/** sent in fixed-point notation, decimal library objects through their toFixed() */
+export type DecimalValue = number | string | bigint | { toFixed (): string }
+
+export type Response<T> = Promise<AxiosResponse<T>>
+
+export interface RecvWindowOptions {
+  recvWindow?: number
+}
+
+export interface SymbolOptions extends RecvWindowOptions {
+  symbol?: string
+}
+
+export interface TimeRangeOptions {
+  startTime?: number
+  endTime?: number
+  limit?: number
+}
+
+// Response shapes
+
+export interface ServerTime {
+  serverTime: number
+}
+
+export interface RateLimitInfo {
+  rateLimitType: 'REQUEST_WEIGHT' | 'ORDERS'
+  interval: 'SECOND' | 'MINUTE' | 'DAY'
+  intervalNum: number
+  limit: number
+}
+
+export interface SymbolFilter {
+  filterType: string
+  [key: string]: any
+}
+
+export interface SymbolInfo {
+  symbol: string
+  pair: string
+  contractType: ContractType | ''
+  deliveryDate: number
+  onboardDate: number
+  status: string
+  baseAsset: string
+  quoteAsset: string
+  marginAsset: string
+  pricePrecision: number
+  quantityPrecision: number
+  baseAssetPrecision: number
+  quotePrecision: number
+  underlyingType: string
+  underlyingSubType: string[]
+  triggerProtect: string
+  liquidationFee: string
+  marketTakeBound: string
+  maxMoveOrderLimit: number
+  filters: SymbolFilter[]
+  orderTypes: OrderType[]
+  timeInForce: TimeInForce[]
+}
+
+export interface ExchangeInfo {
+  timezone: string
+  serverTime: number
+  rateLimits: RateLimitInfo[]
+  exchangeFilters: any[]
+  assets: Array<{ asset: string, marginAvailable: boolean, autoAssetExchange: string | null }>
+  symbols: SymbolInfo[]
+}
+
+/** [price, quantity] */
+export type PriceLevel = [string, string]
+
+export interface Depth {
+  lastUpdateId: number
+  E: number
+  T: number
+  bids: PriceLevel[]
+  asks: PriceLevel[]
+}
+
+export interface MarketTrade {
+  id: number
+  price: string
+  qty: string
+  quoteQty: string
+  time: number
+  isBuyerMaker: boolean
+}
+
+export interface AggregateTrade {
+  a: number
+  p: string
+  q: string
+  f: number
+  l: number
+  T: number
+  m: boolean
+}
+
+/**
+ * [open time, open, high, low, close, volume, close time, quote asset volume,
+ * number of trades, taker buy base asset volume, taker buy quote asset volume, ignore]
+ */
+export type Kline = [number, string, string, string, string, string, number, string, number, string, string, string]
+
+/**
+ * Kline of a client created with `klineObjects`, the price and volume fields are numbers,
+ * or the `parseNumbers` type, when numbers are parsed
+ */
+export interface KlineObject<N = string> {
+  openTime: number
+  open: N
+  high: N
+  low: N
+  close: N
+  volume: N
+  closeTime: number
+  quoteVolume: N
+  trades: number
+  takerBuyBase: N
+  takerBuyQuote: N
+}
+
+export interface MarkPrice {
+  symbol: string
+  markPrice: string
+  indexPrice: string
+  estimatedSettlePrice: string
+  lastFundingRate: string
+  interestRate: string
+  nextFundingTime: number
+  time: number
+}
+
+export interface FundingRate {
+  symbol: string
+  fundingRate: string
+  fundingTime: number
+  markPrice: string
+}
+
+export interface FundingInfo {
+  symbol: string
+  adjustedFundingRateCap: string
+  adjustedFundingRateFloor: string
+  fundingIntervalHours: number
+}
+
+export interface Ticker24hr {
+  symbol: string
+  priceChange: string
+  priceChangePercent: string
+  weightedAvgPrice: string
+  lastPrice: string
+  lastQty: string
+  openPrice: string
+  highPrice: string
+  lowPrice: string
+  volume: string
+  quoteVolume: string
+  openTime: number
+  closeTime: number
+  firstId: number
+  lastId: number
+  count: number
+}
+
+export interface PriceTicker {
+  symbol: string
+  price: string
+  time: number
+}
+
+export interface BookTicker {
+  symbol: string
+  bidPrice: string
+  bidQty: string
+  askPrice: string
+  askQty: string
+  time: number
+}
+
+export interface OpenInterest {
+  symbol: string
+  openInterest: string
+  time: number
+}
+
+export type OrderStatus = 'NEW' | 'PARTIALLY_FILLED' | 'FILLED' | 'CANCELED' | 'REJECTED' | 'EXPIRED' | 'EXPIRED_IN_MATCH'
+
+export interface Order {
+  orderId: number
+  symbol: string
+  status: OrderStatus
+  clientOrderId: string
+  price: string
+  avgPrice: string
+  origQty: string
+  executedQty: string
+  cumQty?: string
+  cumQuote: string
+  timeInForce: TimeInForce
+  type: OrderType
+  origType: OrderType
+  reduceOnly: boolean
+  closePosition: boolean
+  side: OrderSide
+  positionSide: PositionSide
+  stopPrice: string
+  workingType: WorkingType
+  priceProtect: boolean
+  priceMatch: PriceMatch
+  selfTradePreventionMode: SelfTradePreventionMode
+  goodTillDate: number
+  activatePrice?: string
+  priceRate?: string
+  time?: number
+  updateTime: number
+}
+
+export interface BatchOrderError {
+  code: number
+  msg: string
+}
+
+/**
+ * Outcome of one order of placeMultipleOrder or modifyMultipleOrder. The error is the
+ * exchange's { code, msg } for that order, the error of the whole batch request, or the
+ * FilterValidationError of an order that was not sent.
+ */
+export type BatchOutcome<O, T> =
+  | { order: O, result: T, error?: undefined }
+  | { order: O, result?: undefined, error: BatchOrderError | Error }
+
+export interface CancelAllOrdersResult {
+  code: number
+  msg: string
+}
+
+export interface CountdownCancelAllResult {
+  symbol: string
+  countdownTime: string
+}
+
+export interface OrderAmendment {
+  amendmentId: number
+  symbol: string
+  pair: string
+  orderId: number
+  clientOrderId: string
+  time: number
+  amendment: {
+    price: { before: string, after: string }
+    origQty: { before: string, after: string }
+    count: number
+  }
+  priceMatch: PriceMatch
+}
+
+export interface UserTrade {
+  buyer: boolean
+  commission: string
+  commissionAsset: string
+  id: number
+  maker: boolean
+  orderId: number
+  price: string
+  qty: string
+  quoteQty: string
+  realizedPnl: string
+  side: OrderSide
+  positionSide: PositionSide
+  symbol: string
+  time: number
+}
+
+export interface PositionRiskV2 {
+  symbol: string
+  positionAmt: string
+  entryPrice: string
+  breakEvenPrice: string
+  markPrice: string
+  unRealizedProfit: string
+  liquidationPrice: string
+  leverage: string
+  maxNotionalValue: string
+  marginType: 'isolated' | 'cross'
+  isolatedMargin: string
+  isAutoAddMargin: string
+  positionSide: PositionSide
+  notional: string
+  isolatedWallet: string
+  updateTime: number
+}
+
+export interface PositionRiskV3 {
+  symbol: string
+  positionSide: PositionSide
+  positionAmt: string
+  entryPrice: string
+  breakEvenPrice: string
+  markPrice: string
+  unRealizedProfit: string
+  liquidationPrice: string
+  isolatedMargin: string
+  notional: string
+  marginAsset: string
+  isolatedWallet: string
+  initialMargin: string
+  maintMargin: string
+  positionInitialMargin: string
+  openOrderInitialMargin: string
+  adl: number
+  bidNotional: string
+  askNotional: string
+  updateTime: number
+}
+
+export interface AdlQuantile {
+  symbol: string
+  adlQuantile: { LONG?: number, SHORT?: number, BOTH?: number, HEDGE?: number }
+}
+
+export interface PositionMarginChange {
+  symbol: string
+  type: 1 | 2
+  deltaType: string
+  amount: string
+  asset: string
+  time: number
+  positionSide: PositionSide
+}
+
+export interface Balance {
+  accountAlias: string
+  asset: string
+  balance: string
+  crossWalletBalance: string
+  crossUnPnl: string
+  availableBalance: string
+  maxWithdrawAmount: string
+  marginAvailable: boolean
+  updateTime: number
+}
+
+export interface AccountAsset {
+  asset: string
+  walletBalance: string
+  unrealizedProfit: string
+  marginBalance: string
+  maintMargin: string
+  initialMargin: string
+  positionInitialMargin: string
+  openOrderInitialMargin: string
+  crossWalletBalance: string
+  crossUnPnl: string
+  availableBalance: string
+  maxWithdrawAmount: string
+  updateTime: number
+  marginAvailable?: boolean
+}
+
+export interface AccountPosition {
+  symbol: string
+  positionSide: PositionSide
+  positionAmt: string
+  unrealizedProfit: string
+  isolatedMargin: string
+  notional: string
+  isolatedWallet: string
+  initialMargin: string
+  maintMargin: string
+  updateTime: number
+  [key: string]: any
+}
+
+export interface AccountInformation {
+  totalInitialMargin: string
+  totalMaintMargin: string
+  totalWalletBalance: string
+  totalUnrealizedProfit: string
+  totalMarginBalance: string
+  totalPositionInitialMargin: string
+  totalOpenOrderInitialMargin: string
+  totalCrossWalletBalance: string
+  totalCrossUnPnl: string
+  availableBalance: string
+  maxWithdrawAmount: string
+  assets: AccountAsset[]
+  positions: AccountPosition[]
+  [key: string]: any
+}
+
+export interface CommissionRate {
+  symbol: string
+  makerCommissionRate: string
+  takerCommissionRate: string
+}
+
+export interface AccountConfiguration {
+  feeTier: number
+  canTrade: boolean
+  canDeposit: boolean
+  canWithdraw: boolean
+  dualSidePosition: boolean
+  updateTime: number
+  multiAssetsMargin: boolean
+  tradeGroupId: number
+}
+
+export interface SymbolConfiguration {
+  symbol: string
+  marginType: 'ISOLATED' | 'CROSSED'
+  isAutoAddMargin: string
+  leverage: number
+  maxNotionalValue: string
+}
+
+export interface LeverageBracket {
+  symbol: string
+  notionalCoef?: number
+  brackets: Array<{
+    bracket: number
+    initialLeverage: number
+    notionalCap: number
+    notionalFloor: number
+    maintMarginRatio: number
+    cum: number
+  }>
+}
+
+export interface Income {
+  symbol: string
+  incomeType: string
+  income: string
+  asset: string
+  info: string
+  time: number
+  tranId: number
+  tradeId: string
+}
+
+export interface ListenKey {
+  listenKey: string
+}
+
+// Method options
+
+export interface NewOrderOptions extends RecvWindowOptions {
+  positionSide?: PositionSide
+  timeInForce?: TimeInForce
+  quantity?: DecimalValue
+  reduceOnly?: 'true' | 'false' | boolean
+  price?: DecimalValue
+  newClientOrderId?: string
+  stopPrice?: DecimalValue
+  closePosition?: 'true' | 'false' | boolean
+  activationPrice?: DecimalValue
+  callbackRate?: DecimalValue
+  workingType?: WorkingType
+  priceProtect?: 'TRUE' | 'FALSE' | boolean
+  newOrderRespType?: NewOrderRespType
+  priceMatch?: PriceMatch
+  selfTradePreventionMode?: SelfTradePreventionMode
+  goodTillDate?: number
+}
+
+export interface IterateOptions {
+  endTime?: number
+  /** page size */
+  limit?: number
+  /** stop after this many items */
+  maxItems?: number
+}
+
+export interface BatchOrder extends NewOrderOptions {
+  symbol: string
+  side: OrderSide
+  type: OrderType
+}
+
+export interface ModifyOrderOptions extends RecvWindowOptions {
+  orderId?: number
+  origClientOrderId?: string
+  priceMatch?: PriceMatch
+}
+
+export interface BatchModifyOrder extends ModifyOrderOptions {
+  symbol: string
+  side: OrderSide
+  quantity: DecimalValue
+  price: DecimalValue
+}
+
+export interface OrderIdOptions extends RecvWindowOptions {
+  orderId?: number
+  origClientOrderId?: string
+}
+
+// Client
+
+declare class APIBase {
+  constructor (options: FuturesOptions & { apiKey?: string, apiSecret?: string })
+  apiKey: string
+  apiSecret: string
+  baseURL: string
+  wsURL: string
+  wsAPIURL?: string
+  environment?: Environment
+  expectTestnet: boolean
+  logger: Logger
+  httpClient: AxiosInstance
+  recvWindow?: number
+  timeOffset: number
+  exchangeInfoCache: ExchangeInfoCache
+
+  syncTime (): Promise<number>
+  startTimeSync (): void
+  stopTimeSync (): void
+  publicRequest<T = any> (method: string, path: string, params?: object): Response<T>
+  signRequest<T = any> (method: string, path: string, params?: object): Response<T>
+  getRateLimitUsage (): RateLimitUsage
+}
+
+export declare class Futures extends APIBase {
+  constructor (apiKey?: string, apiSecret?: string, options?: FuturesOptions)
+
+  // Market
+  ping (): Response<{}>
+  time (): Response<ServerTime>
+  exchangeInfo (options?: { symbol?: string, symbols?: string[] }): Response<ExchangeInfo>
+  depth (symbol: string, options?: { limit?: number }): Response<Depth>
+  trades (symbol: string, options?: { limit?: number }): Response<MarketTrade[]>
+  historicalTrades (symbol: string, options?: { limit?: number, fromId?: number }): Response<MarketTrade[]>
+  aggTrades (symbol: string, options?: TimeRangeOptions & { fromId?: number }): Response<AggregateTrade[]>
+  klines (symbol: string, interval: KlineInterval, options?: TimeRangeOptions): Response<Kline[]>
+  continousklines (pair: string, contractType: ContractType, interval: KlineInterval, options?: TimeRangeOptions): Response<Kline[]>
+  indexklines (pair: string, interval: KlineInterval, options?: TimeRangeOptions): Response<Kline[]>
+  markklines (symbol: string, interval: KlineInterval, options?: TimeRangeOptions): Response<Kline[]>
+  premiumindexklines (symbol: string, interval: KlineInterval, options?: TimeRangeOptions): Response<Kline[]>
+  premiumindex (symbol: string): Response<MarkPrice>
+  fundingRateHistory (symbol: string, options?: TimeRangeOptions): Response<FundingRate[]>
+  fundingInfo (): Response<FundingInfo[]>
+  priceChange24H (symbol: string): Response<Ticker24hr>
+  symbolPriceTicker (symbol: string): Response<PriceTicker>
+  symbolPriceTickerV2 (symbol: string): Response<PriceTicker>
+  bookTicker (symbol: string): Response<BookTicker>
+  openInterest (symbol: string): Response<OpenInterest>
+  deliveryPrice (pair: string): Response<Array<{ deliveryTime: number, deliveryPrice: number }>>
+  openInterestHist (symbol: string, period: DataPeriod, options?: TimeRangeOptions): Response<Array<{ symbol: string, sumOpenInterest: string, sumOpenInterestValue: string, timestamp: number }>>
+  topLongShortAccountRatio (symbol: string, period: DataPeriod, options?: TimeRangeOptions): Response<Array<{ symbol: string, longShortRatio: string, longAccount: string, shortAccount: string, timestamp: number }>>
+  topLongShortPositionRatio (symbol: string, period: DataPeriod, options?: TimeRangeOptions): Response<Array<{ symbol: string, longShortRatio: string, longAccount: string, shortAccount: string, timestamp: number }>>
+  globalLongShortAccountRatio (symbol: string, period: DataPeriod, options?: TimeRangeOptions): Response<Array<{ symbol: string, longShortRatio: string, longAccount: string, shortAccount: string, timestamp: number }>>
+  takerlongshortRatio (symbol: string, period: DataPeriod, options?: TimeRangeOptions): Response<Array<{ buySellRatio: string, buyVol: string, sellVol: string, timestamp: number }>>
+  basis (pair: string, contractType: ContractType, period: DataPeriod, limit: number, options?: { startTime?: number, endTime?: number }): Response<Array<{ indexPrice: string, contractType: ContractType, basisRate: string, futuresPrice: string, annualizedBasisRate: string, basis: string, pair: string, timestamp: number }>>
+  lvtKlines (symbol: string, interval: KlineInterval, options?: TimeRangeOptions): Response<Kline[]>
+  indexInfo (symbol: string): Response<any>
+  assetIndex (symbol: string): Response<any>
+  constituents (symbol: string): Response<{ symbol: string, time: number, constituents: Array<{ exchange: string, symbol: string }> }>
+
+  // Trade
+  newOrder (symbol: string, side: OrderSide, type: OrderType, options?: NewOrderOptions): Response<Order>
+  /** validated by the exchange without being placed */
+  testNewOrder (symbol: string, side: OrderSide, type: OrderType, options?: NewOrderOptions): Response<{}>
+  placeMultipleOrder (batchOrders: BatchOrder[], options?: RecvWindowOptions): Response<Array<BatchOutcome<BatchOrder, Order>>>
+  modifyOrder (symbol: string, side: OrderSide, quantity: DecimalValue, price: DecimalValue, options?: ModifyOrderOptions): Response<Order>
+  modifyMultipleOrder (batchOrders: BatchModifyOrder[], options?: RecvWindowOptions): Response<Array<BatchOutcome<BatchModifyOrder, Order>>>
+  orderModifyHistory (symbol: string, options?: OrderIdOptions & TimeRangeOptions): Response<OrderAmendment[]>
+  cancelOrder (symbol: string, options?: OrderIdOptions): Response<Order>
+  cancelMultipleOrders (symbol: string, options?: RecvWindowOptions & { orderIdList?: number[], origClientOrderIdList?: string[] }): Response<Array<Order | BatchOrderError>>
+  cancelAllOpenOrders (symbol: string, options?: RecvWindowOptions): Response<CancelAllOrdersResult>
+  countDownCancelAll (symbol: string, countdownTime: number, options?: RecvWindowOptions): Response<CountdownCancelAllResult>
+  queryOrder (symbol: string, options?: OrderIdOptions): Response<Order>
+  queryAllOrders (symbol: string, options?: OrderIdOptions & TimeRangeOptions): Response<Order[]>
+  queryCurrentAllOpenOrders (options?: SymbolOptions): Response<Order[]>
+  queryCurrentOpenOrder (symbol: string, options?: OrderIdOptions): Response<Order>
+  forceOrders (options?: SymbolOptions & TimeRangeOptions & { autoCloseType?: 'LIQUIDATION' | 'ADL' }): Response<Order[]>
+  queryUserTrades (symbol: string, options?: RecvWindowOptions & TimeRangeOptions & { orderId?: number, fromId?: number }): Response<UserTrade[]>
+  changeMarginType (symbol: string, marginType: MarginType, options?: RecvWindowOptions): Response<{ code: number, msg: string }>
+  changePositionMode (dualSidePosition: 'true' | 'false' | boolean, options?: RecvWindowOptions): Response<{ code: number, msg: string }>
+  changeLeverage (symbol: string, leverage: number, options?: RecvWindowOptions): Response<{ leverage: number, maxNotionalValue: string, symbol: string }>
+  changeMultiAssetType (multiAssetsMargin: 'true' | 'false' | boolean, options?: RecvWindowOptions): Response<{ code: number, msg: string }>
+  modifyIsolatedMargin (symbol: string, amount: DecimalValue, type: 1 | 2, options?: RecvWindowOptions & { positionSide?: PositionSide }): Response<{ amount: number, code: number, msg: string, type: 1 | 2 }>
+  positionInformationV2 (options?: SymbolOptions): Response<PositionRiskV2[]>
+  positionInformationV3 (options?: SymbolOptions): Response<PositionRiskV3[]>
+  adlQuantile (options?: SymbolOptions): Response<AdlQuantile[]>
+  positionMarginHistory (symbol: string, options?: RecvWindowOptions & TimeRangeOptions & { type?: 1 | 2 }): Response<PositionMarginChange[]>
+
+  // Account
+  futuresAccountBalanceV3 (options?: RecvWindowOptions): Response<Balance[]>
+  futuresAccountBalanceV2 (options?: RecvWindowOptions): Response<Balance[]>
+  accountInformationV3 (options?: RecvWindowOptions): Response<AccountInformation>
+  accountInformationV2 (options?: RecvWindowOptions): Response<AccountInformation>
+  userComissionRate (symbol: string, options?: RecvWindowOptions): Response<CommissionRate>
+  futuresAccountConfiguration (options?: RecvWindowOptions): Response<AccountConfiguration>
+  futuresSymbolConfiguration (options?: SymbolOptions): Response<SymbolConfiguration[]>
+  queryOrderRateLimit (options?: RecvWindowOptions): Response<RateLimitInfo[]>
+  leverageBracket (options?: SymbolOptions): Response<LeverageBracket[]>
+  multiAssetMargin (options?: RecvWindowOptions): Response<{ multiAssetsMargin: boolean }>
+  currentPositionMode (options?: RecvWindowOptions): Response<{ dualSidePosition: boolean }>
+  getIncomeHistory (options?: SymbolOptions & TimeRangeOptions & { incomeType?: string, page?: number }): Response<Income[]>
+  apiTradingStatus (options?: SymbolOptions): Response<any>
+  getDownloadIdTransactionHistory (startTime: number, endTime: number, options?: RecvWindowOptions): Response<{ avgCostTimestampOfLast30d: number, downloadId: string }>
+
+  // User data stream
+  createListenKey (): Response<ListenKey>
+  renewListenKey (): Response<ListenKey>
+  closeListenKey (): Response<{}>
+
+  // History iterators
+  iterateKlines (symbol: string, interval: KlineInterval, options: IterateOptions & { startTime: number }): AsyncGenerator<Kline>
+  iterateAggTrades (symbol: string, options: IterateOptions & ({ fromId: number, startTime?: number } | { startTime: number })): AsyncGenerator<AggregateTrade>
+  iterateHistoricalTrades (symbol: string, options: IterateOptions & { fromId: number }): AsyncGenerator<MarketTrade>
+  iterateFundingRateHistory (symbol: string, options: IterateOptions & { startTime: number }): AsyncGenerator<FundingRate>
+  iterateAllOrders (symbol: string, options: IterateOptions & RecvWindowOptions & ({ orderId: number, startTime?: number } | { startTime: number })): AsyncGenerator<Order>
+  iterateUserTrades (symbol: string, options: IterateOptions & RecvWindowOptions & ({ fromId: number, startTime?: number } | { startTime: number })): AsyncGenerator<UserTrade>
+  iterateIncomeHistory (options: IterateOptions & RecvWindowOptions & SymbolOptions & { startTime: number, incomeType?: string }): AsyncGenerator<Income>
+}
+
+export interface DeliveryBalance {
+  accountAlias: string
+  asset: string
+  balance: string
+  withdrawAvailable: string
+  crossWalletBalance: string
+  crossUnPnl: string
+  availableBalance: string
+  updateTime: number
+}
+
+export interface DeliveryPositionRisk {
+  symbol: string
+  positionAmt: string
+  entryPrice: string
+  breakEvenPrice: string
+  markPrice: string
+  unRealizedProfit: string
+  liquidationPrice: string
+  leverage: string
+  maxQty: string
+  marginType: 'isolated' | 'cross'
+  isolatedMargin: string
+  isAutoAddMargin: string
+  positionSide: PositionSide
+  notionalValue: string
+  isolatedWallet: string
+  updateTime: number
+}
+
+export interface DeliveryOrder extends Order {
+  pair: string
+  cumBase: string
+}
+
+export interface PairOptions {
+  symbol?: string
+  pair?: string
+}
+
+export interface DeliveryModifyOrderOptions extends ModifyOrderOptions {
+  quantity?: DecimalValue
+  price?: DecimalValue
+}
+
+/**
+ * COIN-M futures client, on https://dapi.binance.com
+ */
+export declare class DeliveryFutures extends APIBase {
+  constructor (apiKey?: string, apiSecret?: string, options?: FuturesOptions)
+
+  // Market
+  ping (): Response<{}>
+  time (): Response<ServerTime>
+  exchangeInfo (): Response<ExchangeInfo>
+  depth (symbol: string, options?: { limit?: number }): Response<Depth>
+  trades (symbol: string, options?: { limit?: number }): Response<MarketTrade[]>
+  historicalTrades (symbol: string, options?: { limit?: number, fromId?: number }): Response<MarketTrade[]>
+  aggTrades (symbol: string, options?: TimeRangeOptions & { fromId?: number }): Response<AggregateTrade[]>
+  premiumindex (options?: PairOptions): Response<Array<MarkPrice & { pair: string }>>
+  fundingRateHistory (symbol: string, options?: TimeRangeOptions): Response<FundingRate[]>
+  fundingInfo (): Response<FundingInfo[]>
+  klines (symbol: string, interval: KlineInterval, options?: TimeRangeOptions): Response<Kline[]>
+  continousklines (pair: string, contractType: ContractType, interval: KlineInterval, options?: TimeRangeOptions): Response<Kline[]>
+  indexklines (pair: string, interval: KlineInterval, options?: TimeRangeOptions): Response<Kline[]>
+  markklines (symbol: string, interval: KlineInterval, options?: TimeRangeOptions): Response<Kline[]>
+  premiumindexklines (symbol: string, interval: KlineInterval, options?: TimeRangeOptions): Response<Kline[]>
+  priceChange24H (options?: PairOptions): Response<Array<Ticker24hr & { pair: string, baseVolume: string }>>
+  symbolPriceTicker (options?: PairOptions): Response<Array<PriceTicker & { ps: string }>>
+  bookTicker (options?: PairOptions): Response<Array<BookTicker & { pair: string }>>
+  openInterest (symbol: string): Response<OpenInterest & { pair: string, contractType: ContractType }>
+  openInterestHist (pair: string, contractType: ContractType | 'ALL', period: DataPeriod, options?: TimeRangeOptions): Response<any[]>
+  topLongShortAccountRatio (pair: string, period: DataPeriod, options?: TimeRangeOptions): Response<any[]>
+  topLongShortPositionRatio (pair: string, period: DataPeriod, options?: TimeRangeOptions): Response<any[]>
+  globalLongShortAccountRatio (pair: string, period: DataPeriod, options?: TimeRangeOptions): Response<any[]>
+  takerBuySellVolume (pair: string, contractType: ContractType | 'ALL', period: DataPeriod, options?: TimeRangeOptions): Response<any[]>
+  basis (pair: string, contractType: ContractType, period: DataPeriod, options?: TimeRangeOptions): Response<any[]>
+
+  // Trade
+  newOrder (symbol: string, side: OrderSide, type: OrderType, options?: Omit<NewOrderOptions, 'goodTillDate'>): Response<DeliveryOrder>
+  placeMultipleOrder (batchOrders: BatchOrder[], options?: RecvWindowOptions): Response<Array<BatchOutcome<BatchOrder, DeliveryOrder>>>
+  modifyOrder (symbol: string, side: OrderSide, options?: DeliveryModifyOrderOptions): Response<DeliveryOrder>
+  modifyMultipleOrder<O extends DeliveryModifyOrderOptions & { symbol: string, side: OrderSide }> (batchOrders: O[], options?: RecvWindowOptions): Response<Array<BatchOutcome<O, DeliveryOrder>>>
+  orderModifyHistory (symbol: string, options?: OrderIdOptions & TimeRangeOptions): Response<OrderAmendment[]>
+  cancelOrder (symbol: string, options?: OrderIdOptions): Response<DeliveryOrder>
+  cancelMultipleOrders (symbol: string, options?: RecvWindowOptions & { orderIdList?: number[], origClientOrderIdList?: string[] }): Response<Array<DeliveryOrder | BatchOrderError>>
+  cancelAllOpenOrders (symbol: string, options?: RecvWindowOptions): Response<CancelAllOrdersResult>
+  countDownCancelAll (symbol: string, countdownTime: number, options?: RecvWindowOptions): Response<CountdownCancelAllResult>
+  queryOrder (symbol: string, options?: OrderIdOptions): Response<DeliveryOrder>
+  queryAllOrders (options: PairOptions & OrderIdOptions & TimeRangeOptions): Response<DeliveryOrder[]>
+  queryCurrentAllOpenOrders (options?: PairOptions & RecvWindowOptions): Response<DeliveryOrder[]>
+  queryCurrentOpenOrder (symbol: string, options?: OrderIdOptions): Response<DeliveryOrder>
+  forceOrders (options?: SymbolOptions & TimeRangeOptions & { autoCloseType?: 'LIQUIDATION' | 'ADL' }): Response<DeliveryOrder[]>
+  queryUserTrades (options: PairOptions & RecvWindowOptions & TimeRangeOptions & { orderId?: number, fromId?: number }): Response<Array<UserTrade & { pair: string, marginAsset: string, baseQty: string }>>
+  changeMarginType (symbol: string, marginType: MarginType, options?: RecvWindowOptions): Response<{ code: number, msg: string }>
+  changePositionMode (dualSidePosition: 'true' | 'false' | boolean, options?: RecvWindowOptions): Response<{ code: number, msg: string }>
+  changeLeverage (symbol: string, leverage: number, options?: RecvWindowOptions): Response<{ leverage: number, maxQty: string, symbol: string }>
+  modifyIsolatedMargin (symbol: string, amount: DecimalValue, type: 1 | 2, options?: RecvWindowOptions & { positionSide?: PositionSide }): Response<{ amount: number, code: number, msg: string, type: 1 | 2 }>
+  positionMarginHistory (symbol: string, options?: RecvWindowOptions & TimeRangeOptions & { type?: 1 | 2 }): Response<PositionMarginChange[]>
+  positionInformation (options?: RecvWindowOptions & { marginAsset?: string, pair?: string }): Response<DeliveryPositionRisk[]>
+  adlQuantile (options?: SymbolOptions): Response<AdlQuantile[]>
+
+  // Account
+  futuresAccountBalance (options?: RecvWindowOptions): Response<DeliveryBalance[]>
+  accountInformation (options?: RecvWindowOptions): Response<AccountInformation>
+  userComissionRate (symbol: string, options?: RecvWindowOptions): Response<CommissionRate>
+  leverageBracket (options?: RecvWindowOptions & { pair?: string }): Response<Array<{ pair: string, brackets: any[] }>>
+  leverageBracketV2 (options?: SymbolOptions): Response<LeverageBracket[]>
+  currentPositionMode (options?: RecvWindowOptions): Response<{ dualSidePosition: boolean }>
+  getIncomeHistory (options?: SymbolOptions & TimeRangeOptions & { incomeType?: string, page?: number }): Response<Income[]>
+  getDownloadIdTransactionHistory (startTime: number, endTime: number, options?: RecvWindowOptions): Response<{ avgCostTimestampOfLast30d: number, downloadId: string }>
+  getTransactionHistoryDownloadLink (downloadId: string, options?: RecvWindowOptions): Response<{ downloadId: string, status: 'completed' | 'processing', url: string, s3Link: string | null, notified: boolean, expirationTimestamp: number, isExpired: boolean | null }>
+
+  // User data stream
+  createListenKey (): Response<ListenKey>
+  renewListenKey (): Response<ListenKey>
+  closeListenKey (): Response<{}>
+}
+
+// Exchange info
+
+export declare class SymbolFilters {
+  constructor (symbolInfo: SymbolInfo)
+  static ALGO_TYPES: readonly OrderType[]
+  symbol: string
+  info: SymbolInfo
+  filters: Record<string, SymbolFilter>
+  roundPrice (price: DecimalValue): string
+  roundQuantity (quantity: DecimalValue, type?: OrderType): string
+  adjustOrder<T extends object> (order: T): T
+  validateOrder (order: object, context?: { markPrice?: number, openOrders?: number, openAlgoOrders?: number }): FilterViolation[]
+}
+
+export declare class ExchangeInfoCache {
+  constructor (client: Futures | DeliveryFutures, options?: { refreshInterval?: number })
+  load (): Promise<ExchangeInfo>
+  isStale (): boolean
+  getSymbol (symbol: string): Promise<SymbolFilters>
+  startAutoRefresh (): void
+  stopAutoRefresh (): void
+}
+
+// Websocket
+
+export interface WebsocketOptions {
+  wsURL?: string
+  environment?: Environment
+  logger?: Logger
+  agent?: any
+  reconnectDelay?: number
+  maxReconnectDelay?: number
+  rolloverInterval?: number
+  pingTimeout?: number
+}
+
+declare class WebsocketBase extends EventEmitter {
+  constructor (options?: WebsocketOptions)
+  logger: Logger
+  isConnected (): boolean
+  connect (): void
+  reconnect (): void
+  send (payload: object): void
+  disconnect (): void
+}
+
+export declare class WebsocketStream extends WebsocketBase {
+  constructor (options?: WebsocketOptions)
+  subscribe (stream: string | string[]): void
+  unsubscribe (stream: string | string[]): void
+  aggTradeStream (symbol: string): string
+  markPriceStream (symbol: string, updateSpeed?: '1s'): string
+  allMarkPriceStream (updateSpeed?: '1s'): string
+  klineStream (symbol: string, interval: KlineInterval): string
+  continuousKlineStream (pair: string, contractType: ContractType, interval: KlineInterval): string
+  miniTickerStream (symbol?: string): string
+  tickerStream (symbol?: string): string
+  bookTickerStream (symbol?: string): string
+  forceOrderStream (symbol?: string): string
+  partialDepthStream (symbol: string, levels: 5 | 10 | 20, updateSpeed?: '100ms' | '500ms'): string
+  diffDepthStream (symbol: string, updateSpeed?: '100ms' | '500ms'): string
+  compositeIndexStream (symbol: string): string
+  contractInfoStream (): string
+}
+
+export declare class UserDataStream extends WebsocketBase {
+  constructor (client: Futures | DeliveryFutures, options?: WebsocketOptions & { keepAliveInterval?: number })
+  listenKey: string | null
+  start (): Promise<string>
+  stop (): Promise<unknown>
+  keepAlive (): Promise<void>
+  recreate (): Promise<void>
+}
+
+export interface WebsocketAPIResponse<T = any> {
+  /** null for requests held back by dryRun */
+  id: string | null
+  status: number
+  /** set on requests held back by dryRun */
+  dryRun?: boolean
+  result: T
+  rateLimits?: Array<RateLimitInfo & { count: number }>
+}
+
+export declare class WebsocketAPI extends WebsocketBase {
+  constructor (apiKey?: string, apiSecret?: string, options?: WebsocketOptions & {
+    requestTimeout?: number
+    expectTestnet?: boolean
+    dryRun?: boolean | 'test'
+    recvWindow?: number
+    timeSyncInterval?: number
+    privateKey?: string | Buffer
+    privateKeyPassphrase?: string
+    privateKeyAlgo?: PrivateKeyAlgo
+  })
+  timeOffset: number
+  ready (): Promise<void>
+  syncTime (): Promise<number>
+  sendRequest<T = any> (method: string, params?: object): Promise<WebsocketAPIResponse<T>>
+  sendSignatureRequest<T = any> (method: string, params?: object, options?: { bypassSession?: boolean }): Promise<WebsocketAPIResponse<T>>
+  sessionLogon (options?: RecvWindowOptions): Promise<WebsocketAPIResponse>
+  sessionStatus (): Promise<WebsocketAPIResponse>
+  sessionLogout (): Promise<WebsocketAPIResponse>
+  newOrder (symbol: string, side: OrderSide, type: OrderType, options?: NewOrderOptions): Promise<WebsocketAPIResponse<Order>>
+  modifyOrder (symbol: string, side: OrderSide, quantity: DecimalValue, price: DecimalValue, options?: ModifyOrderOptions): Promise<WebsocketAPIResponse<Order>>
+  cancelOrder (symbol: string, options?: OrderIdOptions): Promise<WebsocketAPIResponse<Order>>
+  queryOrder (symbol: string, options?: OrderIdOptions): Promise<WebsocketAPIResponse<Order>>
+  accountBalance (options?: RecvWindowOptions): Promise<WebsocketAPIResponse<Balance[]>>
+  accountPosition (options?: SymbolOptions): Promise<WebsocketAPIResponse<PositionRiskV2[]>>
+}
+
+// Local order book
+
+export declare class OrderBook extends EventEmitter {
+  constructor (symbol: string)
+  symbol: string
+  lastUpdateId: number
+  updateTime: number | null
+  bids: PriceLevel[]
+  asks: PriceLevel[]
+  reset (snapshot: { lastUpdateId: number, bids: PriceLevel[], asks: PriceLevel[], T?: number }): void
+  update (event: { u: number, T: number, b: PriceLevel[], a: PriceLevel[] }): void
+  bestBid (): PriceLevel | undefined
+  bestAsk (): PriceLevel | undefined
+  getBids (limit?: number): PriceLevel[]
+  getAsks (limit?: number): PriceLevel[]
+}
+
+export declare class OrderBookManager extends EventEmitter {
+  constructor (client: Futures | DeliveryFutures, options?: {
+    stream?: WebsocketStream
+    updateSpeed?: '100ms' | '500ms'
+    limit?: number
+    resyncDelay?: number
+    /** in ms, default is 30000 */
+    syncTimeout?: number
+    logger?: Logger
+  })
+  subscribe (symbol: string): Promise<OrderBook>
+  unsubscribe (symbol: string): void
+  getBook (symbol: string): OrderBook | undefined
+  close (): void
+}
+
+export interface KlineGap {
+  /** open time of the first missing kline */
+  from: number
+  /** open time of the next kline found */
+  to: number
+}
+
+export declare class KlineDownloader extends EventEmitter {
+  constructor (client: Futures | DeliveryFutures, options?: {
+    directory?: string
+    format?: 'csv' | 'ndjson'
+    partition?: 'day' | 'month'
+    method?: 'klines' | 'markklines' | 'indexklines' | 'premiumindexklines'
+    limit?: number
+    logger?: Logger
+  })
+  download (symbol: string, interval: KlineInterval, startTime: number | string | Date, endTime?: number | string | Date): Promise<{ files: string[], klines: number, gaps: KlineGap[] }>
+  verify (symbol: string, interval: KlineInterval, startTime: number | string | Date, endTime?: number | string | Date): Promise<{ klines: number, gaps: KlineGap[] }>
+  on (event: 'file', listener: (filePath: string, count: number) => void): this
+}
+
+export interface BracketOrderState {
+  clientOrderId: string
+  orderId?: number
+  status: string | null
+  executedQty: string
+}
+
+export interface BracketLeg extends BracketOrderState {
+  name: 'takeProfit' | 'stopLoss'
+  quantity: string
+}
+
+export declare class BracketOrder extends EventEmitter {
+  constructor (client: Futures | DeliveryFutures, params: {
+    symbol: string
+    side: OrderSide
+    quantity: DecimalValue
+    type?: OrderType
+    price?: DecimalValue
+    timeInForce?: TimeInForce
+    takeProfit?: DecimalValue
+    stopLoss?: DecimalValue
+    positionSide?: PositionSide
+    workingType?: WorkingType
+    priceProtect?: string
+  }, options?: {
+    userDataStream?: UserDataStream
+    pollInterval?: number
+    logger?: Logger
+  })
+  readonly id: string
+  readonly entry: BracketOrderState
+  readonly legs: { takeProfit?: BracketLeg, stopLoss?: BracketLeg }
+  readonly done: boolean
+  start (): Response<Order>
+  cancel (): Promise<void>
+  on (event: 'entry', listener: (entry: BracketOrderState) => void): this
+  on (event: 'protected', listener: (legs: { takeProfit?: BracketLeg, stopLoss?: BracketLeg }) => void): this
+  on (event: 'done', listener: (reason: 'takeProfit' | 'stopLoss' | 'entryCanceled' | 'canceled', order?: BracketOrderState) => void): this
+  on (event: 'error', listener: (error: Error) => void): this
+}
+
+export interface ManagedPosition {
+  symbol: string
+  positionSide: PositionSide
+  /** negative for short positions, in contracts for COIN-M */
+  positionAmt: number
+  entryPrice: number
+  marginType: string
+  isolatedWallet: number
+  updateTime: number
+  markPrice: number
+  leverage: number
+  marginAsset?: string
+  notional: number
+  unrealizedPnl: number
+  initialMargin: number
+  /** e.g. 0.1 for 10% */
+  roe: number
+  isolated: boolean
+  /** isolatedWallet with the unrealized PnL, 0 for cross positions */
+  isolatedMargin: number
+}
+
+export interface PositionExposure {
+  long: number
+  short: number
+  net: number
+  gross: number
+  unrealizedPnl: number
+  initialMargin: number
+  /** of the cross positions only */
+  crossUnrealizedPnl: number
+  crossInitialMargin: number
+  /** of the isolated positions only */
+  isolatedWallet: number
+  isolatedMargin: number
+}
+
+export interface AccountExposure extends PositionExposure {
+  walletBalance: number
+  marginBalance: number
+  marginUsage: number
+  leverage: number
+  /** walletBalance without the isolatedWallet of the isolated positions */
+  crossWalletBalance: number
+  crossMarginBalance: number
+  crossMarginUsage: number
+}
+
+export declare class PositionManager extends EventEmitter {
+  constructor (client: Futures | DeliveryFutures, options?: {
+    userDataStream?: UserDataStream
+    stream?: WebsocketStream
+    updateSpeed?: '1s'
+    pollInterval?: number
+    logger?: Logger
+  })
+  start (): Promise<this>
+  stop (): void
+  refresh (): Promise<void>
+  getPosition (symbol: string, positionSide?: PositionSide): ManagedPosition | undefined
+  getPositions (symbol?: string): ManagedPosition[]
+  getExposure (symbol: string): PositionExposure & { symbol: string, marginAsset?: string }
+  getTotalExposure (): Record<string, AccountExposure>
+  on (event: 'change', listener: (position: ManagedPosition) => void): this
+  on (event: 'balance', listener: (asset: string, walletBalance: number) => void): this
+  on (event: 'error', listener: (error: Error) => void): this
+}
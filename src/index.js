@@ -1,4 +1,43 @@
-"use strict";
+'use strict'
 
-module.exports.PrivateKeyAlgo = require("./helpers/privateKeyAlgo");
-module.exports.Futures = require("./futures");
+const enums = require('./helpers/enums')
+
+module.exports.PrivateKeyAlgo = require('./helpers/privateKeyAlgo')
+module.exports.OrderSide = enums.OrderSide
+module.exports.PositionSide = enums.PositionSide
+module.exports.OrderType = enums.OrderType
+module.exports.TimeInForce = enums.TimeInForce
+module.exports.WorkingType = enums.WorkingType
+module.exports.NewOrderRespType = enums.NewOrderRespType
+module.exports.SelfTradePreventionMode = enums.SelfTradePreventionMode
+module.exports.PriceMatch = enums.PriceMatch
+module.exports.MarginType = enums.MarginType
+module.exports.KlineInterval = enums.KlineInterval
+module.exports.ContractType = enums.ContractType
+module.exports.DataPeriod = enums.DataPeriod
+module.exports.Environment = require('./helpers/environment').Environment
+module.exports.Futures = require('./futures')
+module.exports.DeliveryFutures = require('./deliveryFutures')
+module.exports.WebsocketStream = require('./websocketStream')
+module.exports.UserDataStream = require('./userDataStream')
+module.exports.WebsocketAPI = require('./websocketAPI')
+module.exports.OrderBook = require('./orderBook')
+module.exports.OrderBookManager = require('./orderBookManager')
+module.exports.KlineDownloader = require('./klineDownloader')
+module.exports.BracketOrder = require('./bracketOrder')
+module.exports.PositionManager = require('./positionManager')
+module.exports.ErrorCode = require('./error/errorCode')
+module.exports.ClientError = require('./error/clientError')
+module.exports.ServerError = require('./error/serverError')
+module.exports.TimestampError = require('./error/timestampError')
+module.exports.MarginInsufficientError = require('./error/marginInsufficientError')
+module.exports.MinNotionalError = require('./error/minNotionalError')
+module.exports.ReduceOnlyRejectedError = require('./error/reduceOnlyRejectedError')
+module.exports.RateLimitError = require('./error/rateLimitError')
+module.exports.IPBannedError = require('./error/ipBannedError')
+module.exports.MissingParameterError = require('./error/missingParameterError')
+module.exports.InvalidParameterError = require('./error/invalidParameterError')
+module.exports.ConnectorClientError = require('./error/connectorClientError')
+module.exports.FilterValidationError = require('./error/filterValidationError')
+module.exports.ExchangeInfoCache = require('./exchangeInfoCache')
+module.exports.SymbolFilters = require('./symbolFilters')
@@ -0,0 +1,288 @@
+'use strict'
+
+const { EventEmitter } = require('events')
+const fs = require('fs')
+const path = require('path')
+const paginate = require('./helpers/paginate')
+const { getRequestWeight } = require('./helpers/requestWeight')
+const { klineToArray } = require('./helpers/responseTransform')
+const { validateRequiredParameters, validateEnumParameters } = require('./helpers/validation')
+const { KlineInterval } = require('./helpers/enums')
+const InvalidParameterError = require('./error/invalidParameterError')
+
+const MINUTE = 60 * 1000
+const DAY = 24 * 60 * MINUTE
+// 1970-01-01 is a Thursday, weekly klines open on Mondays
+const WEEK_OFFSET = 4 * DAY
+
+const UNIT_MS = { m: MINUTE, h: 60 * MINUTE, d: DAY, w: 7 * DAY }
+
+const KLINE_METHODS = ['klines', 'markklines', 'indexklines', 'premiumindexklines']
+
+const COLUMNS = [
+  'openTime', 'open', 'high', 'low', 'close', 'volume', 'closeTime',
+  'quoteVolume', 'count', 'takerBuyVolume', 'takerBuyQuoteVolume', 'ignore'
+]
+
+const FORMATS = {
+  csv: {
+    extension: 'csv',
+    header: `${COLUMNS.join(',')}\n`,
+    format: kline => `${kline.join(',')}\n`,
+    openTime: line => Number(line.slice(0, line.indexOf(',')))
+  },
+  ndjson: {
+    extension: 'ndjson',
+    header: '',
+    format: kline => `${JSON.stringify(Object.fromEntries(COLUMNS.map((column, i) => [column, kline[i]])))}\n`,
+    openTime: line => JSON.parse(line).openTime
+  }
+}
+
+const toTime = time => {
+  const value = time instanceof Date ? time.getTime() : typeof time === 'string' ? Date.parse(time) : time
+  if (!Number.isFinite(value)) {
+    throw new InvalidParameterError(`Invalid time: ${time}`)
+  }
+  return value
+}
+
+const monthStart = (time, months = 0) => {
+  const date = new Date(time)
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1)
+}
+
+/**
+ * Open time of the kline following the one opened at `openTime`
+ */
+const nextOpenTime = (openTime, interval) => {
+  const count = parseInt(interval, 10)
+  const unit = interval.slice(-1)
+  return unit === 'M' ? monthStart(openTime, count) : openTime + count * UNIT_MS[unit]
+}
+
+/**
+ * Open time of the first kline opened at or after `time`
+ */
+const alignOpenTime = (time, interval) => {
+  const count = parseInt(interval, 10)
+  const unit = interval.slice(-1)
+  if (unit === 'M') {
+    return monthStart(time) === time ? time : monthStart(time, 1)
+  }
+  const length = count * UNIT_MS[unit]
+  const offset = unit === 'w' ? WEEK_OFFSET : 0
+  return Math.ceil((time - offset) / length) * length + offset
+}
+
+const PARTITIONS = {
+  day: {
+    start: time => Math.floor(time / DAY) * DAY,
+    next: time => Math.floor(time / DAY) * DAY + DAY,
+    name: time => new Date(time).toISOString().slice(0, 10)
+  },
+  month: {
+    start: time => monthStart(time),
+    next: time => monthStart(time, 1),
+    name: time => new Date(time).toISOString().slice(0, 7)
+  }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+/**
+ * Downloads historical klines to CSV or newline-delimited JSON files<br>
+ *
+ * The klines of every UTC day or month go to their own file, e.g. `BTCUSDT-1m-2024-01-05.csv`.
+ * Files are appended page by page, so an interrupted download resumes after the last kline
+ * already on disk, a partially written last line is discarded. Only closed klines are written.
+ *
+ * Requests wait while the weight reported by the server would go over the limit,
+ * whether or not the client throttles itself.
+ *
+ * Emits `file` (filePath, count) whenever a partition has been written.
+ *
+ * @param {Futures|DeliveryFutures} client
+ * @param {object} [options]
+ * @param {string} [options.directory] - default is the current directory
+ * @param {string} [options.format] - 'csv' or 'ndjson', default is 'csv'
+ * @param {string} [options.partition] - 'day' or 'month', default is 'day'
+ * @param {string} [options.method] - 'klines', 'markklines', 'indexklines' or 'premiumindexklines', default is 'klines'
+ * @param {number} [options.limit] - klines per request, default is 1000
+ * @param {object} [options.logger]
+ */
+class KlineDownloader extends EventEmitter {
+  constructor (client, options = {}) {
+    super()
+    const { directory = '.', format = 'csv', partition = 'day', method = 'klines', limit = 1000, logger } = options
+    if (!FORMATS[format]) throw new InvalidParameterError(`format must be one of: ${Object.keys(FORMATS).join(', ')}`)
+    if (!PARTITIONS[partition]) throw new InvalidParameterError(`partition must be one of: ${Object.keys(PARTITIONS).join(', ')}`)
+    if (!KLINE_METHODS.includes(method)) throw new InvalidParameterError(`method must be one of: ${KLINE_METHODS.join(', ')}`)
+
+    this.client = client
+    this.logger = logger || client.logger
+    this.directory = directory
+    this.format = FORMATS[format]
+    this.partition = PARTITIONS[partition]
+    this.method = method
+    this.limit = limit
+  }
+
+  filePath (symbol, interval, partitionStart) {
+    return path.join(this.directory, `${symbol}-${interval}-${this.partition.name(partitionStart)}.${this.format.extension}`)
+  }
+
+  /**
+   * Download the klines opened between startTime and endTime
+   *
+   * @param {string} symbol - the pair for indexklines
+   * @param {string} interval
+   * @param {number|string|Date} startTime
+   * @param {number|string|Date} [endTime] - exclusive, default is now
+   * @returns {Promise<object>} { files, klines, gaps }, the written files, the number of klines downloaded
+   *  and the gaps found by verify()
+   */
+  async download (symbol, interval, startTime, endTime = Date.now()) {
+    validateRequiredParameters({ symbol, interval, startTime })
+    validateEnumParameters({ interval }, { interval: KlineInterval })
+    const start = toTime(startTime)
+    const end = toTime(endTime)
+    symbol = symbol.toUpperCase()
+
+    await fs.promises.mkdir(this.directory, { recursive: true })
+
+    const files = []
+    let klines = 0
+    for (let partitionStart = this.partition.start(start); partitionStart < end; partitionStart = this.partition.next(partitionStart)) {
+      const from = Math.max(start, partitionStart)
+      const to = Math.min(end, this.partition.next(partitionStart))
+      const filePath = this.filePath(symbol, interval, partitionStart)
+      const count = await this.downloadPartition(symbol, interval, from, to, filePath)
+      if (count) {
+        files.push(filePath)
+        klines += count
+        this.emit('file', filePath, count)
+      }
+    }
+
+    const { gaps } = await this.verify(symbol, interval, start, end)
+    return { files, klines, gaps }
+  }
+
+  async downloadPartition (symbol, interval, from, to, filePath) {
+    const existing = await this.readFile(filePath)
+    const lastOpenTime = existing.openTimes[existing.openTimes.length - 1]
+    const cursor = lastOpenTime === undefined ? alignOpenTime(from, interval) : nextOpenTime(lastOpenTime, interval)
+    if (cursor >= to) return 0
+
+    if (lastOpenTime !== undefined) {
+      this.logger.log(`Resuming ${filePath} after ${new Date(lastOpenTime).toISOString()}`)
+    }
+
+    const now = () => Date.now() + this.client.timeOffset
+    const pages = paginate(page => this.fetchPage(symbol, interval, page, to), {
+      cursor,
+      nextCursor: kline => kline[0] + 1,
+      key: kline => kline[0],
+      // the last kline may still be open
+      isPastEnd: kline => kline[0] >= to || kline[6] >= now(),
+      pageSize: this.limit
+    })
+
+    // the file is only created once there is a kline to write
+    let created = lastOpenTime !== undefined
+    const write = async lines => {
+      if (created) return fs.promises.appendFile(filePath, lines)
+      created = true
+      return fs.promises.writeFile(filePath, this.format.header + lines)
+    }
+
+    let lines = ''
+    let count = 0
+    for await (const kline of pages) {
+      lines += this.format.format(kline)
+      if (++count % this.limit === 0) {
+        await write(lines)
+        lines = ''
+      }
+    }
+    if (lines) {
+      await write(lines)
+    }
+    return count
+  }
+
+  async fetchPage (symbol, interval, startTime, endTime) {
+    // the kline endpoints all share the weight of klines
+    const delay = this.client.rateLimiter.delayFor(getRequestWeight('GET', '/fapi/v1/klines', { limit: this.limit }), 0)
+    if (delay) {
+      this.logger.warn(`Rate limit reached, waiting ${delay}ms before downloading more klines`)
+      await sleep(delay)
+    }
+    const response = await this.client[this.method](symbol, interval, { startTime, endTime: endTime - 1, limit: this.limit })
+    // written as arrays, whatever the klineObjects option of the client
+    return response.data.map(klineToArray)
+  }
+
+  /**
+   * Open times of the klines in a file, dropping a partially written last line
+   */
+  async readFile (filePath) {
+    let content
+    try {
+      content = await fs.promises.readFile(filePath, 'utf8')
+    } catch (error) {
+      if (error.code === 'ENOENT') return { openTimes: [] }
+      throw error
+    }
+    const complete = content.slice(0, content.lastIndexOf('\n') + 1)
+    if (complete.length < content.length) {
+      this.logger.warn(`Discarding the incomplete last line of ${filePath}`)
+      await fs.promises.truncate(filePath, Buffer.byteLength(complete))
+    }
+    const openTimes = complete.split('\n')
+      .filter(line => line && line !== this.format.header.trim())
+      .map(this.format.openTime)
+    return { openTimes }
+  }
+
+  /**
+   * Look for missing klines in the files on disk
+   *
+   * @param {string} symbol
+   * @param {string} interval
+   * @param {number|string|Date} startTime
+   * @param {number|string|Date} [endTime] - exclusive, default is now
+   * @returns {Promise<object>} { klines, gaps }, gaps as [{ from, to }] where from is the open time
+   *  of the first missing kline and to the open time of the next kline found
+   */
+  async verify (symbol, interval, startTime, endTime = Date.now()) {
+    validateRequiredParameters({ symbol, interval, startTime })
+    const start = toTime(startTime)
+    const end = toTime(endTime)
+    symbol = symbol.toUpperCase()
+
+    const gaps = []
+    let klines = 0
+    let expected = alignOpenTime(start, interval)
+    const check = openTime => {
+      if (openTime < expected) return
+      if (openTime > expected) gaps.push({ from: expected, to: openTime })
+      expected = nextOpenTime(openTime, interval)
+      klines++
+    }
+
+    for (let partitionStart = this.partition.start(start); partitionStart < end; partitionStart = this.partition.next(partitionStart)) {
+      const { openTimes } = await this.readFile(this.filePath(symbol, interval, partitionStart))
+      openTimes.filter(openTime => openTime >= start && openTime < end).forEach(check)
+    }
+
+    // only closed klines can be missing
+    if (expected < end && nextOpenTime(expected, interval) <= Date.now() + this.client.timeOffset) {
+      gaps.push({ from: expected, to: alignOpenTime(end, interval) })
+    }
+    return { klines, gaps }
+  }
+}
+
+module.exports = KlineDownloader
@@ -0,0 +1,173 @@
+'use strict'
+
+const { validateRequiredParameters } = require('../../helpers/validation')
+
+/**
+ * COIN-M API account endpoints
+ * @module DeliveryAccount
+ * @param {*} superclass
+ */
+const Account = (superclass) =>
+  class extends superclass {
+    /**
+     * Futures Account Balance (USER_DATA)<br>
+     *
+     * GET /dapi/v1/balance<br>
+     *
+     * {@link https://developers.binance.com/docs/derivatives/coin-margined-futures/account/rest-api/Futures-Account-Balance}
+     *
+     * @param {object} [options]
+     * @param {number} [options.recvWindow]
+     */
+    futuresAccountBalance (options = {}) {
+      return this.signRequest('GET', '/dapi/v1/balance', options)
+    }
+
+    /**
+     * Account Information (USER_DATA)<br>
+     *
+     * GET /dapi/v1/account<br>
+     *
+     * {@link https://developers.binance.com/docs/derivatives/coin-margined-futures/account/rest-api/Account-Information}
+     *
+     * @param {object} [options]
+     * @param {number} [options.recvWindow]
+     */
+    accountInformation (options = {}) {
+      return this.signRequest('GET', '/dapi/v1/account', options)
+    }
+
+    /**
+     * User Commission Rate (USER_DATA)<br>
+     *
+     * GET /dapi/v1/commissionRate<br>
+     *
+     * {@link https://developers.binance.com/docs/derivatives/coin-margined-futures/account/rest-api/User-Commission-Rate}
+     *
+     * @param {string} symbol
+     * @param {object} [options]
+     * @param {number} [options.recvWindow]
+     */
+    userComissionRate (symbol, options = {}) {
+      validateRequiredParameters({ symbol })
+      return this.signRequest(
+        'GET',
+        '/dapi/v1/commissionRate',
+        Object.assign(options, {
+          symbol: symbol.toUpperCase()
+        })
+      )
+    }
+
+    /**
+     * Notional Bracket for Pair (USER_DATA)<br>
+     *
+     * GET /dapi/v1/leverageBracket<br>
+     *
+     * {@link https://developers.binance.com/docs/derivatives/coin-margined-futures/account/rest-api/Notional-Bracket-for-Pair}
+     *
+     * @param {object} [options]
+     * @param {string} [options.pair]
+     * @param {number} [options.recvWindow]
+     */
+    leverageBracket (options = {}) {
+      return this.signRequest('GET', '/dapi/v1/leverageBracket', options)
+    }
+
+    /**
+     * Notional Bracket for Symbol (USER_DATA)<br>
+     *
+     * GET /dapi/v2/leverageBracket<br>
+     *
+     * {@link https://developers.binance.com/docs/derivatives/coin-margined-futures/account/rest-api/Notional-Bracket-for-Symbol}
+     *
+     * @param {object} [options]
+     * @param {string} [options.symbol]
+     * @param {number} [options.recvWindow]
+     */
+    leverageBracketV2 (options = {}) {
+      return this.signRequest('GET', '/dapi/v2/leverageBracket', options)
+    }
+
+    /**
+     * Get Current Position Mode (USER_DATA)<br>
+     *
+     * GET /dapi/v1/positionSide/dual<br>
+     *
+     * {@link https://developers.binance.com/docs/derivatives/coin-margined-futures/account/rest-api/Get-Current-Position-Mode}
+     *
+     * @param {object} [options]
+     * @param {number} [options.recvWindow]
+     */
+    currentPositionMode (options = {}) {
+      return this.signRequest('GET', '/dapi/v1/positionSide/dual', options)
+    }
+
+    /**
+     * Get Income History (USER_DATA)<br>
+     *
+     * GET /dapi/v1/income<br>
+     *
+     * {@link https://developers.binance.com/docs/derivatives/coin-margined-futures/account/rest-api/Get-Income-History}
+     *
+     * @param {object} [options]
+     * @param {string} [options.symbol]
+     * @param {string} [options.incomeType]
+     * @param {number} [options.startTime]
+     * @param {number} [options.endTime]
+     * @param {number} [options.page]
+     * @param {number} [options.limit]
+     * @param {number} [options.recvWindow]
+     */
+    getIncomeHistory (options = {}) {
+      return this.signRequest('GET', '/dapi/v1/income', options)
+    }
+
+    /**
+     * Get Download Id For Futures Transaction History (USER_DATA)<br>
+     *
+     * GET /dapi/v1/income/asyn<br>
+     *
+     * {@link https://developers.binance.com/docs/derivatives/coin-margined-futures/account/rest-api/Get-Download-Id-For-Futures-Transaction-History}
+     *
+     * @param {number} startTime
+     * @param {number} endTime - at most one year after startTime
+     * @param {object} [options]
+     * @param {number} [options.recvWindow]
+     */
+    getDownloadIdTransactionHistory (startTime, endTime, options = {}) {
+      validateRequiredParameters({ startTime, endTime })
+      return this.signRequest(
+        'GET',
+        '/dapi/v1/income/asyn',
+        Object.assign(options, {
+          startTime,
+          endTime
+        })
+      )
+    }
+
+    /**
+     * Get Futures Transaction History Download Link by Id (USER_DATA)<br>
+     *
+     * GET /dapi/v1/income/asyn/id<br>
+     *
+     * {@link https://developers.binance.com/docs/derivatives/coin-margined-futures/account/rest-api/Get-Futures-Transaction-History-Download-Link-by-Id}
+     *
+     * @param {string} downloadId
+     * @param {object} [options]
+     * @param {number} [options.recvWindow]
+     */
+    getTransactionHistoryDownloadLink (downloadId, options = {}) {
+      validateRequiredParameters({ downloadId })
+      return this.signRequest(
+        'GET',
+        '/dapi/v1/income/asyn/id',
+        Object.assign(options, {
+          downloadId
+        })
+      )
+    }
+  }
+
+module.exports = Account
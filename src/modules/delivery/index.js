@@ -0,0 +1,6 @@
+'use strict'
+
+module.exports.Market = require('./market')
+module.exports.Trade = require('./trade')
+module.exports.Account = require('./account')
+module.exports.UserDataStream = require('./userDataStream')
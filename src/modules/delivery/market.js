@@ -0,0 +1,570 @@
+'use strict'
+
+const {
+  validateRequiredParameters,
+  validateEnumParameters
+} = require('../../helpers/validation')
+const {
+  KlineInterval,
+  ContractType,
+  DataPeriod
+} = require('../../helpers/enums')
+
+/**
+ * COIN-M API market endpoints
+ * @module DeliveryMarket
+ * @param {*} superclass
+ */
+const Market = (superclass) =>
+  class extends superclass {
+    /**
+     * Test Connectivity<br>
+     *
+     * GET /dapi/v1/ping<br>
+     *
+     * {@link https://developers.binance.com/docs/derivatives/coin-margined-futures/market-data/rest-api/Test-Connectivity}
+     */
+    ping () {
+      return this.publicRequest('GET', '/dapi/v1/ping')
+    }
+
+    /**
+     * Check Server Time<br>
+     *
+     * GET /dapi/v1/time<br>
+     *
+     * {@link https://developers.binance.com/docs/derivatives/coin-margined-futures/market-data/rest-api/Check-Server-time}
+     */
+    time () {
+      return this.publicRequest('GET', '/dapi/v1/time')
+    }
+
+    /**
+     * Exchange Information<br>
+     *
+     * GET /dapi/v1/exchangeInfo<br>
+     *
+     * Current exchange trading rules and symbol information, quantities are in contracts<br>
+     *
+     * {@link https://developers.binance.com/docs/derivatives/coin-margined-futures/market-data/rest-api/Exchange-Information}
+     */
+    exchangeInfo () {
+      return this.publicRequest('GET', '/dapi/v1/exchangeInfo')
+    }
+
+    /**
+     * Order Book<br>
+     *
+     * GET /dapi/v1/depth<br>
+     *
+     * {@link https://developers.binance.com/docs/derivatives/coin-margined-futures/market-data/rest-api/Order-Book}
+     *
+     * @param {string} symbol - e.g. BTCUSD_PERP or BTCUSD_250926
+     * @param {object} [options]
+     * @param {number} [options.limit] - Default 500; Valid limits:[5, 10, 20, 50, 100, 500, 1000]
+     */
+    depth (symbol, options = {}) {
+      validateRequiredParameters({ symbol })
+      return this.publicRequest(
+        'GET',
+        '/dapi/v1/depth',
+        Object.assign(options, {
+          symbol: symbol.toUpperCase()
+        })
+      )
+    }
+
+    /**
+     * Recent Trades List<br>
+     *
+     * GET /dapi/v1/trades<br>
+     *
+     * {@link https://developers.binance.com/docs/derivatives/coin-margined-futures/market-data/rest-api/Recent-Trades-List}
+     *
+     * @param {string} symbol
+     * @param {object} [options]
+     * @param {number} [options.limit] - Default 500; max 1000.
+     */
+    trades (symbol, options = {}) {
+      validateRequiredParameters({ symbol })
+      return this.publicRequest(
+        'GET',
+        '/dapi/v1/trades',
+        Object.assign(options, {
+          symbol: symbol.toUpperCase()
+        })
+      )
+    }
+
+    /**
+     * Old Trades Lookup<br>
+     *
+     * GET /dapi/v1/historicalTrades<br>
+     *
+     * {@link https://developers.binance.com/docs/derivatives/coin-margined-futures/market-data/rest-api/Old-Trades-Lookup}
+     *
+     * @param {string} symbol
+     * @param {object} [options]
+     * @param {number} [options.limit] - Default 100; max 500.
+     * @param {number} [options.fromId] - Trade id to fetch from. Default gets most recent trades.
+     */
+    historicalTrades (symbol, options = {}) {
+      validateRequiredParameters({ symbol })
+      return this.publicRequest(
+        'GET',
+        '/dapi/v1/historicalTrades',
+        Object.assign(options, {
+          symbol: symbol.toUpperCase()
+        })
+      )
+    }
+
+    /**
+     * Compressed/Aggregate Trades List<br>
+     *
+     * GET /dapi/v1/aggTrades<br>
+     *
+     * {@link https://developers.binance.com/docs/derivatives/coin-margined-futures/market-data/rest-api/Compressed-Aggregate-Trades-List}
+     *
+     * @param {string} symbol
+     * @param {object} [options]
+     * @param {number} [options.fromId] - id to get aggregate trades from INCLUSIVE.
+     * @param {number} [options.startTime]
+     * @param {number} [options.endTime]
+     * @param {number} [options.limit] - Default 500; max 1000.
+     */
+    aggTrades (symbol, options = {}) {
+      validateRequiredParameters({ symbol })
+      return this.publicRequest(
+        'GET',
+        '/dapi/v1/aggTrades',
+        Object.assign(options, {
+          symbol: symbol.toUpperCase()
+        })
+      )
+    }
+
+    /**
+     * Index Price and Mark Price<br>
+     *
+     * GET /dapi/v1/premiumIndex<br>
+     *
+     * {@link https://developers.binance.com/docs/derivatives/coin-margined-futures/market-data/rest-api/Index-Price-and-Mark-Price}
+     *
+     * @param {object} [options]
+     * @param {string} [options.symbol]
+     * @param {string} [options.pair]
+     */
+    premiumindex (options = {}) {
+      return this.publicRequest('GET', '/dapi/v1/premiumIndex', options)
+    }
+
+    /**
+     * Get Funding Rate History of Perpetual Futures<br>
+     *
+     * GET /dapi/v1/fundingRate<br>
+     *
+     * {@link https://developers.binance.com/docs/derivatives/coin-margined-futures/market-data/rest-api/Get-Funding-Rate-History-of-Perpetual-Futures}
+     *
+     * @param {string} symbol
+     * @param {object} [options]
+     * @param {number} [options.startTime]
+     * @param {number} [options.endTime]
+     * @param {number} [options.limit] - Default 100; max 1000.
+     */
+    fundingRateHistory (symbol, options = {}) {
+      validateRequiredParameters({ symbol })
+      return this.publicRequest(
+        'GET',
+        '/dapi/v1/fundingRate',
+        Object.assign(options, {
+          symbol: symbol.toUpperCase()
+        })
+      )
+    }
+
+    /**
+     * Get Funding Rate Info<br>
+     *
+     * GET /dapi/v1/fundingInfo<br>
+     *
+     * {@link https://developers.binance.com/docs/derivatives/coin-margined-futures/market-data/rest-api/Get-Funding-Info}
+     */
+    fundingInfo () {
+      return this.publicRequest('GET', '/dapi/v1/fundingInfo')
+    }
+
+    /**
+     * Kline/Candlestick Data<br>
+     *
+     * GET /dapi/v1/klines<br>
+     *
+     * {@link https://developers.binance.com/docs/derivatives/coin-margined-futures/market-data/rest-api/Kline-Candlestick-Data}
+     *
+     * @param {string} symbol
+     * @param {string} interval
+     * @param {object} [options]
+     * @param {number} [options.startTime]
+     * @param {number} [options.endTime] - at most 200 days after startTime
+     * @param {number} [options.limit] - Default 500; max 1500.
+     */
+    klines (symbol, interval, options = {}) {
+      validateRequiredParameters({ symbol, interval })
+      validateEnumParameters({ interval }, { interval: KlineInterval })
+      return this.publicRequest(
+        'GET',
+        '/dapi/v1/klines',
+        Object.assign(options, {
+          symbol: symbol.toUpperCase(),
+          interval
+        })
+      )
+    }
+
+    /**
+     * Continuous Contract Kline/Candlestick Data<br>
+     *
+     * GET /dapi/v1/continuousKlines<br>
+     *
+     * {@link https://developers.binance.com/docs/derivatives/coin-margined-futures/market-data/rest-api/Continuous-Contract-Kline-Candlestick-Data}
+     *
+     * @param {string} pair - e.g. BTCUSD
+     * @param {string} contractType - PERPETUAL, CURRENT_QUARTER, NEXT_QUARTER
+     * @param {string} interval
+     * @param {object} [options]
+     * @param {number} [options.startTime]
+     * @param {number} [options.endTime]
+     * @param {number} [options.limit] - Default 500; max 1500.
+     */
+    continousklines (pair, contractType, interval, options = {}) {
+      validateRequiredParameters({ pair, contractType, interval })
+      validateEnumParameters(
+        { contractType, interval },
+        { contractType: ContractType, interval: KlineInterval }
+      )
+      return this.publicRequest(
+        'GET',
+        '/dapi/v1/continuousKlines',
+        Object.assign(options, {
+          pair: pair.toUpperCase(),
+          contractType,
+          interval
+        })
+      )
+    }
+
+    /**
+     * Index Price Kline/Candlestick Data<br>
+     *
+     * GET /dapi/v1/indexPriceKlines<br>
+     *
+     * {@link https://developers.binance.com/docs/derivatives/coin-margined-futures/market-data/rest-api/Index-Price-Kline-Candlestick-Data}
+     *
+     * @param {string} pair
+     * @param {string} interval
+     * @param {object} [options]
+     * @param {number} [options.startTime]
+     * @param {number} [options.endTime]
+     * @param {number} [options.limit] - Default 500; max 1500.
+     */
+    indexklines (pair, interval, options = {}) {
+      validateRequiredParameters({ pair, interval })
+      validateEnumParameters({ interval }, { interval: KlineInterval })
+      return this.publicRequest(
+        'GET',
+        '/dapi/v1/indexPriceKlines',
+        Object.assign(options, {
+          pair: pair.toUpperCase(),
+          interval
+        })
+      )
+    }
+
+    /**
+     * Mark Price Kline/Candlestick Data<br>
+     *
+     * GET /dapi/v1/markPriceKlines<br>
+     *
+     * {@link https://developers.binance.com/docs/derivatives/coin-margined-futures/market-data/rest-api/Mark-Price-Kline-Candlestick-Data}
+     *
+     * @param {string} symbol
+     * @param {string} interval
+     * @param {object} [options]
+     * @param {number} [options.startTime]
+     * @param {number} [options.endTime]
+     * @param {number} [options.limit] - Default 500; max 1500.
+     */
+    markklines (symbol, interval, options = {}) {
+      validateRequiredParameters({ symbol, interval })
+      validateEnumParameters({ interval }, { interval: KlineInterval })
+      return this.publicRequest(
+        'GET',
+        '/dapi/v1/markPriceKlines',
+        Object.assign(options, {
+          symbol: symbol.toUpperCase(),
+          interval
+        })
+      )
+    }
+
+    /**
+     * Premium index Kline Data<br>
+     *
+     * GET /dapi/v1/premiumIndexKlines<br>
+     *
+     * {@link https://developers.binance.com/docs/derivatives/coin-margined-futures/market-data/rest-api/Premium-Index-Kline-Data}
+     *
+     * @param {string} symbol
+     * @param {string} interval
+     * @param {object} [options]
+     * @param {number} [options.startTime]
+     * @param {number} [options.endTime]
+     * @param {number} [options.limit] - Default 500; max 1500.
+     */
+    premiumindexklines (symbol, interval, options = {}) {
+      validateRequiredParameters({ symbol, interval })
+      validateEnumParameters({ interval }, { interval: KlineInterval })
+      return this.publicRequest(
+        'GET',
+        '/dapi/v1/premiumIndexKlines',
+        Object.assign(options, {
+          symbol: symbol.toUpperCase(),
+          interval
+        })
+      )
+    }
+
+    /**
+     * 24hr Ticker Price Change Statistics<br>
+     *
+     * GET /dapi/v1/ticker/24hr<br>
+     *
+     * {@link https://developers.binance.com/docs/derivatives/coin-margined-futures/market-data/rest-api/24hr-Ticker-Price-Change-Statistics}
+     *
+     * @param {object} [options] - every symbol when neither symbol nor pair is sent
+     * @param {string} [options.symbol]
+     * @param {string} [options.pair]
+     */
+    priceChange24H (options = {}) {
+      return this.publicRequest('GET', '/dapi/v1/ticker/24hr', options)
+    }
+
+    /**
+     * Symbol Price Ticker<br>
+     *
+     * GET /dapi/v1/ticker/price<br>
+     *
+     * {@link https://developers.binance.com/docs/derivatives/coin-margined-futures/market-data/rest-api/Symbol-Price-Ticker}
+     *
+     * @param {object} [options] - every symbol when neither symbol nor pair is sent
+     * @param {string} [options.symbol]
+     * @param {string} [options.pair]
+     */
+    symbolPriceTicker (options = {}) {
+      return this.publicRequest('GET', '/dapi/v1/ticker/price', options)
+    }
+
+    /**
+     * Symbol Order Book Ticker<br>
+     *
+     * GET /dapi/v1/ticker/bookTicker<br>
+     *
+     * {@link https://developers.binance.com/docs/derivatives/coin-margined-futures/market-data/rest-api/Symbol-Order-Book-Ticker}
+     *
+     * @param {object} [options] - every symbol when neither symbol nor pair is sent
+     * @param {string} [options.symbol]
+     * @param {string} [options.pair]
+     */
+    bookTicker (options = {}) {
+      return this.publicRequest('GET', '/dapi/v1/ticker/bookTicker', options)
+    }
+
+    /**
+     * Open Interest<br>
+     *
+     * GET /dapi/v1/openInterest<br>
+     *
+     * {@link https://developers.binance.com/docs/derivatives/coin-margined-futures/market-data/rest-api/Open-Interest}
+     *
+     * @param {string} symbol
+     */
+    openInterest (symbol) {
+      validateRequiredParameters({ symbol })
+      return this.publicRequest('GET', '/dapi/v1/openInterest', {
+        symbol: symbol.toUpperCase()
+      })
+    }
+
+    /**
+     * Open Interest Statistics<br>
+     *
+     * GET /futures/data/openInterestHist<br>
+     *
+     * {@link https://developers.binance.com/docs/derivatives/coin-margined-futures/market-data/rest-api/Open-Interest-Statistics}
+     *
+     * @param {string} pair
+     * @param {string} contractType - ALL, CURRENT_QUARTER, NEXT_QUARTER, PERPETUAL
+     * @param {string} period
+     * @param {object} [options]
+     * @param {number} [options.limit]
+     * @param {number} [options.startTime]
+     * @param {number} [options.endTime]
+     */
+    openInterestHist (pair, contractType, period, options = {}) {
+      validateRequiredParameters({ pair, contractType, period })
+      validateEnumParameters({ period }, { period: DataPeriod })
+      return this.publicRequest(
+        'GET',
+        '/futures/data/openInterestHist',
+        Object.assign(options, {
+          pair: pair.toUpperCase(),
+          contractType,
+          period
+        })
+      )
+    }
+
+    /**
+     * Top Trader Long/Short Ratio (Accounts)<br>
+     *
+     * GET /futures/data/topLongShortAccountRatio<br>
+     *
+     * {@link https://developers.binance.com/docs/derivatives/coin-margined-futures/market-data/rest-api/Top-Trader-Long-Short-Ratio}
+     *
+     * @param {string} pair
+     * @param {string} period
+     * @param {object} [options]
+     * @param {number} [options.limit]
+     * @param {number} [options.startTime]
+     * @param {number} [options.endTime]
+     */
+    topLongShortAccountRatio (pair, period, options = {}) {
+      validateRequiredParameters({ pair, period })
+      validateEnumParameters({ period }, { period: DataPeriod })
+      return this.publicRequest(
+        'GET',
+        '/futures/data/topLongShortAccountRatio',
+        Object.assign(options, {
+          pair: pair.toUpperCase(),
+          period
+        })
+      )
+    }
+
+    /**
+     * Top Trader Long/Short Ratio (Positions)<br>
+     *
+     * GET /futures/data/topLongShortPositionRatio<br>
+     *
+     * {@link https://developers.binance.com/docs/derivatives/coin-margined-futures/market-data/rest-api/Top-Trader-Long-Short-Ratio-Positions}
+     *
+     * @param {string} pair
+     * @param {string} period
+     * @param {object} [options]
+     * @param {number} [options.limit]
+     * @param {number} [options.startTime]
+     * @param {number} [options.endTime]
+     */
+    topLongShortPositionRatio (pair, period, options = {}) {
+      validateRequiredParameters({ pair, period })
+      validateEnumParameters({ period }, { period: DataPeriod })
+      return this.publicRequest(
+        'GET',
+        '/futures/data/topLongShortPositionRatio',
+        Object.assign(options, {
+          pair: pair.toUpperCase(),
+          period
+        })
+      )
+    }
+
+    /**
+     * Long/Short Ratio<br>
+     *
+     * GET /futures/data/globalLongShortAccountRatio<br>
+     *
+     * {@link https://developers.binance.com/docs/derivatives/coin-margined-futures/market-data/rest-api/Long-Short-Ratio}
+     *
+     * @param {string} pair
+     * @param {string} period
+     * @param {object} [options]
+     * @param {number} [options.limit]
+     * @param {number} [options.startTime]
+     * @param {number} [options.endTime]
+     */
+    globalLongShortAccountRatio (pair, period, options = {}) {
+      validateRequiredParameters({ pair, period })
+      validateEnumParameters({ period }, { period: DataPeriod })
+      return this.publicRequest(
+        'GET',
+        '/futures/data/globalLongShortAccountRatio',
+        Object.assign(options, {
+          pair: pair.toUpperCase(),
+          period
+        })
+      )
+    }
+
+    /**
+     * Taker Buy/Sell Volume<br>
+     *
+     * GET /futures/data/takerBuySellVol<br>
+     *
+     * {@link https://developers.binance.com/docs/derivatives/coin-margined-futures/market-data/rest-api/Taker-Buy-Sell-Volume}
+     *
+     * @param {string} pair
+     * @param {string} contractType - ALL, CURRENT_QUARTER, NEXT_QUARTER, PERPETUAL
+     * @param {string} period
+     * @param {object} [options]
+     * @param {number} [options.limit]
+     * @param {number} [options.startTime]
+     * @param {number} [options.endTime]
+     */
+    takerBuySellVolume (pair, contractType, period, options = {}) {
+      validateRequiredParameters({ pair, contractType, period })
+      validateEnumParameters({ period }, { period: DataPeriod })
+      return this.publicRequest(
+        'GET',
+        '/futures/data/takerBuySellVol',
+        Object.assign(options, {
+          pair: pair.toUpperCase(),
+          contractType,
+          period
+        })
+      )
+    }
+
+    /**
+     * Basis<br>
+     *
+     * GET /futures/data/basis<br>
+     *
+     * {@link https://developers.binance.com/docs/derivatives/coin-margined-futures/market-data/rest-api/Basis}
+     *
+     * @param {string} pair
+     * @param {string} contractType - CURRENT_QUARTER, NEXT_QUARTER, PERPETUAL
+     * @param {string} period
+     * @param {object} [options]
+     * @param {number} [options.limit]
+     * @param {number} [options.startTime]
+     * @param {number} [options.endTime]
+     */
+    basis (pair, contractType, period, options = {}) {
+      validateRequiredParameters({ pair, contractType, period })
+      validateEnumParameters(
+        { contractType, period },
+        { contractType: ContractType, period: DataPeriod }
+      )
+      return this.publicRequest(
+        'GET',
+        '/futures/data/basis',
+        Object.assign(options, {
+          pair: pair.toUpperCase(),
+          contractType,
+          period
+        })
+      )
+    }
+  }
+
+module.exports = Market
@@ -0,0 +1,585 @@
+'use strict'
+
+const {
+  validateRequiredParameters,
+  validateEnumParameters,
+  validateOrderParameters,
+  hasOneOfParameters
+} = require('../../helpers/validation')
+const {
+  OrderSide,
+  PriceMatch,
+  MarginType,
+  PositionSide
+} = require('../../helpers/enums')
+const { sendPreparedInBatches } = require('../../helpers/batch')
+const { normalizeOrder } = require('../../helpers/utils')
+
+const MODIFY_ORDER_ENUMS = { side: OrderSide, priceMatch: PriceMatch }
+
+/**
+ * COIN-M API trade endpoints
+ * @module DeliveryTrade
+ * @param {*} superclass
+ */
+const Trade = (superclass) =>
+  class extends superclass {
+    /**
+     * New Order (TRADE)<br>
+     *
+     * POST /dapi/v1/order<br>
+     *
+     * {@link https://developers.binance.com/docs/derivatives/coin-margined-futures/trade/rest-api/New-Order}
+     *
+     * Quantities are in contracts, see contractSize in exchangeInfo.
+     * The mandatory parameters of every type are the same as for the USD-M newOrder.
+     *
+     * @param {string} symbol - e.g. BTCUSD_PERP or BTCUSD_250926
+     * @param {string} side
+     * @param {string} type
+     * @param {object} [options]
+     * @param {string} [options.positionSide]
+     * @param {string} [options.timeInForce]
+     * @param {number} [options.quantity] - number of contracts
+     * @param {string} [options.reduceOnly]
+     * @param {number} [options.price]
+     * @param {string} [options.newClientOrderId]
+     * @param {number} [options.stopPrice]
+     * @param {string} [options.closePosition]
+     * @param {number} [options.activationPrice] - TRAILING_STOP_MARKET only, must be positive
+     * @param {number} [options.callbackRate] - TRAILING_STOP_MARKET only, between 0.1 and 10
+     * @param {string} [options.workingType]
+     * @param {string} [options.priceProtect]
+     * @param {string} [options.newOrderRespType]
+     * @param {string} [options.priceMatch] - LIMIT/STOP/TAKE_PROFIT only, cannot be sent with price
+     * @param {string} [options.selfTradePreventionMode]
+     * @param {number} [options.recvWindow]
+     */
+    newOrder (symbol, side, type, options = {}) {
+      validateRequiredParameters({ symbol, side, type })
+      const order = Object.assign(options, {
+        symbol: symbol.toUpperCase(),
+        side: side.toUpperCase(),
+        type: type.toUpperCase()
+      })
+      validateOrderParameters(order)
+
+      return this.prepareOrder(order).then((prepared) =>
+        this.signRequest('POST', '/dapi/v1/order', prepared)
+      )
+    }
+
+    /**
+     * Place Multiple Orders (TRADE)<br>
+     *
+     * POST /dapi/v1/batchOrders<br>
+     *
+     * {@link https://developers.binance.com/docs/derivatives/coin-margined-futures/trade/rest-api/Place-Multiple-Orders}
+     *
+     * Any number of orders can be given, they are sent 5 at a time. The response data pairs every order
+     * with its outcome, as { order, result } or { order, error }, in the order given. An order failing
+     * the orderFilter check gets its error and is not sent, the others still are.
+     *
+     * @param {object[]} batchOrders - newOrder parameters, including symbol, side and type
+     * @param {object} [options]
+     * @param {number} [options.recvWindow]
+     */
+    placeMultipleOrder (batchOrders, options = {}) {
+      validateRequiredParameters({ batchOrders })
+      const normalized = batchOrders.map(normalizeOrder)
+      normalized.forEach((order, index) =>
+        validateOrderParameters(order, `batchOrders[${index}]`)
+      )
+      return sendPreparedInBatches(
+        normalized.map((order) => this.prepareOrder(order)),
+        (batch) =>
+          this.signRequest('POST', '/dapi/v1/batchOrders', {
+            ...options,
+            batchOrders: batch
+          }),
+        batchOrders
+      )
+    }
+
+    /**
+     * Modify Order (TRADE)<br>
+     *
+     * PUT /dapi/v1/order<br>
+     *
+     * {@link https://developers.binance.com/docs/derivatives/coin-margined-futures/trade/rest-api/Modify-Order}
+     *
+     * Only LIMIT orders can be modified. Either orderId or origClientOrderId must be sent.
+     *
+     * @param {string} symbol
+     * @param {string} side
+     * @param {object} [options]
+     * @param {number} [options.orderId]
+     * @param {string} [options.origClientOrderId]
+     * @param {number} [options.quantity] - quantity or price must be sent
+     * @param {number} [options.price]
+     * @param {string} [options.priceMatch] - cannot be sent with price
+     * @param {number} [options.recvWindow]
+     */
+    modifyOrder (symbol, side, options = {}) {
+      validateRequiredParameters({ symbol, side })
+      const order = Object.assign(options, {
+        symbol: symbol.toUpperCase(),
+        side: side.toUpperCase()
+      })
+      validateEnumParameters(order, MODIFY_ORDER_ENUMS)
+
+      return this.prepareOrder(order).then((prepared) =>
+        this.signRequest('PUT', '/dapi/v1/order', prepared)
+      )
+    }
+
+    /**
+     * Modify Multiple Orders (TRADE)<br>
+     *
+     * PUT /dapi/v1/batchOrders<br>
+     *
+     * {@link https://developers.binance.com/docs/derivatives/coin-margined-futures/trade/rest-api/Modify-Multiple-Orders}
+     *
+     * Any number of orders can be given, they are sent 5 at a time. The response data pairs every order
+     * with its outcome, as { order, result } or { order, error }, in the order given. An order failing
+     * the orderFilter check gets its error and is not sent, the others still are.
+     *
+     * @param {object[]} batchOrders - modifyOrder parameters, including symbol and side
+     * @param {object} [options]
+     * @param {number} [options.recvWindow]
+     */
+    modifyMultipleOrder (batchOrders, options = {}) {
+      validateRequiredParameters({ batchOrders })
+      const normalized = batchOrders.map(normalizeOrder)
+      normalized.forEach((order, index) => {
+        const { symbol, side } = order
+        validateRequiredParameters({ symbol, side })
+        validateEnumParameters(
+          order,
+          MODIFY_ORDER_ENUMS,
+          `batchOrders[${index}]`
+        )
+      })
+      return sendPreparedInBatches(
+        normalized.map((order) => this.prepareOrder(order)),
+        (batch) =>
+          this.signRequest('PUT', '/dapi/v1/batchOrders', {
+            ...options,
+            batchOrders: batch
+          }),
+        batchOrders
+      )
+    }
+
+    /**
+     * Get Order Modify History (USER_DATA)<br>
+     *
+     * GET /dapi/v1/orderAmendment<br>
+     *
+     * {@link https://developers.binance.com/docs/derivatives/coin-margined-futures/trade/rest-api/Get-Order-Modify-History}
+     *
+     * @param {string} symbol
+     * @param {object} [options]
+     * @param {number} [options.orderId]
+     * @param {string} [options.origClientOrderId]
+     * @param {number} [options.startTime]
+     * @param {number} [options.endTime]
+     * @param {number} [options.limit]
+     * @param {number} [options.recvWindow]
+     */
+    orderModifyHistory (symbol, options = {}) {
+      validateRequiredParameters({ symbol })
+      return this.signRequest(
+        'GET',
+        '/dapi/v1/orderAmendment',
+        Object.assign(options, {
+          symbol: symbol.toUpperCase()
+        })
+      )
+    }
+
+    /**
+     * Cancel Order (TRADE)<br>
+     *
+     * DELETE /dapi/v1/order<br>
+     *
+     * {@link https://developers.binance.com/docs/derivatives/coin-margined-futures/trade/rest-api/Cancel-Order}
+     *
+     * @param {string} symbol
+     * @param {object} [options]
+     * @param {number} [options.orderId]
+     * @param {string} [options.origClientOrderId]
+     * @param {number} [options.recvWindow]
+     */
+    cancelOrder (symbol, options = {}) {
+      validateRequiredParameters({ symbol })
+      return this.signRequest(
+        'DELETE',
+        '/dapi/v1/order',
+        Object.assign(options, {
+          symbol: symbol.toUpperCase()
+        })
+      )
+    }
+
+    /**
+     * Cancel Multiple Orders (TRADE)<br>
+     *
+     * DELETE /dapi/v1/batchOrders<br>
+     *
+     * {@link https://developers.binance.com/docs/derivatives/coin-margined-futures/trade/rest-api/Cancel-Multiple-Orders}
+     *
+     * @param {string} symbol
+     * @param {object} [options]
+     * @param {number[]} [options.orderIdList]
+     * @param {string[]} [options.origClientOrderIdList]
+     * @param {number} [options.recvWindow]
+     */
+    cancelMultipleOrders (symbol, options = {}) {
+      validateRequiredParameters({ symbol })
+      return this.signRequest(
+        'DELETE',
+        '/dapi/v1/batchOrders',
+        Object.assign(options, {
+          symbol: symbol.toUpperCase()
+        })
+      )
+    }
+
+    /**
+     * Cancel All Open Orders (TRADE)<br>
+     *
+     * DELETE /dapi/v1/allOpenOrders<br>
+     *
+     * {@link https://developers.binance.com/docs/derivatives/coin-margined-futures/trade/rest-api/Cancel-All-Open-Orders}
+     *
+     * @param {string} symbol
+     * @param {object} [options]
+     * @param {number} [options.recvWindow]
+     */
+    cancelAllOpenOrders (symbol, options = {}) {
+      validateRequiredParameters({ symbol })
+      return this.signRequest(
+        'DELETE',
+        '/dapi/v1/allOpenOrders',
+        Object.assign(options, {
+          symbol: symbol.toUpperCase()
+        })
+      )
+    }
+
+    /**
+     * Auto-Cancel All Open Orders (TRADE)<br>
+     *
+     * POST /dapi/v1/countdownCancelAll<br>
+     *
+     * {@link https://developers.binance.com/docs/derivatives/coin-margined-futures/trade/rest-api/Auto-Cancel-All-Open-Orders}
+     *
+     * @param {string} symbol
+     * @param {number} countdownTime - in ms, 0 cancels the countdown
+     * @param {object} [options]
+     * @param {number} [options.recvWindow]
+     */
+    countDownCancelAll (symbol, countdownTime, options = {}) {
+      validateRequiredParameters({ symbol, countdownTime })
+      return this.signRequest(
+        'POST',
+        '/dapi/v1/countdownCancelAll',
+        Object.assign(options, {
+          symbol: symbol.toUpperCase(),
+          countdownTime
+        })
+      )
+    }
+
+    /**
+     * Query Order (USER_DATA)<br>
+     *
+     * GET /dapi/v1/order<br>
+     *
+     * {@link https://developers.binance.com/docs/derivatives/coin-margined-futures/trade/rest-api/Query-Order}
+     *
+     * @param {string} symbol
+     * @param {object} [options]
+     * @param {number} [options.orderId]
+     * @param {string} [options.origClientOrderId]
+     * @param {number} [options.recvWindow]
+     */
+    queryOrder (symbol, options = {}) {
+      validateRequiredParameters({ symbol })
+      return this.signRequest(
+        'GET',
+        '/dapi/v1/order',
+        Object.assign(options, {
+          symbol: symbol.toUpperCase()
+        })
+      )
+    }
+
+    /**
+     * All Orders (USER_DATA)<br>
+     *
+     * GET /dapi/v1/allOrders<br>
+     *
+     * A startTime to endTime range longer than 7 days is split into several requests.<br>
+     *
+     * {@link https://developers.binance.com/docs/derivatives/coin-margined-futures/trade/rest-api/All-Orders}
+     *
+     * @param {object} options - symbol or pair must be sent
+     * @param {string} [options.symbol]
+     * @param {string} [options.pair]
+     * @param {number} [options.orderId]
+     * @param {number} [options.startTime]
+     * @param {number} [options.endTime]
+     * @param {number} [options.limit]
+     * @param {number} [options.recvWindow]
+     */
+    queryAllOrders (options = {}) {
+      hasOneOfParameters({ symbol: options.symbol, pair: options.pair })
+      return this.signRequest('GET', '/dapi/v1/allOrders', options)
+    }
+
+    /**
+     * Current All Open Orders (USER_DATA)<br>
+     *
+     * GET /dapi/v1/openOrders<br>
+     *
+     * {@link https://developers.binance.com/docs/derivatives/coin-margined-futures/trade/rest-api/Current-All-Open-Orders}
+     *
+     * @param {object} [options]
+     * @param {string} [options.symbol]
+     * @param {string} [options.pair]
+     * @param {number} [options.recvWindow]
+     */
+    queryCurrentAllOpenOrders (options = {}) {
+      return this.signRequest('GET', '/dapi/v1/openOrders', options)
+    }
+
+    /**
+     * Query Current Open Order (USER_DATA)<br>
+     *
+     * GET /dapi/v1/openOrder<br>
+     *
+     * {@link https://developers.binance.com/docs/derivatives/coin-margined-futures/trade/rest-api/Query-Current-Open-Order}
+     *
+     * @param {string} symbol
+     * @param {object} [options]
+     * @param {number} [options.orderId]
+     * @param {string} [options.origClientOrderId]
+     * @param {number} [options.recvWindow]
+     */
+    queryCurrentOpenOrder (symbol, options = {}) {
+      validateRequiredParameters({ symbol })
+      return this.signRequest(
+        'GET',
+        '/dapi/v1/openOrder',
+        Object.assign(options, {
+          symbol: symbol.toUpperCase()
+        })
+      )
+    }
+
+    /**
+     * User's Force Orders (USER_DATA)<br>
+     *
+     * GET /dapi/v1/forceOrders<br>
+     *
+     * A startTime to endTime range longer than 7 days is split into several requests.<br>
+     *
+     * {@link https://developers.binance.com/docs/derivatives/coin-margined-futures/trade/rest-api/Users-Force-Orders}
+     *
+     * @param {object} [options]
+     * @param {string} [options.symbol]
+     * @param {string} [options.autoCloseType] - LIQUIDATION or ADL
+     * @param {number} [options.startTime]
+     * @param {number} [options.endTime]
+     * @param {number} [options.limit]
+     * @param {number} [options.recvWindow]
+     */
+    forceOrders (options = {}) {
+      return this.signRequest('GET', '/dapi/v1/forceOrders', options)
+    }
+
+    /**
+     * Account Trade List (USER_DATA)<br>
+     *
+     * GET /dapi/v1/userTrades<br>
+     *
+     * A startTime to endTime range longer than 7 days is split into several requests.<br>
+     *
+     * {@link https://developers.binance.com/docs/derivatives/coin-margined-futures/trade/rest-api/Account-Trade-List}
+     *
+     * @param {object} options - symbol or pair must be sent
+     * @param {string} [options.symbol]
+     * @param {string} [options.pair]
+     * @param {number} [options.orderId]
+     * @param {number} [options.startTime]
+     * @param {number} [options.endTime]
+     * @param {number} [options.fromId]
+     * @param {number} [options.limit]
+     * @param {number} [options.recvWindow]
+     */
+    queryUserTrades (options = {}) {
+      hasOneOfParameters({ symbol: options.symbol, pair: options.pair })
+      return this.signRequest('GET', '/dapi/v1/userTrades', options)
+    }
+
+    /**
+     * Change Margin Type (TRADE)<br>
+     *
+     * POST /dapi/v1/marginType<br>
+     *
+     * {@link https://developers.binance.com/docs/derivatives/coin-margined-futures/trade/rest-api/Change-Margin-Type}
+     *
+     * @param {string} symbol
+     * @param {string} marginType - ISOLATED or CROSSED
+     * @param {object} [options]
+     * @param {number} [options.recvWindow]
+     */
+    changeMarginType (symbol, marginType, options = {}) {
+      validateRequiredParameters({ symbol, marginType })
+      marginType = marginType.toUpperCase()
+      validateEnumParameters({ marginType }, { marginType: MarginType })
+      return this.signRequest(
+        'POST',
+        '/dapi/v1/marginType',
+        Object.assign(options, {
+          symbol: symbol.toUpperCase(),
+          marginType
+        })
+      )
+    }
+
+    /**
+     * Change Position Mode (TRADE)<br>
+     *
+     * POST /dapi/v1/positionSide/dual<br>
+     *
+     * {@link https://developers.binance.com/docs/derivatives/coin-margined-futures/trade/rest-api/Change-Position-Mode}
+     *
+     * @param {string} dualSidePosition - "true" for Hedge Mode, "false" for One-way Mode
+     * @param {object} [options]
+     * @param {number} [options.recvWindow]
+     */
+    changePositionMode (dualSidePosition, options = {}) {
+      validateRequiredParameters({ dualSidePosition })
+      return this.signRequest(
+        'POST',
+        '/dapi/v1/positionSide/dual',
+        Object.assign(options, {
+          dualSidePosition
+        })
+      )
+    }
+
+    /**
+     * Change Initial Leverage (TRADE)<br>
+     *
+     * POST /dapi/v1/leverage<br>
+     *
+     * {@link https://developers.binance.com/docs/derivatives/coin-margined-futures/trade/rest-api/Change-Initial-Leverage}
+     *
+     * @param {string} symbol
+     * @param {number} leverage
+     * @param {object} [options]
+     * @param {number} [options.recvWindow]
+     */
+    changeLeverage (symbol, leverage, options = {}) {
+      validateRequiredParameters({ symbol, leverage })
+      return this.signRequest(
+        'POST',
+        '/dapi/v1/leverage',
+        Object.assign(options, {
+          symbol: symbol.toUpperCase(),
+          leverage
+        })
+      )
+    }
+
+    /**
+     * Modify Isolated Position Margin (TRADE)<br>
+     *
+     * POST /dapi/v1/positionMargin<br>
+     *
+     * {@link https://developers.binance.com/docs/derivatives/coin-margined-futures/trade/rest-api/Modify-Isolated-Position-Margin}
+     *
+     * @param {string} symbol
+     * @param {number} amount
+     * @param {number} type - 1: Add position margin, 2: Reduce position margin
+     * @param {object} [options]
+     * @param {string} [options.positionSide] - BOTH for One-way Mode, LONG or SHORT for Hedge Mode
+     * @param {number} [options.recvWindow]
+     */
+    modifyIsolatedMargin (symbol, amount, type, options = {}) {
+      validateRequiredParameters({ symbol, amount, type })
+      validateEnumParameters(options, { positionSide: PositionSide })
+      return this.signRequest(
+        'POST',
+        '/dapi/v1/positionMargin',
+        Object.assign(options, {
+          symbol: symbol.toUpperCase(),
+          amount,
+          type
+        })
+      )
+    }
+
+    /**
+     * Get Position Margin Change History (TRADE)<br>
+     *
+     * GET /dapi/v1/positionMargin/history<br>
+     *
+     * {@link https://developers.binance.com/docs/derivatives/coin-margined-futures/trade/rest-api/Get-Position-Margin-Change-History}
+     *
+     * @param {string} symbol
+     * @param {object} [options]
+     * @param {number} [options.type]
+     * @param {number} [options.startTime]
+     * @param {number} [options.endTime]
+     * @param {number} [options.limit]
+     * @param {number} [options.recvWindow]
+     */
+    positionMarginHistory (symbol, options = {}) {
+      validateRequiredParameters({ symbol })
+      return this.signRequest(
+        'GET',
+        '/dapi/v1/positionMargin/history',
+        Object.assign(options, {
+          symbol: symbol.toUpperCase()
+        })
+      )
+    }
+
+    /**
+     * Position Information (USER_DATA)<br>
+     *
+     * GET /dapi/v1/positionRisk<br>
+     *
+     * {@link https://developers.binance.com/docs/derivatives/coin-margined-futures/trade/rest-api/Position-Information}
+     *
+     * @param {object} [options]
+     * @param {string} [options.marginAsset]
+     * @param {string} [options.pair]
+     * @param {number} [options.recvWindow]
+     */
+    positionInformation (options = {}) {
+      return this.signRequest('GET', '/dapi/v1/positionRisk', options)
+    }
+
+    /**
+     * Position ADL Quantile Estimation (USER_DATA)<br>
+     *
+     * GET /dapi/v1/adlQuantile<br>
+     *
+     * {@link https://developers.binance.com/docs/derivatives/coin-margined-futures/trade/rest-api/Position-ADL-Quantile-Estimation}
+     *
+     * @param {object} [options]
+     * @param {string} [options.symbol]
+     * @param {number} [options.recvWindow]
+     */
+    adlQuantile (options = {}) {
+      return this.signRequest('GET', '/dapi/v1/adlQuantile', options)
+    }
+  }
+
+module.exports = Trade
@@ -3,8 +3,8 @@
 const { validateRequiredParameters } = require("../../helpers/validation");
 
 /**
- * API market endpoints
- * @module Market
+ * API account endpoints
+ * @module Account
  * @param {*} superclass
  */
 const Account = (superclass) =>
@@ -14,21 +14,13 @@ const Account = (superclass) =>
      *
      * GET /fapi/v3/balance <br>
      *
-     * @param {number} timestamp
      * @param {object} [options]
      * @param {number} [options.recvWindow]
      *
      * {@link https://developers.binance.com/docs/derivatives/usds-margined-futures/account/rest-api/Futures-Account-Balance-V3}
      */
-    futuresAccountBalanceV3() {
-      validateRequiredParameters({ timestamp });
-      return this.publicRequest(
-        "GET",
-        "/fapi/v3/balance",
-        Object.assign(options, {
-          timestamp,
-        })
-      );
+    futuresAccountBalanceV3 (options = {}) {
+      return this.signRequest('GET', '/fapi/v3/balance', options)
     }
 
     /**
@@ -36,21 +28,13 @@ const Account = (superclass) =>
      *
      * GET /fapi/v2/balance <br>
      *
-     * @param {number} timestamp
      * @param {object} [options]
      * @param {number} [options.recvWindow]
      *
      * {@link https://developers.binance.com/docs/derivatives/usds-margined-futures/account/rest-api/Futures-Account-Balance-V2}
      */
-    futuresAccountBalanceV2() {
-      validateRequiredParameters({ timestamp });
-      return this.publicRequest(
-        "GET",
-        "/fapi/v2/balance",
-        Object.assign(options, {
-          timestamp,
-        })
-      );
+    futuresAccountBalanceV2 (options = {}) {
+      return this.signRequest('GET', '/fapi/v2/balance', options)
     }
 
     /**
@@ -58,21 +42,13 @@ const Account = (superclass) =>
      *
      * GET /fapi/v3/account <br>
      *
-     * @param {number} timestamp
      * @param {object} [options]
      * @param {number} [options.recvWindow]
      *
      * {@link https://developers.binance.com/docs/derivatives/usds-margined-futures/account/rest-api/Account-Information-V3}
      */
-    accountInformationV3() {
-      validateRequiredParameters({ timestamp });
-      return this.publicRequest(
-        "GET",
-        "/fapi/v3/account",
-        Object.assign(options, {
-          timestamp,
-        })
-      );
+    accountInformationV3 (options = {}) {
+      return this.signRequest('GET', '/fapi/v3/account', options)
     }
 
     /**
@@ -80,21 +56,13 @@ const Account = (superclass) =>
      *
      * GET /fapi/v2/account <br>
      *
-     * @param {number} timestamp
      * @param {object} [options]
      * @param {number} [options.recvWindow]
      *
      * {@link https://developers.binance.com/docs/derivatives/usds-margined-futures/account/rest-api/Account-Information-V2}
      */
-    accountInformationV2() {
-      validateRequiredParameters({ timestamp });
-      return this.publicRequest(
-        "GET",
-        "/fapi/v2/account",
-        Object.assign(options, {
-          timestamp,
-        })
-      );
+    accountInformationV2 (options = {}) {
+      return this.signRequest('GET', '/fapi/v2/account', options)
     }
 
     /**
@@ -103,20 +71,18 @@ const Account = (superclass) =>
      * GET /fapi/v1/commissionRate <br>
      *
      * @param {string} symbol
-     * @param {number} timestamp
      * @param {object} [options]
      * @param {number} [options.recvWindow]
      *
      * {@link https://developers.binance.com/docs/derivatives/usds-margined-futures/account/rest-api/User-Commission-Rate}
      */
-    userComissionRate() {
-      validateRequiredParameters({ symbol, timestamp });
-      return this.publicRequest(
+    userComissionRate (symbol, options = {}) {
+      validateRequiredParameters({ symbol })
+      return this.signRequest(
         "GET",
         "/fapi/v1/commissionRate",
         Object.assign(options, {
           symbol: symbol.toUpperCase(),
-          timestamp,
         })
       );
     }
@@ -126,21 +92,13 @@ const Account = (superclass) =>
      *
      * GET /fapi/v1/accountConfig <br>
      *
-     * @param {number} timestamp
      * @param {object} [options]
      * @param {number} [options.recvWindow]
      *
      * {@link https://developers.binance.com/docs/derivatives/usds-margined-futures/account/rest-api/Account-Config}
      */
-    futuresAccountConfiguration() {
-      validateRequiredParameters({ timestamp });
-      return this.publicRequest(
-        "GET",
-        "/fapi/v1/accountConfig",
-        Object.assign(options, {
-          timestamp,
-        })
-      );
+    futuresAccountConfiguration (options = {}) {
+      return this.signRequest('GET', '/fapi/v1/accountConfig', options)
     }
 
     /**
@@ -148,46 +106,28 @@ const Account = (superclass) =>
      *
      * GET /fapi/v1/symbolConfig <br>
      *
-     * @param {string} symbol
-     * @param {number} timestamp
      * @param {object} [options]
+     * @param {string} [options.symbol]
      * @param {number} [options.recvWindow]
      *
      * {@link https://developers.binance.com/docs/derivatives/usds-margined-futures/account/rest-api/Symbol-Config}
      */
-    futuresSymbolConfiguration() {
-      validateRequiredParameters({ timestamp });
-      return this.publicRequest(
-        "GET",
-        "/fapi/v1/symbolConfig",
-        Object.assign(options, {
-          symbol: symbol.toUpperCase(),
-          timestamp,
-        })
-      );
+    futuresSymbolConfiguration (options = {}) {
+      return this.signRequest('GET', '/fapi/v1/symbolConfig', options)
     }
 
     /**
-     * User's Force Orders (USER_DATA) <br>
+     * Query User Rate Limit (USER_DATA) <br>
      *
      * GET /fapi/v1/rateLimit/order <br>
      *
-     * @param {number} timestamp
      * @param {object} [options]
      * @param {number} [options.recvWindow]
      *
      * {@link https://developers.binance.com/docs/derivatives/usds-margined-futures/account/rest-api/Query-Rate-Limit}
      */
-    queryOrderRateLimit() {
-      validateRequiredParameters({ timestamp });
-      return this.publicRequest(
-        "GET",
-        "/fapi/v1/rateLimit/order",
-        Object.assign(options, {
-          symbol: symbol.toUpperCase(),
-          timestamp,
-        })
-      );
+    queryOrderRateLimit (options = {}) {
+      return this.signRequest('GET', '/fapi/v1/rateLimit/order', options)
     }
 
     /**
@@ -195,22 +135,14 @@ const Account = (superclass) =>
      *
      * GET /fapi/v1/leverageBracket <br>
      *
-     * @param {number} timestamp
      * @param {object} [options]
      * @param {string} [options.symbol]
      * @param {number} [options.recvWindow]
      *
      * {@link https://developers.binance.com/docs/derivatives/usds-margined-futures/account/rest-api/Notional-and-Leverage-Brackets}
      */
-    leverageBracket() {
-      validateRequiredParameters({ timestamp });
-      return this.publicRequest(
-        "GET",
-        "/fapi/v1/leverageBracket",
-        Object.assign(options, {
-          timestamp,
-        })
-      );
+    leverageBracket (options = {}) {
+      return this.signRequest('GET', '/fapi/v1/leverageBracket', options)
     }
 
     /**
@@ -218,21 +150,13 @@ const Account = (superclass) =>
      *
      * GET /fapi/v1/multiAssetsMargin <br>
      *
-     * @param {number} timestamp
      * @param {object} [options]
      * @param {number} [options.recvWindow]
      *
      * {@link https://developers.binance.com/docs/derivatives/usds-margined-futures/account/rest-api/Get-Current-Multi-Assets-Mode}
      */
-    multiAssetMargin() {
-      validateRequiredParameters({ timestamp });
-      return this.publicRequest(
-        "GET",
-        "/fapi/v1/multiAssetsMargin",
-        Object.assign(options, {
-          timestamp,
-        })
-      );
+    multiAssetMargin (options = {}) {
+      return this.signRequest('GET', '/fapi/v1/multiAssetsMargin', options)
     }
 
     /**
@@ -240,21 +164,13 @@ const Account = (superclass) =>
      *
      * GET /fapi/v1/positionSide/dual <br>
      *
-     * @param {number} timestamp
      * @param {object} [options]
      * @param {number} [options.recvWindow]
      *
      * {@link https://developers.binance.com/docs/derivatives/usds-margined-futures/account/rest-api/Get-Current-Position-Mode}
      */
-    currentPositionMode() {
-      validateRequiredParameters({ timestamp });
-      return this.publicRequest(
-        "GET",
-        "/fapi/v1/positionSide/dual",
-        Object.assign(options, {
-          timestamp,
-        })
-      );
+    currentPositionMode (options = {}) {
+      return this.signRequest('GET', '/fapi/v1/positionSide/dual', options)
     }
 
     /**
@@ -262,7 +178,8 @@ const Account = (superclass) =>
      *
      * GET /fapi/v1/income <br>
      *
-     * @param {number} timestamp
+     * A startTime to endTime range longer than 7 days is split into several requests.<br>
+     *
      * @param {object} [options]
      * @param {string} [options.symbol]
      * @param {string} [options.incomeType]
@@ -274,15 +191,8 @@ const Account = (superclass) =>
      *
      * {@link https://developers.binance.com/docs/derivatives/usds-margined-futures/account/rest-api/Get-Income-History}
      */
-    getIncomeHistory() {
-      validateRequiredParameters({ timestamp });
-      return this.publicRequest(
-        "GET",
-        "/fapi/v1/income",
-        Object.assign(options, {
-          timestamp,
-        })
-      );
+    getIncomeHistory (options = {}) {
+      return this.signRequest('GET', '/fapi/v1/income', options)
     }
 
     /**
@@ -290,22 +200,14 @@ const Account = (superclass) =>
      *
      * GET /fapi/v1/apiTradingStatus <br>
      *
-     * @param {number} timestamp
      * @param {object} [options]
      * @param {string} [options.symbol]
      * @param {number} [options.recvWindow]
      *
      * {@link https://developers.binance.com/docs/derivatives/usds-margined-futures/account/rest-api/Futures-Trading-Quantitative-Rules-Indicators}
      */
-    apiTradingStatus() {
-      validateRequiredParameters({ timestamp });
-      return this.publicRequest(
-        "GET",
-        "/fapi/v1/apiTradingStatus",
-        Object.assign(options, {
-          timestamp,
-        })
-      );
+    apiTradingStatus (options = {}) {
+      return this.signRequest('GET', '/fapi/v1/apiTradingStatus', options)
     }
 
     /**
@@ -315,21 +217,19 @@ const Account = (superclass) =>
      *
      * @param {number} startTime
      * @param {number} endTime
-     * @param {number} timestamp
      * @param {object} [options]
      * @param {number} [options.recvWindow]
      *
      * {@link https://developers.binance.com/docs/derivatives/usds-margined-futures/account/rest-api/Get-Download-Id-For-Futures-Transaction-History}
      */
-    getDownloadIdTransactionHistory() {
-      validateRequiredParameters({ startTime, endTime, timestamp });
-      return this.publicRequest(
+    getDownloadIdTransactionHistory (startTime, endTime, options = {}) {
+      validateRequiredParameters({ startTime, endTime })
+      return this.signRequest(
         "GET",
         "/fapi/v1/income/asyn",
         Object.assign(options, {
           startTime,
           endTime,
-          timestamp,
         })
       );
     }
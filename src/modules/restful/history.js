@@ -0,0 +1,329 @@
+'use strict'
+
+const {
+  validateRequiredParameters,
+  hasOneOfParameters
+} = require('../../helpers/validation')
+const paginate = require('../../helpers/paginate')
+const { klineToArray } = require('../../helpers/responseTransform')
+const { getTimeRangeLimit, splitTimeRange } = require('../../helpers/timeRange')
+
+// klines are objects when the client has klineObjects set
+const klineOpenTime = (kline) => klineToArray(kline)[0]
+
+const isPastEndTime = (endTime, time) =>
+  endTime !== undefined && time > endTime
+
+/**
+ * Walk [startTime, endTime] one window of the endpoint at a time, so that a short page only
+ * ends its own window. Windows older than the data retained by the exchange are skipped.
+ *
+ * @param {string} path
+ * @param {object} range - { startTime, endTime, now }
+ * @param {function} paginateWindow - ({ startTime, endTime }) => AsyncGenerator over one window
+ * @param {number} [maxItems]
+ * @returns {AsyncGenerator<object>}
+ */
+const paginateTimeWindows = async function * (path, { startTime, endTime, now }, paginateWindow, maxItems = Infinity) {
+  const { window, retention } = getTimeRangeLimit('GET', path)
+  const retainedFrom = retention ? now - retention : -Infinity
+  const windows = splitTimeRange(Number(startTime), Number(endTime === undefined ? now : endTime), window)
+    .filter(range => range.endTime >= retainedFrom)
+
+  let count = 0
+  for (const range of windows) {
+    for await (const item of paginateWindow(range)) {
+      yield item
+      if (++count >= maxItems) return
+    }
+  }
+}
+
+// items can share the time of the last one, so the next page starts at that time,
+// or just after it once a page brings nothing new
+const nextTimeCursor = (item, { fresh }) => (fresh ? item.time : item.time + 1)
+
+/**
+ * Async iterators over the paginated history endpoints
+ * @module History
+ * @param {*} superclass
+ */
+const History = (superclass) =>
+  class extends superclass {
+    /**
+     * Iterate over klines, from startTime to endTime<br>
+     *
+     * Pages forward on the open time, see klines for the request.
+     *
+     * @example
+     * for await (const kline of client.iterateKlines("BTCUSDT", "1m", { startTime })) {}
+     *
+     * @param {string} symbol
+     * @param {string} interval
+     * @param {object} options
+     * @param {number} options.startTime
+     * @param {number} [options.endTime]
+     * @param {number} [options.limit] - page size, default 1000
+     * @param {number} [options.maxItems] - stop after this many klines
+     * @returns {AsyncGenerator<Array|object>} kline arrays, or objects when the client has klineObjects set
+     */
+    iterateKlines (symbol, interval, options = {}) {
+      const { startTime, endTime, maxItems, limit = 1000 } = options
+      validateRequiredParameters({ symbol, interval, startTime })
+      return paginate(
+        (cursor) =>
+          this.klines(symbol, interval, {
+            startTime: cursor,
+            endTime,
+            limit
+          }).then((response) => response.data),
+        {
+          cursor: startTime,
+          nextCursor: (kline) => klineOpenTime(kline) + 1,
+          key: klineOpenTime,
+          isPastEnd: (kline) => isPastEndTime(endTime, klineOpenTime(kline)),
+          pageSize: limit,
+          maxItems
+        }
+      )
+    }
+
+    /**
+     * Iterate over aggregate trades, from fromId or startTime to endTime<br>
+     *
+     * The first page starts at fromId, or at startTime, the next ones at the id following the last trade.
+     *
+     * @param {string} symbol
+     * @param {object} options - fromId or startTime must be sent
+     * @param {number} [options.fromId]
+     * @param {number} [options.startTime]
+     * @param {number} [options.endTime]
+     * @param {number} [options.limit] - page size, default 1000
+     * @param {number} [options.maxItems] - stop after this many trades
+     * @returns {AsyncGenerator<object>}
+     */
+    iterateAggTrades (symbol, options = {}) {
+      const { fromId, startTime, endTime, maxItems, limit = 1000 } = options
+      validateRequiredParameters({ symbol })
+      hasOneOfParameters({ fromId, startTime })
+      return paginate(
+        (cursor) =>
+          this.aggTrades(symbol, { ...cursor, limit }).then(
+            (response) => response.data
+          ),
+        {
+          cursor: fromId !== undefined ? { fromId } : { startTime },
+          nextCursor: (trade) => ({ fromId: trade.a + 1 }),
+          key: (trade) => trade.a,
+          isPastEnd: (trade) => isPastEndTime(endTime, trade.T),
+          pageSize: limit,
+          maxItems
+        }
+      )
+    }
+
+    /**
+     * Iterate over trades from fromId, up to endTime<br>
+     *
+     * @param {string} symbol
+     * @param {object} options
+     * @param {number} options.fromId
+     * @param {number} [options.endTime]
+     * @param {number} [options.limit] - page size, default 500
+     * @param {number} [options.maxItems] - stop after this many trades
+     * @returns {AsyncGenerator<object>}
+     */
+    iterateHistoricalTrades (symbol, options = {}) {
+      const { fromId, endTime, maxItems, limit = 500 } = options
+      validateRequiredParameters({ symbol, fromId })
+      return paginate(
+        (cursor) =>
+          this.historicalTrades(symbol, { fromId: cursor, limit }).then(
+            (response) => response.data
+          ),
+        {
+          cursor: fromId,
+          nextCursor: (trade) => trade.id + 1,
+          key: (trade) => trade.id,
+          isPastEnd: (trade) => isPastEndTime(endTime, trade.time),
+          pageSize: limit,
+          maxItems
+        }
+      )
+    }
+
+    /**
+     * Iterate over funding rates, from startTime to endTime<br>
+     *
+     * @param {string} symbol
+     * @param {object} options
+     * @param {number} options.startTime
+     * @param {number} [options.endTime]
+     * @param {number} [options.limit] - page size, default 1000
+     * @param {number} [options.maxItems] - stop after this many funding rates
+     * @returns {AsyncGenerator<object>}
+     */
+    iterateFundingRateHistory (symbol, options = {}) {
+      const { startTime, endTime, maxItems, limit = 1000 } = options
+      validateRequiredParameters({ symbol, startTime })
+      return paginate(
+        (cursor) =>
+          this.fundingRateHistory(symbol, {
+            startTime: cursor,
+            endTime,
+            limit
+          }).then((response) => response.data),
+        {
+          cursor: startTime,
+          nextCursor: (rate) => rate.fundingTime + 1,
+          key: (rate) => rate.fundingTime,
+          isPastEnd: (rate) => isPastEndTime(endTime, rate.fundingTime),
+          pageSize: limit,
+          maxItems
+        }
+      )
+    }
+
+    /**
+     * Iterate over all the orders of a symbol, from orderId or startTime to endTime<br>
+     *
+     * From orderId, the pages start at the id following the last order. From startTime, the range up to
+     * endTime, or now, is walked 7 days at a time, the longest range the exchange accepts.
+     *
+     * @param {string} symbol
+     * @param {object} options - orderId or startTime must be sent
+     * @param {number} [options.orderId]
+     * @param {number} [options.startTime]
+     * @param {number} [options.endTime]
+     * @param {number} [options.limit] - page size, default 1000
+     * @param {number} [options.maxItems] - stop after this many orders
+     * @param {number} [options.recvWindow]
+     * @returns {AsyncGenerator<object>}
+     */
+    iterateAllOrders (symbol, options = {}) {
+      const { orderId, startTime, endTime, maxItems, recvWindow } = options
+      const { limit = 1000 } = options
+      validateRequiredParameters({ symbol })
+      hasOneOfParameters({ orderId, startTime })
+      const fetchPage = (params) =>
+        this.queryAllOrders(symbol, { ...params, limit, recvWindow }).then(
+          (response) => response.data
+        )
+      const key = (order) => order.orderId
+
+      if (orderId === undefined) {
+        return paginateTimeWindows(
+          '/fapi/v1/allOrders',
+          { startTime, endTime, now: Date.now() + this.timeOffset },
+          (range) =>
+            paginate(
+              (cursor) => fetchPage({ startTime: cursor, endTime: range.endTime }),
+              { cursor: range.startTime, nextCursor: nextTimeCursor, key, pageSize: limit }
+            ),
+          maxItems
+        )
+      }
+      return paginate((cursor) => fetchPage(cursor), {
+        cursor: { orderId },
+        nextCursor: (order) => ({ orderId: order.orderId + 1 }),
+        key,
+        isPastEnd: (order) => isPastEndTime(endTime, order.time),
+        pageSize: limit,
+        maxItems
+      })
+    }
+
+    /**
+     * Iterate over the account trades of a symbol, from fromId or startTime to endTime<br>
+     *
+     * From fromId, the pages start at the id following the last trade. From startTime, the range up to
+     * endTime, or now, is walked 7 days at a time, the longest range the exchange accepts.
+     *
+     * @param {string} symbol
+     * @param {object} options - fromId or startTime must be sent
+     * @param {number} [options.fromId]
+     * @param {number} [options.startTime]
+     * @param {number} [options.endTime]
+     * @param {number} [options.limit] - page size, default 1000
+     * @param {number} [options.maxItems] - stop after this many trades
+     * @param {number} [options.recvWindow]
+     * @returns {AsyncGenerator<object>}
+     */
+    iterateUserTrades (symbol, options = {}) {
+      const { fromId, startTime, endTime, maxItems, recvWindow } = options
+      const { limit = 1000 } = options
+      validateRequiredParameters({ symbol })
+      hasOneOfParameters({ fromId, startTime })
+      const fetchPage = (params) =>
+        this.queryUserTrades(symbol, { ...params, limit, recvWindow }).then(
+          (response) => response.data
+        )
+      const key = (trade) => trade.id
+
+      if (fromId === undefined) {
+        return paginateTimeWindows(
+          '/fapi/v1/userTrades',
+          { startTime, endTime, now: Date.now() + this.timeOffset },
+          (range) =>
+            paginate(
+              (cursor) => fetchPage({ startTime: cursor, endTime: range.endTime }),
+              { cursor: range.startTime, nextCursor: nextTimeCursor, key, pageSize: limit }
+            ),
+          maxItems
+        )
+      }
+      return paginate((cursor) => fetchPage(cursor), {
+        cursor: { fromId },
+        nextCursor: (trade) => ({ fromId: trade.id + 1 }),
+        key,
+        isPastEnd: (trade) => isPastEndTime(endTime, trade.time),
+        pageSize: limit,
+        maxItems
+      })
+    }
+
+    /**
+     * Iterate over the income history, from startTime to endTime<br>
+     *
+     * The range up to endTime, or now, is walked 7 days at a time, the longest range the exchange accepts.
+     * Several incomes can share a timestamp, so every page starts at the time of the last income.
+     *
+     * @param {object} options
+     * @param {number} options.startTime
+     * @param {number} [options.endTime]
+     * @param {string} [options.symbol]
+     * @param {string} [options.incomeType]
+     * @param {number} [options.limit] - page size, default 1000
+     * @param {number} [options.maxItems] - stop after this many incomes
+     * @param {number} [options.recvWindow]
+     * @returns {AsyncGenerator<object>}
+     */
+    iterateIncomeHistory (options = {}) {
+      const { startTime, endTime, maxItems, limit = 1000, ...params } = options
+      validateRequiredParameters({ startTime })
+      return paginateTimeWindows(
+        '/fapi/v1/income',
+        { startTime, endTime, now: Date.now() + this.timeOffset },
+        (range) =>
+          paginate(
+            (cursor) =>
+              this.getIncomeHistory({
+                ...params,
+                startTime: cursor,
+                endTime: range.endTime,
+                limit
+              }).then((response) => response.data),
+            {
+              cursor: range.startTime,
+              nextCursor: nextTimeCursor,
+              key: (income) =>
+                `${income.tranId}:${income.incomeType}:${income.symbol}:${income.asset}`,
+              pageSize: limit
+            }
+          ),
+        maxItems
+      )
+    }
+  }
+
+module.exports = History
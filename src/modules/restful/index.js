@@ -3,3 +3,5 @@
 module.exports.Market = require("./market");
 module.exports.Trade = require("./trade");
 module.exports.Account = require("./account");
+module.exports.UserDataStream = require('./userDataStream')
+module.exports.History = require('./history')
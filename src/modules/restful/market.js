@@ -1,6 +1,14 @@
 "use strict";
 
-const { validateRequiredParameters } = require("../../helpers/validation");
+const {
+  validateRequiredParameters,
+  validateEnumParameters
+} = require('../../helpers/validation')
+const {
+  KlineInterval,
+  ContractType,
+  DataPeriod
+} = require('../../helpers/enums')
 
 /**
  * API market endpoints
@@ -172,6 +180,7 @@ const Market = (superclass) =>
      */
     klines(symbol, interval, options = {}) {
       validateRequiredParameters({ symbol, interval });
+      validateEnumParameters({ interval }, { interval: KlineInterval })
       return this.publicRequest(
         "GET",
         "/fapi/v1/klines",
@@ -199,6 +208,10 @@ const Market = (superclass) =>
      */
     continousklines(pair, contractType, interval, options = {}) {
       validateRequiredParameters({ pair, contractType, interval });
+      validateEnumParameters(
+        { contractType, interval },
+        { contractType: ContractType, interval: KlineInterval }
+      )
       return this.publicRequest(
         "GET",
         "/fapi/v1/continuousKlines",
@@ -226,6 +239,7 @@ const Market = (superclass) =>
      */
     indexklines(pair, interval, options = {}) {
       validateRequiredParameters({ pair, interval });
+      validateEnumParameters({ interval }, { interval: KlineInterval })
       return this.publicRequest(
         "GET",
         "/fapi/v1/indexPriceKlines",
@@ -252,6 +266,7 @@ const Market = (superclass) =>
      */
     markklines(symbol, interval, options = {}) {
       validateRequiredParameters({ symbol, interval });
+      validateEnumParameters({ interval }, { interval: KlineInterval })
       return this.publicRequest(
         "GET",
         "/fapi/v1/markPriceKlines",
@@ -278,6 +293,7 @@ const Market = (superclass) =>
      */
     markklines(symbol, interval, options = {}) {
       validateRequiredParameters({ symbol, interval });
+      validateEnumParameters({ interval }, { interval: KlineInterval })
       return this.publicRequest(
         "GET",
         "/fapi/v1/markPriceKlines",
@@ -304,6 +320,7 @@ const Market = (superclass) =>
      */
     premiumindexklines(symbol, interval, options = {}) {
       validateRequiredParameters({ symbol, interval });
+      validateEnumParameters({ interval }, { interval: KlineInterval })
       return this.publicRequest(
         "GET",
         "/fapi/v1/premiumIndexKlines",
@@ -473,6 +490,7 @@ const Market = (superclass) =>
      */
     openInterestHist(symbol, period, options = {}) {
       validateRequiredParameters({ symbol, period });
+      validateEnumParameters({ period }, { period: DataPeriod })
       return this.publicRequest(
         "GET",
         "/futures/data/openInterestHist",
@@ -500,6 +518,7 @@ const Market = (superclass) =>
      */
     topLongShortAccountRatio(symbol, period, options = {}) {
       validateRequiredParameters({ symbol, period });
+      validateEnumParameters({ period }, { period: DataPeriod })
       return this.publicRequest(
         "GET",
         "/futures/data/topLongShortAccountRatio",
@@ -527,6 +546,7 @@ const Market = (superclass) =>
      */
     topLongShortPositionRatio(symbol, period, options = {}) {
       validateRequiredParameters({ symbol, period });
+      validateEnumParameters({ period }, { period: DataPeriod })
       return this.publicRequest(
         "GET",
         "/futures/data/topLongShortPositionRatio",
@@ -554,6 +574,7 @@ const Market = (superclass) =>
      */
     globalLongShortAccountRatio(symbol, period, options = {}) {
       validateRequiredParameters({ symbol, period });
+      validateEnumParameters({ period }, { period: DataPeriod })
       return this.publicRequest(
         "GET",
         "/futures/data/globalLongShortAccountRatio",
@@ -581,6 +602,7 @@ const Market = (superclass) =>
      */
     takerlongshortRatio(symbol, period, options = {}) {
       validateRequiredParameters({ symbol, period });
+      validateEnumParameters({ period }, { period: DataPeriod })
       return this.publicRequest(
         "GET",
         "/futures/data/takerlongshortRatio",
@@ -609,6 +631,10 @@ const Market = (superclass) =>
      */
     basis(pair, contractType, period, limit, options = {}) {
       validateRequiredParameters({ pair, contractType, period, limit });
+      validateEnumParameters(
+        { contractType, period },
+        { contractType: ContractType, period: DataPeriod }
+      )
       return this.publicRequest(
         "GET",
         "/futures/data/basis",
@@ -638,6 +664,7 @@ const Market = (superclass) =>
      */
     lvtKlines(symbol, interval, options = {}) {
       validateRequiredParameters({ symbol, interval });
+      validateEnumParameters({ interval }, { interval: KlineInterval })
       return this.publicRequest(
         "GET",
         "/fapi/v1/lvtKlines",
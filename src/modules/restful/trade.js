@@ -1,6 +1,20 @@
 "use strict";
 
-const { validateRequiredParameters } = require("../../helpers/validation");
+const {
+  validateRequiredParameters,
+  validateEnumParameters,
+  validateOrderParameters
+} = require('../../helpers/validation')
+const {
+  OrderSide,
+  PriceMatch,
+  MarginType,
+  PositionSide
+} = require('../../helpers/enums')
+const { sendPreparedInBatches } = require('../../helpers/batch')
+const { normalizeOrder } = require('../../helpers/utils')
+
+const MODIFY_ORDER_ENUMS = { side: OrderSide, priceMatch: PriceMatch }
 
 /**
  * API trade endpoints
@@ -19,7 +33,6 @@ const Trade = (superclass) =>
      * @param {string} symbol
      * @param {string} side
      * @param {string} type
-     * @param {number} timestamp
      * @param {object} [options]
      * @param {string} [options.positionSide]
      * @param {string} [options.timeInForce]
@@ -29,14 +42,14 @@ const Trade = (superclass) =>
      * @param {string} [options.newClientOrderId]
      * @param {number} [options.stopPrice]
      * @param {string} [options.closePosition]
-     * @param {number} [options.activationPrice] - The value cannot be less than 1000000.
-     * @param {number} [options.callbackRate]
+     * @param {number} [options.activationPrice] - TRAILING_STOP_MARKET only, must be positive
+     * @param {number} [options.callbackRate] - TRAILING_STOP_MARKET only, between 0.1 and 10
      * @param {string} [options.workingType]
      * @param {string} [options.priceProtect]
      * @param {string} [options.newOrderRespType]
-     * @param {string} [options.priceMatch] - The value cannot be greater than 60000
+     * @param {string} [options.priceMatch] - LIMIT/STOP/TAKE_PROFIT only, cannot be sent with price
      * @param {string} [options.selfTradePreventionMode]
-     * @param {number} [options.goodTillDate]
+     * @param {number} [options.goodTillDate] - mandatory with timeInForce GTD, only allowed with it
      * @param {number} [options.recvWindow]
      */
 
@@ -46,22 +59,25 @@ const Trade = (superclass) =>
      * type MARKET => quantity,
      * type STOP/TAKE_PROFIT => quantity, price, stopPrice
      * type STOP_MARKET/TAKE_PROFIT_MARKET => stopPrice
-     * type TRAILING_STOP_MARKET	=> callbackRate
+     * type TRAILING_STOP_MARKET => quantity, callbackRate
+     *
+     * STOP_MARKET/TAKE_PROFIT_MARKET also need quantity, unless closePosition is true.
+     * The parameters are checked against the type before sending the order,
+     * missing ones throw MissingParameterError and conflicting ones InvalidParameterError.
      */
 
-    newOrder(symbol, side, type, timestamp, options = {}) {
-      validateRequiredParameters({ symbol, side, type, timestamp });
-
-      return this.signRequest(
-        "POST",
-        "/fapi/v1/order",
-        Object.assign(options, {
-          symbol: symbol.toUpperCase(),
-          side: side.toUpperCase(),
-          type: type.toUpperCase(),
-          timestamp,
-        })
-      );
+    newOrder (symbol, side, type, options = {}) {
+      validateRequiredParameters({ symbol, side, type })
+      const order = Object.assign(options, {
+        symbol: symbol.toUpperCase(),
+        side: side.toUpperCase(),
+        type: type.toUpperCase()
+      })
+      validateOrderParameters(order)
+
+      return this.prepareOrder(order).then((prepared) =>
+        this.signRequest('POST', '/fapi/v1/order', prepared)
+      )
     }
 
     /**
@@ -71,26 +87,30 @@ const Trade = (superclass) =>
      *
      * {@link https://developers.binance.com/docs/derivatives/usds-margined-futures/trade/rest-api/Place-Multiple-Orders}
      *
+     * Any number of orders can be given, they are sent 5 at a time. The response data pairs every order
+     * with its outcome, as { order, result } or { order, error }, in the order given. An order failing
+     * the orderFilter check gets its error and is not sent, the others still are.
+     *
      * @param {object[]} batchOrders => reffer to New Order params (:13)
-     * @param {number} timestamp
      * @param {object} [options]
      * @param {number} [options.recvWindow]
      */
 
-    placeMultipleOrder(batchOrders, timestamp, options = {}) {
-      for (let i = 0; i < batchOrders.length; i++) {
-        const { symbol, side, type, quantity } = batchOrders[i];
-        validateRequiredParameters({ symbol, side, type, quantity });
-      }
-      validateRequiredParameters({ timestamp });
-      return this.signRequest(
-        "POST",
-        "/fapi/v1/batchOrders",
-        Object.assign(options, {
-          batchOrders,
-          timestamp,
-        })
-      );
+    placeMultipleOrder (batchOrders, options = {}) {
+      validateRequiredParameters({ batchOrders })
+      const normalized = batchOrders.map(normalizeOrder)
+      normalized.forEach((order, index) =>
+        validateOrderParameters(order, `batchOrders[${index}]`)
+      )
+      return sendPreparedInBatches(
+        normalized.map((order) => this.prepareOrder(order)),
+        (batch) =>
+          this.signRequest('POST', '/fapi/v1/batchOrders', {
+            ...options,
+            batchOrders: batch
+          }),
+        batchOrders
+      )
     }
 
     /**
@@ -104,7 +124,6 @@ const Trade = (superclass) =>
      * @param {string} side
      * @param {number} quantity
      * @param {number} price
-     * @param {number} timestamp
      * @param {object} [options]
      * @param {number} [options.orderId]
      * @param {string} [options.origClientOrderId]
@@ -113,19 +132,19 @@ const Trade = (superclass) =>
      *
      */
 
-    modifyOrder(symbol, side, number, price, timestamp, options = {}) {
-      validateRequiredParameters({ symbol, side, number, price, timestamp });
-      return this.signRequest(
-        "PUT",
-        "/fapi/v1/order",
-        Object.assign(options, {
-          symbol: symbol.toUpperCase(),
-          side: side.toUpperCase(),
-          number,
-          price,
-          timestamp,
-        })
-      );
+    modifyOrder (symbol, side, quantity, price, options = {}) {
+      validateRequiredParameters({ symbol, side, quantity, price })
+      const order = Object.assign(options, {
+        symbol: symbol.toUpperCase(),
+        side: side.toUpperCase(),
+        quantity,
+        price
+      })
+      validateEnumParameters(order, MODIFY_ORDER_ENUMS)
+
+      return this.prepareOrder(order).then((prepared) =>
+        this.signRequest('PUT', '/fapi/v1/order', prepared)
+      )
     }
 
     /**
@@ -135,32 +154,36 @@ const Trade = (superclass) =>
      *
      * {@link https://developers.binance.com/docs/derivatives/usds-margined-futures/trade/rest-api/Modify-Multiple-Orders}
      *
+     * Any number of orders can be given, they are sent 5 at a time. The response data pairs every order
+     * with its outcome, as { order, result } or { order, error }, in the order given. An order failing
+     * the orderFilter check gets its error and is not sent, the others still are.
+     *
      * @param {object[]} batchOrders => reffer to Modify Order params (:97)
-     * @param {number} timestamp
      * @param {object} [options]
      * @param {number} [options.recvWindow]
      */
 
-    modifyMultipleOrder(batchOrders, timestamp, options = {}) {
-      for (let i = 0; i < batchOrders.length; i++) {
-        const { symbol, side, quantity, price, timestamp } = batchOrders[i];
-        validateRequiredParameters({
-          symbol,
-          side,
-          quantity,
-          price,
-          timestamp,
-        });
+    modifyMultipleOrder (batchOrders, options = {}) {
+      validateRequiredParameters({ batchOrders })
+      const normalized = batchOrders.map(normalizeOrder)
+      for (let i = 0; i < normalized.length; i++) {
+        const { symbol, side, quantity, price } = normalized[i]
+        validateRequiredParameters({ symbol, side, quantity, price })
+        validateEnumParameters(
+          normalized[i],
+          MODIFY_ORDER_ENUMS,
+          `batchOrders[${i}]`
+        )
       }
-      validateRequiredParameters({ timestamp });
-      return this.signRequest(
-        "PUT",
-        "/fapi/v1/batchOrders",
-        Object.assign(options, {
-          batchOrders,
-          timestamp,
-        })
-      );
+      return sendPreparedInBatches(
+        normalized.map((order) => this.prepareOrder(order)),
+        (batch) =>
+          this.signRequest('PUT', '/fapi/v1/batchOrders', {
+            ...options,
+            batchOrders: batch
+          }),
+        batchOrders
+      )
     }
 
     /**
@@ -171,7 +194,6 @@ const Trade = (superclass) =>
      * {@link https://developers.binance.com/docs/derivatives/usds-margined-futures/trade/rest-api/Get-Order-Modify-History}
      *
      * @param {string} symbol
-     * @param {number} timestamp
      * @param {object} [options]
      * @param {number} [options.orderId]
      * @param {string} [options.origClientOrderId]
@@ -181,14 +203,13 @@ const Trade = (superclass) =>
      * @param {number} [options.recvWindow]
      */
 
-    orderModifyHistory(symbol, timestamp, options = {}) {
-      validateRequiredParameters({ symbol, timestamp });
-      return this.publicRequest(
+    orderModifyHistory (symbol, options = {}) {
+      validateRequiredParameters({ symbol })
+      return this.signRequest(
         "GET",
         "/fapi/v1/orderAmendment",
         Object.assign(options, {
           symbol: symbol.toUpperCase(),
-          timestamp,
         })
       );
     }
@@ -201,21 +222,19 @@ const Trade = (superclass) =>
      * {@link https://binance-docs.github.io/apidocs/spot/en/#cancel-order-trade}
      *
      * @param {string} symbol
-     * @param {number} timestamp
      * @param {object} [options]
      * @param {number} [options.orderId]
      * @param {string} [options.origClientOrderId]
      * @param {number} [options.recvWindow] - The value cannot be greater than 60000
      */
-    cancelOrder(symbol, timestamp, options = {}) {
-      validateRequiredParameters({ symbol, timestamp });
+    cancelOrder (symbol, options = {}) {
+      validateRequiredParameters({ symbol })
 
       return this.signRequest(
         "DELETE",
         "/fapi/v1/order",
         Object.assign(options, {
           symbol: symbol.toUpperCase(),
-          timestamp,
         })
       );
     }
@@ -228,21 +247,19 @@ const Trade = (superclass) =>
      * {@link https://developers.binance.com/docs/derivatives/usds-margined-futures/trade/rest-api/Cancel-Multiple-Orders}
      *
      * @param {string} symbol
-     * @param {number} timestamp
      * @param {object} [options]
      * @param {number[]} [options.orderIdList]
      * @param {string[]} [options.origClientOrderIdList]
      * @param {number} [options.recvWindow]
      */
 
-    cancelMultipleOrders(symbol, timestamp, options = {}) {
-      validateRequiredParameters({ symbol, timestamp });
+    cancelMultipleOrders (symbol, options = {}) {
+      validateRequiredParameters({ symbol })
       return this.signRequest(
         "DELETE",
         "/fapi/v1/batchOrders",
         Object.assign(options, {
           symbol: symbol.toUpperCase(),
-          timestamp,
         })
       );
     }
@@ -255,19 +272,17 @@ const Trade = (superclass) =>
      * {@link https://developers.binance.com/docs/derivatives/usds-margined-futures/trade/rest-api/Cancel-All-Open-Orders}
      *
      * @param {string} symbol
-     * @param {number} timestamp
      * @param {object} [options]
      * @param {number} [options.recvWindow]
      */
 
-    cancelAllOpenOrders(symbol, timestamp, options = {}) {
-      validateRequiredParameters({ symbol, timestamp });
+    cancelAllOpenOrders (symbol, options = {}) {
+      validateRequiredParameters({ symbol })
       return this.signRequest(
         "DELETE",
         "/fapi/v1/allOpenOrders",
         Object.assign(options, {
           symbol: symbol.toUpperCase(),
-          timestamp,
         })
       );
     }
@@ -280,21 +295,19 @@ const Trade = (superclass) =>
      * {@link https://developers.binance.com/docs/derivatives/usds-margined-futures/trade/rest-api/Auto-Cancel-All-Open-Orders}
      *
      * @param {string} symbol
-     * @param {number} timestamp
      * @param {number} countdownTime
      * @param {object} [options]
      * @param {number} [options.recvWindow]
      */
 
-    countDownCancelAll(symbol, timestamp, countdownTime, options = {}) {
-      validateRequiredParameters({ symbol, timestamp, countdownTime });
+    countDownCancelAll (symbol, countdownTime, options = {}) {
+      validateRequiredParameters({ symbol, countdownTime })
       return this.signRequest(
         "POST",
         "/fapi/v1/countdownCancelAll",
         Object.assign(options, {
           symbol: symbol.toUpperCase(),
           countdownTime,
-          timestamp,
         })
       );
     }
@@ -307,21 +320,19 @@ const Trade = (superclass) =>
      * {@link https://developers.binance.com/docs/derivatives/usds-margined-futures/trade/rest-api/Query-Order}
      *
      * @param {string} symbol
-     * @param {number} timestamp
      * @param {object} [options]
      * @param {number} [options.orderId]
      * @param {string} [options.origClientOrderId]
      * @param {number} [options.recvWindow]
      */
 
-    queryOrder(symbol, timestamp, options = {}) {
-      validateRequiredParameters({ symbol, timestamp });
-      return this.publicRequest(
+    queryOrder (symbol, options = {}) {
+      validateRequiredParameters({ symbol })
+      return this.signRequest(
         "GET",
         "/fapi/v1/order",
         Object.assign(options, {
           symbol: symbol.toUpperCase(),
-          timestamp,
         })
       );
     }
@@ -331,10 +342,11 @@ const Trade = (superclass) =>
      *
      * GET /fapi/v1/allOrders <br>
      *
+     * A startTime to endTime range longer than 7 days is split into several requests.<br>
+     *
      * {@link https://developers.binance.com/docs/derivatives/usds-margined-futures/trade/rest-api/All-Orders}
      *
      * @param {string} symbol
-     * @param {number} timestamp
      * @param {object} [options]
      * @param {number} [options.orderId]
      * @param {number} [options.startTime]
@@ -343,14 +355,13 @@ const Trade = (superclass) =>
      * @param {number} [options.recvWindow]
      */
 
-    queryAllOrders(symbol, timestamp, options = {}) {
-      validateRequiredParameters({ symbol, timestamp });
-      return this.publicRequest(
+    queryAllOrders (symbol, options = {}) {
+      validateRequiredParameters({ symbol })
+      return this.signRequest(
         "GET",
         "/fapi/v1/allOrders",
         Object.assign(options, {
           symbol: symbol.toUpperCase(),
-          timestamp,
         })
       );
     }
@@ -362,21 +373,13 @@ const Trade = (superclass) =>
      *
      * {@link https://developers.binance.com/docs/derivatives/usds-margined-futures/trade/rest-api/Current-All-Open-Orders}
      *
-     * @param {number} timestamp
      * @param {object} [options]
      * @param {string} [options.symbol]
      * @param {number} [options.recvWindow]
      */
 
-    queryCurrentAllOpenOrders(timestamp, options = {}) {
-      validateRequiredParameters({ timestamp });
-      return this.publicRequest(
-        "GET",
-        "/fapi/v1/openOrders",
-        Object.assign(options, {
-          timestamp,
-        })
-      );
+    queryCurrentAllOpenOrders (options = {}) {
+      return this.signRequest('GET', '/fapi/v1/openOrders', options)
     }
 
     /**
@@ -387,21 +390,19 @@ const Trade = (superclass) =>
      * {@link https://developers.binance.com/docs/derivatives/usds-margined-futures/trade/rest-api/Query-Current-Open-Order}
      *
      * @param {string} symbol
-     * @param {number} timestamp
      * @param {object} [options]
      * @param {number} [options.orderId]
      * @param {string} [options.origClientOrderId]
      * @param {number} [options.recvWindow]
      */
 
-    queryCurrentOpenOrder(symbol, timestamp, options = {}) {
-      validateRequiredParameters({ symbol, timestamp });
-      return this.publicRequest(
+    queryCurrentOpenOrder (symbol, options = {}) {
+      validateRequiredParameters({ symbol })
+      return this.signRequest(
         "GET",
         "/fapi/v1/openOrder",
         Object.assign(options, {
           symbol: symbol.toUpperCase(),
-          timestamp,
         })
       );
     }
@@ -411,9 +412,10 @@ const Trade = (superclass) =>
      *
      * GET /fapi/v1/forceOrders <br>
      *
+     * A startTime to endTime range longer than 7 days is split into several requests.<br>
+     *
      * {@link https://developers.binance.com/docs/derivatives/usds-margined-futures/trade/rest-api/Users-Force-Orders}
      *
-     * @param {number} timestamp
      * @param {object} [options]
      * @param {string} [options.symbol]
      * @param {string} [options.autoCloseType]
@@ -423,15 +425,8 @@ const Trade = (superclass) =>
      * @param {number} [options.recvWindow]
      */
 
-    forceOrders(timestamp, options = {}) {
-      validateRequiredParameters({ symbol, timestamp });
-      return this.publicRequest(
-        "GET",
-        "/fapi/v1/forceOrders",
-        Object.assign(options, {
-          timestamp,
-        })
-      );
+    forceOrders (options = {}) {
+      return this.signRequest('GET', '/fapi/v1/forceOrders', options)
     }
 
     /**
@@ -439,10 +434,11 @@ const Trade = (superclass) =>
      *
      * GET /fapi/v1/userTrades <br>
      *
+     * A startTime to endTime range longer than 7 days is split into several requests.<br>
+     *
      * {@link https://developers.binance.com/docs/derivatives/usds-margined-futures/trade/rest-api/Account-Trade-List}
      *
      * @param {string} symbol
-     * @param {number} timestamp
      * @param {object} [options]
      * @param {number} [options.orderId]
      * @param {number} [options.startTime]
@@ -452,14 +448,13 @@ const Trade = (superclass) =>
      * @param {number} [options.recvWindow]
      */
 
-    queryUserTrades(symbol, timestamp, options = {}) {
-      validateRequiredParameters({ symbol, timestamp });
-      return this.publicRequest(
+    queryUserTrades (symbol, options = {}) {
+      validateRequiredParameters({ symbol })
+      return this.signRequest(
         "GET",
         "/fapi/v1/userTrades",
         Object.assign(options, {
           symbol: symbol.toUpperCase(),
-          timestamp,
         })
       );
     }
@@ -472,21 +467,21 @@ const Trade = (superclass) =>
      * {@link https://developers.binance.com/docs/derivatives/usds-margined-futures/trade/rest-api/Change-Margin-Type}
      *
      * @param {string} symbol
-     * @param {number} marginType
-     * @param {number} timestamp
+     * @param {string} marginType - ISOLATED or CROSSED
      * @param {object} [options]
      * @param {number} [options.recvWindow]
      */
 
-    changeMarginType(symbol, marginType, timestamp, options = {}) {
-      validateRequiredParameters({ symbol, marginType, timestamp });
+    changeMarginType (symbol, marginType, options = {}) {
+      validateRequiredParameters({ symbol, marginType })
+      marginType = marginType.toUpperCase()
+      validateEnumParameters({ marginType }, { marginType: MarginType })
       return this.signRequest(
         "POST",
         "/fapi/v1/marginType",
         Object.assign(options, {
           symbol: symbol.toUpperCase(),
-          marginType: marginType.toUpperCase(),
-          timestamp,
+          marginType
         })
       );
     }
@@ -499,19 +494,17 @@ const Trade = (superclass) =>
      * {@link https://developers.binance.com/docs/derivatives/usds-margined-futures/trade/rest-api/Change-Position-Mode}
      *
      * @param {string} dualSidePosition
-     * @param {number} timestamp
      * @param {object} [options]
      * @param {number} [options.recvWindow]
      */
 
-    changePositionMode(dualSidePosition, timestamp, options = {}) {
-      validateRequiredParameters({ dualSidePosition, timestamp });
+    changePositionMode (dualSidePosition, options = {}) {
+      validateRequiredParameters({ dualSidePosition })
       return this.signRequest(
         "POST",
         "/fapi/v1/positionSide/dual",
         Object.assign(options, {
           dualSidePosition,
-          timestamp,
         })
       );
     }
@@ -525,20 +518,18 @@ const Trade = (superclass) =>
      *
      * @param {string} symbol
      * @param {number} leverage
-     * @param {number} timestamp
      * @param {object} [options]
      * @param {number} [options.recvWindow]
      */
 
-    changeLeverage(symbol, leverage, timestamp, options = {}) {
-      validateRequiredParameters({ symbol, leverage, timestamp });
+    changeLeverage (symbol, leverage, options = {}) {
+      validateRequiredParameters({ symbol, leverage })
       return this.signRequest(
         "POST",
         "/fapi/v1/leverage",
         Object.assign(options, {
           symbol: symbol.toUpperCase(),
           leverage,
-          timestamp,
         })
       );
     }
@@ -551,19 +542,17 @@ const Trade = (superclass) =>
      * {@link https://developers.binance.com/docs/derivatives/usds-margined-futures/trade/rest-api/Change-Multi-Assets-Mode}
      *
      * @param {string} multiAssetsMargin
-     * @param {number} timestamp
      * @param {object} [options]
      * @param {number} [options.recvWindow]
      */
 
-    changeMultiAssetType(multiAssetsMargin, timestamp, options = {}) {
-      validateRequiredParameters({ multiAssetsMargin, timestamp });
+    changeMultiAssetType (multiAssetsMargin, options = {}) {
+      validateRequiredParameters({ multiAssetsMargin })
       return this.signRequest(
         "POST",
         "/fapi/v1/multiAssetsMargin",
         Object.assign(options, {
           multiAssetsMargin,
-          timestamp,
         })
       );
     }
@@ -578,14 +567,14 @@ const Trade = (superclass) =>
      * @param {string} symbol
      * @param {number} amount
      * @param {string} type // 1: Add position margin，2: Reduce position margin
-     * @param {number} timestamp
      * @param {object} [options]
      * @param {string} [options.positionSide] // Default BOTH for One-way Mode ; LONG or SHORT for Hedge Mode. It must be sent with Hedge Mode.
      * @param {number} [options.recvWindow]
      */
 
-    modifyIsolatedMargin(symbol, amount, type, timestamp, options = {}) {
-      validateRequiredParameters({ symbol, amount, type, timestamp });
+    modifyIsolatedMargin (symbol, amount, type, options = {}) {
+      validateRequiredParameters({ symbol, amount, type })
+      validateEnumParameters(options, { positionSide: PositionSide })
       return this.signRequest(
         "POST",
         "/fapi/v1/positionMargin",
@@ -593,7 +582,6 @@ const Trade = (superclass) =>
           symbol: symbol.toUpperCase(),
           amount,
           type,
-          timestamp,
         })
       );
     }
@@ -605,21 +593,13 @@ const Trade = (superclass) =>
      *
      * {@link https://developers.binance.com/docs/derivatives/usds-margined-futures/trade/rest-api/Position-Information-V2}
      *
-     * @param {number} timestamp
      * @param {object} [options]
      * @param {string} [options.symbol]
      * @param {number} [options.recvWindow]
      */
 
-    positionInformationV2(timestamp, options = {}) {
-      validateRequiredParameters({ timestamp });
-      return this.publicRequest(
-        "GET",
-        "/fapi/v2/positionRisk",
-        Object.assign(options, {
-          timestamp,
-        })
-      );
+    positionInformationV2 (options = {}) {
+      return this.signRequest('GET', '/fapi/v2/positionRisk', options)
     }
 
     /**
@@ -629,21 +609,13 @@ const Trade = (superclass) =>
      *
      * {@link https://developers.binance.com/docs/derivatives/usds-margined-futures/trade/rest-api/Position-Information-V3}
      *
-     * @param {number} timestamp
      * @param {object} [options]
      * @param {string} [options.symbol]
      * @param {number} [options.recvWindow]
      */
 
-    positionInformationV3(timestamp, options = {}) {
-      validateRequiredParameters({ timestamp });
-      return this.publicRequest(
-        "GET",
-        "/fapi/v3/positionRisk",
-        Object.assign(options, {
-          timestamp,
-        })
-      );
+    positionInformationV3 (options = {}) {
+      return this.signRequest('GET', '/fapi/v3/positionRisk', options)
     }
 
     /**
@@ -653,21 +625,13 @@ const Trade = (superclass) =>
      *
      * {@link https://developers.binance.com/docs/derivatives/usds-margined-futures/trade/rest-api/Position-ADL-Quantile-Estimation}
      *
-     * @param {number} timestamp
      * @param {object} [options]
      * @param {string} [options.symbol]
      * @param {number} [options.recvWindow]
      */
 
-    adlQuantile(timestamp, options = {}) {
-      validateRequiredParameters({ timestamp });
-      return this.publicRequest(
-        "GET",
-        "/fapi/v3/positionRisk",
-        Object.assign(options, {
-          timestamp,
-        })
-      );
+    adlQuantile (options = {}) {
+      return this.signRequest('GET', '/fapi/v1/adlQuantile', options)
     }
 
     /**
@@ -678,7 +642,6 @@ const Trade = (superclass) =>
      * {@link https://developers.binance.com/docs/derivatives/usds-margined-futures/trade/rest-api/Get-Position-Margin-Change-History}
      *
      * @param {string} symbol
-     * @param {number} timestamp
      * @param {object} [options]
      * @param {number} [options.type]
      * @param {number} [options.startTime]
@@ -687,14 +650,13 @@ const Trade = (superclass) =>
      * @param {number} [options.recvWindow]
      */
 
-    positionMarginHistory(symbol, timestamp, options = {}) {
-      validateRequiredParameters({ symbol, timestamp });
-      return this.publicRequest(
+    positionMarginHistory (symbol, options = {}) {
+      validateRequiredParameters({ symbol })
+      return this.signRequest(
         "GET",
         "/fapi/v1/positionMargin/history",
         Object.assign(options, {
           symbol: symbol.toUpperCase(),
-          timestamp,
         })
       );
     }
@@ -706,10 +668,11 @@ const Trade = (superclass) =>
      *
      * {@link https://developers.binance.com/docs/derivatives/usds-margined-futures/trade/rest-api/New-Order-Test}
      *
+     * Same parameters and checks as newOrder, the exchange validates the order without placing it.
+     *
      * @param {string} symbol
      * @param {string} side
      * @param {string} type
-     * @param {number} timestamp
      * @param {object} [options]
      * @param {string} [options.positionSide]
      * @param {string} [options.timeInForce]
@@ -719,39 +682,28 @@ const Trade = (superclass) =>
      * @param {string} [options.newClientOrderId]
      * @param {number} [options.stopPrice]
      * @param {string} [options.closePosition]
-     * @param {number} [options.activationPrice] - The value cannot be less than 1000000.
-     * @param {number} [options.callbackRate]
+     * @param {number} [options.activationPrice] - TRAILING_STOP_MARKET only, must be positive
+     * @param {number} [options.callbackRate] - TRAILING_STOP_MARKET only, between 0.1 and 10
      * @param {string} [options.workingType]
      * @param {string} [options.priceProtect]
      * @param {string} [options.newOrderRespType]
-     * @param {string} [options.priceMatch] - The value cannot be greater than 60000
+     * @param {string} [options.priceMatch] - LIMIT/STOP/TAKE_PROFIT only, cannot be sent with price
      * @param {string} [options.selfTradePreventionMode]
-     * @param {number} [options.goodTillDate]
+     * @param {number} [options.goodTillDate] - mandatory with timeInForce GTD, only allowed with it
      * @param {number} [options.recvWindow]
      */
-
-    /**
-     * Additional mandatory parameters based on type:
-     * type LIMIT => timeInForce, quantity, price,
-     * type MARKET => quantity,
-     * type STOP/TAKE_PROFIT => quantity, price, stopPrice
-     * type STOP_MARKET/TAKE_PROFIT_MARKET => stopPrice
-     * type TRAILING_STOP_MARKET	=> callbackRate
-     */
-
-    newOrder(symbol, side, type, timestamp, options = {}) {
-      validateRequiredParameters({ symbol, side, type, timestamp });
-
-      return this.signRequest(
-        "POST",
-        "/fapi/v1/order/test",
-        Object.assign(options, {
-          symbol: symbol.toUpperCase(),
-          side: side.toUpperCase(),
-          type: type.toUpperCase(),
-          timestamp,
-        })
-      );
+    testNewOrder (symbol, side, type, options = {}) {
+      validateRequiredParameters({ symbol, side, type })
+      const order = Object.assign(options, {
+        symbol: symbol.toUpperCase(),
+        side: side.toUpperCase(),
+        type: type.toUpperCase()
+      })
+      validateOrderParameters(order)
+
+      return this.prepareOrder(order).then((prepared) =>
+        this.signRequest('POST', '/fapi/v1/order/test', prepared)
+      )
     }
   };
 
@@ -0,0 +1,49 @@
+'use strict'
+
+/**
+ * API user data stream endpoints
+ * @module UserDataStream
+ * @param {*} superclass
+ */
+const UserDataStream = (superclass) =>
+  class extends superclass {
+    /**
+     * Start User Data Stream (USER_STREAM)<br>
+     *
+     * POST /fapi/v1/listenKey<br>
+     *
+     * Start a new user data stream. The stream will close after 60 minutes unless a keepalive is sent.
+     * If the account has an active listenKey, that listenKey will be returned and its validity will be extended for 60 minutes.<br>
+     *
+     * {@link https://developers.binance.com/docs/derivatives/usds-margined-futures/user-data-streams/Start-User-Data-Stream}
+     */
+    createListenKey () {
+      return this.publicRequest('POST', '/fapi/v1/listenKey')
+    }
+
+    /**
+     * Keepalive User Data Stream (USER_STREAM)<br>
+     *
+     * PUT /fapi/v1/listenKey<br>
+     *
+     * Keepalive a user data stream to prevent a time out. It's recommended to send a ping about every 60 minutes.<br>
+     *
+     * {@link https://developers.binance.com/docs/derivatives/usds-margined-futures/user-data-streams/Keepalive-User-Data-Stream}
+     */
+    renewListenKey () {
+      return this.publicRequest('PUT', '/fapi/v1/listenKey')
+    }
+
+    /**
+     * Close User Data Stream (USER_STREAM)<br>
+     *
+     * DELETE /fapi/v1/listenKey<br>
+     *
+     * {@link https://developers.binance.com/docs/derivatives/usds-margined-futures/user-data-streams/Close-User-Data-Stream}
+     */
+    closeListenKey () {
+      return this.publicRequest('DELETE', '/fapi/v1/listenKey')
+    }
+  }
+
+module.exports = UserDataStream
@@ -0,0 +1,39 @@
+'use strict'
+
+/**
+ * Websocket API account requests
+ * @module Websocket/API/Account
+ * @param {*} superclass
+ */
+const Account = superclass => class extends superclass {
+  /**
+   * Futures Account Balance (USER_DATA)<br>
+   *
+   * Method: account.balance <br>
+   *
+   * {@link https://developers.binance.com/docs/derivatives/usds-margined-futures/account/websocket-api}
+   *
+   * @param {object} [options]
+   * @param {number} [options.recvWindow]
+   */
+  accountBalance (options = {}) {
+    return this.sendSignatureRequest('account.balance', options)
+  }
+
+  /**
+   * Position Information (USER_DATA)<br>
+   *
+   * Method: account.position <br>
+   *
+   * {@link https://developers.binance.com/docs/derivatives/usds-margined-futures/trade/websocket-api/Position-Information}
+   *
+   * @param {object} [options]
+   * @param {string} [options.symbol]
+   * @param {number} [options.recvWindow]
+   */
+  accountPosition (options = {}) {
+    return this.sendSignatureRequest('account.position', options)
+  }
+}
+
+module.exports = Account
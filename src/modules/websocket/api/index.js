@@ -0,0 +1,5 @@
+'use strict'
+
+module.exports.Session = require('./session')
+module.exports.Trade = require('./trade')
+module.exports.Account = require('./account')
@@ -0,0 +1,53 @@
+'use strict'
+
+/**
+ * Websocket API session requests
+ * @module Websocket/API/Session
+ * @param {*} superclass
+ */
+const Session = superclass => class extends superclass {
+  /**
+   * Log in with API key (SIGNED)<br>
+   *
+   * Method: session.logon <br>
+   *
+   * Authenticate the connection, signed requests sent afterwards don't need the apiKey and signature.
+   * Only Ed25519 keys are supported.<br>
+   *
+   * {@link https://developers.binance.com/docs/derivatives/usds-margined-futures/websocket-api-general-info}
+   *
+   * @param {object} [options]
+   * @param {number} [options.recvWindow]
+   */
+  sessionLogon (options = {}) {
+    return this.sendSignatureRequest('session.logon', options, { bypassSession: true }).then(response => {
+      this.sessionLoggedOn = true
+      this.sessionRequested = true
+      return response
+    })
+  }
+
+  /**
+   * Query session status<br>
+   *
+   * Method: session.status <br>
+   */
+  sessionStatus () {
+    return this.sendRequest('session.status')
+  }
+
+  /**
+   * Log out of the session<br>
+   *
+   * Method: session.logout <br>
+   */
+  sessionLogout () {
+    return this.sendRequest('session.logout').then(response => {
+      this.sessionLoggedOn = false
+      this.sessionRequested = false
+      return response
+    })
+  }
+}
+
+module.exports = Session
@@ -0,0 +1,104 @@
+'use strict'
+
+const { validateRequiredParameters } = require('../../../helpers/validation')
+
+/**
+ * Websocket API trade requests
+ * @module Websocket/API/Trade
+ * @param {*} superclass
+ */
+const Trade = superclass => class extends superclass {
+  /**
+   * New Order (TRADE)<br>
+   *
+   * Method: order.place <br>
+   *
+   * {@link https://developers.binance.com/docs/derivatives/usds-margined-futures/trade/websocket-api}
+   *
+   * @param {string} symbol
+   * @param {string} side
+   * @param {string} type
+   * @param {object} [options] - same options as the RESTful newOrder
+   */
+  newOrder (symbol, side, type, options = {}) {
+    validateRequiredParameters({ symbol, side, type })
+    return this.sendSignatureRequest('order.place', {
+      ...options,
+      symbol: symbol.toUpperCase(),
+      side: side.toUpperCase(),
+      type: type.toUpperCase()
+    })
+  }
+
+  /**
+   * Modify Order (TRADE)<br>
+   *
+   * Method: order.modify <br>
+   *
+   * {@link https://developers.binance.com/docs/derivatives/usds-margined-futures/trade/websocket-api/Modify-Order}
+   *
+   * @param {string} symbol
+   * @param {string} side
+   * @param {number} quantity
+   * @param {number} price
+   * @param {object} [options]
+   * @param {number} [options.orderId]
+   * @param {string} [options.origClientOrderId]
+   * @param {string} [options.priceMatch]
+   * @param {number} [options.recvWindow]
+   */
+  modifyOrder (symbol, side, quantity, price, options = {}) {
+    validateRequiredParameters({ symbol, side, quantity, price })
+    return this.sendSignatureRequest('order.modify', {
+      ...options,
+      symbol: symbol.toUpperCase(),
+      side: side.toUpperCase(),
+      quantity,
+      price
+    })
+  }
+
+  /**
+   * Cancel Order (TRADE)<br>
+   *
+   * Method: order.cancel <br>
+   *
+   * {@link https://developers.binance.com/docs/derivatives/usds-margined-futures/trade/websocket-api/Cancel-Order}
+   *
+   * @param {string} symbol
+   * @param {object} [options]
+   * @param {number} [options.orderId]
+   * @param {string} [options.origClientOrderId]
+   * @param {number} [options.recvWindow]
+   */
+  cancelOrder (symbol, options = {}) {
+    validateRequiredParameters({ symbol })
+    return this.sendSignatureRequest('order.cancel', {
+      ...options,
+      symbol: symbol.toUpperCase()
+    })
+  }
+
+  /**
+   * Query Order (USER_DATA)<br>
+   *
+   * Method: order.status <br>
+   *
+   * {@link https://developers.binance.com/docs/derivatives/usds-margined-futures/trade/websocket-api/Query-Order}
+   *
+   * @param {string} symbol
+   * @param {object} [options]
+   * @param {number} [options.orderId]
+   * @param {string} [options.origClientOrderId]
+   * @param {number} [options.recvWindow]
+   */
+  queryOrder (symbol, options = {}) {
+    validateRequiredParameters({ symbol })
+    return this.sendSignatureRequest('order.status', {
+      ...options,
+      symbol: symbol.toUpperCase()
+    })
+  }
+}
+
+module.exports = Trade
@@ -0,0 +1,220 @@
+'use strict'
+
+const { validateRequiredParameters } = require('../../../helpers/validation')
+
+/**
+ * Websocket market streams
+ * @module Websocket/Market
+ * @param {*} superclass
+ */
+const Market = superclass => class extends superclass {
+  /**
+   * Aggregate Trade Streams<br>
+   *
+   * Stream Name: &lt;symbol&gt;@aggTrade <br>
+   * Event: aggTrade <br>
+   *
+   * {@link https://developers.binance.com/docs/derivatives/usds-margined-futures/websocket-market-streams/Aggregate-Trade-Streams}
+   *
+   * @param {string} symbol
+   * @returns {string} the stream name
+   */
+  aggTradeStream (symbol) {
+    validateRequiredParameters({ symbol })
+    return this.subscribe(`${symbol.toLowerCase()}@aggTrade`)
+  }
+
+  /**
+   * Mark Price Stream<br>
+   *
+   * Stream Name: &lt;symbol&gt;@markPrice or &lt;symbol&gt;@markPrice@1s <br>
+   * Event: markPriceUpdate <br>
+   *
+   * {@link https://developers.binance.com/docs/derivatives/usds-margined-futures/websocket-market-streams/Mark-Price-Stream}
+   *
+   * @param {string} symbol
+   * @param {string} [updateSpeed] - '1s', default is 3s
+   * @returns {string} the stream name
+   */
+  markPriceStream (symbol, updateSpeed) {
+    validateRequiredParameters({ symbol })
+    return this.subscribe(`${symbol.toLowerCase()}@markPrice${updateSpeed ? `@${updateSpeed}` : ''}`)
+  }
+
+  /**
+   * Mark Price Stream for All market<br>
+   *
+   * Stream Name: !markPrice@arr or !markPrice@arr@1s <br>
+   * Event: markPriceUpdate, emitted once per symbol <br>
+   *
+   * {@link https://developers.binance.com/docs/derivatives/usds-margined-futures/websocket-market-streams/Mark-Price-Stream-for-All-market}
+   *
+   * @param {string} [updateSpeed] - '1s', default is 3s
+   * @returns {string} the stream name
+   */
+  allMarkPriceStream (updateSpeed) {
+    return this.subscribe(`!markPrice@arr${updateSpeed ? `@${updateSpeed}` : ''}`)
+  }
+
+  /**
+   * Kline/Candlestick Streams<br>
+   *
+   * Stream Name: &lt;symbol&gt;@kline_&lt;interval&gt; <br>
+   * Event: kline <br>
+   *
+   * {@link https://developers.binance.com/docs/derivatives/usds-margined-futures/websocket-market-streams/Kline-Candlestick-Streams}
+   *
+   * @param {string} symbol
+   * @param {string} interval - 1m, 3m, 5m, 15m, 30m, 1h, 2h, 4h, 6h, 8h, 12h, 1d, 3d, 1w, 1M
+   * @returns {string} the stream name
+   */
+  klineStream (symbol, interval) {
+    validateRequiredParameters({ symbol, interval })
+    return this.subscribe(`${symbol.toLowerCase()}@kline_${interval}`)
+  }
+
+  /**
+   * Continuous Contract Kline/Candlestick Streams<br>
+   *
+   * Stream Name: &lt;pair&gt;_&lt;contractType&gt;@continuousKline_&lt;interval&gt; <br>
+   * Event: continuous_kline <br>
+   *
+   * {@link https://developers.binance.com/docs/derivatives/usds-margined-futures/websocket-market-streams/Continuous-Contract-Kline-Candlestick-Streams}
+   *
+   * @param {string} pair
+   * @param {string} contractType - PERPETUAL, CURRENT_QUARTER, NEXT_QUARTER
+   * @param {string} interval
+   * @returns {string} the stream name
+   */
+  continuousKlineStream (pair, contractType, interval) {
+    validateRequiredParameters({ pair, contractType, interval })
+    return this.subscribe(`${pair.toLowerCase()}_${contractType.toLowerCase()}@continuousKline_${interval}`)
+  }
+
+  /**
+   * Individual Symbol or All Market Mini Ticker Stream<br>
+   *
+   * Stream Name: &lt;symbol&gt;@miniTicker or !miniTicker@arr <br>
+   * Event: 24hrMiniTicker <br>
+   *
+   * {@link https://developers.binance.com/docs/derivatives/usds-margined-futures/websocket-market-streams/Individual-Symbol-Mini-Ticker-Stream}
+   *
+   * @param {string} [symbol] - all market tickers when not provided
+   * @returns {string} the stream name
+   */
+  miniTickerStream (symbol) {
+    return this.subscribe(symbol ? `${symbol.toLowerCase()}@miniTicker` : '!miniTicker@arr')
+  }
+
+  /**
+   * Individual Symbol or All Market Ticker Stream<br>
+   *
+   * Stream Name: &lt;symbol&gt;@ticker or !ticker@arr <br>
+   * Event: 24hrTicker <br>
+   *
+   * {@link https://developers.binance.com/docs/derivatives/usds-margined-futures/websocket-market-streams/Individual-Symbol-Ticker-Streams}
+   *
+   * @param {string} [symbol] - all market tickers when not provided
+   * @returns {string} the stream name
+   */
+  tickerStream (symbol) {
+    return this.subscribe(symbol ? `${symbol.toLowerCase()}@ticker` : '!ticker@arr')
+  }
+
+  /**
+   * Individual Symbol or All Book Ticker Stream<br>
+   *
+   * Stream Name: &lt;symbol&gt;@bookTicker or !bookTicker <br>
+   * Event: bookTicker <br>
+   *
+   * {@link https://developers.binance.com/docs/derivatives/usds-margined-futures/websocket-market-streams/Individual-Symbol-Book-Ticker-Streams}
+   *
+   * @param {string} [symbol] - all market book tickers when not provided
+   * @returns {string} the stream name
+   */
+  bookTickerStream (symbol) {
+    return this.subscribe(symbol ? `${symbol.toLowerCase()}@bookTicker` : '!bookTicker')
+  }
+
+  /**
+   * Liquidation Order Streams<br>
+   *
+   * Stream Name: &lt;symbol&gt;@forceOrder or !forceOrder@arr <br>
+   * Event: forceOrder <br>
+   *
+   * {@link https://developers.binance.com/docs/derivatives/usds-margined-futures/websocket-market-streams/Liquidation-Order-Streams}
+   *
+   * @param {string} [symbol] - all market liquidations when not provided
+   * @returns {string} the stream name
+   */
+  forceOrderStream (symbol) {
+    return this.subscribe(symbol ? `${symbol.toLowerCase()}@forceOrder` : '!forceOrder@arr')
+  }
+
+  /**
+   * Partial Book Depth Streams<br>
+   *
+   * Stream Name: &lt;symbol&gt;@depth&lt;levels&gt; or &lt;symbol&gt;@depth&lt;levels&gt;@&lt;updateSpeed&gt; <br>
+   * Event: depthUpdate <br>
+   *
+   * {@link https://developers.binance.com/docs/derivatives/usds-margined-futures/websocket-market-streams/Partial-Book-Depth-Streams}
+   *
+   * @param {string} symbol
+   * @param {number} levels - 5, 10 or 20
+   * @param {string} [updateSpeed] - '100ms' or '500ms', default is 250ms
+   * @returns {string} the stream name
+   */
+  partialDepthStream (symbol, levels, updateSpeed) {
+    validateRequiredParameters({ symbol, levels })
+    return this.subscribe(`${symbol.toLowerCase()}@depth${levels}${updateSpeed ? `@${updateSpeed}` : ''}`)
+  }
+
+  /**
+   * Diff. Book Depth Streams<br>
+   *
+   * Stream Name: &lt;symbol&gt;@depth or &lt;symbol&gt;@depth@&lt;updateSpeed&gt; <br>
+   * Event: depthUpdate <br>
+   *
+   * {@link https://developers.binance.com/docs/derivatives/usds-margined-futures/websocket-market-streams/Diff-Book-Depth-Streams}
+   *
+   * @param {string} symbol
+   * @param {string} [updateSpeed] - '100ms' or '500ms', default is 250ms
+   * @returns {string} the stream name
+   */
+  diffDepthStream (symbol, updateSpeed) {
+    validateRequiredParameters({ symbol })
+    return this.subscribe(`${symbol.toLowerCase()}@depth${updateSpeed ? `@${updateSpeed}` : ''}`)
+  }
+
+  /**
+   * Composite Index Symbol Information Streams<br>
+   *
+   * Stream Name: &lt;symbol&gt;@compositeIndex <br>
+   * Event: compositeIndex <br>
+   *
+   * {@link https://developers.binance.com/docs/derivatives/usds-margined-futures/websocket-market-streams/Composite-Index-Symbol-Information-Streams}
+   *
+   * @param {string} symbol
+   * @returns {string} the stream name
+   */
+  compositeIndexStream (symbol) {
+    validateRequiredParameters({ symbol })
+    return this.subscribe(`${symbol.toLowerCase()}@compositeIndex`)
+  }
+
+  /**
+   * Contract Info Stream<br>
+   *
+   * Stream Name: !contractInfo <br>
+   * Event: contractInfo <br>
+   *
+   * {@link https://developers.binance.com/docs/derivatives/usds-margined-futures/websocket-market-streams/Contract-Info-Stream}
+   *
+   * @returns {string} the stream name
+   */
+  contractInfoStream () {
+    return this.subscribe('!contractInfo')
+  }
+}
+
+module.exports = Market
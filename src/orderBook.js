@@ -0,0 +1,102 @@
+'use strict'
+
+const { EventEmitter } = require('events')
+
+/**
+ * Index of the level with the given price, or where it should be inserted
+ */
+const findLevel = (levels, price, descending) => {
+  let low = 0
+  let high = levels.length
+  while (low < high) {
+    const mid = (low + high) >>> 1
+    const levelPrice = Number(levels[mid][0])
+    if (levelPrice === price) return mid
+    if (descending ? levelPrice > price : levelPrice < price) {
+      low = mid + 1
+    } else {
+      high = mid
+    }
+  }
+  return low
+}
+
+const updateLevels = (levels, updates, descending) => {
+  updates.forEach(([price, quantity]) => {
+    const index = findLevel(levels, Number(price), descending)
+    const exists = index < levels.length && Number(levels[index][0]) === Number(price)
+    if (Number(quantity) === 0) {
+      if (exists) levels.splice(index, 1)
+    } else if (exists) {
+      levels[index] = [price, quantity]
+    } else {
+      levels.splice(index, 0, [price, quantity])
+    }
+  })
+}
+
+/**
+ * Local order book of a single symbol<br>
+ *
+ * Levels are [price, quantity] pairs of strings, as sent by the server.
+ * Bids are sorted from the highest price, asks from the lowest.
+ *
+ * @param {string} symbol
+ */
+class OrderBook extends EventEmitter {
+  constructor (symbol) {
+    super()
+    this.symbol = symbol.toUpperCase()
+    this.lastUpdateId = 0
+    this.updateTime = null
+    this.bids = []
+    this.asks = []
+  }
+
+  /**
+   * Replace the whole book with a /fapi/v1/depth snapshot
+   */
+  reset ({ lastUpdateId, bids, asks, T }) {
+    this.lastUpdateId = lastUpdateId
+    this.updateTime = T || null
+    this.bids = []
+    this.asks = []
+    updateLevels(this.bids, bids, true)
+    updateLevels(this.asks, asks, false)
+  }
+
+  /**
+   * Apply a diff depth event, quantities are absolute and 0 removes the level
+   */
+  update ({ u, T, b, a }) {
+    this.lastUpdateId = u
+    this.updateTime = T
+    updateLevels(this.bids, b, true)
+    updateLevels(this.asks, a, false)
+    this.emit('change', this)
+  }
+
+  bestBid () {
+    return this.bids[0]
+  }
+
+  bestAsk () {
+    return this.asks[0]
+  }
+
+  /**
+   * @param {number} [limit] - all levels when not provided
+   */
+  getBids (limit) {
+    return this.bids.slice(0, limit)
+  }
+
+  /**
+   * @param {number} [limit] - all levels when not provided
+   */
+  getAsks (limit) {
+    return this.asks.slice(0, limit)
+  }
+}
+
+module.exports = OrderBook
@@ -0,0 +1,212 @@
+'use strict'
+
+const { EventEmitter } = require('events')
+const OrderBook = require('./orderBook')
+const WebsocketStream = require('./websocketStream')
+const ConnectorClientError = require('./error/connectorClientError')
+
+/**
+ * Keeps local order books in sync with the diff depth stream<br>
+ *
+ * Follows the documented procedure: diff events are buffered while the depth snapshot is
+ * fetched, events older than the snapshot are dropped, the first applied event must
+ * contain the snapshot's lastUpdateId and every following event's `pu` must match the
+ * previous event's `u`. Any gap triggers a new snapshot.
+ *
+ * Emits `synced` (symbol, book), `change` (symbol, book) and `resync` (symbol, reason).
+ *
+ * @param {Futures|DeliveryFutures} client - REST client used to fetch the depth snapshots
+ * @param {object} [options]
+ * @param {WebsocketStream} [options.stream] - shared market stream client, by default a new one is connected
+ *  to the stream URL of the client, so that a DeliveryFutures client gets the COIN-M streams
+ * @param {string} [options.updateSpeed] - diff depth update speed, '100ms' or '500ms', default is 250ms
+ * @param {number} [options.limit] - depth snapshot limit, default is 1000
+ * @param {number} [options.resyncDelay] - delay in ms before retrying a failed snapshot, default is 1000
+ * @param {number} [options.syncTimeout] - in ms, give up a symbol not synchronized in time, default is 30000
+ * @param {object} [options.logger]
+ */
+class OrderBookManager extends EventEmitter {
+  constructor (client, options = {}) {
+    super()
+    this.client = client
+    this.logger = options.logger || client.logger
+    this.ownsStream = !options.stream
+    this.stream = options.stream || new WebsocketStream({ wsURL: client.wsURL, logger: this.logger })
+    this.updateSpeed = options.updateSpeed
+    this.limit = options.limit || 1000
+    this.resyncDelay = options.resyncDelay || 1000
+    this.syncTimeout = options.syncTimeout || 30 * 1000
+    this.books = new Map()
+
+    this.onDepthUpdate = this.onDepthUpdate.bind(this)
+    this.stream.on('depthUpdate', this.onDepthUpdate)
+  }
+
+  /**
+   * Start maintaining the order book of a symbol
+   *
+   * @param {string} symbol
+   * @returns {Promise<OrderBook>} resolved once the book is synchronized for the first time, rejected
+   *  when it isn't within syncTimeout, the symbol is then unsubscribed, or when it's unsubscribed before
+   */
+  subscribe (symbol) {
+    symbol = symbol.toUpperCase()
+    if (this.books.has(symbol)) {
+      const state = this.books.get(symbol)
+      return state.synced ? Promise.resolve(state.book) : state.firstSync
+    }
+
+    const state = {
+      book: new OrderBook(symbol),
+      buffer: [],
+      synced: false,
+      syncing: false,
+      lastU: null,
+      resyncTimer: null,
+      syncTimer: null,
+      streamName: null
+    }
+    state.firstSync = new Promise((resolve, reject) => {
+      state.resolveFirstSync = resolve
+      state.rejectFirstSync = reject
+    })
+    state.syncTimer = setTimeout(() => {
+      this.logger.error(`Order book ${symbol} not synchronized within ${this.syncTimeout}ms, unsubscribing`)
+      this.drop(symbol, new ConnectorClientError(`Order book ${symbol} not synchronized within ${this.syncTimeout}ms`))
+    }, this.syncTimeout)
+    this.books.set(symbol, state)
+
+    // the snapshot is requested once the first diff event is buffered
+    state.streamName = this.stream.diffDepthStream(symbol, this.updateSpeed)
+    return state.firstSync
+  }
+
+  /**
+   * Stop maintaining the order book of a symbol
+   *
+   * @param {string} symbol
+   */
+  unsubscribe (symbol) {
+    symbol = symbol.toUpperCase()
+    this.drop(symbol, new ConnectorClientError(`Order book ${symbol} unsubscribed before it was synchronized`))
+  }
+
+  /**
+   * @param {string} symbol
+   * @returns {OrderBook|undefined}
+   */
+  getBook (symbol) {
+    const state = this.books.get(symbol.toUpperCase())
+    return state && state.book
+  }
+
+  /**
+   * Stop maintaining every order book, and close the stream when it was created by the manager
+   */
+  close () {
+    ;[...this.books.keys()].forEach(symbol => this.unsubscribe(symbol))
+    this.stream.off('depthUpdate', this.onDepthUpdate)
+    if (this.ownsStream) {
+      this.stream.disconnect()
+    }
+  }
+
+  /**
+   * Stop maintaining a book, its first synchronization fails with the error if still pending
+   */
+  drop (symbol, error) {
+    const state = this.books.get(symbol)
+    if (!state) return
+    clearTimeout(state.resyncTimer)
+    clearTimeout(state.syncTimer)
+    this.stream.unsubscribe(state.streamName)
+    this.books.delete(symbol)
+    // no effect once resolved
+    state.rejectFirstSync(error)
+  }
+
+  onDepthUpdate (event, streamName) {
+    const state = this.books.get(event.s)
+    if (!state || state.streamName !== streamName) return
+
+    if (!state.synced) {
+      state.buffer.push(event)
+      if (!state.syncing && !state.resyncTimer) {
+        this.sync(event.s)
+      }
+      return
+    }
+    if (!this.applyEvent(state, event)) {
+      this.resync(event.s, `missing events between ${state.lastU} and ${event.U}`)
+    }
+  }
+
+  /**
+   * @returns {boolean} false when the event doesn't follow the previous one
+   */
+  applyEvent (state, event) {
+    // already part of the snapshot
+    if (event.u < state.book.lastUpdateId) return true
+
+    if (state.lastU === null) {
+      if (event.U > state.book.lastUpdateId) return false
+    } else if (event.pu !== state.lastU) {
+      return false
+    }
+
+    state.lastU = event.u
+    state.book.update(event)
+    this.emit('change', state.book.symbol, state.book)
+    return true
+  }
+
+  sync (symbol) {
+    const state = this.books.get(symbol)
+    if (!state || state.syncing) return
+    state.syncing = true
+    state.synced = false
+
+    this.client.depth(symbol, { limit: this.limit })
+      .then(response => {
+        if (this.books.get(symbol) !== state) return
+        state.syncing = false
+        // levels are kept as strings, like the stream sends them, even when the client parses numbers
+        const { bids, asks } = response.data
+        const toStrings = levels => levels.map(([price, quantity]) => [String(price), String(quantity)])
+        state.book.reset({ ...response.data, bids: toStrings(bids), asks: toStrings(asks) })
+        state.lastU = null
+
+        const buffer = state.buffer
+        state.buffer = []
+        const inSync = buffer.every(event => this.applyEvent(state, event))
+        if (!inSync) {
+          this.resync(symbol, 'snapshot is older than the buffered events')
+          return
+        }
+
+        state.synced = true
+        this.logger.debug(`Order book ${symbol} synchronized at ${state.book.lastUpdateId}`)
+        clearTimeout(state.syncTimer)
+        this.emit('synced', symbol, state.book)
+        state.resolveFirstSync(state.book)
+      })
+      .catch(error => {
+        state.syncing = false
+        this.resync(symbol, `snapshot request failed: ${error.message}`)
+      })
+  }
+
+  resync (symbol, reason) {
+    const state = this.books.get(symbol)
+    if (!state || state.resyncTimer) return
+    this.logger.warn(`Resynchronizing order book ${symbol}, ${reason}`)
+    this.emit('resync', symbol, reason)
+    state.synced = false
+    state.resyncTimer = setTimeout(() => {
+      state.resyncTimer = null
+      this.sync(symbol)
+    }, this.resyncDelay)
+  }
+}
+
+module.exports = OrderBookManager
@@ -0,0 +1,382 @@
+'use strict'
+
+const { EventEmitter } = require('events')
+
+/**
+ * In-memory view of the positions of an account, with their PnL and exposure<br>
+ *
+ * Positions and wallet balances come from snapshots, taken by start() and every pollInterval,
+ * and from the ACCOUNT_UPDATE and ACCOUNT_CONFIG_UPDATE events of a started UserDataStream.
+ * Mark prices come from the snapshots, or from the markPriceUpdate events of a WebsocketStream,
+ * to which the manager subscribes for every symbol with an open position.
+ * Polling is turned off when both streams are given.
+ *
+ * Unrealized PnL, ROE and notional are computed from the mark prices. COIN-M positions are
+ * counted in contracts, their PnL and notional are in the margin asset.
+ * One-way positions have positionSide BOTH, hedge mode ones LONG or SHORT. Short positions
+ * have a negative positionAmt and notional.
+ *
+ * Isolated positions only risk their isolatedWallet, the margin set aside for them in the wallet
+ * balance. The exposure keeps them apart from the cross positions, which share the rest of it.
+ *
+ * Emits `change` (position) when a position or its mark price changes, `balance` (asset, walletBalance)
+ * and `error` (error).
+ *
+ * @param {Futures|DeliveryFutures} client
+ * @param {object} [options]
+ * @param {UserDataStream} [options.userDataStream] - started stream of the same account
+ * @param {WebsocketStream} [options.stream] - market stream used for the mark prices
+ * @param {string} [options.updateSpeed] - of the mark price streams, '1s', default is 3s
+ * @param {number} [options.pollInterval] - in ms, default is 10000
+ * @param {object} [options.logger]
+ */
+class PositionManager extends EventEmitter {
+  constructor (client, options = {}) {
+    super()
+    this.client = client
+    this.logger = options.logger || client.logger
+    this.userDataStream = options.userDataStream
+    this.stream = options.stream
+    this.updateSpeed = options.updateSpeed
+    this.pollInterval = options.pollInterval || 10000
+    // open positions by `${symbol}:${positionSide}`
+    this.positions = new Map()
+    this.leverages = new Map()
+    this.markPrices = new Map()
+    this.balances = new Map()
+    // mark price streams subscribed by the manager
+    this.markPriceStreams = new Map()
+    this.pollTimer = null
+
+    this.onAccountUpdate = this.onAccountUpdate.bind(this)
+    this.onAccountConfigUpdate = this.onAccountConfigUpdate.bind(this)
+    this.onMarkPriceUpdate = this.onMarkPriceUpdate.bind(this)
+  }
+
+  /**
+   * Take the first snapshot and start following the account
+   *
+   * @returns {Promise<PositionManager>}
+   */
+  start () {
+    if (this.userDataStream) {
+      this.userDataStream.on('ACCOUNT_UPDATE', this.onAccountUpdate)
+      this.userDataStream.on('ACCOUNT_CONFIG_UPDATE', this.onAccountConfigUpdate)
+    }
+    if (this.stream) {
+      this.stream.on('markPriceUpdate', this.onMarkPriceUpdate)
+    }
+    return this.refresh().then(() => {
+      if (!this.userDataStream || !this.stream) {
+        this.pollTimer = setInterval(() => this.refresh().catch(error => this.fail(error)), this.pollInterval)
+      }
+      return this
+    })
+  }
+
+  /**
+   * Stop following the account, the last known state stays available
+   */
+  stop () {
+    clearInterval(this.pollTimer)
+    this.pollTimer = null
+    if (this.userDataStream) {
+      this.userDataStream.removeListener('ACCOUNT_UPDATE', this.onAccountUpdate)
+      this.userDataStream.removeListener('ACCOUNT_CONFIG_UPDATE', this.onAccountConfigUpdate)
+    }
+    if (this.stream) {
+      this.stream.removeListener('markPriceUpdate', this.onMarkPriceUpdate)
+      this.stream.unsubscribe([...this.markPriceStreams.values()])
+      this.markPriceStreams.clear()
+    }
+  }
+
+  /**
+   * Replace the state with a snapshot of the positions and balances. Positions updated by
+   * an event since the request was sent are kept as they are.
+   *
+   * @returns {Promise}
+   */
+  refresh () {
+    const requestedAt = Date.now() + this.client.timeOffset
+    const positionRisk = this.client.positionInformationV2 ? this.client.positionInformationV2() : this.client.positionInformation()
+    const balance = this.client.futuresAccountBalanceV2 ? this.client.futuresAccountBalanceV2() : this.client.futuresAccountBalance()
+    const exchangeInfo = this.client.exchangeInfoCache.isStale() ? this.client.exchangeInfoCache.load() : null
+
+    return Promise.all([positionRisk, balance, exchangeInfo]).then(([positionsResponse, balancesResponse]) => {
+      balancesResponse.data.forEach(({ asset, balance }) => this.setBalance(asset, Number(balance)))
+
+      const snapshot = new Map()
+      positionsResponse.data.forEach(row => {
+        this.leverages.set(row.symbol, Number(row.leverage))
+        this.markPrices.set(row.symbol, Number(row.markPrice))
+        snapshot.set(`${row.symbol}:${row.positionSide}`, row)
+      })
+
+      const keys = new Set([...this.positions.keys(), ...snapshot.keys()])
+      keys.forEach(key => {
+        const current = this.positions.get(key)
+        const row = snapshot.get(key)
+        if (current && current.updateTime > (row ? Number(row.updateTime) : requestedAt)) return
+        const [symbol, positionSide] = key.split(':')
+        const position = {
+          symbol,
+          positionSide,
+          positionAmt: row ? Number(row.positionAmt) : 0,
+          entryPrice: row ? Number(row.entryPrice) : 0,
+          marginType: row ? row.marginType : current.marginType,
+          isolatedWallet: row ? Number(row.isolatedWallet) || 0 : 0,
+          updateTime: row ? Number(row.updateTime) : requestedAt
+        }
+        this.setPosition(key, position)
+        if (current || position.positionAmt) {
+          this.emit('change', this.describe(position))
+        }
+      })
+    })
+  }
+
+  onAccountUpdate (event) {
+    const { B: balances = [], P: positions = [] } = event.a
+    balances.forEach(({ a: asset, wb: walletBalance }) => this.setBalance(asset, Number(walletBalance)))
+    positions.forEach(({ s: symbol, ps: positionSide, pa, ep, up, mt: marginType, iw, ma: marginAsset }) => {
+      const positionAmt = Number(pa)
+      const entryPrice = Number(ep)
+      // until a mark price is received, the one implied by the unrealized PnL of a USDⓈ-M position
+      if (!this.markPrices.has(symbol) && positionAmt && !this.contractSize(symbol)) {
+        this.markPrices.set(symbol, entryPrice + Number(up) / positionAmt)
+      }
+      const position = {
+        symbol,
+        positionSide,
+        positionAmt,
+        entryPrice,
+        marginType,
+        isolatedWallet: Number(iw) || 0,
+        updateTime: event.T
+      }
+      // sent by USDⓈ-M only, for the symbols missing from the cached exchangeInfo
+      if (marginAsset) position.marginAsset = marginAsset
+      this.setPosition(`${symbol}:${positionSide}`, position)
+      this.emit('change', this.describe(position))
+    })
+  }
+
+  onAccountConfigUpdate (event) {
+    if (event.ac) {
+      this.leverages.set(event.ac.s, Number(event.ac.l))
+      this.getPositions(event.ac.s).forEach(position => this.emit('change', position))
+    }
+  }
+
+  onMarkPriceUpdate (event) {
+    this.markPrices.set(event.s, Number(event.p))
+    this.getPositions(event.s).forEach(position => this.emit('change', position))
+  }
+
+  setPosition (key, position) {
+    if (position.positionAmt) {
+      this.positions.set(key, position)
+    } else {
+      this.positions.delete(key)
+    }
+    if (this.stream) {
+      this.followMarkPrice(position.symbol)
+    }
+  }
+
+  setBalance (asset, walletBalance) {
+    if (this.balances.get(asset) === walletBalance) return
+    this.balances.set(asset, walletBalance)
+    this.emit('balance', asset, walletBalance)
+  }
+
+  /**
+   * Subscribe to the mark price of the symbols with an open position only
+   */
+  followMarkPrice (symbol) {
+    const open = this.getPositions(symbol).length > 0
+    if (open && !this.markPriceStreams.has(symbol)) {
+      this.markPriceStreams.set(symbol, this.stream.markPriceStream(symbol, this.updateSpeed))
+    } else if (!open && this.markPriceStreams.has(symbol)) {
+      this.stream.unsubscribe(this.markPriceStreams.get(symbol))
+      this.markPriceStreams.delete(symbol)
+    }
+  }
+
+  symbolInfo (symbol) {
+    const filters = this.client.exchangeInfoCache.symbols.get(symbol)
+    return filters ? filters.info : {}
+  }
+
+  /**
+   * Contract size of a COIN-M symbol, undefined for USDⓈ-M ones
+   */
+  contractSize (symbol) {
+    const { contractSize } = this.symbolInfo(symbol)
+    return contractSize === undefined ? undefined : Number(contractSize)
+  }
+
+  /**
+   * @param {string} symbol
+   * @param {string} [positionSide] - default is 'BOTH'
+   * @returns {object|undefined} the position with its markPrice, leverage, marginAsset, notional,
+   *  unrealizedPnl, initialMargin at the mark price, roe, e.g. 0.1 for 10%, isolated and isolatedMargin,
+   *  the isolatedWallet with the unrealized PnL, 0 for cross positions. Undefined when there is no open position.
+   */
+  getPosition (symbol, positionSide = 'BOTH') {
+    const position = this.positions.get(`${symbol.toUpperCase()}:${positionSide.toUpperCase()}`)
+    return position && this.describe(position)
+  }
+
+  describe (position) {
+    const { positionAmt, entryPrice } = position
+    const markPrice = this.markPrices.get(position.symbol) || entryPrice
+    const leverage = this.leverages.get(position.symbol) || 1
+    const contractSize = this.contractSize(position.symbol)
+    const marginAsset = position.marginAsset || this.symbolInfo(position.symbol).marginAsset
+
+    let notional = 0
+    let unrealizedPnl = 0
+    let entryNotional = 0
+    if (positionAmt && contractSize === undefined) {
+      notional = positionAmt * markPrice
+      unrealizedPnl = positionAmt * (markPrice - entryPrice)
+      entryNotional = Math.abs(positionAmt) * entryPrice
+    } else if (positionAmt) {
+      notional = positionAmt * contractSize / markPrice
+      unrealizedPnl = positionAmt * contractSize * (1 / entryPrice - 1 / markPrice)
+      entryNotional = Math.abs(positionAmt) * contractSize / entryPrice
+    }
+    // 'isolated' or 'cross', uppercase in some responses
+    const isolated = String(position.marginType).toLowerCase() === 'isolated'
+    return {
+      ...position,
+      markPrice,
+      leverage,
+      marginAsset,
+      notional,
+      unrealizedPnl,
+      initialMargin: Math.abs(notional) / leverage,
+      roe: entryNotional ? unrealizedPnl / (entryNotional / leverage) : 0,
+      isolated,
+      isolatedMargin: isolated ? position.isolatedWallet + unrealizedPnl : 0
+    }
+  }
+
+  /**
+   * @param {string} [symbol] - all the open positions when missing
+   * @returns {object[]} positions as returned by getPosition()
+   */
+  getPositions (symbol) {
+    return [...this.positions.values()]
+      .filter(position => !symbol || position.symbol === symbol.toUpperCase())
+      .map(position => this.describe(position))
+  }
+
+  /**
+   * Exposure to a symbol, over both sides in hedge mode
+   *
+   * @param {string} symbol
+   * @returns {object} { symbol, marginAsset, long, short, net, gross, unrealizedPnl, initialMargin, crossUnrealizedPnl,
+   *  crossInitialMargin, isolatedWallet, isolatedMargin }, long and short are the absolute notional of each side,
+   *  the cross fields only count the cross positions and the isolated ones only the isolated positions
+   */
+  getExposure (symbol) {
+    symbol = symbol.toUpperCase()
+    const exposure = { symbol, marginAsset: this.symbolInfo(symbol).marginAsset, long: 0, short: 0, net: 0, gross: 0, unrealizedPnl: 0, initialMargin: 0, crossUnrealizedPnl: 0, crossInitialMargin: 0, isolatedWallet: 0, isolatedMargin: 0 }
+    this.getPositions(symbol).forEach(position => {
+      exposure.marginAsset = position.marginAsset
+      if (position.notional > 0) {
+        exposure.long += position.notional
+      } else {
+        exposure.short -= position.notional
+      }
+      exposure.unrealizedPnl += position.unrealizedPnl
+      exposure.initialMargin += position.initialMargin
+      if (position.isolated) {
+        exposure.isolatedWallet += position.isolatedWallet
+        exposure.isolatedMargin += position.isolatedMargin
+      } else {
+        exposure.crossUnrealizedPnl += position.unrealizedPnl
+        exposure.crossInitialMargin += position.initialMargin
+      }
+    })
+    exposure.net = exposure.long - exposure.short
+    exposure.gross = exposure.long + exposure.short
+    return exposure
+  }
+
+  /**
+   * Exposure of the account, by margin asset
+   *
+   * @returns {object} { [marginAsset]: { walletBalance, unrealizedPnl, marginBalance, long, short, net, gross,
+   *  initialMargin, marginUsage, leverage, crossWalletBalance, crossUnrealizedPnl, crossMarginBalance,
+   *  crossInitialMargin, crossMarginUsage, isolatedWallet, isolatedMargin } }, marginUsage is initialMargin / marginBalance
+   *  and leverage is gross / marginBalance. The cross balance is the wallet balance without the isolatedWallet
+   *  of the isolated positions, crossMarginUsage is crossInitialMargin / crossMarginBalance.
+   */
+  getTotalExposure () {
+    const totals = {}
+    const total = asset => {
+      if (!totals[asset]) {
+        totals[asset] = {
+          walletBalance: this.balances.get(asset) || 0,
+          unrealizedPnl: 0,
+          marginBalance: 0,
+          long: 0,
+          short: 0,
+          net: 0,
+          gross: 0,
+          initialMargin: 0,
+          marginUsage: 0,
+          leverage: 0,
+          crossWalletBalance: 0,
+          crossUnrealizedPnl: 0,
+          crossMarginBalance: 0,
+          crossInitialMargin: 0,
+          crossMarginUsage: 0,
+          isolatedWallet: 0,
+          isolatedMargin: 0
+        }
+      }
+      return totals[asset]
+    }
+
+    this.balances.forEach((walletBalance, asset) => {
+      if (walletBalance) total(asset)
+    })
+    const symbols = new Set([...this.positions.values()].map(position => position.symbol))
+    symbols.forEach(symbol => {
+      const exposure = this.getExposure(symbol)
+      const totalOfAsset = total(exposure.marginAsset)
+      ;['long', 'short', 'net', 'gross', 'unrealizedPnl', 'initialMargin', 'crossUnrealizedPnl', 'crossInitialMargin', 'isolatedWallet', 'isolatedMargin'].forEach(field => {
+        totalOfAsset[field] += exposure[field]
+      })
+    })
+
+    Object.values(totals).forEach(totalOfAsset => {
+      totalOfAsset.marginBalance = totalOfAsset.walletBalance + totalOfAsset.unrealizedPnl
+      if (totalOfAsset.marginBalance > 0) {
+        totalOfAsset.marginUsage = totalOfAsset.initialMargin / totalOfAsset.marginBalance
+        totalOfAsset.leverage = totalOfAsset.gross / totalOfAsset.marginBalance
+      }
+      // the isolated positions can't draw on the rest of the balance, nor the cross ones on their margin
+      totalOfAsset.crossWalletBalance = totalOfAsset.walletBalance - totalOfAsset.isolatedWallet
+      totalOfAsset.crossMarginBalance = totalOfAsset.crossWalletBalance + totalOfAsset.crossUnrealizedPnl
+      if (totalOfAsset.crossMarginBalance > 0) {
+        totalOfAsset.crossMarginUsage = totalOfAsset.crossInitialMargin / totalOfAsset.crossMarginBalance
+      }
+    })
+    return totals
+  }
+
+  fail (error) {
+    this.logger.error(`Failed to refresh the positions: ${error.message}`)
+    if (this.listenerCount('error')) {
+      this.emit('error', error)
+    }
+  }
+}
+
+module.exports = PositionManager
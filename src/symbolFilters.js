@@ -0,0 +1,156 @@
+'use strict'
+
+const { roundToStep, isMultipleOf } = require('./helpers/decimal')
+
+const MARKET_TYPES = ['MARKET', 'STOP_MARKET', 'TAKE_PROFIT_MARKET', 'TRAILING_STOP_MARKET']
+const ALGO_TYPES = ['STOP', 'TAKE_PROFIT', 'STOP_MARKET', 'TAKE_PROFIT_MARKET', 'TRAILING_STOP_MARKET']
+const PRICE_FIELDS = ['price', 'stopPrice', 'activationPrice']
+
+/**
+ * Trading rules of a single symbol, from the exchangeInfo response
+ *
+ * @param {object} symbolInfo - one element of exchangeInfo().symbols
+ */
+class SymbolFilters {
+  constructor (symbolInfo) {
+    this.symbol = symbolInfo.symbol
+    this.info = symbolInfo
+    this.filters = {}
+    symbolInfo.filters.forEach(filter => {
+      this.filters[filter.filterType] = filter
+    })
+  }
+
+  /**
+   * Round a price to the nearest multiple of tickSize
+   *
+   * @param {number|string} price
+   * @returns {string}
+   */
+  roundPrice (price) {
+    const filter = this.filters.PRICE_FILTER
+    return filter ? roundToStep(price, filter.tickSize) : String(price)
+  }
+
+  /**
+   * Round a quantity down to a multiple of stepSize, MARKET_LOT_SIZE is used for market orders
+   *
+   * @param {number|string} quantity
+   * @param {string} [type] - order type
+   * @returns {string}
+   */
+  roundQuantity (quantity, type) {
+    const filter = this.lotSizeFilter(type)
+    return filter ? roundToStep(quantity, filter.stepSize, 'floor') : String(quantity)
+  }
+
+  lotSizeFilter (type) {
+    if (MARKET_TYPES.includes(type) && this.filters.MARKET_LOT_SIZE) {
+      return this.filters.MARKET_LOT_SIZE
+    }
+    return this.filters.LOT_SIZE
+  }
+
+  /**
+   * Copy of the order with its prices and quantity rounded to the symbol precision
+   *
+   * @param {object} order - newOrder parameters
+   * @returns {object}
+   */
+  adjustOrder (order) {
+    const adjusted = { ...order }
+    PRICE_FIELDS.forEach(field => {
+      if (adjusted[field] !== undefined) {
+        adjusted[field] = this.roundPrice(adjusted[field])
+      }
+    })
+    if (adjusted.quantity !== undefined) {
+      adjusted.quantity = this.roundQuantity(adjusted.quantity, adjusted.type)
+    }
+    return adjusted
+  }
+
+  /**
+   * List the filters the order breaks
+   *
+   * @param {object} order - newOrder parameters
+   * @param {object} [context]
+   * @param {number} [context.markPrice] - enables PERCENT_PRICE, and MIN_NOTIONAL for orders without a price
+   * @param {number} [context.openOrders] - number of open orders on the symbol, enables MAX_NUM_ORDERS
+   * @param {number} [context.openAlgoOrders] - number of open algo orders on the symbol, enables MAX_NUM_ALGO_ORDERS
+   * @returns {object[]} list of { filter, message }, empty when the order is valid
+   */
+  validateOrder (order, context = {}) {
+    const violations = []
+    const fail = (filter, message) => violations.push({ filter, message })
+    const { PRICE_FILTER, MIN_NOTIONAL, PERCENT_PRICE, MAX_NUM_ORDERS, MAX_NUM_ALGO_ORDERS } = this.filters
+    const type = order.type && order.type.toUpperCase()
+
+    if (PRICE_FILTER) {
+      PRICE_FIELDS.forEach(field => {
+        if (order[field] === undefined) return
+        const value = Number(order[field])
+        if (Number(PRICE_FILTER.minPrice) && value < Number(PRICE_FILTER.minPrice)) {
+          fail('PRICE_FILTER', `${field} ${order[field]} is below minPrice ${PRICE_FILTER.minPrice}`)
+        }
+        if (Number(PRICE_FILTER.maxPrice) && value > Number(PRICE_FILTER.maxPrice)) {
+          fail('PRICE_FILTER', `${field} ${order[field]} is above maxPrice ${PRICE_FILTER.maxPrice}`)
+        }
+        if (!isMultipleOf(value, PRICE_FILTER.tickSize)) {
+          fail('PRICE_FILTER', `${field} ${order[field]} is not a multiple of tickSize ${PRICE_FILTER.tickSize}`)
+        }
+      })
+    }
+
+    const lotSize = this.lotSizeFilter(type)
+    if (lotSize && order.quantity !== undefined) {
+      const filterType = lotSize === this.filters.LOT_SIZE ? 'LOT_SIZE' : 'MARKET_LOT_SIZE'
+      const quantity = Number(order.quantity)
+      if (quantity < Number(lotSize.minQty)) {
+        fail(filterType, `quantity ${order.quantity} is below minQty ${lotSize.minQty}`)
+      }
+      if (Number(lotSize.maxQty) && quantity > Number(lotSize.maxQty)) {
+        fail(filterType, `quantity ${order.quantity} is above maxQty ${lotSize.maxQty}`)
+      }
+      if (!isMultipleOf(quantity, lotSize.stepSize)) {
+        fail(filterType, `quantity ${order.quantity} is not a multiple of stepSize ${lotSize.stepSize}`)
+      }
+    }
+
+    // reduce-only and close-position orders are exempt from the minimum notional
+    const price = order.price !== undefined ? Number(order.price) : context.markPrice
+    const reducing = String(order.reduceOnly) === 'true' || String(order.closePosition) === 'true'
+    if (MIN_NOTIONAL && order.quantity !== undefined && price && !reducing) {
+      const notional = price * Number(order.quantity)
+      if (notional < Number(MIN_NOTIONAL.notional)) {
+        fail('MIN_NOTIONAL', `notional ${notional} is below ${MIN_NOTIONAL.notional}`)
+      }
+    }
+
+    if (PERCENT_PRICE && context.markPrice && order.price !== undefined) {
+      const up = context.markPrice * Number(PERCENT_PRICE.multiplierUp)
+      const down = context.markPrice * Number(PERCENT_PRICE.multiplierDown)
+      if (order.side && order.side.toUpperCase() === 'BUY' && Number(order.price) > up) {
+        fail('PERCENT_PRICE', `price ${order.price} is above ${up}`)
+      }
+      if (order.side && order.side.toUpperCase() === 'SELL' && Number(order.price) < down) {
+        fail('PERCENT_PRICE', `price ${order.price} is below ${down}`)
+      }
+    }
+
+    if (MAX_NUM_ORDERS && context.openOrders !== undefined && context.openOrders >= MAX_NUM_ORDERS.limit) {
+      fail('MAX_NUM_ORDERS', `${context.openOrders} orders are already open, the limit is ${MAX_NUM_ORDERS.limit}`)
+    }
+    if (MAX_NUM_ALGO_ORDERS && ALGO_TYPES.includes(type) && context.openAlgoOrders !== undefined &&
+      context.openAlgoOrders >= MAX_NUM_ALGO_ORDERS.limit) {
+      fail('MAX_NUM_ALGO_ORDERS', `${context.openAlgoOrders} algo orders are already open, the limit is ${MAX_NUM_ALGO_ORDERS.limit}`)
+    }
+
+    return violations
+  }
+}
+
+// order types counted against MAX_NUM_ALGO_ORDERS
+SymbolFilters.ALGO_TYPES = ALGO_TYPES
+
+module.exports = SymbolFilters
@@ -0,0 +1,134 @@
+'use strict'
+
+const WebsocketBase = require('./websocketBase')
+const ErrorCode = require('./error/errorCode')
+
+/**
+ * Managed user data stream<br>
+ *
+ * Creates the listenKey through the given REST client, keeps it alive on a timer and
+ * recreates it when the server reports it expired. Every event is emitted as `message`
+ * and as an event named after its type, e.g. `ORDER_TRADE_UPDATE`, `ACCOUNT_UPDATE`,
+ * `MARGIN_CALL` or `ACCOUNT_CONFIG_UPDATE`.
+ *
+ * @param {Futures|DeliveryFutures} client - REST client used to manage the listenKey
+ * @param {object} [options]
+ * @param {string} [options.wsURL] - default is the wsURL of the client, or wss://fstream.binance.com
+ * @param {number} [options.keepAliveInterval] - in ms, default is 30 minutes
+ * @param {object} [options.logger] - default is the logger of the REST client
+ * @param {object} [options.agent]
+ * @param {number} [options.reconnectDelay]
+ * @param {number} [options.maxReconnectDelay]
+ * @param {number} [options.rolloverInterval]
+ * @param {number} [options.pingTimeout]
+ */
+class UserDataStream extends WebsocketBase {
+  constructor (client, options = {}) {
+    super({ logger: client.logger, ...options })
+    this.client = client
+    this.wsURL = options.wsURL || client.wsURL || 'wss://fstream.binance.com'
+    // listenKey expires after 60 minutes without a keepalive
+    this.keepAliveInterval = options.keepAliveInterval || 30 * 60 * 1000
+    this.listenKey = null
+    this.keepAliveTimer = null
+  }
+
+  getURL () {
+    return `${this.wsURL}/ws/${this.listenKey}`
+  }
+
+  /**
+   * Create the listenKey and open the connection
+   *
+   * @returns {Promise<string>} the listenKey
+   */
+  start () {
+    return this.refreshListenKey().then(listenKey => {
+      this.connect()
+      this.startKeepAlive()
+      return listenKey
+    })
+  }
+
+  /**
+   * Close the connection and the listenKey
+   *
+   * @returns {Promise}
+   */
+  stop () {
+    this.stopKeepAlive()
+    this.disconnect()
+    if (!this.listenKey) {
+      return Promise.resolve()
+    }
+    this.listenKey = null
+    return this.client.closeListenKey()
+  }
+
+  refreshListenKey () {
+    return this.client.createListenKey().then(response => {
+      this.listenKey = response.data.listenKey
+      return this.listenKey
+    })
+  }
+
+  startKeepAlive () {
+    this.stopKeepAlive()
+    this.keepAliveTimer = setInterval(() => this.keepAlive(), this.keepAliveInterval)
+    if (this.keepAliveTimer.unref) {
+      this.keepAliveTimer.unref()
+    }
+  }
+
+  stopKeepAlive () {
+    clearInterval(this.keepAliveTimer)
+    this.keepAliveTimer = null
+  }
+
+  keepAlive () {
+    return this.client.renewListenKey()
+      .then(() => this.logger.debug('listenKey renewed'))
+      .catch(error => {
+        this.logger.error(`Failed to renew the listenKey: ${error.message}`)
+        if (error.code === ErrorCode.INVALID_LISTEN_KEY) {
+          return this.recreate()
+        }
+      })
+  }
+
+  /**
+   * Replace the listenKey with a new one and reconnect to it
+   */
+  recreate () {
+    return this.refreshListenKey()
+      .then(() => {
+        if (!this.closeInitiated) {
+          this.reconnect()
+        }
+      })
+      .catch(error => {
+        this.logger.error(`Failed to recreate the listenKey: ${error.message}`)
+        if (this.listenerCount('error')) {
+          this.emit('error', error)
+        }
+      })
+  }
+
+  onMessage (data) {
+    const event = JSON.parse(data)
+    this.emit('message', event)
+
+    if (event.e === 'listenKeyExpired') {
+      this.logger.warn('listenKey expired, creating a new one')
+      this.emit(event.e, event)
+      this.recreate()
+      return
+    }
+
+    if (event.e) {
+      this.emit(event.e, event)
+    }
+  }
+}
+
+module.exports = UserDataStream
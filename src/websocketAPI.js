@@ -0,0 +1,231 @@
+'use strict'
+
+const WebsocketBase = require('./websocketBase')
+const websocketAPIModules = require('./modules/websocket/api')
+const ConnectorClientError = require('./error/connectorClientError')
+const createResponseError = require('./error/createResponseError')
+const TimestampError = require('./error/timestampError')
+const PrivateKeyAlgo = require('./helpers/privateKeyAlgo')
+const { createSignature } = require('./helpers/signature')
+const { flowRight, buildQueryString, removeEmptyValue, randomString, sortObject, serializeDecimals } = require('./helpers/utils')
+const { getEnvironmentURLs, isTestnetExpected, isTestnetURL } = require('./helpers/environment')
+const { isStateChangingMethod, createDryRunMessage } = require('./helpers/dryRun')
+
+// methods placing or modifying orders, refused by expectTestnet outside of the testnet
+const ORDER_METHODS = ['order.place', 'order.modify']
+
+/**
+ * Websocket API client<br>
+ *
+ * Every request resolves with the server response (`result` and `rateLimits`)
+ * or rejects when the server returns an error or doesn't respond in time.
+ *
+ * @param {string} apiKey
+ * @param {string} apiSecret
+ * @param {object} [options]
+ * @param {string} [options.wsURL] - default is the websocket API URL of the environment
+ * @param {string} [options.environment] - 'production' or 'testnet', default is 'production'
+ * @param {boolean} [options.expectTestnet] - refuse to place or modify orders unless wsURL points to the testnet,
+ *  default is true on the testnet environment
+ * @param {boolean|string} [options.dryRun] - log order.place, order.modify and order.cancel instead of sending them,
+ *  'test' is accepted for consistency with the REST clients and behaves the same
+ * @param {number} [options.requestTimeout] - in ms, default is 10000
+ * @param {number} [options.recvWindow]
+ * @param {number} [options.timeSyncInterval] - in ms, synchronize the time offset on every connection and then
+ *  at this interval, default is 0 (only after a -1021 error)
+ * @param {string} [options.privateKey]
+ * @param {string} [options.privateKeyPassphrase]
+ * @param {string} [options.privateKeyAlgo]
+ * @param {object} [options.logger]
+ * @param {object} [options.agent]
+ */
+class WebsocketAPI extends flowRight(...Object.values(websocketAPIModules))(WebsocketBase) {
+  constructor (apiKey = '', apiSecret = '', options = {}) {
+    super(options)
+    const { wsURL, environment, expectTestnet, dryRun, requestTimeout, recvWindow, timeSyncInterval, privateKey, privateKeyPassphrase, privateKeyAlgo } = options
+
+    this.apiKey = apiKey
+    this.apiSecret = apiSecret
+    this.wsURL = wsURL || getEnvironmentURLs('usdm', environment).wsAPIURL
+    this.expectTestnet = isTestnetExpected({ environment, expectTestnet })
+    this.dryRun = dryRun || false
+    this.requestTimeout = requestTimeout || 10 * 1000
+    this.recvWindow = recvWindow
+    this.privateKey = privateKey || ''
+    this.privateKeyPassphrase = privateKeyPassphrase || ''
+    this.privateKeyAlgo = privateKeyAlgo || PrivateKeyAlgo.RSA
+    // difference in ms between the server clock and the local clock, see syncTime
+    this.timeOffset = 0
+    // default is 0 (no periodic time synchronization)
+    this.timeSyncInterval = timeSyncInterval || 0
+    this.timeSyncTimer = null
+    this.sessionLoggedOn = false
+    // log on again whenever the connection is reopened
+    this.sessionRequested = false
+    this.pendingRequests = new Map()
+  }
+
+  getURL () {
+    return this.wsURL
+  }
+
+  onOpen () {
+    this.sessionLoggedOn = false
+    if (this.sessionRequested) {
+      this.sessionLogon().catch(error => this.logger.error(`Failed to log on the session: ${error.message}`))
+    }
+    if (this.timeSyncInterval > 0) {
+      const sync = () => this.syncTime().catch(error => this.logger.error(`Time synchronization failed: ${error.message}`))
+      sync()
+      this.timeSyncTimer = setInterval(sync, this.timeSyncInterval)
+    }
+  }
+
+  onDisconnect () {
+    this.sessionLoggedOn = false
+    clearInterval(this.timeSyncTimer)
+    this.timeSyncTimer = null
+    // the responses would never arrive on the new connection
+    this.rejectPendingRequests(new ConnectorClientError('Websocket connection closed'))
+  }
+
+  /**
+   * Resolve once the connection is open, connecting first if needed
+   */
+  ready () {
+    if (this.isConnected()) {
+      return Promise.resolve()
+    }
+    return new Promise((resolve, reject) => {
+      const onOpen = () => {
+        this.off('close', onClose)
+        resolve()
+      }
+      const onClose = () => {
+        this.off('open', onOpen)
+        reject(new ConnectorClientError('Websocket connection closed'))
+      }
+      this.once('open', onOpen)
+      this.once('close', onClose)
+      this.connect()
+    })
+  }
+
+  sendRequest (method, params = {}) {
+    return this.ready().then(() => new Promise((resolve, reject) => {
+      const id = randomString()
+      const timer = setTimeout(() => {
+        this.pendingRequests.delete(id)
+        reject(new ConnectorClientError(`Request ${method} timed out after ${this.requestTimeout}ms`))
+      }, this.requestTimeout)
+
+      this.pendingRequests.set(id, { resolve, reject, timer, method })
+      const payload = { id, method }
+      // the same notation as in the signed query string
+      params = serializeDecimals(removeEmptyValue(params))
+      if (Object.keys(params).length) {
+        payload.params = params
+      }
+      this.logger.debug('Send message to Binance Websocket API Server:', JSON.stringify(payload))
+      let sent = false
+      let sendError = null
+      try {
+        sent = this.send(payload)
+      } catch (error) {
+        sendError = error
+      }
+      // the connection may have dropped since ready(), no response will come
+      if (!sent) {
+        this.pendingRequests.delete(id)
+        clearTimeout(timer)
+        reject(new ConnectorClientError(`Failed to send ${method}: ${sendError ? sendError.message : 'the connection is not open'}`))
+      }
+    }))
+  }
+
+  /**
+   * Measure the offset between the server clock and the local clock, added to the timestamp of the signed requests
+   *
+   * @returns {Promise<number>} the offset in ms
+   */
+  syncTime () {
+    const requestTime = Date.now()
+    return this.sendRequest('time').then(response => {
+      const responseTime = Date.now()
+      this.timeOffset = response.result.serverTime - Math.round((requestTime + responseTime) / 2)
+      return this.timeOffset
+    })
+  }
+
+  sendSignatureRequest (method, params = {}, { bypassSession = false } = {}) {
+    if (this.dryRun && isStateChangingMethod(method)) {
+      params = serializeDecimals(removeEmptyValue(params))
+      this.logger.log(`Dry run: ${method} ${JSON.stringify(params)}`)
+      return Promise.resolve(createDryRunMessage(method, params))
+    }
+    if (this.expectTestnet && ORDER_METHODS.includes(method) && !isTestnetURL(this.wsURL)) {
+      return Promise.reject(new ConnectorClientError(`Refusing to send ${method} to ${this.wsURL}, expectTestnet is set but it is not a testnet URL`))
+    }
+    let timestampRetried = false
+
+    // sign once connected, so the time spent connecting doesn't count against recvWindow
+    const attempt = () => this.ready().then(() => {
+      const timestamped = removeEmptyValue({
+        ...params,
+        recvWindow: params.recvWindow || this.recvWindow,
+        timestamp: Date.now() + this.timeOffset
+      })
+
+      // an authenticated session only needs the timestamp
+      if (this.sessionLoggedOn && !bypassSession) {
+        return this.sendRequest(method, timestamped)
+      }
+
+      const signed = sortObject({ ...timestamped, apiKey: this.apiKey })
+      const signature = createSignature(buildQueryString(signed), this)
+      return this.sendRequest(method, { ...signed, signature })
+    }).catch(error => {
+      // the local clock has drifted out of recvWindow
+      if (!timestampRetried && error instanceof TimestampError) {
+        timestampRetried = true
+        this.logger.warn('Timestamp outside of recvWindow, resynchronizing time and retrying')
+        return this.syncTime().then(attempt)
+      }
+      throw error
+    })
+
+    return attempt()
+  }
+
+  onMessage (data) {
+    const message = JSON.parse(data)
+    const pending = this.pendingRequests.get(message.id)
+    if (!pending) {
+      this.emit('message', message)
+      return
+    }
+
+    this.pendingRequests.delete(message.id)
+    clearTimeout(pending.timer)
+    if (message.status === 200) {
+      pending.resolve(message)
+    } else {
+      pending.reject(createResponseError({
+        status: message.status,
+        code: message.error && message.error.code,
+        msg: message.error && message.error.msg,
+        method: pending.method
+      }))
+    }
+  }
+
+  rejectPendingRequests (error) {
+    this.pendingRequests.forEach(({ reject, timer }) => {
+      clearTimeout(timer)
+      reject(error)
+    })
+    this.pendingRequests.clear()
+  }
+}
+
+module.exports = WebsocketAPI
@@ -0,0 +1,198 @@
+'use strict'
+
+const { EventEmitter } = require('events')
+const WebSocketClient = require('ws')
+const { defaultLogger } = require('./helpers/utils')
+
+// Binance closes every connection after 24 hours, reconnect a bit earlier than that
+const DEFAULT_ROLLOVER_INTERVAL = 23 * 60 * 60 * 1000
+
+class WebsocketBase extends EventEmitter {
+  constructor (options = {}) {
+    super()
+    const { logger, agent, reconnectDelay, maxReconnectDelay, rolloverInterval, pingTimeout } = options
+
+    this.logger = logger || defaultLogger
+    this.agent = agent
+    // first reconnect delay in ms, doubled on every failed attempt up to maxReconnectDelay
+    this.reconnectDelay = reconnectDelay || 1000
+    this.maxReconnectDelay = maxReconnectDelay || 60 * 1000
+    this.rolloverInterval = rolloverInterval || DEFAULT_ROLLOVER_INTERVAL
+    // the server pings every 3 minutes, a connection without any traffic for longer than this is considered dead
+    this.pingTimeout = pingTimeout || 10 * 60 * 1000
+
+    this.ws = null
+    this.closeInitiated = false
+    this.reconnectAttempts = 0
+    this.reconnectTimer = null
+    this.rolloverTimer = null
+    this.heartbeatTimer = null
+  }
+
+  /**
+   * URL to open the connection to, implemented by the subclasses
+   */
+  getURL () {
+    throw new Error('getURL() is not implemented')
+  }
+
+  /**
+   * Called every time the connection is (re)opened
+   */
+  onOpen () {}
+
+  /**
+   * Called every time the connection is lost, closed or dropped to reconnect
+   */
+  onDisconnect () {}
+
+  /**
+   * Called with every text message received from the server
+   *
+   * @param {string} data
+   */
+  onMessage (data) {
+    this.emit('message', JSON.parse(data))
+  }
+
+  isConnected () {
+    return this.ws !== null && this.ws.readyState === WebSocketClient.OPEN
+  }
+
+  connect () {
+    this.closeInitiated = false
+    if (!this.ws && !this.reconnectTimer) {
+      this.initConnect(this.getURL())
+    }
+  }
+
+  initConnect (url) {
+    this.logger.info(`Sending Websocket connection to: ${url}`)
+    const ws = new WebSocketClient(url, { agent: this.agent })
+    this.ws = ws
+
+    ws.on('open', () => {
+      this.logger.info(`Connected to the Websocket Server: ${url}`)
+      this.reconnectAttempts = 0
+      this.heartbeat()
+      this.rolloverTimer = setTimeout(() => {
+        this.logger.info('Rolling over the Websocket connection before the 24 hours limit')
+        this.reconnect()
+      }, this.rolloverInterval)
+      this.onOpen()
+      this.emit('open')
+    })
+
+    ws.on('ping', () => {
+      this.logger.debug('Received PING from server')
+      this.heartbeat()
+    })
+
+    ws.on('pong', () => {
+      this.logger.debug('Received PONG from server')
+      this.heartbeat()
+    })
+
+    ws.on('message', data => {
+      this.heartbeat()
+      try {
+        this.onMessage(data.toString())
+      } catch (error) {
+        this.logger.error(`Failed to handle Websocket message: ${error.message}`)
+      }
+    })
+
+    ws.on('error', error => {
+      this.logger.error('Received error from server')
+      this.logger.error(error)
+      if (this.listenerCount('error')) {
+        this.emit('error', error)
+      }
+    })
+
+    ws.on('close', (code, reason) => {
+      if (this.ws !== ws) return
+      this.clearTimers()
+      this.ws = null
+      this.onDisconnect()
+      this.emit('close', code, reason.toString())
+      if (!this.closeInitiated) {
+        this.scheduleReconnect(code)
+      }
+    })
+  }
+
+  heartbeat () {
+    clearTimeout(this.heartbeatTimer)
+    const ws = this.ws
+    this.heartbeatTimer = setTimeout(() => {
+      this.logger.warn(`No data received for ${this.pingTimeout}ms, terminating the connection`)
+      ws.terminate()
+    }, this.pingTimeout)
+  }
+
+  scheduleReconnect (code) {
+    const delay = Math.min(this.reconnectDelay * 2 ** this.reconnectAttempts, this.maxReconnectDelay)
+    this.reconnectAttempts++
+    this.logger.warn(`Connection closed with code ${code}, reconnecting in ${delay}ms`)
+    this.emit('reconnecting', delay)
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null
+      this.initConnect(this.getURL())
+    }, delay)
+  }
+
+  /**
+   * Drop the current connection and open a new one right away
+   */
+  reconnect () {
+    this.clearTimers()
+    this.dropConnection()
+    this.initConnect(this.getURL())
+  }
+
+  send (payload) {
+    if (!this.isConnected()) {
+      this.logger.error('Send failed, the Websocket connection is not open')
+      return false
+    }
+    this.ws.send(JSON.stringify(payload))
+    return true
+  }
+
+  disconnect () {
+    this.closeInitiated = true
+    this.clearTimers()
+    if (!this.ws) return
+    this.logger.info('Disconnecting from the Websocket Server')
+    this.dropConnection()
+    this.emit('close', 1000, 'Closed by client')
+  }
+
+  dropConnection () {
+    const ws = this.ws
+    this.ws = null
+    if (!ws) return
+    // no close event comes from a socket once its listeners are removed
+    this.onDisconnect()
+    ws.removeAllListeners()
+    // closing a socket that is still connecting raises an error we are not interested in
+    ws.on('error', () => {})
+    if (ws.readyState !== WebSocketClient.OPEN) {
+      ws.terminate()
+    } else {
+      ws.close()
+    }
+  }
+
+  clearTimers () {
+    clearTimeout(this.reconnectTimer)
+    clearTimeout(this.rolloverTimer)
+    clearTimeout(this.heartbeatTimer)
+    this.reconnectTimer = null
+    this.rolloverTimer = null
+    this.heartbeatTimer = null
+  }
+}
+
+module.exports = WebsocketBase
@@ -0,0 +1,100 @@
+'use strict'
+
+const WebsocketBase = require('./websocketBase')
+const websocketStreamModules = require('./modules/websocket/stream')
+const { flowRight } = require('./helpers/utils')
+const { getEnvironmentURLs } = require('./helpers/environment')
+
+/**
+ * Market streams client<br>
+ *
+ * All streams share a single combined stream connection. Every payload is emitted as
+ * `message` (payload, streamName) and, for payloads carrying an event type, as an event
+ * named after it, e.g. `aggTrade`, `markPriceUpdate`, `kline` or `depthUpdate`.
+ * Array payloads such as `!markPrice@arr` emit one typed event per element.
+ *
+ * @param {object} [options]
+ * @param {string} [options.wsURL] - default is the stream URL of the environment
+ * @param {string} [options.environment] - 'production' or 'testnet', default is 'production'
+ * @param {object} [options.logger]
+ * @param {object} [options.agent] - http agent passed to the websocket client, e.g. for a proxy
+ * @param {number} [options.reconnectDelay] - first reconnect delay in ms, default is 1000
+ * @param {number} [options.maxReconnectDelay] - default is 60000
+ * @param {number} [options.rolloverInterval] - reconnect after this many ms, default is 23 hours
+ * @param {number} [options.pingTimeout] - reconnect when no data is received for this many ms, default is 10 minutes
+ */
+class WebsocketStream extends flowRight(...Object.values(websocketStreamModules))(WebsocketBase) {
+  constructor (options = {}) {
+    super(options)
+    this.wsURL = options.wsURL || getEnvironmentURLs('usdm', options.environment).streamURL
+    this.streams = new Set()
+    this.requestId = 0
+  }
+
+  getURL () {
+    if (!this.streams.size) {
+      return `${this.wsURL}/stream`
+    }
+    return `${this.wsURL}/stream?streams=${[...this.streams].join('/')}`
+  }
+
+  /**
+   * Subscribe to one or more streams, connecting first if needed
+   *
+   * @param {string|string[]} stream
+   * @returns {string|string[]} the subscribed stream names
+   */
+  subscribe (stream) {
+    const streams = [].concat(stream).filter(name => !this.streams.has(name))
+    streams.forEach(name => this.streams.add(name))
+
+    if (this.isConnected()) {
+      if (streams.length) {
+        this.send({ method: 'SUBSCRIBE', params: streams, id: ++this.requestId })
+      }
+    } else {
+      // streams added while connecting are part of the URL on the next (re)connect
+      if (this.ws && streams.length) {
+        this.ws.once('open', () => this.send({ method: 'SUBSCRIBE', params: streams, id: ++this.requestId }))
+      }
+      this.connect()
+    }
+    return stream
+  }
+
+  /**
+   * Unsubscribe from one or more streams
+   *
+   * @param {string|string[]} stream
+   */
+  unsubscribe (stream) {
+    const streams = [].concat(stream).filter(name => this.streams.has(name))
+    streams.forEach(name => this.streams.delete(name))
+
+    if (streams.length && this.isConnected()) {
+      this.send({ method: 'UNSUBSCRIBE', params: streams, id: ++this.requestId })
+    }
+  }
+
+  onMessage (data) {
+    const message = JSON.parse(data)
+
+    // response to a SUBSCRIBE/UNSUBSCRIBE request
+    if (message.id !== undefined) {
+      if (message.error) {
+        this.logger.error(`Subscription request ${message.id} failed: ${message.error.msg}`)
+      }
+      return
+    }
+
+    const { stream, data: payload } = message
+    this.emit('message', payload, stream)
+    ;[].concat(payload).forEach(event => {
+      if (event && event.e) {
+        this.emit(event.e, event, stream)
+      }
+    })
+  }
+}
+
+module.exports = WebsocketStream